@@ -37,4 +37,68 @@ describe('CanvasGradient', () => {
       grd.addColorStop(1, "badcolor");
     }).toThrow(SyntaxError);
   });
+
+  test('CanvasGradient should remember its color stops sorted by offset', () => {
+    grd.addColorStop(1, 'red');
+    grd.addColorStop(0, 'blue');
+    grd.addColorStop(0.5, 'rgba(0, 255, 0, 0.5)');
+    grd.addColorStop(0.5, 'white');
+    expect(grd.__getColorStops()).toEqual([
+      { offset: 0, color: '#00f' },
+      { offset: 0.5, color: 'rgba(0, 255, 0, 0.5)' },
+      { offset: 0.5, color: '#fff' },
+      { offset: 1, color: '#f00' },
+    ]);
+  });
+
+  test('CanvasGradient should not remember a color stop that throws', () => {
+    expect(() => grd.addColorStop(2, 'red')).toThrow(DOMException);
+    expect(() => grd.addColorStop(0, 'badcolor')).toThrow(SyntaxError);
+    expect(grd.__getColorStops()).toEqual([]);
+  });
+
+  test('CanvasGradient should return frozen color stops', () => {
+    grd.addColorStop(0, 'blue');
+    const stops = grd.__getColorStops();
+    expect(Object.isFrozen(stops)).toBe(true);
+    expect(Object.isFrozen(stops[0])).toBe(true);
+    grd.addColorStop(1, 'red');
+    expect(stops).toHaveLength(1);
+  });
+
+  test('CanvasGradient should describe a linear gradient', () => {
+    grd.addColorStop(0, 'blue');
+    expect(grd.__getDefinition()).toEqual({
+      type: 'linear',
+      x0: 1,
+      y0: 2,
+      x1: 3,
+      y1: 4,
+      colorStops: [{ offset: 0, color: '#00f' }],
+    });
+    expect(Object.isFrozen(grd.__getDefinition())).toBe(true);
+  });
+
+  test('CanvasGradient should describe a radial gradient', () => {
+    expect(ctx.createRadialGradient(1, 2, 3, 4, 5, 6).__getDefinition()).toEqual({
+      type: 'radial',
+      x0: 1,
+      y0: 2,
+      r0: 3,
+      x1: 4,
+      y1: 5,
+      r1: 6,
+      colorStops: [],
+    });
+  });
+
+  test('CanvasGradient should describe a conic gradient', () => {
+    expect(ctx.createConicGradient(1, 2, 3).__getDefinition()).toEqual({
+      type: 'conic',
+      startAngle: 1,
+      x: 2,
+      y: 3,
+      colorStops: [],
+    });
+  });
 });
@@ -39,4 +39,24 @@ describe('CanvasPattern', () => {
     const ptrn2 = ctx.createPattern(img, 'no-repeat');
     expect(ptrn1.setTransform).not.toBe(ptrn2.setTransform);
   });
+
+  it('should describe its image, repetition and transform', () => {
+    const ptrn = ctx.createPattern(img, null);
+    expect(ptrn.__getDefinition()).toEqual({
+      image: img,
+      repetition: 'repeat',
+      transform: [1, 0, 0, 1, 0, 0],
+    });
+    expect(Object.isFrozen(ptrn.__getDefinition())).toBe(true);
+  });
+
+  it('should remember the matrix set with setTransform', () => {
+    const ptrn = ctx.createPattern(canvas, 'repeat-x');
+    ptrn.setTransform(new DOMMatrix([2, 0, 0, 3, 4, 5]));
+    expect(ptrn.__getDefinition().transform).toEqual([2, 0, 0, 3, 4, 5]);
+    ptrn.setTransform({ e: 1 });
+    expect(ptrn.__getDefinition().transform).toEqual([1, 0, 0, 1, 1, 0]);
+    ptrn.setTransform();
+    expect(ptrn.__getDefinition().transform).toEqual([1, 0, 0, 1, 0, 0]);
+  });
 });
@@ -0,0 +1,404 @@
+let canvas;
+let ctx;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  ctx = canvas.getContext('2d');
+  canvas.width = 20;
+  canvas.height = 20;
+  ctx.__enableRasterization();
+});
+
+function pixel(x, y) {
+  return Array.from(ctx.getImageData(x, y, 1, 1).data);
+}
+
+describe('__enableRasterization', () => {
+  it('should be a function', () => {
+    expect(typeof ctx.__enableRasterization).toBe('function');
+  });
+
+  it('should start with a transparent canvas', () => {
+    expect(ctx.getImageData().data.every(value => value === 0)).toBeTruthy();
+  });
+
+  it('should not paint anything when rasterization is not enabled', () => {
+    const other = document.createElement('canvas').getContext('2d');
+    other.fillRect(0, 0, 10, 10);
+    expect(Array.from(other.getImageData(0, 0, 1, 1).data)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should paint fillRect using the fillStyle', () => {
+    ctx.fillStyle = 'red';
+    ctx.fillRect(2, 2, 5, 5);
+    expect(pixel(2, 2)).toEqual([255, 0, 0, 255]);
+    expect(pixel(6, 6)).toEqual([255, 0, 0, 255]);
+    expect(pixel(7, 7)).toEqual([0, 0, 0, 0]);
+    expect(pixel(1, 1)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should honor the current transform', () => {
+    ctx.translate(10, 10);
+    ctx.scale(2, 2);
+    ctx.fillRect(0, 0, 2, 2);
+    expect(pixel(9, 9)).toEqual([0, 0, 0, 0]);
+    expect(pixel(10, 10)).toEqual([0, 0, 0, 255]);
+    expect(pixel(13, 13)).toEqual([0, 0, 0, 255]);
+    expect(pixel(14, 14)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should restore the transform after save and restore', () => {
+    ctx.save();
+    ctx.translate(10, 0);
+    ctx.restore();
+    ctx.fillRect(0, 0, 1, 1);
+    expect(pixel(0, 0)).toEqual([0, 0, 0, 255]);
+  });
+
+  it('should blend with globalAlpha', () => {
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, 10, 10);
+    ctx.globalAlpha = 0.5;
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, 10, 10);
+    expect(pixel(0, 0)).toEqual([128, 128, 128, 255]);
+  });
+
+  it('should blend semi transparent colors onto a transparent canvas', () => {
+    ctx.fillStyle = 'rgba(0, 0, 255, 0.5)';
+    ctx.fillRect(0, 0, 10, 10);
+    expect(pixel(0, 0)).toEqual([0, 0, 255, 128]);
+  });
+
+  it('should fill paths using the fill rule', () => {
+    ctx.beginPath();
+    ctx.rect(0, 0, 20, 20);
+    ctx.rect(5, 5, 10, 10);
+    ctx.fill('evenodd');
+    expect(pixel(1, 1)).toEqual([0, 0, 0, 255]);
+    expect(pixel(10, 10)).toEqual([0, 0, 0, 0]);
+    ctx.fill('nonzero');
+    expect(pixel(10, 10)).toEqual([0, 0, 0, 255]);
+  });
+
+  it('should fill arcs and curves', () => {
+    ctx.beginPath();
+    ctx.arc(10, 10, 5, 0, Math.PI * 2);
+    ctx.fill();
+    expect(pixel(10, 10)).toEqual([0, 0, 0, 255]);
+    expect(pixel(1, 1)).toEqual([0, 0, 0, 0]);
+
+    ctx.beginPath();
+    ctx.moveTo(0, 19);
+    ctx.quadraticCurveTo(0, 0, 19, 0);
+    ctx.bezierCurveTo(19, 10, 19, 10, 19, 19);
+    ctx.fill();
+    expect(pixel(17, 17)).toEqual([0, 0, 0, 255]);
+    expect(pixel(1, 1)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should fill a Path2D', () => {
+    const path = new Path2D();
+    path.rect(0, 0, 3, 3);
+    ctx.fillStyle = '#0f0';
+    ctx.fill(path);
+    expect(pixel(1, 1)).toEqual([0, 255, 0, 255]);
+  });
+
+  it('should fill and stroke a Path2D with the current transform', () => {
+    const path = new Path2D('M0 0 h4 v4 h-4 Z');
+    ctx.translate(10, 10);
+    ctx.fill(path);
+    expect(pixel(11, 11)).toEqual([0, 0, 0, 255]);
+    expect(pixel(1, 1)).toEqual([0, 0, 0, 0]);
+    ctx.strokeStyle = '#f00';
+    ctx.scale(2, 2);
+    ctx.stroke(path);
+    expect(pixel(10, 11)).toEqual([255, 0, 0, 255]);
+    expect(pixel(17, 12)).toEqual([255, 0, 0, 255]);
+    expect(pixel(12, 12)).toEqual([0, 0, 0, 255]);
+  });
+
+  it('should stroke paths using the lineWidth', () => {
+    ctx.strokeStyle = 'blue';
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.moveTo(2, 10);
+    ctx.lineTo(18, 10);
+    ctx.stroke();
+    expect(pixel(10, 8)).toEqual([0, 0, 255, 255]);
+    expect(pixel(10, 11)).toEqual([0, 0, 255, 255]);
+    expect(pixel(10, 12)).toEqual([0, 0, 0, 0]);
+    expect(pixel(1, 10)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should stroke with caps and joins', () => {
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'square';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(4, 4);
+    ctx.lineTo(14, 4);
+    ctx.lineTo(14, 14);
+    ctx.stroke();
+    expect(pixel(2, 4)).toEqual([0, 0, 0, 255]);
+    expect(pixel(15, 3)).toEqual([0, 0, 0, 255]);
+    expect(pixel(14, 15)).toEqual([0, 0, 0, 255]);
+    expect(pixel(14, 16)).toEqual([0, 0, 0, 0]);
+    expect(pixel(9, 9)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should scale the lineWidth with the transform', () => {
+    ctx.scale(4, 1);
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(2, 0);
+    ctx.lineTo(2, 20);
+    ctx.stroke();
+    expect(pixel(6, 10)).toEqual([0, 0, 0, 255]);
+    expect(pixel(9, 10)).toEqual([0, 0, 0, 255]);
+    expect(pixel(10, 10)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should stroke rectangles', () => {
+    ctx.lineWidth = 2;
+    ctx.strokeRect(5, 5, 10, 10);
+    expect(pixel(4, 4)).toEqual([0, 0, 0, 255]);
+    expect(pixel(10, 10)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should clear rectangles', () => {
+    ctx.fillRect(0, 0, 20, 20);
+    ctx.clearRect(5, 5, 5, 5);
+    expect(pixel(5, 5)).toEqual([0, 0, 0, 0]);
+    expect(pixel(10, 10)).toEqual([0, 0, 0, 255]);
+  });
+
+  it('should put image data without blending', () => {
+    const data = new ImageData(2, 2);
+    data.data.set([255, 0, 0, 128, 0, 255, 0, 128, 0, 0, 255, 128, 1, 2, 3, 4]);
+    ctx.fillRect(0, 0, 20, 20);
+    ctx.putImageData(data, 3, 3);
+    expect(pixel(3, 3)).toEqual([255, 0, 0, 128]);
+    expect(pixel(4, 4)).toEqual([1, 2, 3, 4]);
+    ctx.putImageData(data, 10, 10, 1, 1, -1, -1);
+    expect(pixel(10, 10)).toEqual([255, 0, 0, 128]);
+    expect(pixel(11, 11)).toEqual([0, 0, 0, 255]);
+  });
+
+  it('should draw the pixels of another rasterized canvas', () => {
+    const source = document.createElement('canvas');
+    source.width = 2;
+    source.height = 2;
+    const sourceCtx = source.getContext('2d');
+    sourceCtx.__enableRasterization();
+    sourceCtx.fillStyle = '#f00';
+    sourceCtx.fillRect(0, 0, 1, 2);
+    sourceCtx.fillStyle = '#00f';
+    sourceCtx.fillRect(1, 0, 1, 2);
+
+    ctx.drawImage(source, 0, 0, 2, 2, 4, 4, 8, 8);
+    expect(pixel(4, 4)).toEqual([255, 0, 0, 255]);
+    expect(pixel(7, 11)).toEqual([255, 0, 0, 255]);
+    expect(pixel(8, 4)).toEqual([0, 0, 255, 255]);
+    expect(pixel(12, 4)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should fill with a gradient', () => {
+    const gradient = ctx.createLinearGradient(0, 0, 20, 0);
+    gradient.addColorStop(0, '#00f');
+    gradient.addColorStop(1, '#f00');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 20, 20);
+    expect(pixel(0, 0)).toEqual([6, 0, 249, 255]);
+    expect(pixel(19, 19)).toEqual([249, 0, 6, 255]);
+  });
+
+  it('should stroke with a gradient in the user space of the draw call', () => {
+    const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, 4);
+    gradient.addColorStop(0, '#f00');
+    gradient.addColorStop(1, '#00f');
+    ctx.strokeStyle = gradient;
+    ctx.lineWidth = 20;
+    ctx.translate(10, 10);
+    ctx.moveTo(-10, 0);
+    ctx.lineTo(10, 0);
+    ctx.stroke();
+    expect(pixel(10, 10)[0]).toBeGreaterThan(200);
+    expect(pixel(15, 15)).toEqual([0, 0, 255, 255]);
+  });
+
+  it('should fill with a pattern of another rasterized canvas', () => {
+    const source = document.createElement('canvas');
+    source.width = 2;
+    source.height = 1;
+    const sourceCtx = source.getContext('2d');
+    sourceCtx.__enableRasterization();
+    sourceCtx.fillStyle = '#f00';
+    sourceCtx.fillRect(0, 0, 1, 1);
+    sourceCtx.fillStyle = '#00f';
+    sourceCtx.fillRect(1, 0, 1, 1);
+
+    const pattern = ctx.createPattern(source, 'repeat-x');
+    pattern.setTransform({ a: 2, d: 2 });
+    ctx.fillStyle = pattern;
+    ctx.globalAlpha = 0.5;
+    ctx.fillRect(0, 0, 20, 20);
+    expect(pixel(0, 0)).toEqual([255, 0, 0, 128]);
+    expect(pixel(3, 1)).toEqual([0, 0, 255, 128]);
+    expect(pixel(4, 0)).toEqual([255, 0, 0, 128]);
+    expect(pixel(0, 2)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should only paint inside the clipping region', () => {
+    ctx.rect(0, 0, 10, 10);
+    ctx.clip();
+    ctx.fillRect(5, 5, 10, 10);
+    expect(pixel(5, 5)).toEqual([0, 0, 0, 255]);
+    expect(pixel(9, 9)).toEqual([0, 0, 0, 255]);
+    expect(pixel(10, 10)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should intersect clipping regions with their own fill rules', () => {
+    ctx.rect(0, 0, 10, 10);
+    ctx.rect(2, 2, 6, 6);
+    ctx.clip('evenodd');
+    ctx.beginPath();
+    ctx.rect(0, 0, 20, 5);
+    ctx.clip();
+    ctx.fillRect(0, 0, 20, 20);
+    expect(pixel(0, 0)).toEqual([0, 0, 0, 255]);
+    expect(pixel(4, 4)).toEqual([0, 0, 0, 0]);
+    expect(pixel(0, 6)).toEqual([0, 0, 0, 0]);
+    expect(pixel(12, 0)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should clip strokes, clearRect and drawImage until restore is called', () => {
+    ctx.fillRect(0, 0, 20, 20);
+    ctx.save();
+    ctx.rect(0, 0, 5, 20);
+    ctx.clip();
+    ctx.clearRect(0, 0, 20, 20);
+    ctx.strokeStyle = '#f00';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(2, 2, 10, 10);
+    const source = document.createElement('canvas');
+    source.width = 20;
+    source.height = 20;
+    const sourceCtx = source.getContext('2d');
+    sourceCtx.__enableRasterization();
+    sourceCtx.fillStyle = '#00f';
+    sourceCtx.fillRect(0, 15, 20, 5);
+    ctx.drawImage(source, 0, 0);
+    expect(pixel(10, 10)).toEqual([0, 0, 0, 255]);
+    expect(pixel(2, 5)).toEqual([255, 0, 0, 255]);
+    expect(pixel(12, 5)).toEqual([0, 0, 0, 255]);
+    expect(pixel(1, 16)).toEqual([0, 0, 255, 255]);
+    expect(pixel(12, 16)).toEqual([0, 0, 0, 255]);
+    ctx.restore();
+    ctx.clearRect(0, 0, 20, 20);
+    expect(pixel(10, 10)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should apply the current transform to a Path2D clipping region', () => {
+    ctx.translate(10, 10);
+    ctx.scale(2, 2);
+    ctx.clip(new Path2D('M0 0 h2 v2 h-2 Z'));
+    ctx.resetTransform();
+    ctx.fillRect(0, 0, 20, 20);
+    expect(pixel(11, 11)).toEqual([0, 0, 0, 255]);
+    expect(pixel(13, 13)).toEqual([0, 0, 0, 255]);
+    expect(pixel(1, 1)).toEqual([0, 0, 0, 0]);
+    expect(pixel(15, 15)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should use the clipping region after the canvas is resized', () => {
+    ctx.rect(0, 0, 5, 5);
+    ctx.clip();
+    ctx.fillRect(0, 0, 20, 20);
+    canvas.width = 10;
+    canvas.height = 40;
+    ctx.fillRect(0, 0, 20, 20);
+    expect(pixel(4, 4)).toEqual([0, 0, 0, 255]);
+    expect(pixel(6, 0)).toEqual([0, 0, 0, 0]);
+    expect(pixel(0, 6)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should composite with the globalCompositeOperation', () => {
+    ctx.fillStyle = '#f00';
+    ctx.fillRect(0, 0, 10, 10);
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.fillRect(5, 0, 10, 10);
+    expect(pixel(0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixel(5, 0)).toEqual([0, 0, 0, 0]);
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = '#00f';
+    ctx.fillRect(0, 0, 20, 20);
+    expect(pixel(0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixel(5, 0)).toEqual([0, 0, 255, 255]);
+  });
+
+  it('should blend with the blend modes', () => {
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, 20, 20);
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = '#f00';
+    ctx.fillRect(0, 0, 10, 10);
+    ctx.globalCompositeOperation = 'difference';
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(5, 5, 10, 10);
+    expect(pixel(0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixel(6, 6)).toEqual([0, 255, 255, 255]);
+    expect(pixel(12, 12)).toEqual([0, 0, 0, 255]);
+    expect(pixel(18, 18)).toEqual([255, 255, 255, 255]);
+  });
+
+  it('should apply unbounded operations to the whole clipping region', () => {
+    ctx.fillStyle = '#f00';
+    ctx.fillRect(0, 0, 20, 20);
+    ctx.rect(0, 0, 10, 20);
+    ctx.clip();
+    ctx.globalCompositeOperation = 'copy';
+    ctx.fillStyle = '#00f';
+    ctx.fillRect(0, 0, 5, 5);
+    expect(pixel(0, 0)).toEqual([0, 0, 255, 255]);
+    expect(pixel(5, 5)).toEqual([0, 0, 0, 0]);
+    expect(pixel(15, 15)).toEqual([255, 0, 0, 255]);
+  });
+
+  it('should composite drawImage with the globalCompositeOperation', () => {
+    const source = document.createElement('canvas');
+    source.width = 20;
+    source.height = 20;
+    const sourceCtx = source.getContext('2d');
+    sourceCtx.__enableRasterization();
+    sourceCtx.fillRect(0, 0, 10, 10);
+    ctx.fillStyle = '#f00';
+    ctx.fillRect(0, 0, 20, 20);
+    ctx.globalCompositeOperation = 'destination-in';
+    ctx.drawImage(source, 0, 0);
+    expect(pixel(5, 5)).toEqual([255, 0, 0, 255]);
+    expect(pixel(15, 15)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should ignore image sources without known pixels', () => {
+    const img = new Image();
+    img.width = 10;
+    img.height = 10;
+    ctx.drawImage(img, 0, 0);
+    expect(pixel(0, 0)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should clear the buffer when the canvas is resized', () => {
+    ctx.fillRect(0, 0, 20, 20);
+    canvas.width = 10;
+    expect(ctx.getImageData().data.length).toBe(10 * 20 * 4);
+    expect(pixel(0, 0)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should return transparent pixels outside of the canvas', () => {
+    ctx.fillRect(0, 0, 20, 20);
+    const data = ctx.getImageData(-1, -1, 2, 2).data;
+    expect(Array.from(data)).toEqual([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 255]);
+  });
+});
@@ -0,0 +1,73 @@
+let ctx;
+beforeEach(() => {
+  // get a new context each test
+  ctx = document.createElement('canvas')
+    .getContext('2d');
+});
+
+describe('__getClipPath', () => {
+  it('should be empty when nothing is clipped', () => {
+    expect(ctx.__getClipPath()).toEqual([]);
+  });
+
+  it('should contain the clip event with its transform and fill rule', () => {
+    ctx.translate(10, 20);
+    ctx.rect(1, 2, 3, 4);
+    ctx.clip('evenodd');
+    const clip = ctx.__getClipPath();
+    expect(clip).toHaveLength(1);
+    expect(clip[0].type).toBe('clip');
+    expect(clip[0].transform).toEqual([1, 0, 0, 1, 10, 20]);
+    expect(clip[0].props.fillRule).toBe('evenodd');
+    expect(clip[0].props.path.map(event => event.type)).toEqual(['beginPath', 'rect']);
+  });
+
+  it('should contain the path of a Path2D', () => {
+    const path = new Path2D();
+    path.rect(1, 2, 3, 4);
+    ctx.clip(path);
+    expect(ctx.__getClipPath()[0].props.path).toEqual(path._path);
+  });
+
+  it('should apply the current transform to the path of a Path2D', () => {
+    const path = new Path2D();
+    path.rect(1, 2, 3, 4);
+    ctx.translate(10, 20);
+    ctx.scale(2, 2);
+    ctx.clip(path);
+    const [event] = ctx.__getClipPath()[0].props.path;
+    expect(event.transform).toEqual([2, 0, 0, 2, 10, 20]);
+    expect(event.props).toEqual(path._path[0].props);
+  });
+
+  it('should intersect repeated clip calls', () => {
+    ctx.rect(0, 0, 10, 10);
+    ctx.clip();
+    ctx.beginPath();
+    ctx.rect(5, 5, 10, 10);
+    ctx.clip();
+    expect(ctx.__getClipPath()).toHaveLength(2);
+  });
+
+  it('should restore the clipping region of the saved state', () => {
+    ctx.rect(0, 0, 10, 10);
+    ctx.clip();
+    const saved = ctx.__getClipPath();
+    ctx.save();
+    ctx.clip();
+    ctx.restore();
+    expect(ctx.__getClipPath()).toEqual(saved);
+  });
+
+  it('should be empty after reset', () => {
+    ctx.clip();
+    ctx.reset();
+    expect(ctx.__getClipPath()).toEqual([]);
+  });
+
+  it('should return a copy', () => {
+    ctx.clip();
+    ctx.__getClipPath().pop();
+    expect(ctx.__getClipPath()).toHaveLength(1);
+  });
+});
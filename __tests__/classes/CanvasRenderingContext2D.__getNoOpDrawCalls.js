@@ -0,0 +1,210 @@
+let canvas;
+let ctx;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  ctx = canvas.getContext('2d');
+  canvas.width = 100;
+  canvas.height = 50;
+});
+
+function lastDrawCall() {
+  const calls = ctx.__getDrawCalls();
+  return calls[calls.length - 1];
+}
+
+describe('__getNoOpDrawCalls', () => {
+  it('should be empty when every draw call is visible', () => {
+    ctx.fillRect(0, 0, 10, 10);
+    ctx.fillText('hello', 10, 20);
+    expect(ctx.__getNoOpDrawCalls()).toEqual([]);
+  });
+
+  it('should return the draw calls that cannot change any pixel', () => {
+    ctx.fillRect(0, 0, 10, 10);
+    ctx.fillRect(200, 0, 10, 10);
+    expect(ctx.__getNoOpDrawCalls()).toEqual([ctx.__getDrawCalls()[1]]);
+  });
+
+  it('should not change the snapshots of the draw calls', () => {
+    ctx.fillRect(200, 0, 10, 10);
+    const call = lastDrawCall();
+    expect(Object.keys(call)).toEqual(['type', 'transform', 'props']);
+    expect(call.isVisible).toBe(false);
+  });
+});
+
+describe('draw call analysis', () => {
+  it('should compute the device space bounding box', () => {
+    ctx.translate(10, 5);
+    ctx.scale(2, 2);
+    ctx.fillRect(1, 2, 3, 4);
+    expect(lastDrawCall().bbox).toEqual({ x: 12, y: 9, width: 6, height: 8 });
+    expect(lastDrawCall().isVisible).toBe(true);
+    expect(lastDrawCall().reason).toBeNull();
+  });
+
+  it('should include the line width in the bounding box of strokes', () => {
+    ctx.lineWidth = 4;
+    ctx.strokeRect(10, 10, 10, 10);
+    expect(lastDrawCall().bbox).toEqual({ x: 8, y: 8, width: 14, height: 14 });
+    ctx.beginPath();
+    ctx.moveTo(10, 10);
+    ctx.lineTo(20, 10);
+    ctx.stroke();
+    expect(lastDrawCall().bbox).toEqual({ x: 10, y: 8, width: 10, height: 4 });
+  });
+
+  it('should compute the bounding box of paths, images and text', () => {
+    ctx.arc(50, 25, 10, 0, Math.PI * 2);
+    ctx.fill();
+    const { bbox } = lastDrawCall();
+    expect(bbox.x).toBeCloseTo(40, 0);
+    expect(bbox.width).toBeCloseTo(20, 0);
+    ctx.drawImage(new ImageBitmap(4, 2), 1, 2);
+    expect(lastDrawCall().bbox).toEqual({ x: 1, y: 2, width: 4, height: 2 });
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText('hello', 50, 20);
+    const text = lastDrawCall().bbox;
+    expect(text.x + text.width).toBeCloseTo(50);
+    expect(text.y).toBeLessThan(20);
+    expect(text.y + text.height).toBeGreaterThan(20);
+  });
+
+  it('should shrink the text to the maxWidth', () => {
+    ctx.strokeText('a long piece of text', 0, 20, 30);
+    expect(lastDrawCall().bbox.width).toBeCloseTo(30 + ctx.lineWidth);
+  });
+
+  it('should apply the current transform to a Path2D', () => {
+    const path = new Path2D('M0 0 h10 v10 h-10 Z');
+    ctx.translate(-20, 0);
+    ctx.fill(path);
+    expect(lastDrawCall().bbox).toEqual({ x: -20, y: 0, width: 10, height: 10 });
+    expect(lastDrawCall().reason).toBe('off-canvas');
+    ctx.translate(60, 10);
+    ctx.stroke(path);
+    expect(lastDrawCall().bbox).toEqual({ x: 39.5, y: 9.5, width: 11, height: 11 });
+    expect(lastDrawCall().isVisible).toBe(true);
+  });
+
+  it('should flag a degenerate transform', () => {
+    ctx.scale(0, 1);
+    ctx.fillRect(0, 0, 10, 10);
+    expect(lastDrawCall().reason).toBe('degenerate-transform');
+    expect(lastDrawCall().isVisible).toBe(false);
+  });
+
+  it('should flag a transparent globalAlpha or style', () => {
+    ctx.globalAlpha = 0;
+    ctx.fillRect(0, 0, 10, 10);
+    expect(lastDrawCall().reason).toBe('transparent');
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0)';
+    ctx.strokeRect(0, 0, 10, 10);
+    expect(lastDrawCall().reason).toBe('transparent');
+    ctx.fillStyle = ctx.createLinearGradient(0, 0, 10, 0);
+    ctx.fillText('hello', 10, 10);
+    expect(lastDrawCall().reason).toBe('transparent');
+  });
+
+  it('should not flag transparent draws that still change the canvas', () => {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0)';
+    ctx.globalCompositeOperation = 'copy';
+    ctx.fillRect(0, 0, 10, 10);
+    expect(lastDrawCall().isVisible).toBe(true);
+    ctx.clearRect(0, 0, 10, 10);
+    expect(lastDrawCall().isVisible).toBe(true);
+  });
+
+  it('should flag drawings without an area', () => {
+    ctx.fillRect(0, 0, 0, 10);
+    expect(lastDrawCall().reason).toBe('empty');
+    ctx.fill();
+    expect(lastDrawCall().reason).toBe('empty');
+    expect(lastDrawCall().bbox).toBeNull();
+    ctx.fillText('', 10, 10);
+    expect(lastDrawCall().reason).toBe('empty');
+  });
+
+  it('should flag drawings outside of the canvas', () => {
+    ctx.fillRect(-20, 0, 20, 10);
+    expect(lastDrawCall().reason).toBe('off-canvas');
+    ctx.translate(0, 100);
+    ctx.drawImage(new ImageBitmap(10, 10), 0, 0);
+    expect(lastDrawCall().reason).toBe('off-canvas');
+  });
+
+  it('should flag drawings outside of the clipping region', () => {
+    ctx.rect(0, 0, 10, 10);
+    ctx.clip();
+    ctx.fillRect(20, 20, 10, 10);
+    expect(lastDrawCall().reason).toBe('clipped');
+    ctx.fillRect(5, 5, 10, 10);
+    expect(lastDrawCall().isVisible).toBe(true);
+    ctx.beginPath();
+    ctx.rect(50, 0, 10, 10);
+    ctx.clip();
+    ctx.fillRect(5, 5, 10, 10);
+    expect(lastDrawCall().reason).toBe('clipped');
+  });
+
+  it('should not flag drawings outside of the canvas with a visible shadow', () => {
+    ctx.shadowColor = 'black';
+    ctx.shadowOffsetX = 30;
+    ctx.fillRect(-20, 0, 20, 10);
+    expect(lastDrawCall().isVisible).toBe(true);
+    expect(lastDrawCall().bbox).toEqual({ x: -20, y: 0, width: 20, height: 10 });
+    ctx.shadowOffsetX = 0;
+    ctx.shadowOffsetY = -30;
+    ctx.fillRect(0, 60, 10, 10);
+    expect(lastDrawCall().isVisible).toBe(true);
+    ctx.shadowOffsetY = 0;
+    ctx.shadowBlur = 10;
+    ctx.fillRect(-20, 0, 10, 10);
+    expect(lastDrawCall().isVisible).toBe(true);
+    ctx.fillRect(-40, 0, 10, 10);
+    expect(lastDrawCall().reason).toBe('off-canvas');
+  });
+
+  it('should ignore shadows that are not drawn', () => {
+    ctx.shadowOffsetX = 30;
+    ctx.fillRect(-20, 0, 20, 10);
+    expect(lastDrawCall().reason).toBe('off-canvas');
+    ctx.shadowColor = 'black';
+    ctx.globalAlpha = 0;
+    ctx.fillRect(0, 0, 10, 10);
+    expect(lastDrawCall().reason).toBe('transparent');
+    ctx.globalAlpha = 1;
+    ctx.clearRect(-20, 0, 20, 10);
+    expect(lastDrawCall().reason).toBe('off-canvas');
+  });
+
+  it('should not flag drawings with a shadow inside the clipping region', () => {
+    ctx.rect(0, 0, 10, 10);
+    ctx.clip();
+    ctx.shadowColor = 'black';
+    ctx.shadowOffsetX = -20;
+    ctx.fillRect(20, 0, 10, 10);
+    expect(lastDrawCall().isVisible).toBe(true);
+  });
+
+  it('should only compare the bounding boxes of the clipping paths', () => {
+    ctx.moveTo(0, 0);
+    ctx.lineTo(40, 0);
+    ctx.lineTo(0, 40);
+    ctx.closePath();
+    ctx.clip();
+    // the rectangle is outside of the triangle, but inside of its bounding box
+    ctx.fillRect(30, 30, 5, 5);
+    expect(lastDrawCall().isVisible).toBe(true);
+  });
+
+  it('should use the state at the time of the draw call', () => {
+    ctx.fillRect(0, 0, 10, 10);
+    ctx.globalAlpha = 0;
+    canvas.width = 0;
+    expect(lastDrawCall().isVisible).toBe(true);
+  });
+});
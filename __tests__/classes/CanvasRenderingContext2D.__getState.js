@@ -0,0 +1,129 @@
+let ctx;
+beforeEach(() => {
+  // get a new context each test
+  ctx = document.createElement('canvas')
+    .getContext('2d');
+});
+
+describe('__getState', () => {
+  it('should return the default drawing state', () => {
+    expect(ctx.__getState()).toEqual({
+      clip: [],
+      direction: 'inherit',
+      fillStyle: '#000',
+      filter: 'none',
+      font: '10px sans-serif',
+      fontKerning: 'auto',
+      fontStretch: 'normal',
+      fontVariantCaps: 'normal',
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      imageSmoothingEnabled: true,
+      imageSmoothingQuality: 'low',
+      letterSpacing: '0px',
+      lineCap: 'butt',
+      lineDash: [],
+      lineDashOffset: 0,
+      lineJoin: 'miter',
+      lineWidth: 1,
+      miterLimit: 10,
+      shadowBlur: 0,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      shadowOffsetX: 0,
+      shadowOffsetY: 0,
+      strokeStyle: '#000',
+      textAlign: 'start',
+      textBaseline: 'alphabetic',
+      textRendering: 'auto',
+      transform: [1, 0, 0, 1, 0, 0],
+      wordSpacing: '0px',
+    });
+  });
+
+  it('should match the properties of the context', () => {
+    ctx.fillStyle = 'red';
+    ctx.globalAlpha = 0.5;
+    ctx.lineWidth = 3;
+    ctx.setLineDash([4, 2]);
+    ctx.letterSpacing = '2px';
+    ctx.translate(10, 20);
+    const state = ctx.__getState();
+    expect(state.fillStyle).toBe(ctx.fillStyle);
+    expect(state.globalAlpha).toBe(0.5);
+    expect(state.lineWidth).toBe(3);
+    expect(state.lineDash).toEqual([4, 2]);
+    expect(state.letterSpacing).toBe('2px');
+    expect(state.transform).toEqual([1, 0, 0, 1, 10, 20]);
+  });
+
+  it('should return a frozen snapshot', () => {
+    ctx.setLineDash([1, 2]);
+    const state = ctx.__getState();
+    expect(Object.isFrozen(state)).toBe(true);
+    expect(Object.isFrozen(state.lineDash)).toBe(true);
+    expect(Object.isFrozen(state.transform)).toBe(true);
+    expect(Object.isFrozen(state.clip)).toBe(true);
+  });
+
+  it('should not change when the context changes', () => {
+    const state = ctx.__getState();
+    ctx.lineWidth = 5;
+    ctx.scale(2, 2);
+    expect(state.lineWidth).toBe(1);
+    expect(state.transform).toEqual([1, 0, 0, 1, 0, 0]);
+  });
+
+  it('should contain the clip calls of the current state', () => {
+    ctx.rect(0, 0, 10, 10);
+    ctx.clip();
+    const clip = ctx.__getEvents().find(event => event.type === 'clip');
+    expect(ctx.__getState().clip).toEqual([clip]);
+  });
+
+  it('should forget the clip calls made after save when restore is called', () => {
+    ctx.clip();
+    ctx.save();
+    ctx.clip('evenodd');
+    expect(ctx.__getState().clip).toHaveLength(2);
+    ctx.restore();
+    expect(ctx.__getState().clip).toHaveLength(1);
+    expect(ctx.__getState().clip[0].props.fillRule).toBe('nonzero');
+  });
+
+  it('should forget the clip calls when reset is called', () => {
+    ctx.clip();
+    ctx.reset();
+    expect(ctx.__getState().clip).toEqual([]);
+  });
+});
+
+describe('__getStateStack', () => {
+  it('should contain only the current state when nothing was saved', () => {
+    expect(ctx.__getStateStack()).toEqual([ctx.__getState()]);
+  });
+
+  it('should contain every saved state, ending with the current one', () => {
+    ctx.fillStyle = 'blue';
+    ctx.save();
+    ctx.fillStyle = 'green';
+    ctx.save();
+    ctx.fillStyle = 'red';
+    const stack = ctx.__getStateStack();
+    expect(stack.map(state => state.fillStyle)).toEqual(['#00f', '#008000', '#f00']);
+    expect(stack[2]).toEqual(ctx.__getState());
+  });
+
+  it('should return a frozen array', () => {
+    ctx.save();
+    const stack = ctx.__getStateStack();
+    expect(Object.isFrozen(stack)).toBe(true);
+    expect(stack.every(state => Object.isFrozen(state))).toBe(true);
+  });
+
+  it('should shrink when restore is called', () => {
+    ctx.save();
+    ctx.save();
+    ctx.restore();
+    expect(ctx.__getStateStack()).toHaveLength(2);
+  });
+});
@@ -0,0 +1,157 @@
+import { configure, resetConfig } from '../../src/config';
+import { resetAll } from '../../src/install';
+
+let ctx;
+beforeEach(() => {
+  // get a new context each test
+  ctx = document.createElement('canvas')
+    .getContext('2d');
+});
+
+afterEach(() => {
+  resetConfig();
+});
+
+describe('__getStateAt', () => {
+  it('should return the default state and path at index 0', () => {
+    ctx.fillStyle = 'red';
+    ctx.moveTo(1, 2);
+    const initial = document.createElement('canvas').getContext('2d');
+    expect(ctx.__getStateAt(0)).toEqual({ path: initial.__getPath(), state: initial.__getState() });
+  });
+
+  it('should return the state the event at the index was called with', () => {
+    ctx.fillStyle = 'red';
+    ctx.save();
+    ctx.translate(10, 20);
+    ctx.fillStyle = 'blue';
+    ctx.fillRect(1, 2, 3, 4);
+    ctx.restore();
+    const index = ctx.__getEvents().findIndex(event => event.type === 'fillRect');
+    const { state } = ctx.__getStateAt(index);
+    expect(state.fillStyle).toBe('#00f');
+    expect(state.transform).toEqual([1, 0, 0, 1, 10, 20]);
+  });
+
+  it('should return the current state at the end of the event log', () => {
+    ctx.lineWidth = 3;
+    ctx.save();
+    ctx.setLineDash([1, 2]);
+    ctx.rect(1, 2, 3, 4);
+    ctx.clip();
+    const { path, state } = ctx.__getStateAt(ctx.__getEvents().length);
+    expect(state).toEqual(ctx.__getState());
+    expect(path).toEqual(ctx.__getPath());
+  });
+
+  it('should derive every property of the state', () => {
+    ctx.direction = 'rtl';
+    ctx.fillStyle = ctx.createLinearGradient(0, 0, 1, 1);
+    ctx.filter = 'blur(2px)';
+    ctx.font = 'bold 12px serif';
+    ctx.fontKerning = 'none';
+    ctx.fontStretch = 'condensed';
+    ctx.fontVariantCaps = 'small-caps';
+    ctx.globalAlpha = 0.5;
+    ctx.globalCompositeOperation = 'xor';
+    ctx.imageSmoothingEnabled = false;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.letterSpacing = '1px';
+    ctx.lineCap = 'round';
+    ctx.lineDashOffset = 2;
+    ctx.lineJoin = 'bevel';
+    ctx.lineWidth = 4;
+    ctx.miterLimit = 5;
+    ctx.shadowBlur = 3;
+    ctx.shadowColor = 'red';
+    ctx.shadowOffsetX = 6;
+    ctx.strokeStyle = 'blue';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.textRendering = 'geometricPrecision';
+    ctx.wordSpacing = '3px';
+    ctx.setLineDash([1]);
+    ctx.save();
+    ctx.scale(2, 3);
+    ctx.rotate(1);
+    ctx.moveTo(1, 2);
+    ctx.clip();
+    ctx.save();
+    ctx.resetTransform();
+    ctx.restore();
+    const { path, state } = ctx.__getStateAt(ctx.__getEvents().length);
+    expect(state).toEqual(ctx.__getState());
+    expect(path).toEqual(ctx.__getPath());
+  });
+
+  it('should derive the default state after reset', () => {
+    ctx.fillStyle = 'red';
+    ctx.save();
+    ctx.translate(1, 2);
+    ctx.rect(1, 2, 3, 4);
+    ctx.reset();
+    ctx.lineTo(1, 2);
+    const { path, state } = ctx.__getStateAt(ctx.__getEvents().length);
+    expect(state).toEqual(ctx.__getState());
+    expect(path).toEqual(ctx.__getPath());
+  });
+
+  it('should return the current path at the index', () => {
+    ctx.beginPath();
+    ctx.moveTo(1, 2);
+    ctx.lineTo(3, 4);
+    ctx.beginPath();
+    ctx.rect(1, 2, 3, 4);
+    expect(ctx.__getStateAt(3).path.map(event => event.type)).toEqual(['beginPath', 'moveTo', 'lineTo']);
+  });
+
+  it('should include the events that resetAll dropped', () => {
+    ctx.fillStyle = '#ff0000';
+    ctx.save();
+    ctx.translate(10, 20);
+    ctx.moveTo(1, 2);
+    resetAll();
+    ctx.fillRect(1, 2, 3, 4);
+    const { path, state } = ctx.__getStateAt(0);
+    expect(state).toEqual(ctx.__getState());
+    expect(state.fillStyle).toBe('#f00');
+    expect(path).toEqual(ctx.__getPath());
+    ctx.restore();
+    expect(ctx.__getStateAt(2).state).toEqual(ctx.__getState());
+  });
+
+  it('should include the events that maxEvents dropped', () => {
+    configure({ maxEvents: 1 });
+    ctx.fillStyle = '#ff0000';
+    ctx.save();
+    ctx.fillStyle = '#00f';
+    ctx.restore();
+    expect(ctx.__getStateAt(0).state.fillStyle).toBe('#00f');
+    expect(ctx.__getStateAt(1).state).toEqual(ctx.__getState());
+  });
+
+  it('should return frozen objects', () => {
+    const result = ctx.__getStateAt(0);
+    expect(Object.isFrozen(result)).toBe(true);
+    expect(Object.isFrozen(result.path)).toBe(true);
+    expect(Object.isFrozen(result.state)).toBe(true);
+  });
+
+  it('should not change the context', () => {
+    configure({ rasterize: true });
+    ctx = document.createElement('canvas').getContext('2d');
+    ctx.fillStyle = 'red';
+    ctx.fillRect(0, 0, 10, 10);
+    const events = ctx.__getEvents();
+    const pixels = ctx.getImageData(0, 0, 10, 10).data;
+    ctx.__getStateAt(events.length);
+    expect(ctx.__getEvents()).toEqual(events);
+    expect(ctx.getImageData(0, 0, 10, 10).data).toEqual(pixels);
+  });
+
+  it.each([-1, 1.5, NaN, 'a', 3])('should throw a RangeError if the index is %p', (index) => {
+    ctx.save();
+    ctx.restore();
+    expect(() => ctx.__getStateAt(index)).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,54 @@
+let ctx;
+let target;
+beforeEach(() => {
+  // get a new context each test
+  ctx = document.createElement('canvas')
+    .getContext('2d');
+  target = document.createElement('canvas')
+    .getContext('2d');
+});
+
+describe('__replay', () => {
+  it('should replay every event by default', () => {
+    ctx.fillStyle = 'red';
+    ctx.translate(1, 2);
+    ctx.fillRect(1, 2, 3, 4);
+    expect(ctx.__replay(void 0, void 0, target)).toBe(target);
+    expect(target.__getEvents()).toEqual(ctx.__getEvents());
+    expect(target.__getState()).toEqual(ctx.__getState());
+  });
+
+  it('should replay the events from the start index up to the end index', () => {
+    ctx.fillStyle = 'red';
+    ctx.fillRect(1, 2, 3, 4);
+    ctx.strokeRect(1, 2, 3, 4);
+    ctx.clearRect(1, 2, 3, 4);
+    ctx.__replay(1, 3, target);
+    expect(target.__getEvents()).toEqual(ctx.__getEvents().slice(1, 3));
+    expect(target.fillStyle).toBe('#000');
+  });
+
+  it('should draw on top of the state of the target', () => {
+    ctx.fillStyle = 'red';
+    ctx.fillRect(1, 2, 3, 4);
+    target.translate(10, 10);
+    ctx.__replay(1, 2, target);
+    expect(target.__getDrawCalls()[0].transform).toEqual([1, 0, 0, 1, 10, 10]);
+  });
+
+  it('should throw a TypeError if the target is not an object', () => {
+    expect(() => ctx.__replay(0, 0)).toThrow(TypeError);
+    expect(() => ctx.__replay(0, 0, null)).toThrow(TypeError);
+  });
+
+  it('should throw a RangeError if an index is outside the event log', () => {
+    ctx.save();
+    expect(() => ctx.__replay(-1, 1, target)).toThrow(RangeError);
+    expect(() => ctx.__replay(0, 2, target)).toThrow(RangeError);
+  });
+
+  it('should throw a RangeError if the start index is greater than the end index', () => {
+    ctx.save();
+    expect(() => ctx.__replay(1, 0, target)).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,48 @@
+let canvas;
+let ctx;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  ctx = canvas.getContext('2d');
+  canvas.width = 400;
+  canvas.height = 300;
+});
+
+describe('createConicGradient', () => {
+  it('should be a function', () => {
+    expect(typeof ctx.createConicGradient).toBe('function');
+  });
+
+  it('should be callable', () => {
+    ctx.createConicGradient(0, 1, 2);
+    expect(ctx.createConicGradient).toBeCalled();
+  });
+
+  it('should not create a conic gradient when the argument length is < 3', () => {
+    expect(() => ctx.createConicGradient()).toThrow(TypeError);
+    expect(() => ctx.createConicGradient(0)).toThrow(TypeError);
+    expect(() => ctx.createConicGradient(0, 1)).toThrow(TypeError);
+  });
+
+  it('should not create a conic gradient when any argument is not finite', () => {
+    expect(() => ctx.createConicGradient(Infinity, 1, 2)).toThrow(TypeError);
+    expect(() => ctx.createConicGradient(0, NaN, 2)).toThrow(TypeError);
+    expect(() => ctx.createConicGradient(0, 1, -Infinity)).toThrow(TypeError);
+  });
+
+  it('should create a conic gradient with string values', () => {
+    const grd = ctx.createConicGradient('1', '2', '3');
+    expect(grd).toBeInstanceOf(CanvasGradient);
+    ctx.fillStyle = grd;
+    expect(ctx.fillStyle).toBe(grd);
+  });
+
+  it('should add a createConicGradient event', () => {
+    ctx.createConicGradient(1, 2, 3);
+    expect(ctx.__getEvents()[0]).toEqual({
+      type: 'createConicGradient',
+      transform: [1, 0, 0, 1, 0, 0],
+      props: { startAngle: 1, x: 2, y: 3 },
+    });
+  });
+});
@@ -0,0 +1,46 @@
+let canvas;
+let ctx;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  ctx = canvas.getContext('2d');
+  canvas.width = 400;
+  canvas.height = 300;
+});
+
+describe('fontKerning', () => {
+  it('should set the default value to \'auto\'', () => {
+    expect(ctx.fontKerning).toBe('auto');
+  });
+
+  it('should not set the value if it\'s not a valid fontKerning', () => {
+    ctx.fontKerning = 'wrong!';
+    expect(ctx.fontKerning).toBe('auto');
+    ctx.fontKerning = 'NORMAL';
+    expect(ctx.fontKerning).toBe('auto');
+  });
+
+  it('should set the fontKerning if it\'s a valid fontKerning', () => {
+    ['auto', 'normal', 'none'].forEach(e => {
+      ctx.fontKerning = e;
+      expect(ctx.fontKerning).toBe(e);
+    });
+  });
+
+  it('should save and restore fontKerning values', () => {
+    ctx.fontKerning = 'none';
+    ctx.save();
+    ctx.fontKerning = 'normal';
+    expect(ctx.fontKerning).toBe('normal');
+    ctx.restore();
+    expect(ctx.fontKerning).toBe('none');
+  });
+
+  it('should add a fontKerning event', () => {
+    ctx.fontKerning = 'none';
+    ctx.fontKerning = 'wrong!';
+    expect(ctx.__getEvents()).toEqual([
+      { type: 'fontKerning', transform: [1, 0, 0, 1, 0, 0], props: { value: 'none' } },
+    ]);
+  });
+});
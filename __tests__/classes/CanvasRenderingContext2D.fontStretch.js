@@ -0,0 +1,46 @@
+let canvas;
+let ctx;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  ctx = canvas.getContext('2d');
+  canvas.width = 400;
+  canvas.height = 300;
+});
+
+describe('fontStretch', () => {
+  it('should set the default value to \'normal\'', () => {
+    expect(ctx.fontStretch).toBe('normal');
+  });
+
+  it('should not set the value if it\'s not a valid fontStretch', () => {
+    ctx.fontStretch = 'wrong!';
+    expect(ctx.fontStretch).toBe('normal');
+    ctx.fontStretch = 'EXTRA-CONDENSED';
+    expect(ctx.fontStretch).toBe('normal');
+  });
+
+  it('should set the fontStretch if it\'s a valid fontStretch', () => {
+    ['ultra-condensed', 'extra-condensed', 'condensed', 'semi-condensed', 'normal', 'semi-expanded', 'expanded', 'extra-expanded', 'ultra-expanded'].forEach(e => {
+      ctx.fontStretch = e;
+      expect(ctx.fontStretch).toBe(e);
+    });
+  });
+
+  it('should save and restore fontStretch values', () => {
+    ctx.fontStretch = 'condensed';
+    ctx.save();
+    ctx.fontStretch = 'expanded';
+    expect(ctx.fontStretch).toBe('expanded');
+    ctx.restore();
+    expect(ctx.fontStretch).toBe('condensed');
+  });
+
+  it('should add a fontStretch event', () => {
+    ctx.fontStretch = 'condensed';
+    ctx.fontStretch = 'wrong!';
+    expect(ctx.__getEvents()).toEqual([
+      { type: 'fontStretch', transform: [1, 0, 0, 1, 0, 0], props: { value: 'condensed' } },
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+let canvas;
+let ctx;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  ctx = canvas.getContext('2d');
+  canvas.width = 400;
+  canvas.height = 300;
+});
+
+describe('fontVariantCaps', () => {
+  it('should set the default value to \'normal\'', () => {
+    expect(ctx.fontVariantCaps).toBe('normal');
+  });
+
+  it('should not set the value if it\'s not a valid fontVariantCaps', () => {
+    ctx.fontVariantCaps = 'wrong!';
+    expect(ctx.fontVariantCaps).toBe('normal');
+    ctx.fontVariantCaps = 'SMALL-CAPS';
+    expect(ctx.fontVariantCaps).toBe('normal');
+  });
+
+  it('should set the fontVariantCaps if it\'s a valid fontVariantCaps', () => {
+    ['normal', 'small-caps', 'all-small-caps', 'petite-caps', 'all-petite-caps', 'unicase', 'titling-caps'].forEach(e => {
+      ctx.fontVariantCaps = e;
+      expect(ctx.fontVariantCaps).toBe(e);
+    });
+  });
+
+  it('should save and restore fontVariantCaps values', () => {
+    ctx.fontVariantCaps = 'small-caps';
+    ctx.save();
+    ctx.fontVariantCaps = 'unicase';
+    expect(ctx.fontVariantCaps).toBe('unicase');
+    ctx.restore();
+    expect(ctx.fontVariantCaps).toBe('small-caps');
+  });
+
+  it('should add a fontVariantCaps event', () => {
+    ctx.fontVariantCaps = 'small-caps';
+    ctx.fontVariantCaps = 'wrong!';
+    expect(ctx.__getEvents()).toEqual([
+      { type: 'fontVariantCaps', transform: [1, 0, 0, 1, 0, 0], props: { value: 'small-caps' } },
+    ]);
+  });
+});
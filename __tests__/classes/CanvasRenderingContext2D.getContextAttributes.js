@@ -0,0 +1,57 @@
+let canvas;
+let ctx;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  ctx = canvas.getContext('2d');
+  canvas.width = 400;
+  canvas.height = 300;
+});
+
+describe('getContextAttributes', () => {
+  it('should be a function', () => {
+    expect(typeof ctx.getContextAttributes).toBe('function');
+  });
+
+  it('should return the default attributes', () => {
+    expect(ctx.getContextAttributes()).toEqual({
+      alpha: true,
+      colorSpace: 'srgb',
+      desynchronized: false,
+      willReadFrequently: false,
+    });
+    expect(ctx.getContextAttributes).toBeCalled();
+  });
+
+  it('should return the attributes given to getContext', () => {
+    const context = document.createElement('canvas').getContext('2d', { alpha: 0, willReadFrequently: 1, colorSpace: 'display-p3', other: true });
+    expect(context.getContextAttributes()).toEqual({
+      alpha: false,
+      colorSpace: 'display-p3',
+      desynchronized: false,
+      willReadFrequently: true,
+    });
+  });
+
+  it('should return a copy of the attributes', () => {
+    ctx.getContextAttributes().alpha = false;
+    expect(ctx.getContextAttributes().alpha).toBe(true);
+  });
+
+  it('should throw if the color space is not valid', () => {
+    expect(() => document.createElement('canvas').getContext('2d', { colorSpace: 'rec2020' }))
+      .toThrow('Failed to execute \'getContext\' on \'HTMLCanvasElement\': The provided value \'rec2020\' is not a valid enum value of type PredefinedColorSpace.');
+    expect(() => new OffscreenCanvas(1, 1).getContext('2d', { colorSpace: 'rec2020' })).toThrow('on \'OffscreenCanvas\'');
+  });
+});
+
+describe('isContextLost', () => {
+  it('should be a function', () => {
+    expect(typeof ctx.isContextLost).toBe('function');
+  });
+
+  it('should return false', () => {
+    expect(ctx.isContextLost()).toBe(false);
+    expect(ctx.isContextLost).toBeCalled();
+  });
+});
@@ -28,4 +28,26 @@ describe('getImageData', () => {
     expect(data.height).toBe(300);
     expect(data.data.length).toBe(400 * 300 * 4);
   });
+
+  it('should return an image data of the requested size', () => {
+    const data = ctx.getImageData(10, 10, -20, 30);
+    expect(data.width).toBe(20);
+    expect(data.height).toBe(30);
+  });
+
+  it('should throw if less than 4 arguments are provided', () => {
+    expect(() => ctx.getImageData(1)).toThrow(TypeError);
+    expect(() => ctx.getImageData(1, 2, 3)).toThrow(TypeError);
+  });
+
+  it('should throw if a non-finite value is provided', () => {
+    [NaN, Infinity, -Infinity].forEach(value => {
+      expect(() => ctx.getImageData(value, 0, 1, 1)).toThrow(TypeError);
+    });
+  });
+
+  it('should throw if the width or height is zero', () => {
+    expect(() => ctx.getImageData(0, 0, 0, 1)).toThrow(DOMException);
+    expect(() => ctx.getImageData(0, 0, 1, 0)).toThrow(DOMException);
+  });
 });
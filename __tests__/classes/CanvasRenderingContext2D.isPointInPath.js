@@ -24,7 +24,7 @@ describe('isPointInPath', () => {
     expect(() => ctx.isPointInPath()).toThrow(TypeError);
   });
 
-  it('should always return false', () => {
+  it('should return false for an empty path', () => {
     expect(ctx.isPointInPath(1, 2)).toBeFalsy();
     expect(ctx.isPointInPath(p, 1, 2)).toBeFalsy();
   });
@@ -40,4 +40,83 @@ describe('isPointInPath', () => {
     expect(() => ctx.isPointInPath(p, 1, 2, 'evenodd')).not.toThrow();
     expect(() => ctx.isPointInPath(p, 1, 2, 'nonzero')).not.toThrow();
   });
-});
\ No newline at end of file
+
+  it('should return true for points inside the current path', () => {
+    ctx.rect(10, 10, 20, 20);
+    expect(ctx.isPointInPath(15, 15)).toBe(true);
+    expect(ctx.isPointInPath(10, 10)).toBe(true);
+    expect(ctx.isPointInPath(5, 15)).toBe(false);
+    expect(ctx.isPointInPath(31, 15)).toBe(false);
+  });
+
+  it('should return true for points inside a Path2D', () => {
+    const path = new Path2D();
+    path.arc(50, 50, 10, 0, Math.PI * 2);
+    expect(ctx.isPointInPath(path, 50, 55)).toBe(true);
+    expect(ctx.isPointInPath(path, 50, 61)).toBe(false);
+  });
+
+  it('should respect the transform of each path event', () => {
+    ctx.translate(100, 100);
+    ctx.rotate(Math.PI / 4);
+    ctx.rect(0, 0, 10, 10);
+    expect(ctx.isPointInPath(100, 105)).toBe(true);
+    expect(ctx.isPointInPath(105, 103)).toBe(false);
+  });
+
+  it('should apply the current transform to a Path2D', () => {
+    const path = new Path2D('M0 0 h10 v10 h-10 Z');
+    ctx.translate(50, 50);
+    expect(ctx.isPointInPath(path, 55, 55)).toBe(true);
+    expect(ctx.isPointInPath(path, 5, 5)).toBe(false);
+    ctx.scale(2, 2);
+    expect(ctx.isPointInPath(path, 65, 65, 'evenodd')).toBe(true);
+  });
+
+  it('should respect the fill rule', () => {
+    ctx.rect(0, 0, 100, 100);
+    ctx.rect(25, 25, 50, 50);
+    expect(ctx.isPointInPath(50, 50)).toBe(true);
+    expect(ctx.isPointInPath(50, 50, 'nonzero')).toBe(true);
+    expect(ctx.isPointInPath(50, 50, 'evenodd')).toBe(false);
+    expect(ctx.isPointInPath(10, 10, 'evenodd')).toBe(true);
+  });
+
+  it('should respect the direction of subpaths for the nonzero fill rule', () => {
+    ctx.rect(0, 0, 100, 100);
+    ctx.rect(75, 25, -50, 50);
+    expect(ctx.isPointInPath(50, 50, 'nonzero')).toBe(false);
+  });
+
+  it('should use curves, arcs and ellipses', () => {
+    ctx.moveTo(0, 0);
+    ctx.quadraticCurveTo(50, 100, 100, 0);
+    expect(ctx.isPointInPath(50, 40)).toBe(true);
+    expect(ctx.isPointInPath(50, 60)).toBe(false);
+
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.bezierCurveTo(0, 100, 100, 100, 100, 0);
+    expect(ctx.isPointInPath(50, 70)).toBe(true);
+
+    ctx.beginPath();
+    ctx.ellipse(200, 100, 50, 10, 0, 0, Math.PI * 2);
+    expect(ctx.isPointInPath(240, 100)).toBe(true);
+    expect(ctx.isPointInPath(200, 120)).toBe(false);
+
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.arcTo(100, 0, 100, 100, 20);
+    ctx.lineTo(100, 100);
+    ctx.lineTo(0, 100);
+    ctx.closePath();
+    expect(ctx.isPointInPath(97, 3)).toBe(false);
+    expect(ctx.isPointInPath(90, 10)).toBe(true);
+  });
+
+  it('should return false for non-finite points', () => {
+    ctx.rect(0, 0, 100, 100);
+    expect(ctx.isPointInPath(NaN, 10)).toBe(false);
+    expect(ctx.isPointInPath(10, Infinity)).toBe(false);
+  });
+});
@@ -24,8 +24,72 @@ describe('isPointInStroke', () => {
     expect(() => ctx.isPointInStroke()).toThrow(TypeError);
   });
 
-  it('should always return false', () => {
+  it('should return false for an empty path', () => {
     expect(ctx.isPointInStroke(1, 2)).toBeFalsy();
     expect(ctx.isPointInStroke(p, 1, 2)).toBeFalsy();
   });
-});
\ No newline at end of file
+
+  it('should return true for points within half the lineWidth of the path', () => {
+    ctx.moveTo(10, 10);
+    ctx.lineTo(50, 10);
+    expect(ctx.isPointInStroke(30, 10)).toBe(true);
+    expect(ctx.isPointInStroke(30, 10.5)).toBe(true);
+    expect(ctx.isPointInStroke(30, 12)).toBe(false);
+    ctx.lineWidth = 6;
+    expect(ctx.isPointInStroke(30, 12)).toBe(true);
+  });
+
+  it('should return true for points on the stroke of a Path2D', () => {
+    const path = new Path2D();
+    path.arc(50, 50, 10, 0, Math.PI * 2);
+    expect(ctx.isPointInStroke(path, 60, 50)).toBe(true);
+    expect(ctx.isPointInStroke(path, 50, 50)).toBe(false);
+  });
+
+  it('should apply the current transform to a Path2D', () => {
+    const path = new Path2D('M0 0 h10 v10 h-10 Z');
+    ctx.translate(50, 50);
+    expect(ctx.isPointInStroke(path, 60, 55)).toBe(true);
+    expect(ctx.isPointInStroke(path, 10, 5)).toBe(false);
+  });
+
+  it('should scale the lineWidth with the current transform', () => {
+    ctx.moveTo(10, 10);
+    ctx.lineTo(50, 10);
+    expect(ctx.isPointInStroke(30, 13)).toBe(false);
+    ctx.scale(10, 10);
+    expect(ctx.isPointInStroke(30, 13)).toBe(true);
+  });
+
+  it('should respect the lineCap', () => {
+    ctx.lineWidth = 10;
+    ctx.moveTo(10, 10);
+    ctx.lineTo(50, 10);
+    expect(ctx.isPointInStroke(7, 10)).toBe(false);
+    ctx.lineCap = 'square';
+    expect(ctx.isPointInStroke(7, 10)).toBe(true);
+    expect(ctx.isPointInStroke(7, 14)).toBe(true);
+    ctx.lineCap = 'round';
+    expect(ctx.isPointInStroke(7, 10)).toBe(true);
+    expect(ctx.isPointInStroke(6, 14)).toBe(false);
+  });
+
+  it('should respect the lineJoin', () => {
+    ctx.lineWidth = 10;
+    ctx.moveTo(10, 10);
+    ctx.lineTo(50, 10);
+    ctx.lineTo(50, 50);
+    expect(ctx.isPointInStroke(54, 6)).toBe(true);
+    ctx.lineJoin = 'bevel';
+    expect(ctx.isPointInStroke(54, 6)).toBe(false);
+    ctx.lineJoin = 'round';
+    expect(ctx.isPointInStroke(53, 7)).toBe(true);
+    expect(ctx.isPointInStroke(54.5, 5.5)).toBe(false);
+  });
+
+  it('should return false for non-finite points', () => {
+    ctx.moveTo(10, 10);
+    ctx.lineTo(50, 10);
+    expect(ctx.isPointInStroke(NaN, 10)).toBe(false);
+  });
+});
@@ -0,0 +1,59 @@
+let canvas;
+let ctx;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  ctx = canvas.getContext('2d');
+  canvas.width = 400;
+  canvas.height = 300;
+});
+
+describe('letterSpacing', () => {
+  it('should set the default value to \'0px\'', () => {
+    expect(ctx.letterSpacing).toBe('0px');
+  });
+
+  it('should not set the value if it\'s not a valid length', () => {
+    ['wrong!', '10', '10%', 'px', '1 px', '', null].forEach(e => {
+      ctx.letterSpacing = e;
+      expect(ctx.letterSpacing).toBe('0px');
+    });
+  });
+
+  it('should set the letterSpacing if it\'s a valid length', () => {
+    ctx.letterSpacing = '10px';
+    expect(ctx.letterSpacing).toBe('10px');
+    ctx.letterSpacing = ' -1.5EM ';
+    expect(ctx.letterSpacing).toBe('-1.5em');
+    ctx.letterSpacing = '.5rem';
+    expect(ctx.letterSpacing).toBe('0.5rem');
+    ctx.letterSpacing = '1e1pt';
+    expect(ctx.letterSpacing).toBe('10pt');
+    ctx.letterSpacing = '0';
+    expect(ctx.letterSpacing).toBe('0px');
+  });
+
+  it('should save and restore letterSpacing values', () => {
+    ctx.letterSpacing = '1px';
+    ctx.save();
+    ctx.letterSpacing = '2px';
+    expect(ctx.letterSpacing).toBe('2px');
+    ctx.restore();
+    expect(ctx.letterSpacing).toBe('1px');
+  });
+
+  it('should add a letterSpacing event with the normalized length', () => {
+    ctx.letterSpacing = '2.0PX';
+    ctx.letterSpacing = 'wrong!';
+    expect(ctx.__getEvents()).toEqual([
+      { type: 'letterSpacing', transform: [1, 0, 0, 1, 0, 0], props: { value: '2px' } },
+    ]);
+  });
+
+  it('should change the width returned by measureText', () => {
+    ctx.font = '10px monospace';
+    const width = ctx.measureText('a b').width;
+    ctx.letterSpacing = '1em';
+    expect(ctx.measureText('a b').width).toBe(width + 30);
+  });
+});
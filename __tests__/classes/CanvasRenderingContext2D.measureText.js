@@ -25,7 +25,53 @@ describe('measureText', () => {
 
   it('should return a text metrics object of expected width', () => {
     const me = ctx.measureText('Test!');
-    expect(me.width).toBe(5);
+    expect(me.width).toBeCloseTo(22.23);
+  });
+
+  it('should scale the width with the font size', () => {
+    const small = ctx.measureText('Hello World').width;
+    ctx.font = '20px sans-serif';
+    expect(ctx.measureText('Hello World').width).toBeCloseTo(small * 2);
+  });
+
+  it('should use the metrics of the font family', () => {
+    ctx.font = '10px monospace';
+    expect(ctx.measureText('iiii').width).toBeCloseTo(24);
+    ctx.font = '10px serif';
+    expect(ctx.measureText('iiii').width).toBeCloseTo(11.12);
+    ctx.font = '10px "Helvetica Neue", Arial';
+    expect(ctx.measureText('iiii').width).toBeCloseTo(8.88);
+  });
+
+  it('should measure the bounding box relative to the textBaseline', () => {
+    ctx.font = '100px sans-serif';
+    const alphabetic = ctx.measureText('Hg');
+    expect(alphabetic.actualBoundingBoxAscent).toBeCloseTo(71.6);
+    expect(alphabetic.actualBoundingBoxDescent).toBeCloseTo(21);
+    expect(alphabetic.alphabeticBaseline).toBe(0);
+
+    ctx.textBaseline = 'top';
+    const top = ctx.measureText('Hg');
+    expect(top.emHeightAscent).toBeCloseTo(0);
+    expect(top.actualBoundingBoxAscent).toBeCloseTo(71.6 - alphabetic.emHeightAscent);
+    expect(top.alphabeticBaseline).toBeCloseTo(-alphabetic.emHeightAscent);
+  });
+
+  it('should measure the bounding box relative to the textAlign', () => {
+    const start = ctx.measureText('Hello');
+    expect(start.actualBoundingBoxLeft).toBe(0);
+    expect(start.actualBoundingBoxRight).toBeCloseTo(start.width);
+
+    ctx.textAlign = 'center';
+    const center = ctx.measureText('Hello');
+    expect(center.actualBoundingBoxLeft).toBeCloseTo(start.width / 2);
+    expect(center.actualBoundingBoxRight).toBeCloseTo(start.width / 2);
+
+    ctx.textAlign = 'start';
+    ctx.direction = 'rtl';
+    const rtl = ctx.measureText('Hello');
+    expect(rtl.actualBoundingBoxLeft).toBeCloseTo(start.width);
+    expect(rtl.actualBoundingBoxRight).toBe(0);
   });
 
   it('should return a text metrics object for different kinds of input', () => {
@@ -43,4 +43,10 @@ describe('miterLimit', () => {
     expect(ctx.miterLimit).toBe(2);
   });
 
-})
\ No newline at end of file
+  it('should record a miterLimit event', () => {
+    ctx.miterLimit = 2;
+    const events = ctx.__getEvents();
+    expect(events[events.length - 1].type).toBe('miterLimit');
+    expect(events[events.length - 1].props).toEqual({ value: 2 });
+  });
+})
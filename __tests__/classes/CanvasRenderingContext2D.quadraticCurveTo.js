@@ -24,4 +24,11 @@ describe('quadraticCurveTo', () => {
     expect(() => ctx.quadraticCurveTo(1, 2)).toThrow(TypeError);
     expect(() => ctx.quadraticCurveTo(1, 2, 3)).toThrow(TypeError);
   });
+
+  it('should add the curve to the current path', () => {
+    ctx.quadraticCurveTo(1, 2, 3, 4);
+    const path = ctx.__getPath();
+    expect(path[path.length - 1].type).toBe('quadraticCurveTo');
+    expect(path[path.length - 1].props).toEqual({ cpx: 1, cpy: 2, x: 3, y: 4 });
+  });
 });
@@ -0,0 +1,59 @@
+let canvas;
+let ctx;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  ctx = canvas.getContext('2d');
+  canvas.width = 400;
+  canvas.height = 300;
+});
+
+describe('reset', () => {
+  it('should be a function', () => {
+    expect(typeof ctx.reset).toBe('function');
+  });
+
+  it('should be callable', () => {
+    ctx.reset();
+    expect(ctx.reset).toBeCalled();
+  });
+
+  it('should restore the default drawing state and clear the state stack', () => {
+    ctx.fillStyle = 'red';
+    ctx.lineWidth = 5;
+    ctx.setLineDash([1, 2]);
+    ctx.save();
+    ctx.translate(10, 20);
+    ctx.font = '20px serif';
+    ctx.reset();
+    expect(ctx.fillStyle).toBe('#000');
+    expect(ctx.lineWidth).toBe(1);
+    expect(ctx.getLineDash()).toEqual([]);
+    expect(ctx.font).toBe('10px sans-serif');
+    expect(ctx.getTransform().isIdentity).toBe(true);
+    expect(ctx._stackIndex).toBe(0);
+    ctx.restore();
+    expect(ctx._stackIndex).toBe(0);
+  });
+
+  it('should clear the current path', () => {
+    ctx.rect(1, 2, 3, 4);
+    ctx.reset();
+    expect(ctx.__getPath()).toEqual([{ type: 'beginPath', transform: [1, 0, 0, 1, 0, 0], props: {} }]);
+  });
+
+  it('should clear the pixels of a rasterized canvas', () => {
+    ctx.__enableRasterization();
+    ctx.fillRect(0, 0, 10, 10);
+    ctx.reset();
+    expect(Array.from(ctx.getImageData(5, 5, 1, 1).data)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should add a reset event and keep the previous events', () => {
+    ctx.fillRect(0, 0, 10, 10);
+    ctx.reset();
+    const events = ctx.__getEvents();
+    expect(events.map(event => event.type)).toEqual(['fillRect', 'reset']);
+    expect(ctx.__getDrawCalls()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,92 @@
+let canvas;
+let ctx;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  ctx = canvas.getContext('2d');
+  canvas.width = 400;
+  canvas.height = 300;
+});
+
+describe('roundRect', () => {
+  it('should be a function', () => {
+    expect(typeof ctx.roundRect).toBe('function');
+  });
+
+  it('should be callable', () => {
+    ctx.roundRect(1, 2, 3, 4, 1);
+    expect(ctx.roundRect).toBeCalled();
+  });
+
+  it('should throw if less than 4 parameters are given', () => {
+    expect(() => ctx.roundRect()).toThrow(TypeError);
+    expect(() => ctx.roundRect(1)).toThrow(TypeError);
+    expect(() => ctx.roundRect(1, 2)).toThrow(TypeError);
+    expect(() => ctx.roundRect(1, 2, 3)).toThrow(TypeError);
+  });
+
+  it('should add a roundRect event to the path with the normalized radii', () => {
+    ctx.roundRect('1', 2, 3, 4);
+    ctx.roundRect(1, 2, 3, 4, ['5', { x: 1 }, new DOMPoint(2, 3)]);
+    const path = ctx.__getPath();
+    expect(path[1].props).toEqual({ x: 1, y: 2, width: 3, height: 4, radii: [0] });
+    expect(path[2].props.radii).toEqual([5, { x: 1, y: 0 }, { x: 2, y: 3 }]);
+  });
+
+  it('should throw a RangeError if there are not between one and four radii', () => {
+    expect(() => ctx.roundRect(1, 2, 3, 4, [])).toThrow('0 radii provided. Between one and four radii are necessary.');
+    expect(() => ctx.roundRect(1, 2, 3, 4, [1, 2, 3, 4, 5])).toThrow(RangeError);
+  });
+
+  it('should throw a RangeError if a radius is negative', () => {
+    expect(() => ctx.roundRect(1, 2, 3, 4, -1)).toThrow('Radius value -1 is negative.');
+    expect(() => ctx.roundRect(1, 2, 3, 4, [1, { x: -2, y: 1 }])).toThrow('X-radius value -2 is negative.');
+    expect(() => ctx.roundRect(1, 2, 3, 4, [{ x: 2, y: -3 }])).toThrow('Y-radius value -3 is negative.');
+    expect(() => ctx.roundRect(1, 2, 3, 4, [1, -1])).toThrow(RangeError);
+  });
+
+  it('should do nothing if a value is not finite', () => {
+    ctx.roundRect(Infinity, 2, 3, 4);
+    ctx.roundRect(1, 2, NaN, 4);
+    ctx.roundRect(1, 2, 3, 4, Infinity);
+    ctx.roundRect(1, 2, 3, 4, [1, { x: NaN }]);
+    expect(ctx.__getPath()).toHaveLength(1);
+  });
+
+  it('should check the number of radii before their values', () => {
+    expect(() => ctx.roundRect(1, 2, 3, 4, [NaN, 1, 2, 3, 4])).toThrow(RangeError);
+  });
+
+  it('should be hit by isPointInPath inside the rounded corners only', () => {
+    ctx.roundRect(0, 0, 100, 100, 20);
+    expect(ctx.isPointInPath(50, 50)).toBe(true);
+    expect(ctx.isPointInPath(10, 50)).toBe(true);
+    expect(ctx.isPointInPath(2, 2)).toBe(false);
+    expect(ctx.isPointInPath(98, 98)).toBe(false);
+  });
+
+  it('should scale the radii down to fit the rectangle', () => {
+    ctx.roundRect(0, 0, 100, 10, [100, 0, 0, 0]);
+    // the left side is only 10 pixels high, so the upper left radius is scaled down to 10
+    expect(ctx.isPointInPath(1, 1)).toBe(false);
+    expect(ctx.isPointInPath(5, 5)).toBe(true);
+    expect(ctx.isPointInPath(95, 5)).toBe(true);
+  });
+
+  it('should mirror the corners for a negative width and height', () => {
+    ctx.roundRect(100, 100, -100, -100, [40, 0, 0, 0]);
+    // the upper left corner is still the one with a radius
+    expect(ctx.isPointInPath(2, 2)).toBe(false);
+    expect(ctx.isPointInPath(98, 98)).toBe(true);
+    expect(ctx.isPointInPath(98, 2)).toBe(true);
+  });
+
+  it('should be borrowable by Path2D', () => {
+    const path = new Path2D();
+    path.roundRect(0, 0, 10, 10, [1, 2]);
+    expect(path.roundRect).toBeCalled();
+    expect(path._path[0].props.radii).toEqual([1, 2]);
+    expect(() => path.roundRect(0, 0, 10, 10, -1)).toThrow('Failed to execute \'roundRect\' on \'Path2D\'');
+    expect(ctx.isPointInPath(path, 5, 5)).toBe(true);
+  });
+});
@@ -17,4 +17,12 @@ describe('save', () => {
     ctx.save()
     expect(ctx.save).toBeCalled();
   });
+
+  it('should save a copy of the transform', () => {
+    ctx.translate(1, 2);
+    ctx.save();
+    ctx.scale(2, 2);
+    ctx.restore();
+    expect(ctx.__getState().transform).toEqual([1, 0, 0, 1, 1, 2]);
+  });
 });
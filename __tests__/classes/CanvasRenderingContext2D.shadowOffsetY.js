@@ -35,4 +35,11 @@ describe('shadowOffsetY', () => {
     ctx.restore();
     expect(ctx.shadowOffsetY).toBe(2);
   });
+
+  it('should not change shadowOffsetX', () => {
+    ctx.shadowOffsetX = 3;
+    ctx.shadowOffsetY = 5;
+    expect(ctx.shadowOffsetX).toBe(3);
+    expect(ctx.shadowOffsetY).toBe(5);
+  });
 });
@@ -0,0 +1,46 @@
+let canvas;
+let ctx;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  ctx = canvas.getContext('2d');
+  canvas.width = 400;
+  canvas.height = 300;
+});
+
+describe('textRendering', () => {
+  it('should set the default value to \'auto\'', () => {
+    expect(ctx.textRendering).toBe('auto');
+  });
+
+  it('should not set the value if it\'s not a valid textRendering', () => {
+    ctx.textRendering = 'wrong!';
+    expect(ctx.textRendering).toBe('auto');
+    ctx.textRendering = 'OPTIMIZESPEED';
+    expect(ctx.textRendering).toBe('auto');
+  });
+
+  it('should set the textRendering if it\'s a valid textRendering', () => {
+    ['auto', 'optimizeSpeed', 'optimizeLegibility', 'geometricPrecision'].forEach(e => {
+      ctx.textRendering = e;
+      expect(ctx.textRendering).toBe(e);
+    });
+  });
+
+  it('should save and restore textRendering values', () => {
+    ctx.textRendering = 'optimizeSpeed';
+    ctx.save();
+    ctx.textRendering = 'geometricPrecision';
+    expect(ctx.textRendering).toBe('geometricPrecision');
+    ctx.restore();
+    expect(ctx.textRendering).toBe('optimizeSpeed');
+  });
+
+  it('should add a textRendering event', () => {
+    ctx.textRendering = 'optimizeSpeed';
+    ctx.textRendering = 'wrong!';
+    expect(ctx.__getEvents()).toEqual([
+      { type: 'textRendering', transform: [1, 0, 0, 1, 0, 0], props: { value: 'optimizeSpeed' } },
+    ]);
+  });
+});
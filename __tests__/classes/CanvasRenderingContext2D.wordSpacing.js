@@ -0,0 +1,59 @@
+let canvas;
+let ctx;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  ctx = canvas.getContext('2d');
+  canvas.width = 400;
+  canvas.height = 300;
+});
+
+describe('wordSpacing', () => {
+  it('should set the default value to \'0px\'', () => {
+    expect(ctx.wordSpacing).toBe('0px');
+  });
+
+  it('should not set the value if it\'s not a valid length', () => {
+    ['wrong!', '10', '10%', 'px', '1 px', '', null].forEach(e => {
+      ctx.wordSpacing = e;
+      expect(ctx.wordSpacing).toBe('0px');
+    });
+  });
+
+  it('should set the wordSpacing if it\'s a valid length', () => {
+    ctx.wordSpacing = '10px';
+    expect(ctx.wordSpacing).toBe('10px');
+    ctx.wordSpacing = ' -1.5EM ';
+    expect(ctx.wordSpacing).toBe('-1.5em');
+    ctx.wordSpacing = '.5rem';
+    expect(ctx.wordSpacing).toBe('0.5rem');
+    ctx.wordSpacing = '1e1pt';
+    expect(ctx.wordSpacing).toBe('10pt');
+    ctx.wordSpacing = '0';
+    expect(ctx.wordSpacing).toBe('0px');
+  });
+
+  it('should save and restore wordSpacing values', () => {
+    ctx.wordSpacing = '1px';
+    ctx.save();
+    ctx.wordSpacing = '2px';
+    expect(ctx.wordSpacing).toBe('2px');
+    ctx.restore();
+    expect(ctx.wordSpacing).toBe('1px');
+  });
+
+  it('should add a wordSpacing event with the normalized length', () => {
+    ctx.wordSpacing = '2.0PX';
+    ctx.wordSpacing = 'wrong!';
+    expect(ctx.__getEvents()).toEqual([
+      { type: 'wordSpacing', transform: [1, 0, 0, 1, 0, 0], props: { value: '2px' } },
+    ]);
+  });
+
+  it('should change the width returned by measureText', () => {
+    ctx.font = '10px monospace';
+    const width = ctx.measureText('a b').width;
+    ctx.wordSpacing = '1em';
+    expect(ctx.measureText('a b').width).toBe(width + 10);
+  });
+});
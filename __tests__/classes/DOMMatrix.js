@@ -1,4 +1,9 @@
-import DOMMatrix from '../../src/classes/DOMMatrix';
+import DOMMatrix, { DOMMatrixReadOnly } from '../../src/classes/DOMMatrix';
+import DOMPoint from '../../src/classes/DOMPoint';
+
+function values(matrix) {
+  return Array.from(matrix.toFloat64Array()).map(value => Math.round(value * 1e6) / 1e6 + 0);
+}
 
 describe('DOMMatrix class', () => {
   it('should accept no parameters', () => {
@@ -16,8 +21,14 @@ describe('DOMMatrix class', () => {
     expect(matrix.f).toBe(6);
   });
 
-  it('should be a 3d matrix if constructed without a parameter', () => {
+  it('should be a 2d identity matrix if constructed without a parameter', () => {
     const matrix = new DOMMatrix();
+    expect(matrix.is2D).toBeTruthy();
+    expect(matrix.isIdentity).toBeTruthy();
+  });
+
+  it('should be a 3d matrix if constructed with 16 values', () => {
+    const matrix = new DOMMatrix([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
     expect(matrix.is2D).toBeFalsy();
   });
 
@@ -127,4 +138,243 @@ describe('DOMMatrix class', () => {
     matrix.m42 = 2;
     expect(matrix.f).toBe(2);
   });
+
+  it('should be a DOMMatrixReadOnly', () => {
+    expect(new DOMMatrix()).toBeInstanceOf(DOMMatrixReadOnly);
+  });
+
+  it('should make the matrix 3d when a 3d component is set', () => {
+    const matrix = new DOMMatrix();
+    matrix.m33 = 1;
+    expect(matrix.is2D).toBeTruthy();
+    matrix.m34 = 2;
+    expect(matrix.is2D).toBeFalsy();
+  });
+
+  it('should copy another matrix', () => {
+    const other = new DOMMatrix([1, 2, 3, 4, 5, 6]);
+    const matrix = new DOMMatrix(other);
+    other.a = 10;
+    expect(matrix.a).toBe(1);
+    expect(matrix.is2D).toBeTruthy();
+  });
+
+  it('should throw for values that are not a sequence or a string', () => {
+    expect(() => new DOMMatrix({})).toThrow(TypeError);
+    expect(() => new DOMMatrix(1)).toThrow(TypeError);
+  });
+
+  describe('css transform strings', () => {
+    it('should parse an empty string and none as the identity matrix', () => {
+      expect(new DOMMatrix('').isIdentity).toBeTruthy();
+      expect(new DOMMatrix('none').isIdentity).toBeTruthy();
+    });
+
+    it('should parse matrix()', () => {
+      const matrix = new DOMMatrix('matrix(1, 2, 3, 4, 5, 6)');
+      expect(values(matrix)).toEqual(values(new DOMMatrix([1, 2, 3, 4, 5, 6])));
+      expect(matrix.is2D).toBeTruthy();
+    });
+
+    it('should parse matrix3d()', () => {
+      const matrix = new DOMMatrix('matrix3d(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 10, 20, 30, 1)');
+      expect(matrix.m43).toBe(30);
+      expect(matrix.is2D).toBeFalsy();
+    });
+
+    it('should compose a list of transform functions from left to right', () => {
+      const matrix = new DOMMatrix('translate(10px, 20px) scale(2) rotate(90deg)');
+      const expected = new DOMMatrix().translate(10, 20).scale(2).rotate(90);
+      expect(values(matrix)).toEqual(values(expected));
+      expect(matrix.is2D).toBeTruthy();
+    });
+
+    it('should convert length and angle units', () => {
+      expect(new DOMMatrix('translateX(1in)').e).toBe(96);
+      expect(new DOMMatrix('translateY(2.54cm)').f).toBeCloseTo(96);
+      expect(values(new DOMMatrix('rotate(0.25turn)'))).toEqual(values(new DOMMatrix('rotate(90deg)')));
+      expect(values(new DOMMatrix('rotate(100grad)'))).toEqual(values(new DOMMatrix('rotate(90deg)')));
+      expect(values(new DOMMatrix('skewX(' + Math.PI / 4 + 'rad)'))).toEqual([1, 0, 0, 0, 1, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+    });
+
+    it('should accept unitless zero lengths and angles', () => {
+      expect(new DOMMatrix('translate(0, 0) rotate(0)').isIdentity).toBeTruthy();
+    });
+
+    it('should mark 3d transform functions as 3d', () => {
+      expect(new DOMMatrix('translateZ(1px)').is2D).toBeFalsy();
+      expect(new DOMMatrix('rotateX(10deg)').is2D).toBeFalsy();
+      expect(new DOMMatrix('scale3d(1, 2, 3)').is2D).toBeFalsy();
+      expect(new DOMMatrix('perspective(100px)').m34).toBe(-0.01);
+    });
+
+    it('should throw a SyntaxError for invalid transform strings', () => {
+      expect(() => new DOMMatrix('translate(10, 20)')).toThrow(SyntaxError);
+      expect(() => new DOMMatrix('rotate(45)')).toThrow(SyntaxError);
+      expect(() => new DOMMatrix('matrix(1, 2, 3)')).toThrow(SyntaxError);
+      expect(() => new DOMMatrix('wobble(1px)')).toThrow(SyntaxError);
+      expect(() => new DOMMatrix('translate(1px')).toThrow(SyntaxError);
+    });
+
+    it('should set the matrix value from a transform string', () => {
+      const matrix = new DOMMatrix([1, 2, 3, 4, 5, 6]);
+      expect(matrix.setMatrixValue('translate(5px, 6px)')).toBe(matrix);
+      expect(values(matrix)).toEqual(values(new DOMMatrix([1, 0, 0, 1, 5, 6])));
+      expect(() => matrix.setMatrixValue('invalid')).toThrow(SyntaxError);
+    });
+  });
+
+  describe('methods', () => {
+    it('should multiply matrices', () => {
+      const left = new DOMMatrix([1, 2, 3, 4, 5, 6]);
+      const right = new DOMMatrix([7, 8, 9, 10, 11, 12]);
+      const result = left.multiply(right);
+      expect([result.a, result.b, result.c, result.d, result.e, result.f]).toEqual([31, 46, 39, 58, 52, 76]);
+      expect(left.a).toBe(1);
+    });
+
+    it('should multiply with a matrix dictionary', () => {
+      const result = new DOMMatrix().multiply({ e: 10, f: 20 });
+      expect([result.e, result.f]).toEqual([10, 20]);
+    });
+
+    it('should pre multiply matrices', () => {
+      const matrix = new DOMMatrix().scaleSelf(2);
+      matrix.preMultiplySelf(new DOMMatrix().translate(10, 0));
+      expect([matrix.a, matrix.e]).toEqual([2, 10]);
+    });
+
+    it('should invert matrices', () => {
+      const matrix = new DOMMatrix([2, 0, 0, 4, 10, 20]);
+      const inverse = matrix.inverse();
+      expect(values(inverse)).toEqual(values(new DOMMatrix([0.5, 0, 0, 0.25, -5, -5])));
+      expect(matrix.multiply(inverse).isIdentity).toBeTruthy();
+    });
+
+    it('should fill a singular matrix with NaN when inverted', () => {
+      const inverse = new DOMMatrix([0, 0, 0, 0, 0, 0]).inverse();
+      expect(inverse.a).toBeNaN();
+      expect(inverse.m44).toBeNaN();
+      expect(inverse.is2D).toBeFalsy();
+    });
+
+    it('should translate', () => {
+      const matrix = new DOMMatrix([2, 0, 0, 2, 0, 0]).translate(10, 20);
+      expect([matrix.e, matrix.f]).toEqual([20, 40]);
+      expect(matrix.is2D).toBeTruthy();
+      expect(new DOMMatrix().translate(0, 0, 1).is2D).toBeFalsy();
+    });
+
+    it('should scale', () => {
+      const matrix = new DOMMatrix().scale(2, 3);
+      expect([matrix.a, matrix.d]).toEqual([2, 3]);
+      expect(new DOMMatrix().scale(2).d).toBe(2);
+      expect(new DOMMatrix().scaleNonUniform(2).d).toBe(1);
+    });
+
+    it('should scale around an origin', () => {
+      const matrix = new DOMMatrix().scale(2, 2, 1, 10, 10);
+      expect([matrix.e, matrix.f]).toEqual([-10, -10]);
+      const point = matrix.transformPoint({ x: 10, y: 10 });
+      expect([point.x, point.y]).toEqual([10, 10]);
+    });
+
+    it('should scale uniformly in 3d', () => {
+      const matrix = new DOMMatrix().scale3d(2);
+      expect([matrix.m11, matrix.m22, matrix.m33]).toEqual([2, 2, 2]);
+      expect(matrix.is2D).toBeFalsy();
+    });
+
+    it('should rotate around the z axis', () => {
+      const matrix = new DOMMatrix().rotate(90);
+      expect(values(matrix)).toEqual(values(new DOMMatrix([0, 1, -1, 0, 0, 0])));
+      expect(matrix.is2D).toBeTruthy();
+    });
+
+    it('should rotate around all three axes', () => {
+      const matrix = new DOMMatrix().rotate(90, 0, 0);
+      expect(matrix.is2D).toBeFalsy();
+      expect(values(matrix)).toEqual([1, 0, 0, 0, 0, 0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1]);
+    });
+
+    it('should rotate around an axis', () => {
+      const matrix = new DOMMatrix().rotateAxisAngle(0, 0, 1, 90);
+      expect(values(matrix)).toEqual(values(new DOMMatrix().rotate(90)));
+      expect(matrix.is2D).toBeTruthy();
+    });
+
+    it('should rotate from a vector', () => {
+      const matrix = new DOMMatrix().rotateFromVector(1, 1);
+      expect(values(matrix)).toEqual(values(new DOMMatrix().rotate(45)));
+      expect(new DOMMatrix().rotateFromVector(0, 0).isIdentity).toBeTruthy();
+    });
+
+    it('should skew', () => {
+      expect(new DOMMatrix().skewX(45).c).toBeCloseTo(1);
+      expect(new DOMMatrix().skewY(45).b).toBeCloseTo(1);
+    });
+
+    it('should flip', () => {
+      expect(new DOMMatrix().flipX().a).toBe(-1);
+      expect(new DOMMatrix().flipY().d).toBe(-1);
+    });
+
+    it('should return the same matrix from the self variants', () => {
+      const matrix = new DOMMatrix();
+      expect(matrix.translateSelf(1, 2)).toBe(matrix);
+      expect(matrix.scaleSelf(2)).toBe(matrix);
+      expect(matrix.rotateSelf(10)).toBe(matrix);
+      expect(matrix.multiplySelf(new DOMMatrix())).toBe(matrix);
+      expect(matrix.invertSelf()).toBe(matrix);
+    });
+
+    it('should transform points', () => {
+      const matrix = new DOMMatrix().translate(10, 20).scale(2);
+      const point = matrix.transformPoint({ x: 1, y: 2 });
+      expect(point).toBeInstanceOf(DOMPoint);
+      expect(point.toJSON()).toEqual({ x: 12, y: 24, z: 0, w: 1 });
+    });
+
+    it('should convert to typed arrays', () => {
+      const matrix = new DOMMatrix([1, 2, 3, 4, 5, 6]);
+      expect(matrix.toFloat32Array()).toEqual(new Float32Array([1, 2, 0, 0, 3, 4, 0, 0, 0, 0, 1, 0, 5, 6, 0, 1]));
+      expect(matrix.toFloat64Array()).toBeInstanceOf(Float64Array);
+    });
+
+    it('should serialize to json', () => {
+      const json = new DOMMatrix([1, 2, 3, 4, 5, 6]).toJSON();
+      expect(json.a).toBe(1);
+      expect(json.m42).toBe(6);
+      expect(json.is2D).toBeTruthy();
+      expect(json.isIdentity).toBeFalsy();
+    });
+
+    it('should serialize to a string', () => {
+      expect(new DOMMatrix([1, 2, 3, 4, 5, 6]).toString()).toBe('matrix(1, 2, 3, 4, 5, 6)');
+      expect(new DOMMatrix().translate(0, 0, 1).toString()).toBe('matrix3d(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 1, 1)');
+      expect(() => new DOMMatrix([NaN, 0, 0, 1, 0, 0]).toString()).toThrow();
+    });
+  });
+
+  describe('static methods', () => {
+    it('should create a matrix from a dictionary', () => {
+      const matrix = DOMMatrix.fromMatrix({ a: 2, f: 3 });
+      expect(matrix).toBeInstanceOf(DOMMatrix);
+      expect([matrix.a, matrix.d, matrix.f]).toEqual([2, 1, 3]);
+      expect(matrix.is2D).toBeTruthy();
+      expect(DOMMatrix.fromMatrix({ m33: 2 }).is2D).toBeFalsy();
+    });
+
+    it('should throw for inconsistent dictionaries', () => {
+      expect(() => DOMMatrix.fromMatrix({ a: 1, m11: 2 })).toThrow(TypeError);
+      expect(() => DOMMatrix.fromMatrix({ m33: 2, is2D: true })).toThrow(TypeError);
+    });
+
+    it('should create a matrix from typed arrays', () => {
+      expect(DOMMatrix.fromFloat32Array(new Float32Array([1, 2, 3, 4, 5, 6])).e).toBe(5);
+      expect(DOMMatrix.fromFloat64Array(new Float64Array(16)).is2D).toBeFalsy();
+      expect(() => DOMMatrix.fromFloat32Array(new Float32Array(3))).toThrow(TypeError);
+      expect(() => DOMMatrix.fromFloat32Array([1, 2, 3, 4, 5, 6])).toThrow(TypeError);
+    });
+  });
 });
@@ -0,0 +1,44 @@
+import DOMMatrixReadOnly from '../../src/classes/DOMMatrixReadOnly';
+import DOMMatrix from '../../src/classes/DOMMatrix';
+
+describe('DOMMatrixReadOnly class', () => {
+  it('should be installed on the window', () => {
+    expect(window.DOMMatrixReadOnly).toBe(DOMMatrixReadOnly);
+  });
+
+  it('should construct a 2d matrix properly', () => {
+    const matrix = new DOMMatrixReadOnly([1, 2, 3, 4, 5, 6]);
+    expect([matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f]).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  it('should not allow the values to be changed', () => {
+    const matrix = new DOMMatrixReadOnly([1, 2, 3, 4, 5, 6]);
+    expect(() => { matrix.a = 10; }).toThrow(TypeError);
+    expect(() => { matrix.m44 = 10; }).toThrow(TypeError);
+    expect(matrix.a).toBe(1);
+    expect(matrix.m44).toBe(1);
+  });
+
+  it('should not have the self variants', () => {
+    expect(new DOMMatrixReadOnly().translateSelf).toBeUndefined();
+  });
+
+  it('should return a new DOMMatrix from the immutable methods', () => {
+    const matrix = new DOMMatrixReadOnly();
+    const result = matrix.translate(10, 20);
+    expect(result).toBeInstanceOf(DOMMatrix);
+    expect(result.e).toBe(10);
+    expect(matrix.e).toBe(0);
+  });
+
+  it('should create read only matrices from the static methods', () => {
+    expect(DOMMatrixReadOnly.fromMatrix({ e: 1 })).not.toBeInstanceOf(DOMMatrix);
+    expect(DOMMatrixReadOnly.fromFloat32Array(new Float32Array(6)).e).toBe(0);
+  });
+
+  it('should be accepted by setTransform', () => {
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.setTransform(new DOMMatrixReadOnly('translate(10px, 20px)'));
+    expect(ctx.getTransform().e).toBe(10);
+  });
+});
@@ -0,0 +1,60 @@
+import DOMPoint, { DOMPointReadOnly } from '../../src/classes/DOMPoint';
+import DOMMatrix from '../../src/classes/DOMMatrix';
+
+describe('DOMPoint class', () => {
+  it('should be installed on the window', () => {
+    expect(window.DOMPoint).toBe(DOMPoint);
+    expect(window.DOMPointReadOnly).toBe(DOMPointReadOnly);
+  });
+
+  it('should default to the origin', () => {
+    const point = new DOMPoint();
+    expect(point.toJSON()).toEqual({ x: 0, y: 0, z: 0, w: 1 });
+  });
+
+  it('should coerce the coordinates to numbers', () => {
+    const point = new DOMPoint('1', '2', '3', '4');
+    expect(point.toJSON()).toEqual({ x: 1, y: 2, z: 3, w: 4 });
+  });
+
+  it('should allow the coordinates to be changed', () => {
+    const point = new DOMPoint();
+    point.x = '10';
+    point.y = 20;
+    point.z = 30;
+    point.w = 40;
+    expect(point.toJSON()).toEqual({ x: 10, y: 20, z: 30, w: 40 });
+  });
+
+  it('should not allow the coordinates of a read only point to be changed', () => {
+    const point = new DOMPointReadOnly(1, 2);
+    expect(() => { point.x = 10; }).toThrow(TypeError);
+    expect(point.x).toBe(1);
+  });
+
+  it('should create a point from a dictionary', () => {
+    const point = DOMPoint.fromPoint({ x: 1, z: 3 });
+    expect(point).toBeInstanceOf(DOMPoint);
+    expect(point.toJSON()).toEqual({ x: 1, y: 0, z: 3, w: 1 });
+    expect(DOMPointReadOnly.fromPoint()).not.toBeInstanceOf(DOMPoint);
+  });
+
+  it('should transform the point with a matrix', () => {
+    const point = new DOMPointReadOnly(1, 2);
+    const result = point.matrixTransform(new DOMMatrix().translate(10, 20));
+    expect(result).toBeInstanceOf(DOMPoint);
+    expect(result.toJSON()).toEqual({ x: 11, y: 22, z: 0, w: 1 });
+    expect(point.x).toBe(1);
+  });
+
+  it('should transform the point with a matrix dictionary', () => {
+    const result = new DOMPoint(1, 2).matrixTransform({ a: 2, d: 2 });
+    expect([result.x, result.y]).toEqual([2, 4]);
+    expect(() => new DOMPoint().matrixTransform({ a: 1, m11: 2 })).toThrow(TypeError);
+  });
+
+  it('should be accepted by DOMMatrix#transformPoint', () => {
+    const result = new DOMMatrix().scale(2).transformPoint(new DOMPoint(3, 4));
+    expect([result.x, result.y]).toEqual([6, 8]);
+  });
+});
@@ -0,0 +1,57 @@
+import DOMQuad from '../../src/classes/DOMQuad';
+import DOMPoint from '../../src/classes/DOMPoint';
+import DOMRect from '../../src/classes/DOMRect';
+
+describe('DOMQuad class', () => {
+  it('should be installed on the window', () => {
+    expect(window.DOMQuad).toBe(DOMQuad);
+  });
+
+  it('should convert the corners to points', () => {
+    const quad = new DOMQuad({ x: 1, y: 2 }, new DOMPoint(3, 4));
+    expect(quad.p1).toBeInstanceOf(DOMPoint);
+    expect(quad.p1.toJSON()).toEqual({ x: 1, y: 2, z: 0, w: 1 });
+    expect(quad.p2.toJSON()).toEqual({ x: 3, y: 4, z: 0, w: 1 });
+    expect(quad.p4.toJSON()).toEqual({ x: 0, y: 0, z: 0, w: 1 });
+  });
+
+  it('should copy the points passed to the constructor', () => {
+    const point = new DOMPoint(1, 1);
+    const quad = new DOMQuad(point);
+    point.x = 10;
+    expect(quad.p1.x).toBe(1);
+  });
+
+  it('should keep the corner points live', () => {
+    const quad = new DOMQuad();
+    quad.p3.x = 10;
+    expect(quad.getBounds().width).toBe(10);
+  });
+
+  it('should create a quad from a rectangle', () => {
+    const quad = DOMQuad.fromRect(new DOMRect(1, 2, 3, 4));
+    expect([quad.p1.x, quad.p1.y]).toEqual([1, 2]);
+    expect([quad.p2.x, quad.p2.y]).toEqual([4, 2]);
+    expect([quad.p3.x, quad.p3.y]).toEqual([4, 6]);
+    expect([quad.p4.x, quad.p4.y]).toEqual([1, 6]);
+  });
+
+  it('should create a quad from another quad', () => {
+    const quad = DOMQuad.fromQuad({ p1: { x: 1 }, p3: { y: 3 } });
+    expect(quad.p1.x).toBe(1);
+    expect(quad.p3.y).toBe(3);
+  });
+
+  it('should return the bounds of the corners', () => {
+    const quad = new DOMQuad({ x: 5, y: 0 }, { x: 10, y: 5 }, { x: 5, y: 10 }, { x: 0, y: 5 });
+    const bounds = quad.getBounds();
+    expect(bounds).toBeInstanceOf(DOMRect);
+    expect([bounds.x, bounds.y, bounds.width, bounds.height]).toEqual([0, 0, 10, 10]);
+  });
+
+  it('should serialize to json', () => {
+    const json = DOMQuad.fromRect({ width: 1, height: 1 }).toJSON();
+    expect(Object.keys(json)).toEqual(['p1', 'p2', 'p3', 'p4']);
+    expect(json.p3.toJSON()).toEqual({ x: 1, y: 1, z: 0, w: 1 });
+  });
+});
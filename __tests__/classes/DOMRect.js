@@ -0,0 +1,59 @@
+import DOMRect, { DOMRectReadOnly } from '../../src/classes/DOMRect';
+
+describe('DOMRect class', () => {
+  it('should be installed on the window', () => {
+    expect(window.DOMRect).toBe(DOMRect);
+    expect(window.DOMRectReadOnly).toBe(DOMRectReadOnly);
+  });
+
+  it('should default to an empty rectangle', () => {
+    const rect = new DOMRect();
+    expect([rect.x, rect.y, rect.width, rect.height]).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should compute the edges', () => {
+    const rect = new DOMRect(10, 20, 30, 40);
+    expect([rect.top, rect.right, rect.bottom, rect.left]).toEqual([20, 40, 60, 10]);
+  });
+
+  it('should compute the edges of a rectangle with a negative size', () => {
+    const rect = new DOMRect(10, 20, -30, -40);
+    expect([rect.top, rect.right, rect.bottom, rect.left]).toEqual([-20, 10, 20, -20]);
+  });
+
+  it('should allow the values to be changed', () => {
+    const rect = new DOMRect();
+    rect.x = '1';
+    rect.y = 2;
+    rect.width = 3;
+    rect.height = 4;
+    expect([rect.x, rect.y, rect.width, rect.height]).toEqual([1, 2, 3, 4]);
+    expect(rect.bottom).toBe(6);
+  });
+
+  it('should not allow the values of a read only rectangle to be changed', () => {
+    const rect = new DOMRectReadOnly(1, 2, 3, 4);
+    expect(() => { rect.width = 10; }).toThrow(TypeError);
+    expect(rect.width).toBe(3);
+  });
+
+  it('should create a rectangle from a dictionary', () => {
+    const rect = DOMRect.fromRect({ x: 1, width: 5 });
+    expect(rect).toBeInstanceOf(DOMRect);
+    expect([rect.x, rect.y, rect.width, rect.height]).toEqual([1, 0, 5, 0]);
+    expect(DOMRectReadOnly.fromRect()).not.toBeInstanceOf(DOMRect);
+  });
+
+  it('should serialize to json', () => {
+    expect(new DOMRect(1, 2, 3, 4).toJSON()).toEqual({
+      x: 1,
+      y: 2,
+      width: 3,
+      height: 4,
+      top: 2,
+      right: 4,
+      bottom: 6,
+      left: 1,
+    });
+  });
+});
@@ -0,0 +1,143 @@
+let offscreen;
+
+beforeEach(() => {
+  offscreen = new OffscreenCanvas(100, 50);
+});
+
+describe('OffscreenCanvas', () => {
+  it('should be installed on the window', () => {
+    expect(typeof window.OffscreenCanvas).toBe('function');
+    expect(typeof window.OffscreenCanvasRenderingContext2D).toBe('function');
+  });
+
+  it('should throw if it is constructed with less than 2 arguments', () => {
+    expect(() => new OffscreenCanvas()).toThrow(TypeError);
+    expect(() => new OffscreenCanvas(1)).toThrow(TypeError);
+  });
+
+  it('should coerce the size to non negative integers', () => {
+    expect(offscreen.width).toBe(100);
+    expect(offscreen.height).toBe(50);
+    offscreen.width = '10.5';
+    offscreen.height = -1;
+    expect(offscreen.width).toBe(10);
+    expect(offscreen.height).toBe(0);
+  });
+
+  describe('getContext', () => {
+    it('should return an OffscreenCanvasRenderingContext2D', () => {
+      const ctx = offscreen.getContext('2d');
+      expect(ctx).toBeInstanceOf(OffscreenCanvasRenderingContext2D);
+      expect(ctx.canvas).toBe(offscreen);
+      expect(offscreen.getContext).toBeCalled();
+    });
+
+    it('should return the same context every time', () => {
+      expect(offscreen.getContext('2d')).toBe(offscreen.getContext('2d'));
+    });
+
+    it('should return WebGL contexts', () => {
+      expect(offscreen.getContext('webgl')).toBeInstanceOf(WebGLRenderingContext);
+      expect(new OffscreenCanvas(1, 1).getContext('webgl2')).toBeInstanceOf(WebGL2RenderingContext);
+      expect(offscreen.getContext('webgl').drawingBufferWidth).toBe(100);
+    });
+
+    it('should return null for other context types once a context exists', () => {
+      offscreen.getContext('2d');
+      expect(offscreen.getContext('bitmaprenderer')).toBeNull();
+    });
+
+    it('should throw for invalid context types', () => {
+      expect(() => offscreen.getContext()).toThrow(TypeError);
+      expect(() => offscreen.getContext('3d')).toThrow(TypeError);
+    });
+  });
+
+  describe('transferToImageBitmap', () => {
+    it('should throw if there is no context', () => {
+      expect(() => offscreen.transferToImageBitmap()).toThrow(DOMException);
+    });
+
+    it('should return an ImageBitmap of the same size', () => {
+      offscreen.getContext('2d');
+      const bitmap = offscreen.transferToImageBitmap();
+      expect(bitmap).toBeInstanceOf(ImageBitmap);
+      expect(bitmap.width).toBe(100);
+      expect(bitmap.height).toBe(50);
+    });
+
+    it('should move the rasterized pixels into the bitmap', () => {
+      const ctx = offscreen.getContext('2d');
+      ctx.__enableRasterization();
+      ctx.fillStyle = 'red';
+      ctx.fillRect(0, 0, 10, 10);
+      const bitmap = offscreen.transferToImageBitmap();
+      expect(Array.from(ctx.getImageData(0, 0, 1, 1).data)).toEqual([0, 0, 0, 0]);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 10;
+      canvas.height = 10;
+      const other = canvas.getContext('2d');
+      other.__enableRasterization();
+      other.drawImage(bitmap, 0, 0);
+      expect(Array.from(other.getImageData(5, 5, 1, 1).data)).toEqual([255, 0, 0, 255]);
+    });
+  });
+
+  describe('convertToBlob', () => {
+    it('should resolve to a png blob by default', () => {
+      return offscreen.convertToBlob().then(blob => {
+        expect(blob).toBeInstanceOf(Blob);
+        expect(blob.type).toBe('image/png');
+        expect(blob.size).toBe(100 * 50 * 4);
+      });
+    });
+
+    it('should resolve to the encoded image when the context is rasterized', () => {
+      const ctx = offscreen.getContext('2d');
+      ctx.__enableRasterization();
+      ctx.fillRect(0, 0, 10, 10);
+      return offscreen.convertToBlob().then(blob => {
+        expect(blob.type).toBe('image/png');
+        expect(blob.size).toBeLessThan(100 * 50 * 4);
+        return new Promise(resolve => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(new Uint8Array(reader.result));
+          reader.readAsArrayBuffer(blob);
+        });
+      }).then(bytes => {
+        expect(Array.from(bytes.subarray(1, 4))).toEqual([0x50, 0x4e, 0x47]);
+      });
+    });
+
+    it('should accept jpeg and webp mime types', () => {
+      return Promise.all([
+        offscreen.convertToBlob({ type: 'image/jpeg' }).then(blob => expect(blob.type).toBe('image/jpeg')),
+        offscreen.convertToBlob({ type: 'image/webp' }).then(blob => expect(blob.type).toBe('image/webp')),
+        offscreen.convertToBlob({ type: 'image/gif' }).then(blob => expect(blob.type).toBe('image/png')),
+      ]);
+    });
+
+    it('should reject if the canvas has no pixels', () => {
+      offscreen.width = 0;
+      return expect(offscreen.convertToBlob()).rejects.toBeInstanceOf(DOMException);
+    });
+
+    it('should reject if the options are not an object', () => {
+      return expect(offscreen.convertToBlob(1)).rejects.toBeInstanceOf(TypeError);
+    });
+  });
+
+  it('should be a valid drawImage and createPattern source', () => {
+    const ctx = document.createElement('canvas').getContext('2d');
+    expect(() => ctx.drawImage(offscreen, 0, 0)).not.toThrow();
+    expect(ctx.createPattern(offscreen, 'repeat')).toBeInstanceOf(CanvasPattern);
+  });
+
+  it('should be a valid createImageBitmap source', () => {
+    return createImageBitmap(offscreen).then(bitmap => {
+      expect(bitmap.width).toBe(100);
+      expect(bitmap.height).toBe(50);
+    });
+  });
+});
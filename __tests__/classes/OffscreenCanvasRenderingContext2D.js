@@ -0,0 +1,31 @@
+let ctx;
+
+beforeEach(() => {
+  ctx = new OffscreenCanvas(100, 100).getContext('2d');
+});
+
+describe('OffscreenCanvasRenderingContext2D', () => {
+  it('should record events', () => {
+    ctx.fillStyle = 'blue';
+    ctx.fillRect(1, 2, 3, 4);
+    expect(ctx.__getEvents()).toMatchSnapshot();
+    expect(ctx.__getDrawCalls()).toHaveLength(1);
+    expect(ctx.fillRect).toBeCalled();
+  });
+
+  it('should validate arguments like CanvasRenderingContext2D', () => {
+    expect(() => ctx.arc(1, 2, 3, 4)).toThrow(TypeError);
+    expect(() => ctx.arc(0, 0, -10, 0, Math.PI * 2)).toThrow(DOMException);
+  });
+
+  it('should use its own name in error messages', () => {
+    expect(() => ctx.fill('invalid!')).toThrow('on \'OffscreenCanvasRenderingContext2D\'');
+  });
+
+  it('should rasterize into the offscreen canvas', () => {
+    ctx.__enableRasterization();
+    ctx.fillRect(0, 0, 1, 1);
+    expect(ctx.getImageData().data.length).toBe(100 * 100 * 4);
+    expect(Array.from(ctx.getImageData(0, 0, 1, 1).data)).toEqual([0, 0, 0, 255]);
+  });
+});
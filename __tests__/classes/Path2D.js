@@ -48,6 +48,100 @@ describe('Path2D', () => {
     });
   });
 
+  it('should copy the events of the added path without a transform', () => {
+    const p = new Path2D();
+    const other = new Path2D('M1 2 L3 4');
+    p.addPath(other);
+    expect(p._path).toEqual(other._path);
+  });
+
+  it('should multiply the transform of addPath into the added events', () => {
+    const p = new Path2D();
+    p.addPath(new Path2D('M1 2 L3 4'), new DOMMatrix().translate(10, 20).scale(2));
+    expect(p._path.map(event => event.transform)).toEqual([
+      [2, 0, 0, 2, 10, 20],
+      [2, 0, 0, 2, 10, 20],
+    ]);
+    expect(p._path[1].props).toEqual({ x: 3, y: 4 });
+  });
+
+  it('should accept a DOMMatrix2DInit dictionary as the transform', () => {
+    const p = new Path2D();
+    p.addPath(new Path2D('M1 2'), { e: 5, m42: 6 });
+    p.addPath(new Path2D('M1 2'), null);
+    expect(p._path.map(event => event.transform)).toEqual([
+      [1, 0, 0, 1, 5, 6],
+      [1, 0, 0, 1, 0, 0],
+    ]);
+  });
+
+  it('should throw if the transform is not an object', () => {
+    const p = new Path2D();
+    [1, 'matrix', true].forEach(item => {
+      expect(() => p.addPath(new Path2D(), item)).toThrow(TypeError);
+    });
+  });
+
+  it('should throw if the transform has conflicting aliases', () => {
+    expect(() => new Path2D().addPath(new Path2D(), { a: 1, m11: 2 })).toThrow('The \'a\' property should equal the \'m11\' property.');
+  });
+
+  it('should not add the path if the transform is not finite', () => {
+    const p = new Path2D();
+    p.addPath(new Path2D('M1 2'), { e: Infinity });
+    expect(p._path).toEqual([]);
+  });
+
+  it('should pass the transformed events to the context when the path is filled', () => {
+    const ctx = document.createElement('canvas').getContext('2d');
+    const p = new Path2D();
+    p.addPath(new Path2D('M0 0 h10 v10 h-10 Z'), new DOMMatrix().translate(100, 0));
+    ctx.fill(p);
+    expect(ctx.__getDrawCalls()[0].props.path[0].transform).toEqual([1, 0, 0, 1, 100, 0]);
+    expect(ctx.isPointInPath(p, 105, 5)).toBe(true);
+    expect(ctx.isPointInPath(p, 5, 5)).toBe(false);
+  });
+
+  it('should parse svg path data passed to the constructor', () => {
+    const p = new Path2D('M1 2 l3 4 h5 v6 C1 2 3 4 5 6 Q1 2 3 4 A5 5 0 0 1 13 4 Z');
+    const expected = new Path2D();
+    expected.moveTo(1, 2);
+    expected.lineTo(4, 6);
+    expected.lineTo(9, 6);
+    expected.lineTo(9, 12);
+    expected.bezierCurveTo(1, 2, 3, 4, 5, 6);
+    expected.quadraticCurveTo(1, 2, 3, 4);
+    expected.ellipse(8, 4, 5, 5, 0, Math.PI, Math.PI * 2, false);
+    expected.closePath();
+    expect(p._path).toEqual(expected._path);
+  });
+
+  it('should not mark the borrowed functions as called when parsing svg path data', () => {
+    const p = new Path2D('M1 2 L3 4');
+    expect(p.moveTo).not.toBeCalled();
+    expect(p.lineTo).not.toBeCalled();
+  });
+
+  it('should keep the path data before an error', () => {
+    const p = new Path2D('M1 2 L3 4 L5 !');
+    expect(p._path.map(event => event.type)).toEqual(['moveTo', 'lineTo']);
+  });
+
+  it('should create an empty path when the path data is invalid', () => {
+    [null, 1, {}, 'L1 2'].forEach(item => {
+      expect(new Path2D(item)._path).toEqual([]);
+    });
+  });
+
+  it('should copy the path of another Path2D passed to the constructor', () => {
+    const original = new Path2D();
+    original.rect(1, 2, 3, 4);
+    const copy = new Path2D(original);
+    expect(copy._path).toEqual(original._path);
+    copy.lineTo(5, 6);
+    expect(original._path).toHaveLength(1);
+  });
+
   test('Path2D different instance', () => {
     const path1 = new Path2D();
     const path2 = new Path2D();
@@ -0,0 +1,228 @@
+let canvas;
+let gl;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  gl = canvas.getContext('webgl2');
+});
+
+function createLinkedProgram(vertexSource, fragmentSource) {
+  const program = gl.createProgram();
+  [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]].forEach(([type, source]) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    gl.attachShader(program, shader);
+  });
+  gl.linkProgram(program);
+  return program;
+}
+
+describe('WebGL2RenderingContext', () => {
+  it('should be installed as a global', () => {
+    expect(typeof window.WebGL2RenderingContext).toBe('function');
+    expect(typeof window.WebGLVertexArrayObject).toBe('function');
+    expect(gl).toBeInstanceOf(WebGL2RenderingContext);
+  });
+
+  it('should not be an instance of WebGLRenderingContext', () => {
+    expect(gl).not.toBeInstanceOf(WebGLRenderingContext);
+  });
+
+  it('should have the WebGL 1 and WebGL 2 constants', () => {
+    expect(WebGL2RenderingContext.TEXTURE_3D).toBe(0x806F);
+    expect(gl.TRIANGLES).toBe(0x0004);
+    expect(gl.TIMEOUT_IGNORED).toBe(-1);
+  });
+
+  it('should return WebGL 2 parameters', () => {
+    expect(gl.getParameter(gl.VERSION)).toBe('WebGL 2.0 (OpenGL ES 3.0 Chromium)');
+    expect(gl.getParameter(gl.SHADING_LANGUAGE_VERSION)).toBe('WebGL GLSL ES 3.00 (OpenGL ES GLSL ES 3.0 Chromium)');
+    expect(gl.getParameter(gl.MAX_DRAW_BUFFERS)).toBe(8);
+    expect(gl.getParameter(gl.DRAW_BUFFER0)).toBe(gl.BACK);
+    expect(gl.getParameter(gl.VERTEX_ARRAY_BINDING)).toBeNull();
+  });
+
+  it('should accept WebGL 2 enums', () => {
+    gl.enable(gl.RASTERIZER_DISCARD);
+    gl.blendEquation(gl.MAX);
+    gl.pixelStorei(gl.UNPACK_ROW_LENGTH, 4);
+    expect(gl.getError()).toBe(gl.NO_ERROR);
+    expect(gl.getParameter(gl.UNPACK_ROW_LENGTH)).toBe(4);
+  });
+
+  it('should support the WebGL 2 extensions only', () => {
+    expect(gl.getExtension('EXT_color_buffer_float')).not.toBeNull();
+    expect(gl.getExtension('OES_vertex_array_object')).toBeNull();
+  });
+
+  describe('vertex arrays', () => {
+    it('should create, bind and delete vertex arrays', () => {
+      const vao = gl.createVertexArray();
+      expect(vao).toBeInstanceOf(WebGLVertexArrayObject);
+      expect(gl.isVertexArray(vao)).toBe(false);
+      gl.bindVertexArray(vao);
+      expect(gl.isVertexArray(vao)).toBe(true);
+      expect(gl.getParameter(gl.VERTEX_ARRAY_BINDING)).toBe(vao);
+      gl.deleteVertexArray(vao);
+      expect(gl.getParameter(gl.VERTEX_ARRAY_BINDING)).toBeNull();
+      gl.bindVertexArray(vao);
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    });
+  });
+
+  describe('framebuffers', () => {
+    it('should bind draw and read framebuffers separately', () => {
+      const draw = gl.createFramebuffer();
+      const read = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, draw);
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, read);
+      expect(gl.getParameter(gl.DRAW_FRAMEBUFFER_BINDING)).toBe(draw);
+      expect(gl.getParameter(gl.READ_FRAMEBUFFER_BINDING)).toBe(read);
+      expect(gl.checkFramebufferStatus(gl.READ_FRAMEBUFFER)).toBe(gl.FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      expect(gl.getParameter(gl.READ_FRAMEBUFFER_BINDING)).toBeNull();
+    });
+
+    it('should attach texture layers and set draw buffers', () => {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, gl.createFramebuffer());
+      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.createTexture(), 0, 3);
+      expect(gl.getFramebufferAttachmentParameter(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.FRAMEBUFFER_ATTACHMENT_TEXTURE_LAYER)).toBe(3);
+      gl.drawBuffers([gl.NONE, gl.COLOR_ATTACHMENT1]);
+      expect(gl.getParameter(gl.DRAW_BUFFER1)).toBe(gl.COLOR_ATTACHMENT1);
+      expect(gl.getParameter(gl.DRAW_BUFFER2)).toBe(gl.NONE);
+    });
+
+    it('should store multisample renderbuffer storage', () => {
+      gl.bindRenderbuffer(gl.RENDERBUFFER, gl.createRenderbuffer());
+      gl.renderbufferStorageMultisample(gl.RENDERBUFFER, 4, gl.RGBA8, 16, 16);
+      expect(gl.getRenderbufferParameter(gl.RENDERBUFFER, gl.RENDERBUFFER_SAMPLES)).toBe(4);
+      expect(gl.getInternalformatParameter(gl.RENDERBUFFER, gl.RGBA8, gl.SAMPLES)).toEqual(new Int32Array([4]));
+    });
+  });
+
+  describe('textures and samplers', () => {
+    it('should make textures immutable with texStorage2D', () => {
+      gl.bindTexture(gl.TEXTURE_2D, gl.createTexture());
+      gl.texStorage2D(gl.TEXTURE_2D, 3, gl.RGBA8, 16, 16);
+      expect(gl.getTexParameter(gl.TEXTURE_2D, gl.TEXTURE_IMMUTABLE_FORMAT)).toBe(true);
+      expect(gl.getTexParameter(gl.TEXTURE_2D, gl.TEXTURE_IMMUTABLE_LEVELS)).toBe(3);
+      gl.texStorage2D(gl.TEXTURE_2D, 3, gl.RGBA8, 16, 16);
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    });
+
+    it('should bind 3D textures', () => {
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_3D, texture);
+      expect(gl.getParameter(gl.TEXTURE_BINDING_3D)).toBe(texture);
+      expect(gl.getTexParameter(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R)).toBe(gl.REPEAT);
+    });
+
+    it('should store sampler parameters and bindings', () => {
+      const sampler = gl.createSampler();
+      gl.samplerParameteri(sampler, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.samplerParameterf(sampler, gl.TEXTURE_MAX_LOD, 2.5);
+      expect(gl.getSamplerParameter(sampler, gl.TEXTURE_MIN_FILTER)).toBe(gl.NEAREST);
+      expect(gl.getSamplerParameter(sampler, gl.TEXTURE_MAX_LOD)).toBe(2.5);
+      expect(gl.getSamplerParameter(sampler, gl.TEXTURE_WRAP_R)).toBe(gl.REPEAT);
+      gl.bindSampler(0, sampler);
+      expect(gl.getParameter(gl.SAMPLER_BINDING)).toBe(sampler);
+      gl.deleteSampler(sampler);
+      expect(gl.getParameter(gl.SAMPLER_BINDING)).toBeNull();
+      expect(gl.isSampler(sampler)).toBe(false);
+    });
+  });
+
+  describe('queries and syncs', () => {
+    it('should track active queries', () => {
+      const query = gl.createQuery();
+      gl.beginQuery(gl.ANY_SAMPLES_PASSED, query);
+      expect(gl.getQuery(gl.ANY_SAMPLES_PASSED, gl.CURRENT_QUERY)).toBe(query);
+      expect(gl.isQuery(query)).toBe(true);
+      gl.beginQuery(gl.ANY_SAMPLES_PASSED, gl.createQuery());
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+      gl.endQuery(gl.ANY_SAMPLES_PASSED);
+      expect(gl.getQuery(gl.ANY_SAMPLES_PASSED, gl.CURRENT_QUERY)).toBeNull();
+      expect(gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)).toBe(true);
+      expect(gl.getQueryParameter(query, gl.QUERY_RESULT)).toBe(false);
+      gl.endQuery(gl.ANY_SAMPLES_PASSED);
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    });
+
+    it('should create signaled syncs', () => {
+      const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+      expect(sync).toBeInstanceOf(WebGLSync);
+      expect(gl.clientWaitSync(sync, 0, 0)).toBe(gl.ALREADY_SIGNALED);
+      expect(gl.getSyncParameter(sync, gl.SYNC_STATUS)).toBe(gl.SIGNALED);
+      gl.deleteSync(sync);
+      expect(gl.isSync(sync)).toBe(false);
+      expect(gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 1)).toBeNull();
+      expect(gl.getError()).toBe(gl.INVALID_VALUE);
+    });
+  });
+
+  describe('transform feedback and uniform buffers', () => {
+    it('should track the transform feedback state', () => {
+      const program = createLinkedProgram('#version 300 es\nout vec4 v;\nvoid main() {}', '#version 300 es\nvoid main() {}');
+      gl.transformFeedbackVaryings(program, ['v'], gl.SEPARATE_ATTRIBS);
+      gl.linkProgram(program);
+      gl.useProgram(program);
+      expect(gl.getProgramParameter(program, gl.TRANSFORM_FEEDBACK_BUFFER_MODE)).toBe(gl.SEPARATE_ATTRIBS);
+      expect(gl.getTransformFeedbackVarying(program, 0).name).toBe('v');
+      const tf = gl.createTransformFeedback();
+      gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, tf);
+      gl.beginTransformFeedback(gl.POINTS);
+      expect(gl.getParameter(gl.TRANSFORM_FEEDBACK_ACTIVE)).toBe(true);
+      gl.pauseTransformFeedback();
+      expect(gl.getParameter(gl.TRANSFORM_FEEDBACK_PAUSED)).toBe(true);
+      gl.resumeTransformFeedback();
+      gl.endTransformFeedback();
+      expect(gl.getParameter(gl.TRANSFORM_FEEDBACK_ACTIVE)).toBe(false);
+      expect(gl.isTransformFeedback(tf)).toBe(true);
+      gl.endTransformFeedback();
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    });
+
+    it('should bind indexed buffer ranges', () => {
+      const buffer = gl.createBuffer();
+      gl.bindBufferRange(gl.UNIFORM_BUFFER, 2, buffer, 256, 64);
+      expect(gl.getIndexedParameter(gl.UNIFORM_BUFFER_BINDING, 2)).toBe(buffer);
+      expect(gl.getIndexedParameter(gl.UNIFORM_BUFFER_START, 2)).toBe(256);
+      expect(gl.getIndexedParameter(gl.UNIFORM_BUFFER_SIZE, 2)).toBe(64);
+      expect(gl.getParameter(gl.UNIFORM_BUFFER_BINDING)).toBe(buffer);
+      gl.bindBufferBase(gl.UNIFORM_BUFFER, 100, buffer);
+      expect(gl.getError()).toBe(gl.INVALID_VALUE);
+    });
+  });
+
+  describe('programs', () => {
+    it('should read GLSL ES 3.00 inputs and outputs', () => {
+      const program = createLinkedProgram(
+        '#version 300 es\nin vec4 position;\nuniform uvec2 ids;\nvoid main() {}',
+        '#version 300 es\nprecision highp float;\nlayout(location = 1) out vec4 normal;\nout vec4 color;\nvoid main() {}',
+      );
+      expect(gl.getAttribLocation(program, 'position')).toBe(0);
+      expect(gl.getFragDataLocation(program, 'normal')).toBe(1);
+      expect(gl.getFragDataLocation(program, 'color')).toBe(1);
+      expect(gl.getFragDataLocation(program, 'missing')).toBe(-1);
+      expect(gl.getUniformIndices(program, ['ids', 'missing'])).toEqual([0, gl.INVALID_INDEX]);
+      expect(gl.getActiveUniforms(program, [0], gl.UNIFORM_TYPE)).toEqual([gl.UNSIGNED_INT_VEC2]);
+      gl.useProgram(program);
+      const ids = gl.getUniformLocation(program, 'ids');
+      gl.uniform2uiv(ids, [0, 0, 7, 8], 2);
+      expect(gl.getUniform(program, ids)).toEqual(new Uint32Array([7, 8]));
+    });
+  });
+
+  describe('draw calls', () => {
+    it('should record instanced draws and buffer clears', () => {
+      gl.useProgram(createLinkedProgram('void main() {}', 'void main() {}'));
+      gl.drawArraysInstanced(gl.TRIANGLES, 0, 3, 2);
+      gl.clearBufferfv(gl.COLOR, 0, [0, 0, 0, 1]);
+      gl.clearBufferfi(gl.DEPTH_STENCIL, 0, 1, 0);
+      expect(gl.__getDrawCalls().map(call => call.type)).toEqual(['drawArraysInstanced', 'clearBufferfv', 'clearBufferfi']);
+      gl.clearBufferfv(gl.STENCIL, 0, [0]);
+      expect(gl.getError()).toBe(gl.INVALID_ENUM);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+import { configure, resetConfig } from '../../src/config';
+
+let canvas;
+let gl;
+
+beforeEach(() => {
+  canvas = document.createElement('canvas');
+  canvas.width = 300;
+  canvas.height = 150;
+  gl = canvas.getContext('webgl');
+});
+
+afterEach(() => {
+  resetConfig();
+});
+
+describe('WebGLRenderingContext', () => {
+  it('should be installed as a global', () => {
+    expect(typeof window.WebGLRenderingContext).toBe('function');
+    expect(typeof window.WebGLBuffer).toBe('function');
+    expect(typeof window.WebGLProgram).toBe('function');
+    expect(gl).toBeInstanceOf(WebGLRenderingContext);
+  });
+
+  it('should be returned by getContext("experimental-webgl")', () => {
+    expect(document.createElement('canvas').getContext('experimental-webgl')).toBeInstanceOf(WebGLRenderingContext);
+  });
+
+  it('should return the same context every time', () => {
+    expect(canvas.getContext('webgl')).toBe(gl);
+    expect(canvas.getContext('experimental-webgl')).toBe(gl);
+  });
+
+  it('should return null for other context types once a context exists', () => {
+    expect(canvas.getContext('2d')).toBeNull();
+    expect(canvas.getContext('webgl2')).toBeNull();
+  });
+
+  it('should have the constants on the constructor and the prototype', () => {
+    expect(WebGLRenderingContext.TRIANGLES).toBe(0x0004);
+    expect(gl.ARRAY_BUFFER).toBe(0x8892);
+    expect(gl.UNPACK_FLIP_Y_WEBGL).toBe(0x9240);
+    expect(gl.TEXTURE_3D).toBeUndefined();
+  });
+
+  it('should have canvas and drawing buffer size properties', () => {
+    expect(gl.canvas).toBe(canvas);
+    expect(gl.drawingBufferWidth).toBe(300);
+    expect(gl.drawingBufferHeight).toBe(150);
+  });
+
+  it('should wrap every function with jest.fn', () => {
+    gl.clearColor(1, 0, 0, 1);
+    expect(gl.clearColor).toBeCalledWith(1, 0, 0, 1);
+    expect(jest.isMockFunction(gl.uniform4fv)).toBe(true);
+  });
+
+  it('should throw a TypeError when arguments are missing', () => {
+    expect(() => gl.bindBuffer(gl.ARRAY_BUFFER)).toThrow('2 arguments required, but only 1 present.');
+    expect(() => gl.clear()).toThrow('1 argument required, but only 0 present.');
+    expect(() => gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE)).toThrow(TypeError);
+  });
+
+  it('should throw a TypeError when an object has the wrong type', () => {
+    expect(() => gl.bindBuffer(gl.ARRAY_BUFFER, gl.createTexture())).toThrow('parameter 2 is not of type \'WebGLBuffer\'.');
+    expect(() => gl.compileShader(null)).toThrow(TypeError);
+  });
+
+  it('should generate INVALID_OPERATION for objects from another context', () => {
+    const other = document.createElement('canvas').getContext('webgl');
+    gl.bindBuffer(gl.ARRAY_BUFFER, other.createBuffer());
+    expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    expect(gl.getParameter(gl.ARRAY_BUFFER_BINDING)).toBeNull();
+  });
+
+  describe('__getEvents', () => {
+    it('should record every call with named arguments', () => {
+      gl.clearColor(0, 0, 0, 1);
+      gl.enable(gl.DEPTH_TEST);
+      gl.viewport(0, 0, 300, 150);
+      expect(gl.__getEvents()).toMatchSnapshot();
+    });
+
+    it('should record calls that generate errors', () => {
+      gl.enable(12345);
+      expect(gl.__getEvents()).toEqual([{ type: 'enable', props: { cap: 12345 } }]);
+    });
+  });
+
+  describe('__getDrawCalls', () => {
+    it('should record clears and successful draws', () => {
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+      expect(gl.__getDrawCalls()).toEqual([
+        { type: 'clear', props: { mask: gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT } },
+      ]);
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    });
+
+    it('should never record undefined when maxEvents drops the events', () => {
+      configure({ maxEvents: 0 });
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      expect(gl.__getDrawCalls()).toEqual([]);
+      configure({ maxEvents: 1 });
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      expect(gl.__getDrawCalls()).toEqual([{ type: 'clear', props: { mask: gl.COLOR_BUFFER_BIT } }]);
+    });
+  });
+
+  describe('getError', () => {
+    it('should return NO_ERROR by default', () => {
+      expect(gl.getError()).toBe(gl.NO_ERROR);
+    });
+
+    it('should keep the first error until it is read', () => {
+      gl.enable(12345);
+      gl.clear(0xFFFFFFFF);
+      expect(gl.getError()).toBe(gl.INVALID_ENUM);
+      expect(gl.getError()).toBe(gl.NO_ERROR);
+    });
+  });
+
+  describe('getParameter', () => {
+    it('should return browser-like defaults', () => {
+      expect(gl.getParameter(gl.VERSION)).toBe('WebGL 1.0 (OpenGL ES 2.0 Chromium)');
+      expect(gl.getParameter(gl.VENDOR)).toBe('WebKit');
+      expect(gl.getParameter(gl.RENDERER)).toBe('WebKit WebGL');
+      expect(gl.getParameter(gl.MAX_TEXTURE_SIZE)).toBe(16384);
+      expect(gl.getParameter(gl.VIEWPORT)).toEqual(new Int32Array([0, 0, 300, 150]));
+      expect(gl.getParameter(gl.DITHER)).toBe(true);
+      expect(gl.getParameter(gl.CURRENT_PROGRAM)).toBeNull();
+    });
+
+    it('should reflect state changes', () => {
+      gl.clearColor(1, 0.5, 0, 1);
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+      gl.depthFunc(gl.LEQUAL);
+      gl.stencilFuncSeparate(gl.BACK, gl.EQUAL, 1, 0xFF);
+      expect(gl.getParameter(gl.COLOR_CLEAR_VALUE)).toEqual(new Float32Array([1, 0.5, 0, 1]));
+      expect(gl.getParameter(gl.BLEND_SRC_RGB)).toBe(gl.SRC_ALPHA);
+      expect(gl.getParameter(gl.BLEND_DST_ALPHA)).toBe(gl.ONE_MINUS_SRC_ALPHA);
+      expect(gl.getParameter(gl.DEPTH_FUNC)).toBe(gl.LEQUAL);
+      expect(gl.getParameter(gl.STENCIL_FUNC)).toBe(gl.ALWAYS);
+      expect(gl.getParameter(gl.STENCIL_BACK_FUNC)).toBe(gl.EQUAL);
+    });
+
+    it('should return copies of array values', () => {
+      gl.getParameter(gl.VIEWPORT)[0] = 10;
+      expect(gl.getParameter(gl.VIEWPORT)[0]).toBe(0);
+    });
+
+    it('should generate INVALID_ENUM for unknown parameters', () => {
+      expect(gl.getParameter(0x806A)).toBeNull();
+      expect(gl.getError()).toBe(gl.INVALID_ENUM);
+    });
+  });
+
+  describe('enable, disable and isEnabled', () => {
+    it('should toggle capabilities', () => {
+      gl.enable(gl.BLEND);
+      expect(gl.isEnabled(gl.BLEND)).toBe(true);
+      expect(gl.getParameter(gl.BLEND)).toBe(true);
+      gl.disable(gl.DITHER);
+      expect(gl.isEnabled(gl.DITHER)).toBe(false);
+    });
+
+    it('should generate INVALID_ENUM for unknown capabilities', () => {
+      gl.disable(gl.TEXTURE_2D);
+      expect(gl.getError()).toBe(gl.INVALID_ENUM);
+    });
+  });
+
+  describe('getContextAttributes', () => {
+    it('should merge the attributes passed to getContext with the defaults', () => {
+      const attributes = document.createElement('canvas').getContext('webgl', { antialias: false, stencil: 1 }).getContextAttributes();
+      expect(attributes.antialias).toBe(false);
+      expect(attributes.stencil).toBe(true);
+      expect(attributes.alpha).toBe(true);
+      expect(attributes.powerPreference).toBe('default');
+    });
+  });
+
+  describe('extensions', () => {
+    it('should list the supported extensions', () => {
+      expect(gl.getSupportedExtensions()).toContain('OES_vertex_array_object');
+      expect(gl.getSupportedExtensions()).toContain('WEBGL_lose_context');
+    });
+
+    it('should return the same extension object every time, ignoring the case of the name', () => {
+      const ext = gl.getExtension('OES_vertex_array_object');
+      expect(gl.getExtension('oes_vertex_array_object')).toBe(ext);
+      expect(ext.VERTEX_ARRAY_BINDING_OES).toBe(0x85B5);
+    });
+
+    it('should return null for unsupported extensions', () => {
+      expect(gl.getExtension('WEBGL_not_an_extension')).toBeNull();
+    });
+
+    it('should record extension functions as events', () => {
+      const ext = gl.getExtension('OES_vertex_array_object');
+      const vao = ext.createVertexArrayOES();
+      ext.bindVertexArrayOES(vao);
+      expect(ext.isVertexArrayOES(vao)).toBe(true);
+      expect(gl.getParameter(ext.VERTEX_ARRAY_BINDING_OES)).toBe(vao);
+      ext.deleteVertexArrayOES(vao);
+      expect(ext.isVertexArrayOES(vao)).toBe(false);
+      expect(gl.getParameter(ext.VERTEX_ARRAY_BINDING_OES)).toBeNull();
+      expect(gl.__getEvents().map(event => event.type)).toContain('bindVertexArrayOES');
+    });
+
+    it('should make extension parameters valid once enabled', () => {
+      expect(gl.getParameter(0x9246)).toBeNull();
+      expect(gl.getError()).toBe(gl.INVALID_ENUM);
+      const ext = gl.getExtension('WEBGL_debug_renderer_info');
+      expect(typeof gl.getParameter(ext.UNMASKED_RENDERER_WEBGL)).toBe('string');
+    });
+
+    it('should record instanced draws as draw calls', () => {
+      const ext = gl.getExtension('ANGLE_instanced_arrays');
+      ext.drawArraysInstancedANGLE(gl.TRIANGLES, 0, 3, 10);
+      ext.vertexAttribDivisorANGLE(1, 1);
+      expect(gl.__getDrawCalls()[0].type).toBe('drawArraysInstancedANGLE');
+      expect(gl.getVertexAttrib(1, ext.VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE)).toBe(1);
+      expect(() => ext.vertexAttribDivisorANGLE(1)).toThrow(TypeError);
+    });
+  });
+
+  describe('context loss', () => {
+    it('should lose and restore the context with WEBGL_lose_context', () => {
+      const lost = jest.fn();
+      const restored = jest.fn();
+      canvas.addEventListener('webglcontextlost', lost);
+      canvas.addEventListener('webglcontextrestored', restored);
+      const ext = gl.getExtension('WEBGL_lose_context');
+      ext.loseContext();
+      expect(lost).toBeCalled();
+      expect(gl.isContextLost()).toBe(true);
+      expect(gl.getError()).toBe(gl.CONTEXT_LOST_WEBGL);
+      expect(gl.getError()).toBe(gl.NO_ERROR);
+      expect(gl.createBuffer()).toBeNull();
+      expect(gl.getParameter(gl.VERSION)).toBeNull();
+      expect(gl.getContextAttributes()).toBeNull();
+      ext.restoreContext();
+      expect(restored).toBeCalled();
+      expect(gl.isContextLost()).toBe(false);
+    });
+
+    it('should generate INVALID_OPERATION when restoring a context that is not lost', () => {
+      gl.getExtension('WEBGL_lose_context').restoreContext();
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const vertexSource = `
+  attribute vec3 position;
+  attribute vec2 uv;
+  uniform mat4 matrix;
+  uniform float weights[4];
+  void main() { gl_Position = matrix * vec4(position, 1.0); }
+`;
+const fragmentSource = `
+  precision mediump float;
+  uniform vec4 color; // the fill color
+  uniform sampler2D map;
+  void main() { gl_FragColor = color; }
+`;
+
+let gl;
+
+function createShader(type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  return shader;
+}
+
+function createProgram() {
+  const program = gl.createProgram();
+  gl.attachShader(program, createShader(gl.VERTEX_SHADER, vertexSource));
+  gl.attachShader(program, createShader(gl.FRAGMENT_SHADER, fragmentSource));
+  return program;
+}
+
+beforeEach(() => {
+  gl = document.createElement('canvas').getContext('webgl');
+});
+
+describe('WebGLRenderingContext shaders and programs', () => {
+  it('should create compiled shaders', () => {
+    const shader = createShader(gl.VERTEX_SHADER, vertexSource);
+    expect(shader).toBeInstanceOf(WebGLShader);
+    expect(gl.isShader(shader)).toBe(true);
+    expect(gl.getShaderSource(shader)).toBe(vertexSource);
+    expect(gl.getShaderParameter(shader, gl.COMPILE_STATUS)).toBe(true);
+    expect(gl.getShaderParameter(shader, gl.SHADER_TYPE)).toBe(gl.VERTEX_SHADER);
+    expect(gl.getShaderInfoLog(shader)).toBe('');
+  });
+
+  it('should generate INVALID_ENUM for invalid shader types', () => {
+    expect(gl.createShader(gl.ARRAY_BUFFER)).toBeNull();
+    expect(gl.getError()).toBe(gl.INVALID_ENUM);
+  });
+
+  it('should not attach two shaders of the same type', () => {
+    const program = createProgram();
+    gl.attachShader(program, createShader(gl.VERTEX_SHADER, vertexSource));
+    expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    expect(gl.getAttachedShaders(program)).toHaveLength(2);
+    expect(gl.getProgramParameter(program, gl.ATTACHED_SHADERS)).toBe(2);
+  });
+
+  it('should detach shaders', () => {
+    const program = createProgram();
+    const [shader] = gl.getAttachedShaders(program);
+    gl.detachShader(program, shader);
+    expect(gl.getAttachedShaders(program)).toHaveLength(1);
+    gl.detachShader(program, shader);
+    expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+  });
+
+  it('should fail to link without both shaders', () => {
+    const program = gl.createProgram();
+    gl.attachShader(program, createShader(gl.VERTEX_SHADER, vertexSource));
+    gl.linkProgram(program);
+    expect(gl.getProgramParameter(program, gl.LINK_STATUS)).toBe(false);
+    expect(gl.getProgramInfoLog(program)).not.toBe('');
+    gl.useProgram(program);
+    expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+  });
+
+  it('should fail to link uncompiled shaders', () => {
+    const program = gl.createProgram();
+    const shader = gl.createShader(gl.FRAGMENT_SHADER);
+    gl.attachShader(program, createShader(gl.VERTEX_SHADER, vertexSource));
+    gl.attachShader(program, shader);
+    gl.linkProgram(program);
+    expect(gl.getProgramParameter(program, gl.LINK_STATUS)).toBe(false);
+  });
+
+  it('should find the active attributes and uniforms when linking', () => {
+    const program = createProgram();
+    gl.linkProgram(program);
+    expect(gl.getProgramParameter(program, gl.LINK_STATUS)).toBe(true);
+    expect(gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES)).toBe(2);
+    expect(gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS)).toBe(4);
+    const info = gl.getActiveAttrib(program, 1);
+    expect(info).toBeInstanceOf(WebGLActiveInfo);
+    expect([info.name, info.size, info.type]).toEqual(['uv', 1, gl.FLOAT_VEC2]);
+    const weights = gl.getActiveUniform(program, 1);
+    expect([weights.name, weights.size, weights.type]).toEqual(['weights[0]', 4, gl.FLOAT]);
+    expect(gl.getActiveUniform(program, 10)).toBeNull();
+    expect(gl.getError()).toBe(gl.INVALID_VALUE);
+  });
+
+  it('should assign attribute locations, honoring bindAttribLocation', () => {
+    const program = createProgram();
+    gl.bindAttribLocation(program, 0, 'uv');
+    gl.linkProgram(program);
+    expect(gl.getAttribLocation(program, 'uv')).toBe(0);
+    expect(gl.getAttribLocation(program, 'position')).toBe(1);
+    expect(gl.getAttribLocation(program, 'missing')).toBe(-1);
+  });
+
+  it('should generate INVALID_OPERATION when binding reserved attribute names', () => {
+    gl.bindAttribLocation(createProgram(), 0, 'gl_Position');
+    expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+  });
+
+  it('should return uniform locations for base and indexed names', () => {
+    const program = createProgram();
+    gl.linkProgram(program);
+    expect(gl.getUniformLocation(program, 'matrix')).toBeInstanceOf(WebGLUniformLocation);
+    expect(gl.getUniformLocation(program, 'weights[3]')).toBeInstanceOf(WebGLUniformLocation);
+    expect(gl.getUniformLocation(program, 'weights[4]')).toBeNull();
+    expect(gl.getUniformLocation(program, 'missing')).toBeNull();
+  });
+
+  it('should store uniform values', () => {
+    const program = createProgram();
+    gl.linkProgram(program);
+    gl.useProgram(program);
+    const color = gl.getUniformLocation(program, 'color');
+    const matrix = gl.getUniformLocation(program, 'matrix');
+    const map = gl.getUniformLocation(program, 'map');
+    expect(gl.getUniform(program, color)).toEqual(new Float32Array(4));
+    gl.uniform4f(color, 1, 0, 0, 1);
+    gl.uniformMatrix4fv(matrix, false, [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+    gl.uniform1i(map, 2);
+    expect(gl.getUniform(program, color)).toEqual(new Float32Array([1, 0, 0, 1]));
+    expect(gl.getUniform(program, matrix)[15]).toBe(1);
+    expect(gl.getUniform(program, map)).toBe(2);
+  });
+
+  it('should generate errors for invalid uniform calls', () => {
+    const program = createProgram();
+    gl.linkProgram(program);
+    const color = gl.getUniformLocation(program, 'color');
+    gl.uniform4f(color, 1, 0, 0, 1);
+    expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    gl.useProgram(program);
+    gl.uniform4fv(color, [1, 0, 0]);
+    expect(gl.getError()).toBe(gl.INVALID_VALUE);
+    gl.uniform4f(null, 1, 0, 0, 1);
+    expect(gl.getError()).toBe(gl.NO_ERROR);
+  });
+
+  it('should require a linked program for queries', () => {
+    expect(gl.getAttribLocation(createProgram(), 'uv')).toBe(-1);
+    expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    expect(gl.getUniformLocation(createProgram(), 'color')).toBeNull();
+    expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+  });
+
+  it('should validate programs', () => {
+    const program = createProgram();
+    gl.linkProgram(program);
+    gl.validateProgram(program);
+    expect(gl.getProgramParameter(program, gl.VALIDATE_STATUS)).toBe(true);
+  });
+
+  it('should set the current program', () => {
+    const program = createProgram();
+    gl.linkProgram(program);
+    gl.useProgram(program);
+    expect(gl.getParameter(gl.CURRENT_PROGRAM)).toBe(program);
+    gl.useProgram(null);
+    expect(gl.getParameter(gl.CURRENT_PROGRAM)).toBeNull();
+  });
+
+  it('should delete programs and shaders', () => {
+    const program = createProgram();
+    const [shader] = gl.getAttachedShaders(program);
+    gl.deleteShader(shader);
+    gl.deleteProgram(program);
+    expect(gl.isShader(shader)).toBe(false);
+    expect(gl.isProgram(program)).toBe(false);
+    expect(gl.getProgramParameter(program, gl.DELETE_STATUS)).toBe(true);
+  });
+
+  it('should return shader precision formats', () => {
+    const format = gl.getShaderPrecisionFormat(gl.FRAGMENT_SHADER, gl.HIGH_FLOAT);
+    expect(format).toBeInstanceOf(WebGLShaderPrecisionFormat);
+    expect([format.rangeMin, format.rangeMax, format.precision]).toEqual([127, 127, 23]);
+    expect(gl.getShaderPrecisionFormat(gl.VERTEX_SHADER, gl.LOW_INT).precision).toBe(0);
+  });
+});
@@ -0,0 +1,198 @@
+let gl;
+
+beforeEach(() => {
+  gl = document.createElement('canvas').getContext('webgl');
+});
+
+function createLinkedProgram() {
+  const program = gl.createProgram();
+  [gl.VERTEX_SHADER, gl.FRAGMENT_SHADER].forEach(type => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, 'void main() {}');
+    gl.compileShader(shader);
+    gl.attachShader(program, shader);
+  });
+  gl.linkProgram(program);
+  return program;
+}
+
+describe('WebGLRenderingContext resources', () => {
+  describe('buffers', () => {
+    it('should bind buffers and track their size and usage', () => {
+      const buffer = gl.createBuffer();
+      expect(gl.isBuffer(buffer)).toBe(false);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      expect(gl.isBuffer(buffer)).toBe(true);
+      expect(gl.getParameter(gl.ARRAY_BUFFER_BINDING)).toBe(buffer);
+      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(6), gl.DYNAMIC_DRAW);
+      expect(gl.getBufferParameter(gl.ARRAY_BUFFER, gl.BUFFER_SIZE)).toBe(24);
+      expect(gl.getBufferParameter(gl.ARRAY_BUFFER, gl.BUFFER_USAGE)).toBe(gl.DYNAMIC_DRAW);
+      gl.bufferData(gl.ARRAY_BUFFER, 8, gl.STATIC_DRAW);
+      expect(gl.getBufferParameter(gl.ARRAY_BUFFER, gl.BUFFER_SIZE)).toBe(8);
+    });
+
+    it('should generate INVALID_OPERATION when no buffer is bound', () => {
+      gl.bufferData(gl.ARRAY_BUFFER, 8, gl.STATIC_DRAW);
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    });
+
+    it('should generate INVALID_VALUE for writes past the end of the buffer', () => {
+      gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+      gl.bufferData(gl.ARRAY_BUFFER, 8, gl.STATIC_DRAW);
+      gl.bufferSubData(gl.ARRAY_BUFFER, 4, new Uint8Array(4));
+      expect(gl.getError()).toBe(gl.NO_ERROR);
+      gl.bufferSubData(gl.ARRAY_BUFFER, 6, new Uint8Array(4));
+      expect(gl.getError()).toBe(gl.INVALID_VALUE);
+    });
+
+    it('should not bind element array buffers to other targets', () => {
+      const buffer = gl.createBuffer();
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffer);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    });
+
+    it('should unbind deleted buffers', () => {
+      const buffer = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      gl.deleteBuffer(buffer);
+      expect(gl.getParameter(gl.ARRAY_BUFFER_BINDING)).toBeNull();
+      expect(gl.isBuffer(buffer)).toBe(false);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    });
+  });
+
+  describe('textures', () => {
+    it('should bind textures per texture unit', () => {
+      const texture = gl.createTexture();
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      expect(gl.getParameter(gl.ACTIVE_TEXTURE)).toBe(gl.TEXTURE1);
+      expect(gl.getParameter(gl.TEXTURE_BINDING_2D)).toBe(texture);
+      gl.activeTexture(gl.TEXTURE0);
+      expect(gl.getParameter(gl.TEXTURE_BINDING_2D)).toBeNull();
+    });
+
+    it('should not bind a texture to a different target', () => {
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    });
+
+    it('should store texture parameters', () => {
+      gl.bindTexture(gl.TEXTURE_2D, gl.createTexture());
+      expect(gl.getTexParameter(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER)).toBe(gl.NEAREST_MIPMAP_LINEAR);
+      expect(gl.getTexParameter(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S)).toBe(gl.REPEAT);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      expect(gl.getTexParameter(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER)).toBe(gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, 0x8072, gl.REPEAT);
+      expect(gl.getError()).toBe(gl.INVALID_ENUM);
+    });
+
+    it('should generate INVALID_OPERATION when uploading without a bound texture', () => {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+      gl.bindTexture(gl.TEXTURE_CUBE_MAP, gl.createTexture());
+      gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, new ImageData(1, 1));
+      expect(gl.getError()).toBe(gl.NO_ERROR);
+      expect(gl.__getEvents().filter(event => event.type === 'texImage2D').pop().props.source).toBeInstanceOf(ImageData);
+    });
+
+    it('should enable anisotropic filtering with its extension', () => {
+      gl.bindTexture(gl.TEXTURE_2D, gl.createTexture());
+      const ext = gl.getExtension('EXT_texture_filter_anisotropic');
+      expect(gl.getParameter(ext.MAX_TEXTURE_MAX_ANISOTROPY_EXT)).toBe(16);
+      gl.texParameterf(gl.TEXTURE_2D, ext.TEXTURE_MAX_ANISOTROPY_EXT, 4);
+      expect(gl.getTexParameter(gl.TEXTURE_2D, ext.TEXTURE_MAX_ANISOTROPY_EXT)).toBe(4);
+    });
+  });
+
+  describe('framebuffers and renderbuffers', () => {
+    it('should report framebuffer completeness', () => {
+      expect(gl.checkFramebufferStatus(gl.FRAMEBUFFER)).toBe(gl.FRAMEBUFFER_COMPLETE);
+      const framebuffer = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      expect(gl.isFramebuffer(framebuffer)).toBe(true);
+      expect(gl.checkFramebufferStatus(gl.FRAMEBUFFER)).toBe(gl.FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT);
+      const texture = gl.createTexture();
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+      expect(gl.checkFramebufferStatus(gl.FRAMEBUFFER)).toBe(gl.FRAMEBUFFER_COMPLETE);
+      expect(gl.getFramebufferAttachmentParameter(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.FRAMEBUFFER_ATTACHMENT_OBJECT_TYPE)).toBe(gl.TEXTURE);
+      expect(gl.getFramebufferAttachmentParameter(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.FRAMEBUFFER_ATTACHMENT_OBJECT_NAME)).toBe(texture);
+      expect(gl.getFramebufferAttachmentParameter(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.FRAMEBUFFER_ATTACHMENT_OBJECT_TYPE)).toBe(gl.NONE);
+    });
+
+    it('should store renderbuffer storage', () => {
+      const renderbuffer = gl.createRenderbuffer();
+      gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+      gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, 64, 32);
+      expect(gl.getRenderbufferParameter(gl.RENDERBUFFER, gl.RENDERBUFFER_WIDTH)).toBe(64);
+      expect(gl.getRenderbufferParameter(gl.RENDERBUFFER, gl.RENDERBUFFER_HEIGHT)).toBe(32);
+      expect(gl.getRenderbufferParameter(gl.RENDERBUFFER, gl.RENDERBUFFER_INTERNAL_FORMAT)).toBe(gl.DEPTH_COMPONENT16);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, gl.createFramebuffer());
+      gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, renderbuffer);
+      expect(gl.getFramebufferAttachmentParameter(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.FRAMEBUFFER_ATTACHMENT_OBJECT_TYPE)).toBe(gl.RENDERBUFFER);
+    });
+
+    it('should generate INVALID_OPERATION when attaching to the default framebuffer', () => {
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, gl.createTexture(), 0);
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+    });
+  });
+
+  describe('vertex attributes', () => {
+    it('should store vertex attribute pointers', () => {
+      const buffer = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      gl.enableVertexAttribArray(2);
+      gl.vertexAttribPointer(2, 3, gl.FLOAT, false, 12, 4);
+      expect(gl.getVertexAttrib(2, gl.VERTEX_ATTRIB_ARRAY_ENABLED)).toBe(true);
+      expect(gl.getVertexAttrib(2, gl.VERTEX_ATTRIB_ARRAY_SIZE)).toBe(3);
+      expect(gl.getVertexAttrib(2, gl.VERTEX_ATTRIB_ARRAY_BUFFER_BINDING)).toBe(buffer);
+      expect(gl.getVertexAttribOffset(2, gl.VERTEX_ATTRIB_ARRAY_POINTER)).toBe(4);
+    });
+
+    it('should store current vertex attribute values', () => {
+      gl.vertexAttrib2f(0, 1, 2);
+      expect(gl.getVertexAttrib(0, gl.CURRENT_VERTEX_ATTRIB)).toEqual(new Float32Array([1, 2, 0, 1]));
+    });
+
+    it('should generate INVALID_VALUE for indexes out of range', () => {
+      gl.enableVertexAttribArray(16);
+      expect(gl.getError()).toBe(gl.INVALID_VALUE);
+    });
+  });
+
+  describe('draw calls', () => {
+    it('should record draws with a current program', () => {
+      gl.useProgram(createLinkedProgram());
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gl.createBuffer());
+      gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_SHORT, 0);
+      expect(gl.__getDrawCalls()).toMatchSnapshot();
+    });
+
+    it('should generate errors for invalid draws', () => {
+      gl.useProgram(createLinkedProgram());
+      gl.drawArrays(12345, 0, 3);
+      expect(gl.getError()).toBe(gl.INVALID_ENUM);
+      gl.drawArrays(gl.TRIANGLES, 0, -1);
+      expect(gl.getError()).toBe(gl.INVALID_VALUE);
+      gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_SHORT, 0);
+      expect(gl.getError()).toBe(gl.INVALID_OPERATION);
+      gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_INT, 0);
+      expect(gl.getError()).toBe(gl.INVALID_ENUM);
+      expect(gl.__getDrawCalls()).toHaveLength(0);
+    });
+
+    it('should accept UNSIGNED_INT indices with OES_element_index_uint', () => {
+      gl.getExtension('OES_element_index_uint');
+      gl.useProgram(createLinkedProgram());
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gl.createBuffer());
+      gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_INT, 0);
+      expect(gl.getError()).toBe(gl.NO_ERROR);
+    });
+  });
+});
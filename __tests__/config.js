@@ -0,0 +1,171 @@
+import { configure } from '../src';
+import { getConfig, resetConfig } from '../src/config';
+import mockWindow from '../src/window';
+
+afterEach(() => {
+  resetConfig();
+});
+
+describe('configure', () => {
+  it('should return the default options', () => {
+    expect(configure()).toEqual({
+      rasterize: false,
+      textMetrics: 'font',
+      errorMessages: 'chrome',
+      maxEvents: Infinity,
+      globals: true,
+      spyFactory: null,
+    });
+  });
+
+  it('should only change the options that are provided', () => {
+    configure({ rasterize: true });
+    expect(configure({ maxEvents: 10 })).toEqual(expect.objectContaining({ rasterize: true, maxEvents: 10 }));
+  });
+
+  it('should restore the default value of undefined options', () => {
+    configure({ errorMessages: 'firefox' });
+    expect(configure({ errorMessages: void 0 }).errorMessages).toBe('chrome');
+  });
+
+  it('should not let the returned options change the configuration', () => {
+    configure().rasterize = true;
+    expect(getConfig().rasterize).toBe(false);
+  });
+
+  it('should throw for unknown options', () => {
+    expect(() => configure({ rasterise: true })).toThrow('Unknown option \'rasterise\'.');
+    expect(() => configure(null)).toThrow(TypeError);
+  });
+
+  it('should throw for invalid values and keep the previous options', () => {
+    [
+      { rasterize: 'yes' },
+      { textMetrics: 'pixels' },
+      { errorMessages: 'safari' },
+      { maxEvents: -1 },
+      { maxEvents: 1.5 },
+      { globals: 'Path2D' },
+      { spyFactory: 'jest' },
+    ].forEach(options => {
+      expect(() => configure(Object.assign({ rasterize: true }, options))).toThrow(TypeError);
+    });
+    expect(getConfig().rasterize).toBe(false);
+  });
+
+  it('should restore the defaults with resetConfig', () => {
+    configure({ rasterize: true });
+    expect(resetConfig().rasterize).toBe(false);
+  });
+});
+
+describe('rasterize option', () => {
+  it('should enable rasterization for new contexts', () => {
+    configure({ rasterize: true });
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.fillStyle = 'red';
+    ctx.fillRect(0, 0, 10, 10);
+    expect(Array.from(ctx.getImageData(5, 5, 1, 1).data)).toEqual([255, 0, 0, 255]);
+  });
+});
+
+describe('textMetrics option', () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = document.createElement('canvas').getContext('2d');
+    ctx.font = '10px monospace';
+  });
+
+  it('should measure text with the font tables by default', () => {
+    expect(ctx.measureText('abcd').width).toBe(24);
+  });
+
+  it('should use the length of the text as the width', () => {
+    configure({ textMetrics: 'length' });
+    const metrics = ctx.measureText('abcd');
+    expect(metrics).toBeInstanceOf(TextMetrics);
+    expect(metrics.width).toBe(4);
+    expect(metrics.actualBoundingBoxAscent).toBe(0);
+  });
+
+  it('should call a custom function with the text and the text state', () => {
+    const measure = jest.fn(text => ({ width: text.length * 2 }));
+    configure({ textMetrics: measure });
+    expect(ctx.measureText('abcd').width).toBe(8);
+    expect(measure).toBeCalledWith('abcd', {
+      font: '10px monospace',
+      textAlign: 'start',
+      textBaseline: 'alphabetic',
+      direction: 'inherit',
+      letterSpacing: '0px',
+      wordSpacing: '0px',
+      fontKerning: 'auto',
+      fontStretch: 'normal',
+      fontVariantCaps: 'normal',
+      textRendering: 'auto',
+    });
+  });
+});
+
+describe('errorMessages option', () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = document.createElement('canvas').getContext('2d');
+  });
+
+  it('should use the messages of chrome by default', () => {
+    expect(() => ctx.arc(1, 2, 3, 4)).toThrow('Failed to execute \'arc\' on \'CanvasRenderingContext2D\': 5 arguments required, but only 4 present.');
+  });
+
+  it('should use the messages of firefox', () => {
+    configure({ errorMessages: 'firefox' });
+    expect(() => ctx.arc(1, 2, 3, 4)).toThrow('CanvasRenderingContext2D.arc: At least 5 arguments required, but only 4 passed');
+    expect(() => new Path2D().addPath({})).toThrow('Path2D.addPath: Argument 1 does not implement interface Path2D.');
+    expect(() => document.createElement('canvas').getContext('webgl').clear()).toThrow('WebGLRenderingContext.clear: At least 1 argument required, but only 0 passed');
+  });
+});
+
+describe('maxEvents option', () => {
+  it('should drop the oldest events and draw calls', () => {
+    configure({ maxEvents: 2 });
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.fillRect(1, 1, 1, 1);
+    ctx.fillRect(2, 2, 1, 1);
+    ctx.fillRect(3, 3, 1, 1);
+    expect(ctx.__getEvents().map(event => event.props.x)).toEqual([2, 3]);
+    expect(ctx.__getDrawCalls().map(event => event.props.x)).toEqual([2, 3]);
+  });
+
+  it('should limit the events of webgl contexts', () => {
+    configure({ maxEvents: 1 });
+    const gl = document.createElement('canvas').getContext('webgl');
+    gl.clearColor(0, 0, 0, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    expect(gl.__getEvents()).toEqual([{ type: 'clear', props: { mask: gl.COLOR_BUFFER_BIT } }]);
+  });
+});
+
+describe('globals option', () => {
+  function createWindow() {
+    return { document: { createElement() {} } };
+  }
+
+  it('should install every global by default', () => {
+    const win = mockWindow(createWindow());
+    expect(win.Path2D).toBe(Path2D);
+    expect(win.WebGLRenderingContext).toBe(WebGLRenderingContext);
+  });
+
+  it('should only install the selected globals', () => {
+    configure({ globals: ['Path2D', 'ImageData'] });
+    const win = mockWindow(createWindow());
+    expect(Object.keys(win).sort()).toEqual(['ImageData', 'Path2D', 'document']);
+  });
+
+  it('should throw for unknown globals', () => {
+    configure({ globals: ['HTMLCanvasElement'] });
+    expect(() => mockWindow(createWindow())).toThrow('Unknown global \'HTMLCanvasElement\'.');
+  });
+});
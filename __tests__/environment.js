@@ -0,0 +1,20 @@
+import CanvasEnvironment from '../src/environment';
+
+function createEnvironment(testEnvironmentOptions) {
+  return new CanvasEnvironment({ testURL: 'http://localhost/', globals: {}, testEnvironmentOptions }, {});
+}
+
+describe('CanvasEnvironment', () => {
+  it('should expose the canvas options to the setup file', async () => {
+    const options = { rasterize: true };
+    const environment = createEnvironment({ canvas: options });
+    expect(environment.global.__jestCanvasMockOptions).toBe(options);
+    await environment.teardown();
+  });
+
+  it('should not define the options when there are none', async () => {
+    const environment = createEnvironment(void 0);
+    expect(environment.global.__jestCanvasMockOptions).toBeUndefined();
+    await environment.teardown();
+  });
+});
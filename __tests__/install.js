@@ -0,0 +1,127 @@
+import install, { uninstall, resetAll } from '../src/install';
+import { installGlobals } from '../src/window';
+import { configure, getConfig, resetConfig } from '../src/config';
+
+afterEach(() => {
+  resetConfig();
+});
+
+describe('install', () => {
+  it('should configure the mock and register the matchers with the given expect', () => {
+    const fakeExpect = { extend: jest.fn() };
+    install({ maxEvents: 10, expect: fakeExpect });
+    expect(getConfig().maxEvents).toBe(10);
+    expect(getConfig().expect).toBeUndefined();
+    expect(fakeExpect.extend).toBeCalledWith(expect.objectContaining({ toHaveDrawnRect: expect.any(Function) }));
+  });
+
+  it('should keep the installed globals', () => {
+    const saved = window.Path2D;
+    install();
+    expect(window.Path2D).toBe(saved);
+  });
+
+  it('should make createImageBitmap with the configured spy factory', () => {
+    const spies = [];
+    const spyFactory = implementation => {
+      const spy = jest.fn(implementation);
+      spies.push(spy);
+      return spy;
+    };
+    install({ spyFactory });
+    expect(spies).toContain(window.createImageBitmap);
+    resetConfig();
+    install();
+    expect(spies).not.toContain(window.createImageBitmap);
+    expect(jest.isMockFunction(window.createImageBitmap)).toBe(true);
+    return expect(window.createImageBitmap(new ImageData(2, 1))).resolves.toBeInstanceOf(ImageBitmap);
+  });
+});
+
+describe('installGlobals', () => {
+  it('should install the missing globals on the given target', () => {
+    const target = { Path2D: 'kept' };
+    installGlobals(target);
+    expect(target.Path2D).toBe('kept');
+    expect(target.ImageData).toBe(window.ImageData);
+    expect(target.CanvasRenderingContext2D).toBe(window.CanvasRenderingContext2D);
+  });
+
+  it('should only install the selected globals', () => {
+    const target = {};
+    configure({ globals: ['ImageData'] });
+    installGlobals(target);
+    expect(Object.keys(target)).toEqual(['ImageData']);
+  });
+});
+
+describe('uninstall', () => {
+  afterEach(() => {
+    install();
+  });
+
+  it('should restore the original HTMLCanvasElement methods', () => {
+    const { getContext, toBlob, toDataURL } = HTMLCanvasElement.prototype;
+    uninstall();
+    expect(HTMLCanvasElement.prototype.getContext).toBe(getContext.internal);
+    expect(HTMLCanvasElement.prototype.toBlob).toBe(toBlob.internal);
+    expect(HTMLCanvasElement.prototype.toDataURL).toBe(toDataURL.internal);
+    expect(jest.isMockFunction(HTMLCanvasElement.prototype.getContext)).toBe(false);
+  });
+
+  it('should remove the methods that did not exist before', () => {
+    uninstall();
+    expect('transferControlToOffscreen' in HTMLCanvasElement.prototype).toBe(false);
+  });
+
+  it('should remove the installed globals and keep the other ones', () => {
+    const saved = window.Path2D;
+    uninstall();
+    expect(window.Path2D).toBeUndefined();
+    expect(window.CanvasRenderingContext2D).toBeUndefined();
+    expect(window.HTMLCanvasElement).toBeDefined();
+    install();
+    expect(window.Path2D).toBe(saved);
+  });
+
+  it('should keep the contexts created before working', () => {
+    const ctx = document.createElement('canvas').getContext('2d');
+    uninstall();
+    ctx.fillRect(1, 2, 3, 4);
+    expect(ctx.__getDrawCalls()).toHaveLength(1);
+  });
+
+  it('should install the mock again', () => {
+    const { getContext } = HTMLCanvasElement.prototype;
+    uninstall();
+    install();
+    expect(HTMLCanvasElement.prototype.getContext).not.toBe(getContext);
+    expect(HTMLCanvasElement.prototype.getContext.internal).toBe(getContext.internal);
+    expect(document.createElement('canvas').getContext('2d')).toBeInstanceOf(CanvasRenderingContext2D);
+  });
+});
+
+describe('resetAll', () => {
+  it('should clear the events and draw calls of every context', () => {
+    const ctx = document.createElement('canvas').getContext('2d');
+    const gl = document.createElement('canvas').getContext('webgl');
+    ctx.fillRect(1, 2, 3, 4);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    resetAll();
+    expect(ctx.__getEvents()).toEqual([]);
+    expect(ctx.__getDrawCalls()).toEqual([]);
+    expect(gl.__getEvents()).toEqual([]);
+    expect(gl.__getDrawCalls()).toEqual([]);
+  });
+
+  it('should keep the state of the contexts', () => {
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.translate(1, 2);
+    ctx.rect(0, 0, 1, 1);
+    resetAll();
+    expect(ctx.getTransform().e).toBe(1);
+    expect(ctx.__getPath()).toHaveLength(2);
+    ctx.fill();
+    expect(ctx.__getDrawCalls()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,382 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as matcherUtils from 'jest-matcher-utils';
+import { registerMatchers, toMatchImageSnapshot } from '../src/matchers';
+import decodePNG from '../src/raster/decodePNG';
+
+let ctx;
+
+/**
+ * Returns the failure message of an assertion without the terminal colors, so the snapshots do not
+ * depend on the terminal the tests are run in.
+ */
+function getFailureMessage(assertion) {
+  try {
+    assertion();
+  } catch (error) {
+    return error.message.replace(/\u001b\[\d+m/g, '');
+  }
+  throw new Error('The assertion did not fail.');
+}
+
+beforeEach(() => {
+  ctx = document.createElement('canvas').getContext('2d');
+});
+
+describe('toHaveDrawnRect', () => {
+  it('should be registered by the setup file', () => {
+    expect(typeof expect(ctx).toHaveDrawnRect).toBe('function');
+  });
+
+  it('should pass when fillRect or strokeRect was called', () => {
+    ctx.fillRect(1, 2, 3, 4);
+    ctx.strokeRect(5, 6, 7, 8);
+    expect(ctx).toHaveDrawnRect(1, 2, 3, 4);
+    expect(ctx).toHaveDrawnRect(5, 6, 7, 8);
+    expect(ctx).toHaveDrawnRect();
+    expect(ctx).toHaveDrawnRect(5, 6);
+    expect(ctx).not.toHaveDrawnRect(1, 2, 3, 5);
+  });
+
+  it('should pass when a path with a rect was filled or stroked', () => {
+    ctx.rect(1, 2, 3, 4);
+    ctx.fill();
+    const path = new Path2D();
+    path.rect(5, 6, 7, 8);
+    ctx.stroke(path);
+    expect(ctx).toHaveDrawnRect(1, 2, 3, 4);
+    expect(ctx).toHaveDrawnRect(5, 6, 7, 8);
+  });
+
+  it('should support asymmetric matchers', () => {
+    ctx.fillRect(1, 2, 3, 4);
+    expect(ctx).toHaveDrawnRect(expect.any(Number), 2, 3, 4);
+  });
+
+  it('should not count rects that were never drawn', () => {
+    ctx.rect(1, 2, 3, 4);
+    ctx.clearRect(1, 2, 3, 4);
+    expect(ctx).not.toHaveDrawnRect();
+  });
+
+  it('should show a diff with the closest call', () => {
+    ctx.fillRect(1, 2, 3, 4);
+    ctx.fillRect(1, 2, 30, 40);
+    expect(getFailureMessage(() => expect(ctx).toHaveDrawnRect(1, 2, 30, 4))).toMatchSnapshot();
+  });
+
+  it('should explain that nothing was drawn', () => {
+    expect(() => expect(ctx).toHaveDrawnRect(1, 2, 3, 4)).toThrow('there were no fillRect, strokeRect, fill or stroke calls.');
+  });
+
+  it('should show the matching call when negated', () => {
+    ctx.fillRect(1, 2, 3, 4);
+    expect(getFailureMessage(() => expect(ctx).not.toHaveDrawnRect(1, 2, 3, 4))).toMatchSnapshot();
+  });
+
+  it('should throw when the received value is not a 2d context', () => {
+    expect(() => expect({}).toHaveDrawnRect()).toThrow('Received value must be a CanvasRenderingContext2D');
+    expect(() => expect(document.createElement('canvas').getContext('webgl')).toHaveDrawnRect()).toThrow(Error);
+  });
+
+  it('should work with OffscreenCanvasRenderingContext2D', () => {
+    const offscreen = new OffscreenCanvas(10, 10).getContext('2d');
+    offscreen.fillRect(1, 2, 3, 4);
+    expect(offscreen).toHaveDrawnRect(1, 2, 3, 4);
+  });
+});
+
+describe('toHaveFilledText', () => {
+  it('should pass when fillText was called with the text', () => {
+    ctx.fillText('label', 10, 20);
+    expect(ctx).toHaveFilledText('label');
+    expect(ctx).toHaveFilledText('label', 10, 20);
+    expect(ctx).toHaveFilledText(expect.stringContaining('lab'));
+    expect(ctx).not.toHaveFilledText('label', 0, 0);
+    expect(ctx).not.toHaveFilledText('other');
+  });
+
+  it('should not count strokeText', () => {
+    ctx.strokeText('label', 10, 20);
+    expect(ctx).not.toHaveFilledText('label');
+  });
+
+  it('should show a diff with the closest call', () => {
+    ctx.fillText('label', 10, 20);
+    expect(getFailureMessage(() => expect(ctx).toHaveFilledText('labels', 10, 20))).toMatchSnapshot();
+  });
+});
+
+describe('toHaveStrokedPath', () => {
+  it('should pass when a path was stroked', () => {
+    expect(ctx).not.toHaveStrokedPath();
+    ctx.stroke();
+    expect(ctx).toHaveStrokedPath();
+  });
+
+  it('should compare the stroked path with svg path data', () => {
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 10);
+    ctx.stroke();
+    expect(ctx).toHaveStrokedPath('M0 0 L10 10');
+    expect(ctx).not.toHaveStrokedPath('M0 0 L10 20');
+  });
+
+  it('should compare the stroked path with a Path2D and ignore transforms', () => {
+    const path = new Path2D('M0 0 h10');
+    ctx.translate(10, 10);
+    ctx.stroke(new Path2D(path));
+    expect(ctx).toHaveStrokedPath(path);
+  });
+
+  it('should compare the stroked path with an array of events', () => {
+    ctx.rect(1, 2, 3, 4);
+    ctx.stroke();
+    expect(ctx).toHaveStrokedPath([{ type: 'rect', props: { x: 1, y: 2, width: 3, height: 4 } }]);
+  });
+
+  it('should show a diff with the closest call', () => {
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 10);
+    ctx.stroke();
+    expect(getFailureMessage(() => expect(ctx).toHaveStrokedPath('M0 0 L10 20'))).toMatchSnapshot();
+  });
+});
+
+describe('toHaveSetFillStyle', () => {
+  it('should pass when fillStyle was set to the color', () => {
+    ctx.fillStyle = 'red';
+    expect(ctx).toHaveSetFillStyle('red');
+    expect(ctx).toHaveSetFillStyle('#ff0000');
+    expect(ctx).not.toHaveSetFillStyle('blue');
+  });
+
+  it('should compare gradients and patterns by identity', () => {
+    const gradient = ctx.createLinearGradient(0, 0, 1, 1);
+    ctx.fillStyle = gradient;
+    expect(ctx).toHaveSetFillStyle(gradient);
+    expect(ctx).not.toHaveSetFillStyle(ctx.createLinearGradient(0, 0, 1, 1));
+  });
+
+  it('should ignore invalid values that were not set', () => {
+    ctx.fillStyle = 'not a color';
+    expect(ctx).not.toHaveSetFillStyle('not a color');
+    expect(() => expect(ctx).toHaveSetFillStyle('red')).toThrow('there were no fillStyle calls.');
+  });
+});
+
+describe('toHaveTransform', () => {
+  it('should compare the current transform with an array', () => {
+    expect(ctx).toHaveTransform([1, 0, 0, 1, 0, 0]);
+    ctx.translate(10, 20);
+    expect(ctx).toHaveTransform([1, 0, 0, 1, 10, 20]);
+    expect(ctx).not.toHaveTransform([1, 0, 0, 1, 0, 0]);
+  });
+
+  it('should compare the current transform with a DOMMatrix or a dictionary', () => {
+    ctx.rotate(Math.PI / 2);
+    expect(ctx).toHaveTransform(new DOMMatrix().rotate(90));
+    expect(ctx).toHaveTransform({ a: 0, b: 1, c: -1, d: 0 });
+  });
+
+  it('should show a diff of the transforms', () => {
+    ctx.scale(2, 3);
+    expect(getFailureMessage(() => expect(ctx).toHaveTransform([2, 0, 0, 2, 0, 0]))).toMatchSnapshot();
+  });
+
+  it('should throw when the expected value is not a matrix', () => {
+    expect(() => expect(ctx).toHaveTransform(1)).toThrow('Expected value must be a DOMMatrix');
+    expect(() => expect(ctx).toHaveTransform([1, 0])).toThrow('Expected value must be a DOMMatrix');
+  });
+});
+
+describe('toHaveBalancedSaveRestore', () => {
+  it('should pass when every save was restored', () => {
+    expect(ctx).toHaveBalancedSaveRestore();
+    ctx.save();
+    ctx.save();
+    ctx.restore();
+    expect(ctx).not.toHaveBalancedSaveRestore();
+    ctx.restore();
+    expect(ctx).toHaveBalancedSaveRestore();
+  });
+
+  it('should report the number of unrestored saves', () => {
+    ctx.save();
+    ctx.save();
+    expect(getFailureMessage(() => expect(ctx).toHaveBalancedSaveRestore())).toMatchSnapshot();
+  });
+
+  it('should fail when restore is called without a matching save', () => {
+    ctx.save();
+    ctx.restore();
+    ctx.restore();
+    expect(ctx).not.toHaveBalancedSaveRestore();
+    ctx.save();
+    expect(getFailureMessage(() => expect(ctx).toHaveBalancedSaveRestore())).toMatchSnapshot();
+  });
+});
+
+describe('toMatchImageSnapshot', () => {
+  let directory;
+  let snapshotState;
+
+  /**
+   * Calls the matcher like expect does, with a test file in a temporary directory, so that the
+   * snapshots it writes are not kept.
+   */
+  function matchImageSnapshot(received, options, testName = 'draws') {
+    return toMatchImageSnapshot.call({
+      isNot: false,
+      snapshotState,
+      testPath: path.join(directory, 'canvas.test.js'),
+      currentTestName: testName,
+      utils: matcherUtils,
+    }, received, options);
+  }
+
+  function getSnapshotPath(name) {
+    return path.join(directory, '__image_snapshots__', name);
+  }
+
+  function createCanvas(color, width = 4) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = 4;
+    const context = canvas.getContext('2d');
+    context.__enableRasterization();
+    context.fillStyle = color;
+    context.fillRect(0, 0, 2, 2);
+    return canvas;
+  }
+
+  /**
+   * Writes the snapshot compared by the given call of the matcher in the test.
+   */
+  function writeSnapshot(canvas, count = 1) {
+    fs.mkdirSync(path.join(directory, '__image_snapshots__'), { recursive: true });
+    const url = canvas.toDataURL();
+    fs.writeFileSync(getSnapshotPath('canvas.test.js-draws-' + count + '.png'), Buffer.from(url.slice(url.indexOf(',') + 1), 'base64'));
+  }
+
+  function getMessage(result) {
+    return result.message().replace(/\u001b\[\d+m/g, '');
+  }
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-canvas-mock-'));
+    snapshotState = { _updateSnapshot: 'new', added: 0, matched: 0, unmatched: 0, updated: 0 };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should match a rasterized canvas with a committed snapshot', () => {
+    const canvas = createCanvas('blue');
+    expect(canvas).toMatchImageSnapshot();
+    expect(canvas.getContext('2d')).toMatchImageSnapshot();
+  });
+
+  it('should write a png file the first time', () => {
+    const result = matchImageSnapshot(createCanvas('red'));
+    expect(result.pass).toBe(true);
+    expect(snapshotState.added).toBe(1);
+    const image = decodePNG(fs.readFileSync(getSnapshotPath('canvas.test.js-draws-1.png')));
+    expect(image.width).toBe(4);
+    expect(Array.from(image.data.subarray(0, 4))).toEqual([255, 0, 0, 255]);
+  });
+
+  it('should number the snapshots of a test', () => {
+    matchImageSnapshot(createCanvas('red'));
+    matchImageSnapshot(createCanvas('red'));
+    matchImageSnapshot(createCanvas('red'), {}, 'Another test!');
+    expect(fs.readdirSync(path.join(directory, '__image_snapshots__')).sort()).toEqual([
+      'canvas.test.js-another-test-1.png',
+      'canvas.test.js-draws-1.png',
+      'canvas.test.js-draws-2.png',
+    ]);
+  });
+
+  it('should not write new snapshots in ci', () => {
+    snapshotState._updateSnapshot = 'none';
+    const result = matchImageSnapshot(createCanvas('red'));
+    expect(result.pass).toBe(false);
+    expect(getMessage(result)).toContain('New image snapshot was not written.');
+    expect(fs.existsSync(getSnapshotPath('canvas.test.js-draws-1.png'))).toBe(false);
+  });
+
+  it('should pass when the pixels match the snapshot', () => {
+    writeSnapshot(createCanvas('red'));
+    const result = matchImageSnapshot(createCanvas('red'));
+    expect(result.pass).toBe(true);
+    expect(snapshotState.matched).toBe(1);
+  });
+
+  it('should fail and write a diff image when the pixels differ', () => {
+    writeSnapshot(createCanvas('red'));
+    const result = matchImageSnapshot(createCanvas('lime'));
+    expect(result.pass).toBe(false);
+    expect(snapshotState.unmatched).toBe(1);
+    expect(getMessage(result)).toContain('but 4 pixels (25.00%) differ.');
+    const diff = decodePNG(fs.readFileSync(getSnapshotPath('__diff_output__/canvas.test.js-draws-1-diff.png')));
+    expect(Array.from(diff.data.subarray(0, 4))).toEqual([255, 0, 0, 255]);
+    expect(Array.from(diff.data.subarray(8, 12))).toEqual([255, 255, 255, 255]);
+  });
+
+  it('should remove the diff image once the pixels match again', () => {
+    writeSnapshot(createCanvas('red'));
+    fs.mkdirSync(getSnapshotPath('__diff_output__'));
+    fs.writeFileSync(getSnapshotPath('__diff_output__/canvas.test.js-draws-1-diff.png'), '');
+    expect(matchImageSnapshot(createCanvas('red')).pass).toBe(true);
+    expect(fs.existsSync(getSnapshotPath('__diff_output__/canvas.test.js-draws-1-diff.png'))).toBe(false);
+  });
+
+  it('should accept differences within the thresholds', () => {
+    [1, 2, 3].forEach(count => writeSnapshot(createCanvas('rgb(100, 0, 0)'), count));
+    expect(matchImageSnapshot(createCanvas('rgb(110, 0, 0)'), { threshold: 0.05 }).pass).toBe(true);
+    expect(matchImageSnapshot(createCanvas('rgb(110, 0, 0)'), { threshold: 0.03 }).pass).toBe(false);
+    expect(matchImageSnapshot(createCanvas('rgb(110, 0, 0)'), { threshold: 0.03, failureThreshold: 0.25 }).pass).toBe(true);
+  });
+
+  it('should fail when the size differs', () => {
+    writeSnapshot(createCanvas('red'));
+    const result = matchImageSnapshot(createCanvas('red', 5));
+    expect(result.pass).toBe(false);
+    expect(getMessage(result)).toContain('Expected image to have the size of the snapshot "4x4", but it was "5x4".');
+  });
+
+  it('should update the snapshot with --updateSnapshot', () => {
+    writeSnapshot(createCanvas('red'));
+    snapshotState._updateSnapshot = 'all';
+    expect(matchImageSnapshot(createCanvas('lime')).pass).toBe(true);
+    expect(snapshotState.updated).toBe(1);
+    const image = decodePNG(fs.readFileSync(getSnapshotPath('canvas.test.js-draws-1.png')));
+    expect(Array.from(image.data.subarray(0, 4))).toEqual([0, 255, 0, 255]);
+  });
+
+  it('should throw if the canvas is not rasterized', () => {
+    expect(() => matchImageSnapshot(document.createElement('canvas'))).toThrow('Call __enableRasterization()');
+  });
+
+  it('should throw when negated', () => {
+    expect(() => expect(createCanvas('red')).not.toMatchImageSnapshot()).toThrow('.not cannot be used');
+  });
+});
+
+describe('registerMatchers', () => {
+  it('should use expect.extend once expect is defined', () => {
+    const extend = jest.spyOn(expect, 'extend');
+    registerMatchers();
+    expect(extend).toBeCalledWith(expect.objectContaining({ toHaveDrawnRect: expect.any(Function) }));
+    extend.mockRestore();
+  });
+
+  it('should not register anything without an expect function', () => {
+    expect(registerMatchers(null)).toBe(false);
+    expect(registerMatchers({ extend: 'extend' })).toBe(false);
+    expect(registerMatchers({ extend: jest.fn() })).toBe(true);
+  });
+});
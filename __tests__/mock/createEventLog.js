@@ -0,0 +1,54 @@
+import createEventLog, { clearEventLogs } from '../../src/mock/createEventLog';
+import { configure, resetConfig } from '../../src/config';
+
+afterEach(() => {
+  resetConfig();
+});
+
+describe('createEventLog', () => {
+  it('should behave like an array', () => {
+    const log = createEventLog();
+    expect(Array.isArray(log)).toBe(true);
+    expect(log.push(1, 2)).toBe(2);
+    expect(log.slice()).toEqual([1, 2]);
+    expect(log[1]).toBe(2);
+  });
+
+  it('should drop the oldest entries when there are more than maxEvents', () => {
+    configure({ maxEvents: 2 });
+    const log = createEventLog();
+    log.push(1, 2, 3);
+    expect(log.slice()).toEqual([2, 3]);
+  });
+
+  it('should be emptied by clearEventLogs', () => {
+    const log = createEventLog();
+    log.push(1);
+    clearEventLogs();
+    expect(log).toHaveLength(0);
+    expect(log.slice()).toEqual([]);
+  });
+
+  it('should keep the entries pushed after clearEventLogs', () => {
+    const log = createEventLog();
+    log.push(1);
+    clearEventLogs();
+    log.push(2);
+    expect(log.slice()).toEqual([2]);
+    expect(createEventLog()).toHaveLength(0);
+  });
+
+  it('should pass the dropped entries to onDrop', () => {
+    configure({ maxEvents: 2 });
+    const onDrop = jest.fn();
+    const log = createEventLog(onDrop);
+    log.push(1, 2);
+    expect(onDrop).not.toHaveBeenCalled();
+    log.push(3);
+    expect(onDrop).toHaveBeenLastCalledWith([1]);
+    clearEventLogs();
+    expect(log).toHaveLength(0);
+    expect(onDrop).toHaveBeenLastCalledWith([2, 3]);
+    expect(onDrop).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,100 @@
+import createMockFunction, { createRecorder, getSpyFactory, isMockFunction } from '../../src/mock/createMockFunction';
+import { configure, resetConfig } from '../../src/config';
+
+afterEach(() => {
+  resetConfig();
+  delete global.vi;
+});
+
+describe('createRecorder', () => {
+  it('should record calls, instances and results', () => {
+    const recorder = createRecorder((a, b) => a + b);
+    const context = {};
+    expect(recorder.call(context, 1, 2)).toBe(3);
+    expect(recorder.mock.calls).toEqual([[1, 2]]);
+    expect(recorder.mock.instances[0]).toBe(context);
+    expect(recorder.mock.results).toEqual([{ type: 'return', value: 3 }]);
+  });
+
+  it('should record thrown errors', () => {
+    const error = new Error('failed');
+    const recorder = createRecorder(() => {
+      throw error;
+    });
+    expect(() => recorder()).toThrow(error);
+    expect(recorder.mock.results).toEqual([{ type: 'throw', value: error }]);
+  });
+
+  it('should work with the assertions of expect', () => {
+    const recorder = createRecorder();
+    recorder('value');
+    expect(recorder).toBeCalledWith('value');
+    expect(recorder).toHaveReturnedWith(void 0);
+  });
+
+  it('should override the return value', () => {
+    const recorder = createRecorder(() => 'default');
+    recorder.mockReturnValueOnce('once').mockReturnValue('always');
+    expect([recorder(), recorder(), recorder()]).toEqual(['once', 'always', 'always']);
+    recorder.mockImplementationOnce(() => 'implementation');
+    expect(recorder()).toBe('implementation');
+  });
+
+  it('should clear and reset', () => {
+    const implementation = () => 'default';
+    const recorder = createRecorder(implementation);
+    recorder();
+    expect(recorder.getMockImplementation()).toBe(implementation);
+    expect(recorder.mockClear().mock.calls).toEqual([]);
+    expect(recorder()).toBe('default');
+    recorder.mockReset();
+    expect(recorder()).toBeUndefined();
+    expect(recorder.mock.calls).toHaveLength(1);
+  });
+});
+
+describe('getSpyFactory', () => {
+  it('should use jest.fn in jest', () => {
+    const spy = getSpyFactory()();
+    expect(jest.isMockFunction(spy)).toBe(true);
+    expect(spy.getMockName()).toBe('jest.fn()');
+  });
+
+  it('should prefer vi.fn when Vitest defines it', () => {
+    global.vi = { fn: jest.fn() };
+    expect(getSpyFactory()).toBe(global.vi.fn);
+  });
+
+  it('should use the spyFactory option', () => {
+    configure({ spyFactory: createRecorder });
+    expect(getSpyFactory()).toBe(createRecorder);
+  });
+});
+
+describe('isMockFunction', () => {
+  it('should detect mock functions of every factory', () => {
+    expect(isMockFunction(jest.fn())).toBe(true);
+    expect(isMockFunction(createRecorder())).toBe(true);
+    expect(isMockFunction({ mock: {}, mockImplementation() {} })).toBe(false);
+    expect(isMockFunction(() => {})).toBe(false);
+  });
+});
+
+describe('createMockFunction', () => {
+  it('should create mock functions with the configured factory', () => {
+    configure({ spyFactory: createRecorder });
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.fillRect(1, 2, 3, 4);
+    expect(ctx.fillRect.getMockName()).toBe('recorder');
+    expect(ctx.fillRect).toBeCalledWith(1, 2, 3, 4);
+    expect(ctx.__getDrawCalls()).toHaveLength(1);
+  });
+
+  it('should translate the error messages', () => {
+    configure({ errorMessages: 'firefox' });
+    const fn = createMockFunction(() => {
+      throw new TypeError('Failed to construct \'X\': y');
+    });
+    expect(() => fn()).toThrow('X constructor: y');
+  });
+});
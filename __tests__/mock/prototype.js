@@ -1,9 +1,18 @@
+import { inflateSync } from 'zlib';
+import mockPrototype from '../../src/mock/prototype';
+import { configure, resetConfig } from '../../src/config';
+import decodePNG from '../../src/raster/decodePNG';
+
 let canvas;
 
 beforeEach(() => {
   canvas = document.createElement('canvas');
 });
 
+afterEach(() => {
+  resetConfig();
+});
+
 describe('mock', () => {
   it('context creation of type 2d returns CanvasRenderingContext2D', () => {
     const ctx = canvas.getContext('2d');
@@ -96,7 +105,7 @@ describe('mock', () => {
   });
 
   it('context creation of any other type returns null', () => {
-    expect(document.createElement('canvas').getContext('webgl')).toBe(null);
+    expect(document.createElement('canvas').getContext('bitmaprenderer')).toBe(null);
   });
 
   /**
@@ -108,7 +117,7 @@ describe('mock', () => {
     const error = console.error;
     console.error = () => void 0;
     canvas.dataset.internalRequireTest = true;
-    canvas.getContext('webgl');
+    canvas.getContext('bitmaprenderer');
     console.error = error;
   });
 
@@ -117,4 +126,119 @@ describe('mock', () => {
     const second = canvas.getContext("2d");
     expect(first).toBe(second);
   });
+
+  describe('transferControlToOffscreen', () => {
+    it('should return an OffscreenCanvas of the same size', () => {
+      canvas.width = 20;
+      canvas.height = 10;
+      const offscreen = canvas.transferControlToOffscreen();
+      expect(offscreen).toBeInstanceOf(OffscreenCanvas);
+      expect(offscreen.width).toBe(20);
+      expect(offscreen.height).toBe(10);
+      expect(canvas.transferControlToOffscreen).toBeCalled();
+    });
+
+    it('should show what is drawn offscreen in the placeholder canvas', () => {
+      configure({ rasterize: true });
+      canvas.width = 1;
+      canvas.height = 1;
+      const offscreen = canvas.transferControlToOffscreen();
+      const ctx = offscreen.getContext('2d');
+      const decode = url => Array.from(decodePNG(Buffer.from(url.slice('data:image/png;base64,'.length), 'base64')).data);
+      expect(decode(canvas.toDataURL())).toEqual([0, 0, 0, 0]);
+      ctx.fillStyle = 'lime';
+      ctx.fillRect(0, 0, 1, 1);
+      expect(decode(canvas.toDataURL())).toEqual([0, 255, 0, 255]);
+      expect(ctx.__getDrawCalls()[0].type).toBe('fillRect');
+    });
+
+    it('should encode the pixels drawn offscreen in toDataURL and toBlob', () => {
+      canvas.width = 2;
+      canvas.height = 1;
+      const ctx = canvas.transferControlToOffscreen().getContext('2d');
+      ctx.__enableRasterization();
+      ctx.fillStyle = 'red';
+      ctx.fillRect(0, 0, 1, 1);
+      const url = canvas.toDataURL();
+      expect(url).toMatch(/^data:image\/png;base64,/);
+      const bytes = Buffer.from(url.slice('data:image/png;base64,'.length), 'base64');
+      expect(Array.from(decodePNG(bytes).data)).toEqual([255, 0, 0, 255, 0, 0, 0, 0]);
+      return new Promise(resolve => canvas.toBlob(resolve)).then(blob => {
+        expect(blob.type).toBe('image/png');
+        expect(blob.size).toBe(bytes.length);
+      });
+    });
+
+    it('should prevent the canvas from creating a context', () => {
+      canvas.transferControlToOffscreen();
+      expect(() => canvas.getContext('2d')).toThrow(DOMException);
+    });
+
+    it('should throw if control was already transferred', () => {
+      canvas.transferControlToOffscreen();
+      expect(() => canvas.transferControlToOffscreen()).toThrow(DOMException);
+    });
+
+    it('should throw if the canvas already has a context', () => {
+      canvas.getContext('2d');
+      expect(() => canvas.transferControlToOffscreen()).toThrow(DOMException);
+    });
+  });
+});
+
+describe('reinstalling the mock', () => {
+  it('should keep the original methods', () => {
+    const { toBlob, toDataURL } = HTMLCanvasElement.prototype;
+    mockPrototype();
+    expect(HTMLCanvasElement.prototype.toBlob.internal).toBe(toBlob.internal);
+    expect(HTMLCanvasElement.prototype.toDataURL.internal).toBe(toDataURL.internal);
+  });
+});
+
+describe('encoding a rasterized canvas', () => {
+  /**
+   * Returns the RGBA pixels of the first row of a PNG file created by the mock, which stores every
+   * scanline without a filter.
+   */
+  function readFirstRow(bytes, width) {
+    const buffer = Buffer.from(bytes);
+    const idatLength = buffer.readUInt32BE(33);
+    expect(buffer.toString('latin1', 37, 41)).toBe('IDAT');
+    const scanlines = inflateSync(buffer.subarray(41, 41 + idatLength));
+    expect(scanlines[0]).toBe(0);
+    return Array.from(scanlines.subarray(1, 1 + width * 4));
+  }
+
+  beforeEach(() => {
+    canvas.width = 2;
+    canvas.height = 2;
+    const ctx = canvas.getContext('2d');
+    ctx.__enableRasterization();
+    ctx.fillStyle = 'red';
+    ctx.fillRect(0, 0, 1, 2);
+  });
+
+  it('should return a png dataurl of the pixels', () => {
+    const url = canvas.toDataURL();
+    expect(url).toMatch(/^data:image\/png;base64,/);
+    const bytes = Buffer.from(url.slice('data:image/png;base64,'.length), 'base64');
+    expect(readFirstRow(bytes, 2)).toEqual([255, 0, 0, 255, 0, 0, 0, 0]);
+  });
+
+  it('should keep the placeholder for other mime types', () => {
+    expect(canvas.toDataURL('image/jpeg')).toBe('data:image/jpeg;base64,00');
+  });
+
+  it('should call toBlob with a png blob of the pixels', () => {
+    return new Promise(resolve => canvas.toBlob(resolve)).then(blob => {
+      expect(blob.type).toBe('image/png');
+      return new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(new Uint8Array(reader.result));
+        reader.readAsArrayBuffer(blob);
+      });
+    }).then(bytes => {
+      expect(readFirstRow(bytes, 2)).toEqual([255, 0, 0, 255, 0, 0, 0, 0]);
+    });
+  });
 });
@@ -0,0 +1,128 @@
+import replayEvents from '../../src/mock/replayEvents';
+
+let source;
+let target;
+
+beforeEach(() => {
+  source = document.createElement('canvas').getContext('2d');
+  target = document.createElement('canvas').getContext('2d');
+});
+
+describe('replayEvents', () => {
+  it('should record the same events on the target', () => {
+    const img = document.createElement('canvas');
+    source.save();
+    source.fillStyle = 'red';
+    source.strokeStyle = 'blue';
+    source.lineWidth = 4;
+    source.miterLimit = 5;
+    source.setLineDash([2, 1]);
+    source.font = '12px serif';
+    source.translate(1, 2);
+    source.rotate(0.5);
+    source.scale(2, 3);
+    source.transform(1, 0, 0, 1, 4, 5);
+    source.beginPath();
+    source.moveTo(1, 2);
+    source.lineTo(3, 4);
+    source.arc(5, 6, 7, 0, 1, true);
+    source.arcTo(1, 2, 3, 4, 5);
+    source.bezierCurveTo(1, 2, 3, 4, 5, 6);
+    source.quadraticCurveTo(1, 2, 3, 4);
+    source.ellipse(1, 2, 3, 4, 5, 6, 7, false);
+    source.rect(1, 2, 3, 4);
+    source.roundRect(1, 2, 3, 4, [1, { x: 1, y: 2 }]);
+    source.closePath();
+    source.fill('evenodd');
+    source.stroke();
+    source.clip();
+    source.restore();
+    source.resetTransform();
+    source.setTransform(2, 0, 0, 2, 0, 0);
+    source.fillRect(1, 2, 3, 4);
+    source.strokeRect(1, 2, 3, 4);
+    source.clearRect(1, 2, 3, 4);
+    source.fillText('hello', 1, 2);
+    source.strokeText('world', 1, 2, 30);
+    source.drawImage(img, 1, 2);
+    source.reset();
+
+    replayEvents(source.__getEvents(), target);
+    expect(target.__getEvents()).toEqual(source.__getEvents());
+    expect(target.__getDrawCalls()).toEqual(source.__getDrawCalls());
+  });
+
+  it('should rebuild the Path2D objects that were filled, stroked or clipped', () => {
+    const path = new Path2D();
+    path.moveTo(1, 2);
+    path.lineTo(3, 4);
+    path.rect(5, 6, 7, 8);
+    source.fill(path, 'evenodd');
+    source.stroke(path);
+    source.clip(path);
+
+    replayEvents(source.__getEvents(), target);
+    expect(target.__getEvents()).toEqual(source.__getEvents());
+    expect(target.fill.mock.calls[0][0]).toBeInstanceOf(Path2D);
+    expect(target.__getPath()).toEqual(source.__getPath());
+  });
+
+  it('should keep the transform of the paths added with addPath', () => {
+    const square = new Path2D();
+    square.rect(0, 0, 1, 1);
+    const path = new Path2D();
+    path.moveTo(1, 2);
+    path.addPath(square, { a: 2, d: 2, e: 10, f: 20 });
+    path.addPath(square, new DOMMatrix([1, 0, 0, 1, 5, 5]));
+    path.lineTo(3, 4);
+    source.fill(path);
+
+    replayEvents(source.__getEvents(), target);
+    expect(target.__getEvents()).toEqual(source.__getEvents());
+  });
+
+  it('should not apply the transform of the draw call twice to a Path2D', () => {
+    const square = new Path2D();
+    square.rect(0, 0, 1, 1);
+    const path = new Path2D();
+    path.addPath(square, { e: 4 });
+    path.lineTo(3, 4);
+    source.translate(10, 20);
+    source.fill(path);
+    source.scale(2, 2);
+    source.stroke(path);
+
+    replayEvents(source.__getEvents(), target);
+    expect(target.__getEvents()).toEqual(source.__getEvents());
+  });
+
+  it('should set the transform when currentTransform was set', () => {
+    source.currentTransform = new DOMMatrix([1, 2, 3, 4, 5, 6]);
+    replayEvents(source.__getEvents(), target);
+    expect(target.setTransform).toHaveBeenCalledWith(1, 2, 3, 4, 5, 6);
+    expect(target.getTransform()).toEqual(source.getTransform());
+  });
+
+  it('should skip the events that do not change the state or the pixels', () => {
+    source.measureText('hello');
+    source.isPointInPath(1, 2);
+    source.createLinearGradient(1, 2, 3, 4);
+    source.putImageData(new ImageData(1, 1), 0, 0);
+    replayEvents(source.__getEvents(), target);
+    expect(target.__getEvents()).toEqual([]);
+  });
+
+  it('should work with an object that only has the methods and properties of a 2d context', () => {
+    const calls = [];
+    const fake = {
+      save: () => calls.push('save'),
+      fillRect: (...args) => calls.push(['fillRect', ...args]),
+    };
+    source.save();
+    source.fillStyle = 'red';
+    source.fillRect(1, 2, 3, 4);
+    replayEvents(source.__getEvents(), fake);
+    expect(calls).toEqual(['save', ['fillRect', 1, 2, 3, 4]]);
+    expect(fake.fillStyle).toBe('#f00');
+  });
+});
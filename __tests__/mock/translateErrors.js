@@ -0,0 +1,66 @@
+import translateErrors, { toFirefoxMessage } from '../../src/mock/translateErrors';
+import { configure, resetConfig } from '../../src/config';
+
+afterEach(() => {
+  resetConfig();
+});
+
+describe('toFirefoxMessage', () => {
+  it('should rewrite the known messages', () => {
+    [
+      ['Failed to execute \'arc\' on \'CanvasRenderingContext2D\': 1 argument required, but only 0 present.', 'CanvasRenderingContext2D.arc: At least 1 argument required, but only 0 passed'],
+      ['Failed to execute \'fill\' on \'CanvasRenderingContext2D\': The provided value \'x\' is not a valid enum value of type CanvasFillRule.', 'CanvasRenderingContext2D.fill: \'x\' is not a valid value for enumeration CanvasFillRule.'],
+      ['Failed to execute \'addPath\' on \'Path2D\': parameter 2 (\'transform\') is not an object.', 'Path2D.addPath: Argument 2 can\'t be converted to a dictionary.'],
+      ['Failed to execute \'setTransform\' on \'CanvasRenderingContext2D\': Valid arities are: [0, 1, 6], but 2 arguments provided.', 'CanvasRenderingContext2D.setTransform: 2 is not a valid argument count for any overload.'],
+      ['Failed to set the \'lineWidth\' property on \'CanvasRenderingContext2D\': The provided double value is non-finite.', 'CanvasRenderingContext2D.lineWidth setter: Argument is not a finite floating-point value.'],
+      ['Failed to construct \'ImageData\': The source width is zero or not a number.', 'ImageData constructor: The source width is zero or not a number.'],
+    ].forEach(([chrome, firefox]) => {
+      expect(toFirefoxMessage(chrome)).toBe(firefox);
+    });
+  });
+
+  it('should return unknown messages unchanged', () => {
+    expect(toFirefoxMessage('Something went wrong.')).toBe('Something went wrong.');
+  });
+});
+
+describe('translateErrors', () => {
+  const fn = translateErrors(function (error) {
+    throw error;
+  });
+
+  it('should call the function with the same this and arguments', () => {
+    const context = {};
+    const wrapped = translateErrors(function (a, b) {
+      return [this, a, b];
+    });
+    expect(wrapped.call(context, 1, 2)).toEqual([context, 1, 2]);
+  });
+
+  it('should not change messages by default', () => {
+    expect(() => fn(new TypeError('Failed to construct \'X\': y'))).toThrow('Failed to construct \'X\': y');
+  });
+
+  it('should only translate the messages of TypeErrors', () => {
+    configure({ errorMessages: 'firefox' });
+    expect(() => fn(new TypeError('Failed to construct \'X\': y'))).toThrow('X constructor: y');
+    expect(() => fn(new RangeError('Failed to construct \'X\': y'))).toThrow('Failed to construct \'X\': y');
+  });
+
+  it('should translate the messages of rejected promises', () => {
+    configure({ errorMessages: 'firefox' });
+    const rejecting = translateErrors(error => Promise.reject(error));
+    return expect(rejecting(new TypeError('Failed to construct \'X\': y'))).rejects.toThrow('X constructor: y');
+  });
+
+  it('should translate the rejections of the mocked functions', () => {
+    configure({ errorMessages: 'firefox' });
+    return expect(createImageBitmap()).rejects.toThrow('Window.createImageBitmap: At least 1 argument required, but only 0 passed');
+  });
+
+  it('should keep the Chrome wording of constructors and DOMExceptions', () => {
+    configure({ errorMessages: 'firefox' });
+    expect(() => new OffscreenCanvas()).toThrow('Failed to construct \'OffscreenCanvas\': 2 arguments required, but only 0 present.');
+    expect(() => fn(new DOMException('Failed to execute \'x\' on \'Y\': z'))).toThrow('Failed to execute \'x\' on \'Y\': z');
+  });
+});
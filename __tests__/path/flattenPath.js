@@ -0,0 +1,189 @@
+import flattenPath, { getArcSweep, getRoundRectCorners } from '../../src/path/flattenPath';
+
+let ctx;
+
+beforeEach(() => {
+  ctx = document.createElement('canvas').getContext('2d');
+});
+
+function round(subpaths) {
+  return subpaths.map(subpath => ({
+    points: subpath.points.map(point => point.map(value => Math.round(value * 1000) / 1000 + 0)),
+    closed: subpath.closed,
+  }));
+}
+
+describe('flattenPath', () => {
+  it('should return no subpaths for an empty path', () => {
+    expect(flattenPath(ctx.__getPath())).toEqual([]);
+  });
+
+  it('should create subpaths for moveTo and lineTo', () => {
+    ctx.moveTo(1, 2);
+    ctx.lineTo(3, 4);
+    ctx.moveTo(5, 6);
+    expect(flattenPath(ctx.__getPath())).toEqual([
+      { points: [[1, 2], [3, 4]], closed: false },
+      { points: [[5, 6]], closed: false },
+    ]);
+  });
+
+  it('should start a subpath when lineTo is called first', () => {
+    ctx.lineTo(3, 4);
+    expect(flattenPath(ctx.__getPath())).toEqual([{ points: [[3, 4]], closed: false }]);
+  });
+
+  it('should close subpaths and start a new one at the same point', () => {
+    ctx.moveTo(1, 1);
+    ctx.lineTo(2, 2);
+    ctx.closePath();
+    ctx.lineTo(3, 3);
+    expect(flattenPath(ctx.__getPath())).toEqual([
+      { points: [[1, 1], [2, 2]], closed: true },
+      { points: [[1, 1], [3, 3]], closed: false },
+    ]);
+  });
+
+  it('should ignore closePath without a subpath', () => {
+    ctx.closePath();
+    expect(flattenPath(ctx.__getPath())).toEqual([]);
+  });
+
+  it('should apply the transform of each event', () => {
+    ctx.moveTo(1, 1);
+    ctx.translate(10, 0);
+    ctx.scale(2, 2);
+    ctx.lineTo(1, 1);
+    expect(flattenPath(ctx.__getPath())).toEqual([{ points: [[1, 1], [12, 2]], closed: false }]);
+  });
+
+  it('should flatten rectangles into closed subpaths', () => {
+    ctx.rect(1, 2, 3, 4);
+    expect(flattenPath(ctx.__getPath())).toEqual([
+      { points: [[1, 2], [4, 2], [4, 6], [1, 6]], closed: true },
+      { points: [[1, 2]], closed: false },
+    ]);
+  });
+
+  it('should flatten round rectangles into closed subpaths', () => {
+    ctx.roundRect(1, 2, 3, 4);
+    expect(round(flattenPath(ctx.__getPath()))).toEqual([
+      { points: [[1, 2], [4, 2], [4, 2], [4, 6], [4, 6], [1, 6], [1, 6], [1, 2], [1, 2]], closed: true },
+      { points: [[1, 2]], closed: false },
+    ]);
+  });
+
+  it('should flatten the corners of round rectangles into quarter ellipses', () => {
+    ctx.roundRect(0, 0, 10, 10, [0, { x: 4, y: 2 }, 0, 0]);
+    const [subpath] = flattenPath(ctx.__getPath());
+    const corner = subpath.points.slice(1, -6);
+    expect(corner.length).toBeGreaterThan(2);
+    expect(corner[0][0]).toBeCloseTo(6);
+    expect(corner[0][1]).toBeCloseTo(0);
+    expect(corner[corner.length - 1][0]).toBeCloseTo(10);
+    expect(corner[corner.length - 1][1]).toBeCloseTo(2);
+    corner.forEach(([x, y]) => {
+      expect(Math.pow((x - 6) / 4, 2) + Math.pow((y - 2) / 2, 2)).toBeCloseTo(1);
+    });
+  });
+
+  it('should flatten arcs from the start angle to the end angle', () => {
+    ctx.arc(0, 0, 10, 0, Math.PI / 2);
+    const [subpath] = round(flattenPath(ctx.__getPath()));
+    expect(subpath.points[0]).toEqual([10, 0]);
+    expect(subpath.points[subpath.points.length - 1]).toEqual([0, 10]);
+    subpath.points.forEach(([x, y]) => {
+      expect(Math.hypot(x, y)).toBeCloseTo(10, 2);
+    });
+  });
+
+  it('should flatten rotated ellipses', () => {
+    ctx.ellipse(0, 0, 10, 5, Math.PI / 2, 0, Math.PI);
+    const [subpath] = round(flattenPath(ctx.__getPath()));
+    expect(subpath.points[0]).toEqual([0, 10]);
+    expect(subpath.points[subpath.points.length - 1]).toEqual([0, -10]);
+  });
+
+  it('should flatten arcTo into a line and a tangent arc', () => {
+    ctx.moveTo(0, 0);
+    ctx.arcTo(10, 0, 10, 10, 5);
+    const [subpath] = round(flattenPath(ctx.__getPath()));
+    expect(subpath.points[0]).toEqual([0, 0]);
+    expect(subpath.points[1]).toEqual([5, 0]);
+    expect(subpath.points[subpath.points.length - 1]).toEqual([10, 5]);
+  });
+
+  it('should flatten arcTo into a line when the points are collinear', () => {
+    ctx.moveTo(0, 0);
+    ctx.arcTo(10, 0, 20, 0, 5);
+    expect(flattenPath(ctx.__getPath())).toEqual([{ points: [[0, 0], [10, 0]], closed: false }]);
+  });
+
+  it('should start a subpath when arcTo is called first', () => {
+    ctx.arcTo(10, 0, 20, 0, 5);
+    expect(flattenPath(ctx.__getPath())).toEqual([{ points: [[10, 0]], closed: false }]);
+  });
+
+  it('should ignore arcTo when the transform is not invertible', () => {
+    ctx.moveTo(0, 0);
+    ctx.scale(0, 0);
+    ctx.arcTo(10, 0, 10, 10, 5);
+    expect(flattenPath(ctx.__getPath())).toEqual([{ points: [[0, 0]], closed: false }]);
+  });
+
+  it('should flatten curves ending at their end points', () => {
+    ctx.moveTo(0, 0);
+    ctx.quadraticCurveTo(10, 0, 10, 10);
+    ctx.bezierCurveTo(10, 20, 0, 20, 0, 10);
+    const [subpath] = round(flattenPath(ctx.__getPath()));
+    expect(subpath.points).toContainEqual([10, 10]);
+    expect(subpath.points[subpath.points.length - 1]).toEqual([0, 10]);
+    expect(subpath.points.length).toBeGreaterThan(4);
+  });
+
+  it('should start a subpath at the first control point of a curve', () => {
+    ctx.quadraticCurveTo(1, 1, 1, 1);
+    expect(flattenPath(ctx.__getPath())).toEqual([{ points: [[1, 1], [1, 1]], closed: false }]);
+  });
+
+  it('should reset the subpaths on beginPath', () => {
+    const path = new Path2D();
+    path.moveTo(1, 1);
+    path.lineTo(2, 2);
+    expect(flattenPath(path._path.concat(ctx.__getPath()))).toEqual([]);
+  });
+});
+
+describe('getArcSweep', () => {
+  it('should return full circles when the angles span more than a turn', () => {
+    expect(getArcSweep(0, Math.PI * 3, false)).toBe(Math.PI * 2);
+    expect(getArcSweep(Math.PI * 3, 0, true)).toBe(-Math.PI * 2);
+  });
+
+  it('should wrap angles into a single turn', () => {
+    expect(getArcSweep(Math.PI, 0, false)).toBeCloseTo(Math.PI);
+    expect(getArcSweep(0, Math.PI / 2, true)).toBeCloseTo(-Math.PI * 1.5);
+    expect(getArcSweep(0, -Math.PI / 2, true)).toBeCloseTo(-Math.PI / 2);
+  });
+});
+
+describe('getRoundRectCorners', () => {
+  it('should expand the radii to the four corners', () => {
+    const corner = value => ({ x: value, y: value });
+    expect(getRoundRectCorners(100, 100, [1])).toEqual([corner(1), corner(1), corner(1), corner(1)]);
+    expect(getRoundRectCorners(100, 100, [1, 2])).toEqual([corner(1), corner(2), corner(1), corner(2)]);
+    expect(getRoundRectCorners(100, 100, [1, 2, 3])).toEqual([corner(1), corner(2), corner(3), corner(2)]);
+    expect(getRoundRectCorners(100, 100, [1, 2, 3, { x: 4, y: 5 }])).toEqual([corner(1), corner(2), corner(3), { x: 4, y: 5 }]);
+  });
+
+  it('should swap the corners for a negative width or height', () => {
+    expect(getRoundRectCorners(-100, 100, [1, 2, 3, 4]).map(corner => corner.x)).toEqual([2, 1, 4, 3]);
+    expect(getRoundRectCorners(100, -100, [1, 2, 3, 4]).map(corner => corner.x)).toEqual([4, 3, 2, 1]);
+  });
+
+  it('should scale the radii down when they do not fit', () => {
+    expect(getRoundRectCorners(10, 100, [10, 10, 0, 0])).toEqual([
+      { x: 5, y: 5 }, { x: 5, y: 5 }, { x: 0, y: 0 }, { x: 0, y: 0 },
+    ]);
+  });
+});
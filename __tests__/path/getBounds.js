@@ -0,0 +1,24 @@
+import getBounds, { intersectBounds } from '../../src/path/getBounds';
+
+describe('getBounds', () => {
+  it('should return the rectangle around every point of every polygon', () => {
+    expect(getBounds([[[1, 2], [5, -1]], [[3, 8]]])).toEqual({ x: 1, y: -1, width: 4, height: 9 });
+  });
+
+  it('should return null without points', () => {
+    expect(getBounds([])).toBeNull();
+    expect(getBounds([[]])).toBeNull();
+  });
+});
+
+describe('intersectBounds', () => {
+  it('should return the overlap of two rectangles', () => {
+    expect(intersectBounds({ x: 0, y: 0, width: 10, height: 10 }, { x: 5, y: -5, width: 10, height: 10 }))
+      .toEqual({ x: 5, y: 0, width: 5, height: 5 });
+  });
+
+  it('should return null when the rectangles only touch or do not overlap', () => {
+    expect(intersectBounds({ x: 0, y: 0, width: 10, height: 10 }, { x: 10, y: 0, width: 10, height: 10 })).toBeNull();
+    expect(intersectBounds({ x: 0, y: 0, width: 10, height: 10 }, { x: 20, y: 20, width: 1, height: 1 })).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+import parsePathData from '../../src/path/parsePathData';
+
+function round(calls) {
+  return calls.map(([name, ...args]) => [name].concat(args.map(value => (
+    typeof value === 'number' ? Math.round(value * 1000) / 1000 + 0 : value
+  ))));
+}
+
+describe('parsePathData', () => {
+  it('should return no calls for an empty string', () => {
+    expect(parsePathData('')).toEqual([]);
+    expect(parsePathData('   ')).toEqual([]);
+  });
+
+  it('should parse absolute moveto, lineto and closepath commands', () => {
+    expect(parsePathData('M 1 2 L 3 4 Z')).toEqual([
+      ['moveTo', 1, 2],
+      ['lineTo', 3, 4],
+      ['closePath'],
+    ]);
+  });
+
+  it('should resolve relative commands against the current point', () => {
+    expect(parsePathData('m1,2 l3,4 h5 v6 H1 V2')).toEqual([
+      ['moveTo', 1, 2],
+      ['lineTo', 4, 6],
+      ['lineTo', 9, 6],
+      ['lineTo', 9, 12],
+      ['lineTo', 1, 12],
+      ['lineTo', 1, 2],
+    ]);
+  });
+
+  it('should treat extra coordinate pairs after a moveto as lineto commands', () => {
+    expect(parsePathData('M1 1 2 2m1 1 1 1')).toEqual([
+      ['moveTo', 1, 1],
+      ['lineTo', 2, 2],
+      ['moveTo', 3, 3],
+      ['lineTo', 4, 4],
+    ]);
+  });
+
+  it('should move the current point to the start of the subpath after a closepath', () => {
+    expect(parsePathData('M10 10 L20 20 z l5 0')).toEqual([
+      ['moveTo', 10, 10],
+      ['lineTo', 20, 20],
+      ['closePath'],
+      ['lineTo', 15, 10],
+    ]);
+  });
+
+  it('should parse numbers without separators', () => {
+    expect(parsePathData('M1.5.5L-1e1-2')).toEqual([
+      ['moveTo', 1.5, 0.5],
+      ['lineTo', -10, -2],
+    ]);
+  });
+
+  it('should parse cubic and smooth cubic curves', () => {
+    expect(parsePathData('M0 0 C1 1 2 2 3 3 S5 5 6 6 s1 1 2 2')).toEqual([
+      ['moveTo', 0, 0],
+      ['bezierCurveTo', 1, 1, 2, 2, 3, 3],
+      ['bezierCurveTo', 4, 4, 5, 5, 6, 6],
+      ['bezierCurveTo', 7, 7, 7, 7, 8, 8],
+    ]);
+  });
+
+  it('should use the current point as the first control point of a smooth curve without a previous curve', () => {
+    expect(parsePathData('M1 1 S2 2 3 3 T4 4')).toEqual([
+      ['moveTo', 1, 1],
+      ['bezierCurveTo', 1, 1, 2, 2, 3, 3],
+      ['quadraticCurveTo', 3, 3, 4, 4],
+    ]);
+  });
+
+  it('should parse quadratic and smooth quadratic curves', () => {
+    expect(parsePathData('M0 0 Q1 1 2 0 T4 0 t2 0')).toEqual([
+      ['moveTo', 0, 0],
+      ['quadraticCurveTo', 1, 1, 2, 0],
+      ['quadraticCurveTo', 3, -1, 4, 0],
+      ['quadraticCurveTo', 5, 1, 6, 0],
+    ]);
+  });
+
+  it('should convert arcs to ellipse calls', () => {
+    expect(round(parsePathData('M0 0 A10 10 0 0 1 20 0'))).toEqual([
+      ['moveTo', 0, 0],
+      ['ellipse', 10, 0, 10, 10, 0, 3.142, 6.283, false],
+    ]);
+    expect(round(parsePathData('M0 0 a10 10 0 1 0 20 0'))).toEqual([
+      ['moveTo', 0, 0],
+      ['ellipse', 10, 0, 10, 10, 0, 3.142, 0, true],
+    ]);
+  });
+
+  it('should scale up arc radii that are too small', () => {
+    expect(round(parsePathData('M0 0 A1 1 0 0 1 20 0'))[1].slice(1, 5)).toEqual([10, 0, 10, 10]);
+  });
+
+  it('should parse arc flags without separators', () => {
+    expect(round(parsePathData('M0 0A10 10 0 0120 0'))).toEqual(round(parsePathData('M0 0 A10 10 0 0 1 20 0')));
+  });
+
+  it('should draw arcs with a zero radius as lines and skip arcs ending at the current point', () => {
+    expect(parsePathData('M0 0 A0 10 0 0 1 20 0 A10 10 0 0 1 20 0')).toEqual([
+      ['moveTo', 0, 0],
+      ['lineTo', 20, 0],
+    ]);
+  });
+
+  it('should keep the commands before an error', () => {
+    expect(parsePathData('M1 1 L2 2 L3 X4 4')).toEqual([
+      ['moveTo', 1, 1],
+      ['lineTo', 2, 2],
+    ]);
+    expect(parsePathData('M1 1 L2 2 Z 3 3')).toEqual([
+      ['moveTo', 1, 1],
+      ['lineTo', 2, 2],
+      ['closePath'],
+    ]);
+    expect(parsePathData('M0 0 A1 1 0 2 1 3 3')).toEqual([['moveTo', 0, 0]]);
+  });
+
+  it('should ignore data that does not start with a moveto', () => {
+    expect(parsePathData('L1 1 M2 2')).toEqual([]);
+    expect(parsePathData('1 1')).toEqual([]);
+  });
+});
@@ -0,0 +1,100 @@
+import flattenPath from '../../src/path/flattenPath';
+import strokePath from '../../src/path/strokePath';
+
+const identity = [1, 0, 0, 1, 0, 0];
+const lineStyle = { lineWidth: 2, lineCap: 'butt', lineJoin: 'miter', miterLimit: 10 };
+
+let ctx;
+
+beforeEach(() => {
+  ctx = document.createElement('canvas').getContext('2d');
+});
+
+describe('strokePath', () => {
+  it('should create a quad for each segment', () => {
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 0);
+    expect(strokePath(flattenPath(ctx.__getPath()), identity, lineStyle)).toEqual([
+      [[0, 1], [10, 1], [10, -1], [0, -1]],
+    ]);
+  });
+
+  it('should not stroke subpaths that only contain a moveTo', () => {
+    ctx.moveTo(0, 0);
+    expect(strokePath(flattenPath(ctx.__getPath()), identity, lineStyle)).toEqual([]);
+  });
+
+  it('should not stroke anything when the transform is not invertible', () => {
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 0);
+    expect(strokePath(flattenPath(ctx.__getPath()), [0, 0, 0, 0, 0, 0], lineStyle)).toEqual([]);
+  });
+
+  it('should add square and round caps to open subpaths', () => {
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 0);
+    const square = strokePath(flattenPath(ctx.__getPath()), identity, Object.assign({}, lineStyle, { lineCap: 'square' }));
+    expect(square.length).toBe(3);
+    expect(square[1]).toEqual([[0, -1], [-1, -1], [-1, 1], [0, 1]]);
+    const round = strokePath(flattenPath(ctx.__getPath()), identity, Object.assign({}, lineStyle, { lineCap: 'round' }));
+    expect(round.length).toBe(3);
+    expect(round[2].length).toBeGreaterThanOrEqual(8);
+  });
+
+  it('should draw caps for zero length segments', () => {
+    ctx.moveTo(5, 5);
+    ctx.lineTo(5, 5);
+    expect(strokePath(flattenPath(ctx.__getPath()), identity, lineStyle)).toEqual([]);
+    expect(strokePath(flattenPath(ctx.__getPath()), identity, Object.assign({}, lineStyle, { lineCap: 'square' }))).toEqual([
+      [[4, 4], [6, 4], [6, 6], [4, 6]],
+    ]);
+    expect(strokePath(flattenPath(ctx.__getPath()), identity, Object.assign({}, lineStyle, { lineCap: 'round' }))[0].length).toBeGreaterThanOrEqual(8);
+  });
+
+  it('should create miter joins within the miter limit', () => {
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 0);
+    ctx.lineTo(10, 10);
+    const polygons = strokePath(flattenPath(ctx.__getPath()), identity, lineStyle);
+    expect(polygons.length).toBe(3);
+    expect(polygons[2][2][0]).toBeCloseTo(11);
+    expect(polygons[2][2][1]).toBeCloseTo(-1);
+  });
+
+  it('should fall back to bevel joins beyond the miter limit', () => {
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 0);
+    ctx.lineTo(0, 1);
+    const polygons = strokePath(flattenPath(ctx.__getPath()), identity, lineStyle);
+    expect(polygons[2].length).toBe(3);
+  });
+
+  it('should create bevel and round joins', () => {
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 0);
+    ctx.lineTo(10, 10);
+    expect(strokePath(flattenPath(ctx.__getPath()), identity, Object.assign({}, lineStyle, { lineJoin: 'bevel' }))[2]).toEqual([
+      [10, 0], [10, -1], [11, 0],
+    ]);
+    expect(strokePath(flattenPath(ctx.__getPath()), identity, Object.assign({}, lineStyle, { lineJoin: 'round' }))[2].length).toBeGreaterThanOrEqual(8);
+  });
+
+  it('should not join collinear segments', () => {
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 0);
+    ctx.lineTo(20, 0);
+    expect(strokePath(flattenPath(ctx.__getPath()), identity, lineStyle).length).toBe(2);
+  });
+
+  it('should join every corner of closed subpaths', () => {
+    ctx.rect(0, 0, 10, 10);
+    expect(strokePath(flattenPath(ctx.__getPath()), identity, lineStyle).length).toBe(8);
+  });
+
+  it('should not stroke closed zero length subpaths', () => {
+    ctx.moveTo(0, 0);
+    ctx.lineTo(0, 0);
+    ctx.closePath();
+    expect(strokePath(flattenPath(ctx.__getPath()), identity, Object.assign({}, lineStyle, { lineCap: 'round' }))).toEqual([]);
+  });
+});
@@ -0,0 +1,101 @@
+import composite from '../../src/raster/composite';
+
+/**
+ * Composites the source color, with an alpha between 0 and 1, onto a single destination pixel and
+ * returns the resulting pixel.
+ */
+function apply(operation, source, destination) {
+  const data = new Uint8ClampedArray(destination);
+  composite(data, 0, source[0], source[1], source[2], source[3], operation);
+  return Array.from(data);
+}
+
+const red = [255, 0, 0, 255];
+const transparent = [0, 0, 0, 0];
+
+describe('composite', () => {
+  it('should composite source-over like the browser', () => {
+    expect(apply('source-over', [255, 0, 0, 0.5], [0, 0, 255, 255])).toEqual([128, 0, 128, 255]);
+    expect(apply('source-over', [255, 0, 0, 0.5], transparent)).toEqual([255, 0, 0, 128]);
+  });
+
+  it('should composite destination-over behind the destination', () => {
+    expect(apply('destination-over', [0, 0, 255, 1], red)).toEqual(red);
+    expect(apply('destination-over', [0, 0, 255, 1], transparent)).toEqual([0, 0, 255, 255]);
+  });
+
+  it('should keep the source where the destination is with source-in', () => {
+    expect(apply('source-in', [0, 0, 255, 1], [255, 0, 0, 128])).toEqual([0, 0, 255, 128]);
+    expect(apply('source-in', [0, 0, 255, 1], transparent)).toEqual(transparent);
+  });
+
+  it('should keep the source where the destination is not with source-out', () => {
+    expect(apply('source-out', [0, 0, 255, 1], red)).toEqual(transparent);
+    expect(apply('source-out', [0, 0, 255, 1], transparent)).toEqual([0, 0, 255, 255]);
+  });
+
+  it('should draw the source on top of the destination with source-atop', () => {
+    expect(apply('source-atop', [0, 0, 255, 0.5], red)).toEqual([128, 0, 128, 255]);
+    expect(apply('source-atop', [0, 0, 255, 1], transparent)).toEqual(transparent);
+  });
+
+  it('should mask the destination with the alpha of the source with destination-in', () => {
+    expect(apply('destination-in', [0, 0, 255, 0.5], red)).toEqual([255, 0, 0, 128]);
+    expect(apply('destination-in', [0, 0, 0, 0], red)).toEqual(transparent);
+  });
+
+  it('should erase the destination with destination-out', () => {
+    expect(apply('destination-out', [0, 0, 255, 1], red)).toEqual(transparent);
+    expect(apply('destination-out', [0, 0, 255, 0.5], red)).toEqual([255, 0, 0, 128]);
+  });
+
+  it('should keep the destination where the source is with destination-atop', () => {
+    expect(apply('destination-atop', [0, 0, 255, 1], red)).toEqual(red);
+    expect(apply('destination-atop', [0, 0, 255, 1], transparent)).toEqual([0, 0, 255, 255]);
+  });
+
+  it('should replace the destination with copy', () => {
+    expect(apply('copy', [0, 0, 255, 0.5], red)).toEqual([0, 0, 255, 128]);
+  });
+
+  it('should remove the overlap with xor', () => {
+    expect(apply('xor', [0, 0, 255, 1], red)).toEqual(transparent);
+    expect(apply('xor', [0, 0, 255, 1], transparent)).toEqual([0, 0, 255, 255]);
+  });
+
+  it('should add the colors with lighter', () => {
+    expect(apply('lighter', [0, 0, 255, 1], red)).toEqual([255, 0, 255, 255]);
+    expect(apply('lighter', [100, 100, 100, 1], [100, 200, 100, 255])).toEqual([200, 255, 200, 255]);
+  });
+
+  it('should blend with the separable blend modes', () => {
+    const destination = [255, 128, 0, 255];
+    expect(apply('multiply', [128, 128, 128, 1], destination)).toEqual([128, 64, 0, 255]);
+    expect(apply('screen', [128, 128, 128, 1], red)).toEqual([255, 128, 128, 255]);
+    expect(apply('darken', [100, 200, 50, 1], [150, 100, 60, 255])).toEqual([100, 100, 50, 255]);
+    expect(apply('lighten', [100, 200, 50, 1], [150, 100, 60, 255])).toEqual([150, 200, 60, 255]);
+    expect(apply('difference', [255, 255, 255, 1], destination)).toEqual([0, 127, 255, 255]);
+    expect(apply('exclusion', [255, 255, 255, 1], destination)).toEqual([0, 127, 255, 255]);
+    expect(apply('color-dodge', [255, 128, 0, 1], [0, 128, 255, 255])).toEqual([0, 255, 255, 255]);
+    expect(apply('color-burn', [255, 128, 0, 1], [0, 128, 255, 255])).toEqual([0, 2, 255, 255]);
+    expect(apply('soft-light', [0, 255, 128, 1], [128, 64, 255, 255])).toEqual([64, 128, 255, 255]);
+  });
+
+  it('should swap the source and the destination of hard-light with overlay', () => {
+    expect(apply('hard-light', [0, 0, 0, 1], [255, 255, 255, 255])).toEqual([0, 0, 0, 255]);
+    expect(apply('overlay', [0, 0, 0, 1], [255, 255, 255, 255])).toEqual([255, 255, 255, 255]);
+  });
+
+  it('should blend with the non-separable blend modes', () => {
+    const gray = [128, 128, 128];
+    expect(apply('luminosity', [...gray, 1], red)).toEqual([255, 74, 74, 255]);
+    expect(apply('color', [255, 0, 0, 1], [...gray, 255])).toEqual([255, 74, 74, 255]);
+    expect(apply('hue', [255, 0, 0, 1], [...gray, 255])).toEqual([...gray, 255]);
+    expect(apply('saturation', [...gray, 1], red)).toEqual([77, 77, 77, 255]);
+  });
+
+  it('should only blend where both the source and the destination are opaque', () => {
+    expect(apply('multiply', [128, 128, 128, 1], transparent)).toEqual([128, 128, 128, 255]);
+    expect(apply('multiply', [255, 0, 0, 0.5], [255, 255, 255, 255])).toEqual([255, 128, 128, 255]);
+  });
+});
@@ -0,0 +1,81 @@
+import createGradientShader from '../../src/raster/createGradientShader';
+
+const identity = [1, 0, 0, 1, 0, 0];
+const blueToRed = [{ offset: 0, color: '#00f' }, { offset: 1, color: '#f00' }];
+
+describe('createGradientShader', () => {
+  it('should interpolate a linear gradient along its axis', () => {
+    const shader = createGradientShader({ type: 'linear', x0: 0, y0: 0, x1: 10, y1: 0, colorStops: blueToRed }, identity);
+    expect(shader(0, 5)).toEqual([0, 0, 255, 1]);
+    expect(shader(5, 0)).toEqual([127.5, 0, 127.5, 1]);
+    expect(shader(10, 3)).toEqual([255, 0, 0, 1]);
+  });
+
+  it('should use the colors of the first and last stops outside of the stops', () => {
+    const stops = [{ offset: 0.25, color: '#00f' }, { offset: 0.75, color: '#f00' }];
+    const shader = createGradientShader({ type: 'linear', x0: 0, y0: 0, x1: 10, y1: 0, colorStops: stops }, identity);
+    expect(shader(-5, 0)).toEqual([0, 0, 255, 1]);
+    expect(shader(1, 0)).toEqual([0, 0, 255, 1]);
+    expect(shader(9, 0)).toEqual([255, 0, 0, 1]);
+    expect(shader(20, 0)).toEqual([255, 0, 0, 1]);
+  });
+
+  it('should switch colors at stops with the same offset', () => {
+    const stops = [
+      { offset: 0, color: '#00f' },
+      { offset: 0.5, color: '#00f' },
+      { offset: 0.5, color: '#f00' },
+      { offset: 1, color: '#f00' },
+    ];
+    const shader = createGradientShader({ type: 'linear', x0: 0, y0: 0, x1: 10, y1: 0, colorStops: stops }, identity);
+    expect(shader(4.9, 0)).toEqual([0, 0, 255, 1]);
+    expect(shader(5, 0)).toEqual([255, 0, 0, 1]);
+  });
+
+  it('should interpolate premultiplied colors', () => {
+    const stops = [{ offset: 0, color: '#f00' }, { offset: 1, color: 'rgba(0, 0, 255, 0)' }];
+    const shader = createGradientShader({ type: 'linear', x0: 0, y0: 0, x1: 10, y1: 0, colorStops: stops }, identity);
+    expect(shader(5, 0)).toEqual([255, 0, 0, 0.5]);
+    expect(shader(10, 0)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should place the gradient in the user space of the transform', () => {
+    const shader = createGradientShader({ type: 'linear', x0: 0, y0: 0, x1: 10, y1: 0, colorStops: blueToRed }, [2, 0, 0, 2, 10, 0]);
+    expect(shader(10, 0)).toEqual([0, 0, 255, 1]);
+    expect(shader(20, 0)).toEqual([127.5, 0, 127.5, 1]);
+  });
+
+  it('should interpolate between two concentric circles', () => {
+    const shader = createGradientShader({ type: 'radial', x0: 0, y0: 0, r0: 0, x1: 0, y1: 0, r1: 10, colorStops: blueToRed }, identity);
+    expect(shader(0, 0.001)[2]).toBeCloseTo(255, 0);
+    expect(shader(3, 4)).toEqual([127.5, 0, 127.5, 1]);
+    expect(shader(0, 20)).toEqual([255, 0, 0, 1]);
+  });
+
+  it('should not paint outside of the cone of two circles', () => {
+    // the cone shrinks to a radius of 0 at (-10, 0), and extends to the right of the end circle
+    const shader = createGradientShader({ type: 'radial', x0: 0, y0: 0, r0: 1, x1: 10, y1: 0, r1: 2, colorStops: blueToRed }, identity);
+    // |(5, 0) - c(ω)| = r(ω) for ω = 2/3
+    expect(shader(5, 0)[0]).toBeCloseTo(170);
+    expect(shader(5, 0)[2]).toBeCloseTo(85);
+    expect(shader(-5, 0)).toEqual([0, 0, 255, 1]);
+    expect(shader(-20, 0)).toBeNull();
+    expect(shader(0, 10)).toBeNull();
+  });
+
+  it('should go clockwise around a conic gradient from the start angle', () => {
+    const shader = createGradientShader({ type: 'conic', startAngle: 0, x: 0, y: 0, colorStops: blueToRed }, identity);
+    expect(shader(1, 0)).toEqual([0, 0, 255, 1]);
+    expect(shader(-1, 0)).toEqual([127.5, 0, 127.5, 1]);
+    expect(shader(0, 1)[0]).toBeCloseTo(63.75);
+    const rotated = createGradientShader({ type: 'conic', startAngle: Math.PI / 2, x: 0, y: 0, colorStops: blueToRed }, identity);
+    expect(rotated(0, 1)).toEqual([0, 0, 255, 1]);
+  });
+
+  it('should paint nothing without color stops or with an empty geometry', () => {
+    expect(createGradientShader({ type: 'linear', x0: 0, y0: 0, x1: 10, y1: 0, colorStops: [] }, identity)).toBeNull();
+    expect(createGradientShader({ type: 'linear', x0: 1, y0: 1, x1: 1, y1: 1, colorStops: blueToRed }, identity)).toBeNull();
+    expect(createGradientShader({ type: 'radial', x0: 1, y0: 1, r0: 2, x1: 1, y1: 1, r1: 2, colorStops: blueToRed }, identity)).toBeNull();
+    expect(createGradientShader({ type: 'linear', x0: 0, y0: 0, x1: 10, y1: 0, colorStops: blueToRed }, [0, 0, 0, 0, 0, 0])).toBeNull();
+  });
+});
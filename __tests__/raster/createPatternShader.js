@@ -0,0 +1,51 @@
+import createPatternShader from '../../src/raster/createPatternShader';
+
+const identity = [1, 0, 0, 1, 0, 0];
+// a 2x1 image with a red and a blue pixel
+const source = { width: 2, height: 1, data: new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 128]) };
+
+function pattern(repetition, transform = identity) {
+  return { image: null, repetition, transform };
+}
+
+describe('createPatternShader', () => {
+  it('should sample the nearest pixel of the image', () => {
+    const shader = createPatternShader(pattern('no-repeat'), source, identity);
+    expect(shader(0.5, 0.5)).toEqual([255, 0, 0, 1]);
+    expect(shader(1.5, 0.5)).toEqual([0, 0, 255, 128 / 255]);
+  });
+
+  it('should tile in both directions with repeat', () => {
+    const shader = createPatternShader(pattern('repeat'), source, identity);
+    expect(shader(2.5, 3.5)).toEqual([255, 0, 0, 1]);
+    expect(shader(-0.5, -0.5)).toEqual([0, 0, 255, 128 / 255]);
+  });
+
+  it('should only tile in the direction of repeat-x and repeat-y', () => {
+    const repeatX = createPatternShader(pattern('repeat-x'), source, identity);
+    expect(repeatX(4.5, 0.5)).toEqual([255, 0, 0, 1]);
+    expect(repeatX(0.5, 1.5)).toBeNull();
+    const repeatY = createPatternShader(pattern('repeat-y'), source, identity);
+    expect(repeatY(0.5, 5.5)).toEqual([255, 0, 0, 1]);
+    expect(repeatY(2.5, 0.5)).toBeNull();
+  });
+
+  it('should not tile with no-repeat', () => {
+    const shader = createPatternShader(pattern('no-repeat'), source, identity);
+    expect(shader(2.5, 0.5)).toBeNull();
+    expect(shader(-0.5, 0.5)).toBeNull();
+  });
+
+  it('should apply the pattern matrix and then the transform of the draw call', () => {
+    const shader = createPatternShader(pattern('no-repeat', [2, 0, 0, 2, 0, 0]), source, [1, 0, 0, 1, 10, 0]);
+    expect(shader(11.5, 0.5)).toEqual([255, 0, 0, 1]);
+    expect(shader(12.5, 1.5)).toEqual([0, 0, 255, 128 / 255]);
+    expect(shader(14.5, 0.5)).toBeNull();
+  });
+
+  it('should paint nothing without pixels or with a singular matrix', () => {
+    expect(createPatternShader(pattern('repeat'), null, identity)).toBeNull();
+    expect(createPatternShader(pattern('repeat'), { width: 0, height: 0, data: [] }, identity)).toBeNull();
+    expect(createPatternShader(pattern('repeat', [0, 0, 0, 0, 0, 0]), source, identity)).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+import { deflateSync } from 'zlib';
+import decodePNG from '../../src/raster/decodePNG';
+import encodePNG from '../../src/raster/encodePNG';
+
+/**
+ * Creates a PNG file from filtered scanlines, with a CRC of 0 in every chunk, which the decoder
+ * does not check.
+ */
+function createPNG(width, height, colorType, scanlines, bitDepth = 8) {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  const data = deflateSync(Buffer.from(scanlines));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    // the image data may be split in several chunks
+    chunk('IDAT', data.subarray(0, 4)),
+    chunk('IDAT', data.subarray(4)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+describe('decodePNG', () => {
+  it('should decode the files written by encodePNG', () => {
+    const data = new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 128, 1, 2, 3, 4, 5, 6, 7, 8]);
+    const result = decodePNG(encodePNG(2, 2, data));
+    expect(result.width).toBe(2);
+    expect(result.height).toBe(2);
+    expect(result.data).toEqual(data);
+  });
+
+  it('should reverse every filter type', () => {
+    const scanlines = [
+      0, 10, 20, 30, 40, 50, 60,
+      // sub
+      1, 10, 20, 30, 5, 5, 5,
+      // up
+      2, 1, 1, 1, 1, 1, 1,
+      // average
+      3, 10, 10, 10, 10, 10, 10,
+      // paeth
+      4, 0, 0, 0, 1, 2, 3,
+    ];
+    const result = decodePNG(createPNG(2, 5, 2, scanlines));
+    expect(Array.from(result.data)).toEqual([
+      10, 20, 30, 255, 40, 50, 60, 255,
+      10, 20, 30, 255, 15, 25, 35, 255,
+      11, 21, 31, 255, 16, 26, 36, 255,
+      15, 20, 25, 255, 25, 33, 40, 255,
+      15, 20, 25, 255, 26, 35, 43, 255,
+    ]);
+  });
+
+  it('should decode grayscale images', () => {
+    const result = decodePNG(createPNG(2, 1, 4, [0, 100, 200, 50, 255]));
+    expect(Array.from(result.data)).toEqual([100, 100, 100, 200, 50, 50, 50, 255]);
+    expect(Array.from(decodePNG(createPNG(1, 1, 0, [0, 7])).data)).toEqual([7, 7, 7, 255]);
+  });
+
+  it('should throw if the file is not a png file', () => {
+    expect(() => decodePNG(Buffer.from('GIF89a'))).toThrow('not a PNG file');
+  });
+
+  it('should throw if the format is not supported', () => {
+    expect(() => decodePNG(createPNG(1, 1, 3, [0, 0]))).toThrow('Only non-interlaced PNG files');
+    expect(() => decodePNG(createPNG(1, 1, 6, [0, 0, 0, 0, 0, 0, 0, 0], 16))).toThrow('Only non-interlaced PNG files');
+  });
+
+  it('should throw if a filter type is invalid', () => {
+    expect(() => decodePNG(createPNG(1, 1, 0, [5, 0]))).toThrow('invalid filter type');
+  });
+});
@@ -0,0 +1,45 @@
+import { inflateSync } from 'zlib';
+import deflate from '../../src/raster/deflate';
+
+function roundTrip(data) {
+  return new Uint8Array(inflateSync(Buffer.from(deflate(data))));
+}
+
+describe('deflate', () => {
+  it('should create a zlib stream', () => {
+    const result = deflate(new Uint8Array([1, 2, 3]));
+    expect(result[0]).toBe(0x78);
+    expect((result[0] * 256 + result[1]) % 31).toBe(0);
+  });
+
+  it('should compress empty data', () => {
+    expect(roundTrip(new Uint8Array(0))).toEqual(new Uint8Array(0));
+  });
+
+  it('should keep every byte value', () => {
+    const data = new Uint8Array(256).map((value, index) => index);
+    expect(roundTrip(data)).toEqual(data);
+  });
+
+  it('should compress repeated data', () => {
+    const data = new Uint8Array(100000).fill(42);
+    const result = deflate(data);
+    expect(result.length).toBeLessThan(1000);
+    expect(new Uint8Array(inflateSync(Buffer.from(result)))).toEqual(data);
+  });
+
+  it('should compress matches at every distance of the window', () => {
+    const data = new Uint8Array(120000);
+    let seed = 1;
+    for (let i = 0; i < data.length; i++) {
+      // repeat a pseudo random sequence with growing periods
+      if (i % 40000 < 20000) {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        data[i] = seed >> 16;
+      } else {
+        data[i] = data[i - 20000 - (i % 7)];
+      }
+    }
+    expect(roundTrip(data)).toEqual(data);
+  });
+});
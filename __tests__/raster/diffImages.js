@@ -0,0 +1,21 @@
+import diffImages from '../../src/raster/diffImages';
+
+describe('diffImages', () => {
+  const expected = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 0, 0]);
+
+  it('should count the different pixels', () => {
+    expect(diffImages(expected, new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 0, 1])).count).toBe(1);
+    expect(diffImages(expected, expected).count).toBe(0);
+  });
+
+  it('should ignore differences within the threshold', () => {
+    const received = new Uint8ClampedArray([245, 0, 0, 255, 0, 0, 0, 0]);
+    expect(diffImages(expected, received, 0.04).count).toBe(0);
+    expect(diffImages(expected, received, 0.03).count).toBe(1);
+  });
+
+  it('should paint the different pixels red over a faded copy of the expected image', () => {
+    const { diff } = diffImages(expected, new Uint8ClampedArray([255, 0, 0, 255, 9, 9, 9, 9]));
+    expect(Array.from(diff)).toEqual([237, 237, 237, 255, 255, 0, 0, 255]);
+  });
+});
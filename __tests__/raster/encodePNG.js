@@ -0,0 +1,55 @@
+import { inflateSync } from 'zlib';
+import encodePNG from '../../src/raster/encodePNG';
+
+/**
+ * Reads the length, type, data and CRC of every chunk of a PNG file.
+ */
+function readChunks(bytes) {
+  const buffer = Buffer.from(bytes);
+  const chunks = [];
+  let offset = 8;
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    chunks.push({
+      type: buffer.toString('latin1', offset + 4, offset + 8),
+      data: buffer.subarray(offset + 8, offset + 8 + length),
+      crc: buffer.readUInt32BE(offset + 8 + length),
+    });
+    offset += length + 12;
+  }
+  return chunks;
+}
+
+describe('encodePNG', () => {
+  const data = new Uint8ClampedArray([
+    255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 0,
+    1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12,
+  ]);
+
+  it('should start with the png signature', () => {
+    const result = encodePNG(3, 2, data);
+    expect(Array.from(result.subarray(0, 8))).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  });
+
+  it('should contain the header, data and end chunks', () => {
+    const chunks = readChunks(encodePNG(3, 2, data));
+    expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    const header = chunks[0].data;
+    expect(header.readUInt32BE(0)).toBe(3);
+    expect(header.readUInt32BE(4)).toBe(2);
+    expect(Array.from(header.subarray(8))).toEqual([8, 6, 0, 0, 0]);
+    expect(chunks[2].data.length).toBe(0);
+  });
+
+  it('should store every scanline without a filter', () => {
+    const chunks = readChunks(encodePNG(3, 2, data));
+    const scanlines = new Uint8Array(inflateSync(chunks[1].data));
+    expect(Array.from(scanlines)).toEqual([0].concat(Array.from(data.subarray(0, 12)), 0, Array.from(data.subarray(12))));
+  });
+
+  it('should compute the crc of every chunk', () => {
+    const chunks = readChunks(encodePNG(3, 2, data));
+    // the well known crc of an empty IEND chunk
+    expect(chunks[2].crc).toBe(0xae426082);
+  });
+});
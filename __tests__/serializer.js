@@ -0,0 +1,103 @@
+import * as serializer from '../src/serializer';
+
+let ctx;
+
+beforeEach(() => {
+  ctx = document.createElement('canvas').getContext('2d');
+});
+
+expect.addSnapshotSerializer(serializer);
+
+function print(value) {
+  return serializer.print(value, JSON.stringify, line => '  ' + line);
+}
+
+describe('serializer', () => {
+  it('should only serialize canvas events', () => {
+    ctx.fillRect(0, 0, 10, 10);
+    expect(serializer.test(ctx.__getEvents())).toBe(true);
+    expect(serializer.test(ctx.__getEvents()[0])).toBe(true);
+    expect(serializer.test([])).toBe(false);
+    expect(serializer.test([{ type: 'clear', props: {} }])).toBe(false);
+    expect(serializer.test({ type: 'fillRect', transform: [1, 0, 0, 1, 0, 0] })).toBe(false);
+    expect(serializer.test(null)).toBe(false);
+  });
+
+  it('should print an event on one line', () => {
+    ctx.fillRect(0, 0, 10, 10);
+    expect(print(ctx.__getEvents()[0])).toBe('fillRect 0 0 10 10 @ [1,0,0,1,0,0]');
+  });
+
+  it('should print a list of events as a drawing script', () => {
+    ctx.fillStyle = 'red';
+    ctx.translate(10, 20);
+    ctx.fillRect(0, 0, 10, 10);
+    expect(print(ctx.__getEvents())).toBe([
+      'CanvasEvents [',
+      '  fillStyle "#f00" @ [1,0,0,1,0,0]',
+      '  translate 10 20 @ [1,0,0,1,10,20]',
+      '  fillRect 0 0 10 10 @ [1,0,0,1,10,20]',
+      ']',
+    ].join('\n'));
+  });
+
+  it('should round numbers', () => {
+    ctx.rotate(Math.PI / 3);
+    ctx.arc(1 / 3, -0, 2, 0, Math.PI);
+    expect(print(ctx.__getEvents()[1])).toBe('arc 0.3333 0 2 0 3.1416 false @ [0.5,0.866,-0.866,0.5,0,0]');
+  });
+
+  it('should leave out trailing arguments that were not provided', () => {
+    ctx.fillText('label', 1, 2);
+    expect(print(ctx.__getEvents()[0])).toBe('fillText "label" 1 2 @ [1,0,0,1,0,0]');
+  });
+
+  it('should print paths inline and only show transforms that differ', () => {
+    ctx.rect(0, 0, 1, 1);
+    ctx.scale(2, 2);
+    ctx.lineTo(3, 4);
+    ctx.fill();
+    expect(print(ctx.__getDrawCalls()[0])).toBe(
+      'fill (beginPath @ [1,0,0,1,0,0]; rect 0 0 1 1 @ [1,0,0,1,0,0]; lineTo 3 4) "nonzero" @ [2,0,0,2,0,0]',
+    );
+  });
+
+  it('should print Path2D arguments', () => {
+    ctx.stroke(new Path2D('M0 0 L1 1'));
+    expect(print(ctx.__getDrawCalls()[0])).toBe('stroke (moveTo 0 0; lineTo 1 1) @ [1,0,0,1,0,0]');
+  });
+
+  it('should summarize images, canvases and image data', () => {
+    const img = new Image(20, 10);
+    img.src = 'http://localhost/image.png';
+    ctx.drawImage(img, 0, 0);
+    ctx.drawImage(document.createElement('canvas'), 0, 0);
+    expect(ctx.__getDrawCalls()).toMatchSnapshot();
+    expect(print({ type: 'event', transform: [1, 0, 0, 1, 0, 0], props: { data: new ImageData(2, 3) } }))
+      .toBe('event ImageData(2x3) @ [1,0,0,1,0,0]');
+  });
+
+  it('should truncate long image sources', () => {
+    const img = new Image(1, 1);
+    img.src = 'data:image/png;base64,' + 'A'.repeat(100);
+    ctx.drawImage(img, 0, 0);
+    expect(print(ctx.__getDrawCalls()[0])).toContain('HTMLImageElement("data:image/png;base64,AAAAAAAAAAAAAAAAAA…", 1x1)');
+  });
+
+  it('should describe gradients and patterns', () => {
+    const gradient = ctx.createLinearGradient(0, 0, 1, 1);
+    gradient.addColorStop(0, 'blue');
+    gradient.addColorStop(1, 'red');
+    ctx.fillStyle = gradient;
+    const pattern = ctx.createPattern(new ImageBitmap(1, 1), 'repeat');
+    pattern.setTransform({ a: 2, d: 2 });
+    ctx.strokeStyle = pattern;
+    expect(ctx.__getEvents()).toMatchSnapshot();
+  });
+
+  it('should print other objects and arrays compactly', () => {
+    ctx.setLineDash([1, 2]);
+    ctx.addHitRegion({ id: 'region', path: new Path2D('M0 0') });
+    expect(ctx.__getEvents()).toMatchSnapshot();
+  });
+});
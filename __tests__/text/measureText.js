@@ -0,0 +1,126 @@
+import measureText, { parseFont, parseLength } from '../../src/text/measureText';
+
+const state = {
+  font: '10px sans-serif',
+  textAlign: 'start',
+  textBaseline: 'alphabetic',
+  direction: 'ltr',
+};
+
+function measure(text, overrides) {
+  return measureText(text, Object.assign({}, state, overrides));
+}
+
+describe('parseFont', () => {
+  it('should return the size and generic family of a font', () => {
+    const result = parseFont('bold 12px "Times New Roman", sans-serif');
+    expect(result.size).toBe(12);
+    expect(result.family).toBe('serif');
+    expect(result.weight).toBe('bold');
+    expect(result.style).toBe('normal');
+  });
+
+  it('should fall back to sans-serif and 10px', () => {
+    const result = parseFont('2em "Comic Sans MS"');
+    expect(result.size).toBe(10);
+    expect(result.family).toBe('sans-serif');
+  });
+
+  it('should ignore fonts that cannot be parsed', () => {
+    expect(parseFont('invalid!').family).toBe('sans-serif');
+  });
+});
+
+describe('measureText', () => {
+  it('should return zero width for empty text', () => {
+    const result = measure('');
+    expect(result.width).toBe(0);
+    expect(result.actualBoundingBoxAscent).toBe(0);
+    expect(result.actualBoundingBoxDescent).toBe(0);
+  });
+
+  it('should measure whitespace without ink', () => {
+    const result = measure('  ');
+    expect(result.width).toBeCloseTo(5.56);
+    expect(result.actualBoundingBoxAscent).toBe(0);
+  });
+
+  it('should use the x-height for lowercase text', () => {
+    expect(measure('ace').actualBoundingBoxAscent).toBeCloseTo(5.19);
+    expect(measure('ace').actualBoundingBoxDescent).toBe(0);
+    expect(measure('gy').actualBoundingBoxDescent).toBeCloseTo(2.1);
+  });
+
+  it('should measure wide and unknown characters', () => {
+    expect(measure('中文').width).toBeCloseTo(20);
+    expect(measure('é').width).toBeCloseTo(5.56);
+  });
+
+  it('should compute every textBaseline', () => {
+    const em = 10 * 0.905 / (0.905 + 0.212);
+    expect(measure('x', { textBaseline: 'top' }).emHeightAscent).toBeCloseTo(0);
+    expect(measure('x', { textBaseline: 'bottom' }).emHeightDescent).toBeCloseTo(0);
+    expect(measure('x', { textBaseline: 'middle' }).alphabeticBaseline).toBeCloseTo(-(em - (10 - em)) / 2);
+    expect(measure('x', { textBaseline: 'hanging' }).hangingBaseline).toBeCloseTo(0);
+    expect(measure('x', { textBaseline: 'ideographic' }).ideographicBaseline).toBeCloseTo(0);
+    expect(measure('x', { textBaseline: 'ideographic' }).fontBoundingBoxDescent).toBeCloseTo(0);
+  });
+
+  it('should compute every textAlign', () => {
+    const width = measure('abc').width;
+    expect(measure('abc', { textAlign: 'left', direction: 'rtl' }).actualBoundingBoxLeft).toBe(0);
+    expect(measure('abc', { textAlign: 'right' }).actualBoundingBoxLeft).toBeCloseTo(width);
+    expect(measure('abc', { textAlign: 'end' }).actualBoundingBoxLeft).toBeCloseTo(width);
+    expect(measure('abc', { textAlign: 'end', direction: 'rtl' }).actualBoundingBoxLeft).toBe(0);
+  });
+});
+
+describe('parseLength', () => {
+  it('should parse css lengths', () => {
+    expect(parseLength('2px')).toEqual({ value: 2, unit: 'px' });
+    expect(parseLength('-1.5EM')).toEqual({ value: -1.5, unit: 'em' });
+    expect(parseLength('0')).toEqual({ value: 0, unit: 'px' });
+  });
+
+  it('should return null for values that are not lengths', () => {
+    expect(parseLength('2')).toBeNull();
+    expect(parseLength('2%')).toBeNull();
+    expect(parseLength('2vw')).toBeNull();
+    expect(parseLength('normal')).toBeNull();
+  });
+});
+
+describe('measureText with the text properties', () => {
+  const monospace = { font: '10px monospace' };
+
+  it('should add the letter spacing after every character', () => {
+    expect(measure('abc', Object.assign({ letterSpacing: '2px' }, monospace)).width).toBe(24);
+    expect(measure('abc', Object.assign({ letterSpacing: '-0.1em' }, monospace)).width).toBe(15);
+    expect(measure('abc', Object.assign({ letterSpacing: '1in' }, monospace)).width).toBe(306);
+  });
+
+  it('should add the word spacing after every space', () => {
+    expect(measure('a b c', Object.assign({ wordSpacing: '4px' }, monospace)).width).toBe(38);
+  });
+
+  it('should scale the glyphs with the font stretch', () => {
+    expect(measure('abcd', Object.assign({ fontStretch: 'condensed' }, monospace)).width).toBe(18);
+    expect(measure('abcd', Object.assign({ fontStretch: 'ultra-expanded' }, monospace)).width).toBe(48);
+  });
+
+  it('should draw small capitals with the font variant caps', () => {
+    const normal = measure('Ab');
+    const capitalA = measure('A').width;
+    const capitalB = measure('B').width;
+    expect(measure('Ab', { fontVariantCaps: 'small-caps' }).width).toBeCloseTo(capitalA + capitalB * 0.7);
+    expect(measure('Ab', { fontVariantCaps: 'all-small-caps' }).width).toBeCloseTo((capitalA + capitalB) * 0.7);
+    expect(measure('Ab', { fontVariantCaps: 'unicase' }).width).toBeCloseTo(capitalA * 0.7 + measure('b').width);
+    expect(measure('Ab', { fontVariantCaps: 'titling-caps' }).width).toBe(normal.width);
+    expect(measure('g', { fontVariantCaps: 'small-caps' }).actualBoundingBoxDescent).toBe(0);
+    expect(measure('ß', { fontVariantCaps: 'small-caps' }).width).toBeCloseTo(measure('ß').width * 0.7);
+  });
+
+  it('should not change the result with the font kerning and text rendering', () => {
+    expect(measure('AVAV', { fontKerning: 'none', textRendering: 'optimizeSpeed' })).toEqual(measure('AVAV'));
+  });
+});
@@ -0,0 +1,36 @@
+import parseShader from '../../src/webgl/parseShader';
+
+const VERTEX_SHADER = 0x8B31;
+const FRAGMENT_SHADER = 0x8B30;
+
+describe('parseShader', () => {
+  it('should find attributes and uniforms in GLSL ES 1.00 shaders', () => {
+    const result = parseShader(`
+      attribute highp vec3 position, normal;
+      uniform mat4 modelView; /* uniform vec2 commented; */
+      uniform lowp float weights[8];
+      // attribute vec2 uv;
+      void main() {}
+    `, VERTEX_SHADER);
+    expect(result.attributes.map(attribute => attribute.name)).toEqual(['position', 'normal']);
+    expect(result.uniforms).toEqual([
+      { name: 'modelView', type: 0x8B5C, size: 1 },
+      { name: 'weights', type: 0x1406, size: 8 },
+    ]);
+  });
+
+  it('should find "in" attributes in GLSL ES 3.00 vertex shaders', () => {
+    const result = parseShader('#version 300 es\nlayout(location = 0) in vec4 position;\nin vec2 uv;\nout vec2 vUv;\nvoid main() {}', VERTEX_SHADER);
+    expect(result.attributes.map(attribute => attribute.name)).toEqual(['position', 'uv']);
+  });
+
+  it('should not find attributes in fragment shaders', () => {
+    const result = parseShader('#version 300 es\nin vec2 vUv;\nuniform sampler2D map;\nvoid main() {}', FRAGMENT_SHADER);
+    expect(result.attributes).toEqual([]);
+    expect(result.uniforms).toEqual([{ name: 'map', type: 0x8B5E, size: 1 }]);
+  });
+
+  it('should ignore uniforms of unknown types', () => {
+    expect(parseShader('struct Light { vec3 color; };\nuniform Light light;', FRAGMENT_SHADER).uniforms).toEqual([]);
+  });
+});
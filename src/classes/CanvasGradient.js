@@ -1,9 +1,24 @@
 import parseColor from 'parse-color';
+import createMockFunction from '../mock/createMockFunction';
+import { parseCSSColor } from './CanvasRenderingContext2D';
 
 export default class CanvasGradient {
-  constructor() {
-    this.addColorStop = jest.fn(this.addColorStop.bind(this));
+  /**
+   * The color stops sorted by offset. Stops with the same offset keep the order they were added
+   * in, like the specification requires.
+   */
+  _colorStops = [];
+
+  /**
+   * The kind of gradient is `'linear'`, `'radial'` or `'conic'`, and the coordinates are the
+   * arguments of the function that created it.
+   */
+  constructor(type, coordinates) {
+    this.addColorStop = createMockFunction(this.addColorStop.bind(this));
+    this._type = type;
+    this._coordinates = Object.assign({}, coordinates);
   }
+
   addColorStop(offset, color) {
     const numoffset = Number(offset);
     const colorstr = String(color);
@@ -14,5 +29,27 @@ export default class CanvasGradient {
     if (!output.hex) {
       throw new SyntaxError('Failed to execute \'addColorStop\' on \'CanvasGradient\': The value provided (\'' + color + '\') could not be parsed as a color.')
     }
+    let index = this._colorStops.length;
+    while (index > 0 && this._colorStops[index - 1].offset > numoffset) index--;
+    this._colorStops.splice(index, 0, Object.freeze({ offset: numoffset, color: parseCSSColor(colorstr) }));
+  }
+
+  /**
+   * Returns the color stops sorted by offset, with their colors serialized like the `fillStyle`
+   * property does.
+   */
+  __getColorStops() {
+    return Object.freeze(this._colorStops.slice());
+  }
+
+  /**
+   * Returns a frozen description of the gradient: its kind, its coordinates and its color stops.
+   */
+  __getDefinition() {
+    return Object.freeze(Object.assign(
+      { type: this._type },
+      this._coordinates,
+      { colorStops: this.__getColorStops() },
+    ));
   }
 }
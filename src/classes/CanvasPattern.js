@@ -1,10 +1,33 @@
+import createMockFunction from '../mock/createMockFunction';
+import { fromDictionary2D } from './DOMMatrix';
 
 export default class CanvasPattern {
-  constructor() {
-    this.setTransform = jest.fn(this.setTransform.bind(this));
+  /**
+   * The matrix set with `setTransform`, as a six element array like the transform of the canvas
+   * events.
+   */
+  _transform = [1, 0, 0, 1, 0, 0];
+
+  constructor(image, repetition) {
+    this.setTransform = createMockFunction(this.setTransform.bind(this));
+    this._image = image;
+    this._repetition = repetition;
   }
 
   setTransform(value) {
     if (arguments.length > 0 && !(value instanceof Object)) throw new TypeError('Failed to execute \'setTransform\' on \'CanvasPattern\': parameter 1 (\'transform\') is not an object.');
+    this._transform = fromDictionary2D(value, 'CanvasPattern', 'setTransform');
+  }
+
+  /**
+   * Returns a frozen description of the pattern: its source image, its repetition and the matrix
+   * set with `setTransform`.
+   */
+  __getDefinition() {
+    return Object.freeze({
+      image: this._image,
+      repetition: this._repetition,
+      transform: Object.freeze(this._transform.slice()),
+    });
   }
 }
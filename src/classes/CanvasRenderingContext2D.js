@@ -1,11 +1,25 @@
-import DOMMatrix from './DOMMatrix';
+import DOMMatrix, { DOMMatrixReadOnly } from './DOMMatrix';
 import CanvasPattern from './CanvasPattern';
 import parseColor from 'parse-color';
 import cssfontparser from 'cssfontparser';
 import TextMetrics from './TextMetrics';
 import createCanvasEvent from '../mock/createCanvasEvent';
-
-function parseCSSColor(value) {
+import createEventLog from '../mock/createEventLog';
+import createMockFunction from '../mock/createMockFunction';
+import replayEvents from '../mock/replayEvents';
+import deriveState from '../mock/deriveState';
+import Rasterizer from '../raster/Rasterizer';
+import flattenPath from '../path/flattenPath';
+import strokePath from '../path/strokePath';
+import isPointInPolygons from '../path/isPointInPolygons';
+import measureText, { parseLength } from '../text/measureText';
+import analyzeDrawCall from '../mock/analyzeDrawCall';
+import { applyTransform, multiplyTransforms } from '../path/matrix';
+import toRGBA from '../raster/toRGBA';
+import { unboundedOperations } from '../raster/composite';
+import { getConfig } from '../config';
+
+export function parseCSSColor(value) {
   const result = parseColor(value);
 
   if (result.rgba && result.rgba[3] !== 1) {
@@ -25,28 +39,240 @@ function parseCSSColor(value) {
   return void 0;
 }
 
-const testFuncs = ['setLineDash', 'getLineDash', 'setTransform', 'getTransform', 'getImageData', 'save', 'restore', 'createPattern', 'createRadialGradient', 'addHitRegion', 'arc', 'arcTo', 'beginPath', 'clip', 'closePath', 'scale', 'stroke', 'clearHitRegions', 'clearRect', 'fillRect', 'strokeRect', 'rect', 'resetTransform', 'translate', 'moveTo', 'lineTo', 'bezierCurveTo', 'createLinearGradient', 'ellipse', 'measureText', 'rotate', 'drawImage', 'drawFocusIfNeeded', 'isPointInPath', 'isPointInStroke', 'putImageData', 'strokeText', 'fillText', 'quadraticCurveTo', 'removeHitRegion', 'fill', 'transform', 'scrollPathIntoView', 'createImageData'];
+const testFuncs = ['setLineDash', 'getLineDash', 'setTransform', 'getTransform', 'getImageData', 'save', 'restore', 'createPattern', 'createRadialGradient', 'addHitRegion', 'arc', 'arcTo', 'beginPath', 'clip', 'closePath', 'scale', 'stroke', 'clearHitRegions', 'clearRect', 'fillRect', 'strokeRect', 'rect', 'resetTransform', 'translate', 'moveTo', 'lineTo', 'bezierCurveTo', 'createLinearGradient', 'ellipse', 'measureText', 'rotate', 'drawImage', 'drawFocusIfNeeded', 'isPointInPath', 'isPointInStroke', 'putImageData', 'strokeText', 'fillText', 'quadraticCurveTo', 'removeHitRegion', 'fill', 'transform', 'scrollPathIntoView', 'createImageData', 'createConicGradient', 'getContextAttributes', 'isContextLost', 'reset', 'roundRect'];
+const fontKernings = ['auto', 'normal', 'none'];
+const fontStretches = ['ultra-condensed', 'extra-condensed', 'condensed', 'semi-condensed', 'normal', 'semi-expanded', 'expanded', 'extra-expanded', 'ultra-expanded'];
+const fontVariantCapsValues = ['normal', 'small-caps', 'all-small-caps', 'petite-caps', 'all-petite-caps', 'unicase', 'titling-caps'];
+const textRenderings = ['auto', 'optimizeSpeed', 'optimizeLegibility', 'geometricPrecision'];
 const compositeOperations = ['source-over', 'source-in', 'source-out', 'source-atop', 'destination-over', 'destination-in', 'destination-out', 'destination-atop', 'lighter', 'copy', 'xor', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'];
 
+/**
+ * The settings of a 2d context, which can be changed with the second argument of `getContext()`.
+ */
+const defaultAttributes = {
+  alpha: true,
+  colorSpace: 'srgb',
+  desynchronized: false,
+  willReadFrequently: false,
+};
+const colorSpaces = ['srgb', 'display-p3'];
+
 function getTransformSlice(ctx) {
   return ctx._transformStack[ctx._stackIndex].slice();
 }
 
+/**
+ * Copies the events of a Path2D with the current transform multiplied into their own, so that they
+ * describe the path where it is drawn on the canvas, like the events of the current path do.
+ */
+function getPath2DEvents(ctx, path) {
+  const transform = ctx._transformStack[ctx._stackIndex];
+  return path._path.map(event => createCanvasEvent(event.type, multiplyTransforms(transform, event.transform), event.props));
+}
+
+/**
+ * Collects the parts of the current drawing state the rasterizer needs to paint a draw call with
+ * the given fill or stroke style.
+ */
+function getPaint(ctx, style) {
+  return {
+    style,
+    globalAlpha: ctx._globalAlphaStack[ctx._stackIndex],
+    globalCompositeOperation: ctx._globalCompositeOperationStack[ctx._stackIndex],
+    transform: getTransformSlice(ctx),
+    clip: ctx._clipStack[ctx._stackIndex],
+  };
+}
+
+/**
+ * Freezes a drawing state and the arrays it contains, so that it can be returned as a snapshot.
+ */
+function freezeState(state) {
+  Object.freeze(state.clip);
+  Object.freeze(state.lineDash);
+  Object.freeze(state.transform);
+  return Object.freeze(state);
+}
+
+/**
+ * Creates a frozen snapshot of the drawing state saved at the given index of the state stack.
+ */
+function getState(ctx, index) {
+  return freezeState({
+    clip: ctx._clipStack[index].slice(),
+    direction: ctx._directionStack[index],
+    fillStyle: ctx._fillStyleStack[index],
+    filter: ctx._filterStack[index],
+    font: ctx._fontStack[index],
+    fontKerning: ctx._fontKerningStack[index],
+    fontStretch: ctx._fontStretchStack[index],
+    fontVariantCaps: ctx._fontVariantCapsStack[index],
+    globalAlpha: ctx._globalAlphaStack[index],
+    globalCompositeOperation: ctx._globalCompositeOperationStack[index],
+    imageSmoothingEnabled: ctx._imageSmoothingEnabledStack[index],
+    imageSmoothingQuality: ctx._imageSmoothingQualityStack[index],
+    letterSpacing: ctx._letterSpacingStack[index],
+    lineCap: ctx._lineCapStack[index],
+    lineDash: ctx._lineDashStack[index].slice(),
+    lineDashOffset: ctx._lineDashOffsetStack[index],
+    lineJoin: ctx._lineJoinStack[index],
+    lineWidth: ctx._lineWidthStack[index],
+    miterLimit: ctx._miterLimitStack[index],
+    shadowBlur: ctx._shadowBlurStack[index],
+    shadowColor: ctx._shadowColorStack[index],
+    shadowOffsetX: ctx._shadowOffsetXStack[index],
+    shadowOffsetY: ctx._shadowOffsetYStack[index],
+    strokeStyle: ctx._strokeStyleStack[index],
+    textAlign: ctx._textAlignStack[index],
+    textBaseline: ctx._textBaselineStack[index],
+    textRendering: ctx._textRenderingStack[index],
+    transform: ctx._transformStack[index].slice(),
+    wordSpacing: ctx._wordSpacingStack[index],
+  });
+}
+
+/**
+ * Validates an index into the event log of the context, where the length of the log is the index
+ * right after the last event.
+ */
+function getEventIndex(ctx, name, index) {
+  const result = Number(index);
+  if (!Number.isInteger(result) || result < 0 || result > ctx._events.length) {
+    throw new RangeError('Failed to execute \'' + name + '\' on \'' + ctx.constructor.name + '\': The index provided (' + index + ') is outside the range [0, ' + ctx._events.length + '].');
+  }
+  return result;
+}
+
+function getTextState(ctx) {
+  return {
+    font: ctx._fontStack[ctx._stackIndex],
+    textAlign: ctx._textAlignStack[ctx._stackIndex],
+    textBaseline: ctx._textBaselineStack[ctx._stackIndex],
+    direction: ctx._directionStack[ctx._stackIndex],
+    letterSpacing: ctx._letterSpacingStack[ctx._stackIndex],
+    wordSpacing: ctx._wordSpacingStack[ctx._stackIndex],
+    fontKerning: ctx._fontKerningStack[ctx._stackIndex],
+    fontStretch: ctx._fontStretchStack[ctx._stackIndex],
+    fontVariantCaps: ctx._fontVariantCapsStack[ctx._stackIndex],
+    textRendering: ctx._textRenderingStack[ctx._stackIndex],
+  };
+}
+
+function getFillPolygons(path) {
+  return flattenPath(path).map(subpath => subpath.points);
+}
+
+/**
+ * Returns the device space outline of the em box of a `fillText` or `strokeText` event. The bundled
+ * font tables are always used here, so the outline does not depend on the `textMetrics` option.
+ */
+function getTextPolygons(event, state, padding) {
+  const { text, x, y, maxWidth } = event.props;
+  const metrics = measureText(text, state);
+  const scale = maxWidth !== null && metrics.width > maxWidth ? Math.max(0, maxWidth) / metrics.width : 1;
+  if (metrics.width === 0 || scale === 0) return [];
+  const left = x - metrics.actualBoundingBoxLeft * scale - padding;
+  const right = x + metrics.actualBoundingBoxRight * scale + padding;
+  const top = y - metrics.fontBoundingBoxAscent - padding;
+  const bottom = y + metrics.fontBoundingBoxDescent + padding;
+  return [[[left, top], [right, top], [right, bottom], [left, bottom]].map(([px, py]) => applyTransform(event.transform, px, py))];
+}
+
+/**
+ * Returns the opacity of a fill or stroke style combined with the `globalAlpha`, or `null` when
+ * the composite operation changes the canvas even where nothing opaque is drawn.
+ */
+function getPaintAlpha(ctx, style) {
+  if (unboundedOperations.indexOf(ctx._globalCompositeOperationStack[ctx._stackIndex]) !== -1) return null;
+  let alpha = 1;
+  if (typeof style === 'string') alpha = toRGBA(style)[3];
+  else if (style instanceof CanvasGradient) alpha = style._colorStops.reduce((max, stop) => Math.max(max, toRGBA(stop.color)[3]), 0);
+  return alpha * ctx._globalAlphaStack[ctx._stackIndex];
+}
+
+/**
+ * Returns the blur and the offsets of the shadow of the current state, or `null` when shadows are
+ * not drawn, because the shadow color is transparent or the shadow has no blur and no offset.
+ */
+function getShadow(ctx) {
+  const blur = ctx._shadowBlurStack[ctx._stackIndex];
+  const offsetX = ctx._shadowOffsetXStack[ctx._stackIndex];
+  const offsetY = ctx._shadowOffsetYStack[ctx._stackIndex];
+  if (!(toRGBA(ctx._shadowColorStack[ctx._stackIndex])[3] > 0)) return null;
+  if (blur === 0 && offsetX === 0 && offsetY === 0) return null;
+  return { blur, offsetX, offsetY };
+}
+
+/**
+ * Adds the event to the draw calls with an analysis of whether it can change any pixel, see
+ * `analyzeDrawCall`. The state the analysis needs is read right away, but the outline of the
+ * drawing is only computed when the `bbox`, `isVisible` or `reason` property is read. These
+ * properties are not enumerable, so they do not show up in snapshots of the draw calls.
+ */
+function recordDrawCall(ctx, event, alpha, getPolygons) {
+  const input = {
+    transform: event.transform,
+    alpha,
+    // clearRect does not draw shadows
+    shadow: event.type === 'clearRect' ? null : getShadow(ctx),
+    clip: ctx._clipStack[ctx._stackIndex],
+    width: ctx._canvas.width,
+    height: ctx._canvas.height,
+  };
+  let analysis = null;
+  const analyze = () => {
+    if (!analysis) analysis = analyzeDrawCall(Object.assign({ polygons: getPolygons() }, input));
+    return analysis;
+  };
+  Object.defineProperties(event, {
+    bbox: { get: () => analyze().bbox },
+    isVisible: { get: () => analyze().isVisible },
+    reason: { get: () => analyze().reason },
+  });
+  ctx._drawCalls.push(event);
+}
+
+function getLineStyle(ctx) {
+  return {
+    lineWidth: ctx._lineWidthStack[ctx._stackIndex],
+    lineCap: ctx._lineCapStack[ctx._stackIndex],
+    lineJoin: ctx._lineJoinStack[ctx._stackIndex],
+    miterLimit: ctx._miterLimitStack[ctx._stackIndex],
+  };
+}
+
 export default class CanvasRenderingContext2D {
   /**
    * Every time a function call would result in a drawing operation, it should be added to this array.
    * This goes for only draw call functions.
    */
-  _drawCalls = [];
+  _drawCalls = createEventLog();
   __getDrawCalls() {
     return this._drawCalls.slice();
   }
 
+  /**
+   * Every draw call has a non-enumerable `bbox` with its device space bounding box, and an
+   * `isVisible` and `reason` telling whether it can change any pixel. This returns the draw calls
+   * that cannot, which usually point at a bug in the drawing code.
+   */
+  __getNoOpDrawCalls() {
+    return this._drawCalls.filter(event => !event.isVisible);
+  }
+
   /**
    * Every time a function call results in something that would have modified the state of the context,
    * an event is added to this array. This goes for every property set, and draw call.
    */
-  _events = [];
+  _events = createEventLog(events => {
+    this._eventsBase = deriveState(events, this._eventsBase);
+  });
+
+  /**
+   * The state stack and the path derived from the events that `maxEvents` or `resetAll()` dropped
+   * from the log, which `__getStateAt` continues from. It is `null` while no event was dropped.
+   */
+  _eventsBase = null;
   __getEvents() {
     return this._events.slice();
   }
@@ -60,14 +286,85 @@ export default class CanvasRenderingContext2D {
     return this._path.slice();
   }
 
+  /**
+   * Returns the `clip` events that make up the current clipping region, which is the intersection
+   * of their paths. Each event keeps the transform and the fill rule it was called with, and the
+   * array is empty when nothing is clipped.
+   */
+  __getClipPath() {
+    return this._clipStack[this._stackIndex].slice();
+  }
+
+  /**
+   * Returns a frozen snapshot of the current drawing state, which is every property that save()
+   * and restore() keep track of.
+   */
+  __getState() {
+    return getState(this, this._stackIndex);
+  }
+
+  /**
+   * Returns the snapshots of every drawing state on the stack, starting with the bottom state and
+   * ending with the current one.
+   */
+  __getStateStack() {
+    const states = [];
+    for (let index = 0; index <= this._stackIndex; index++) states.push(getState(this, index));
+    return Object.freeze(states);
+  }
+
+  /**
+   * Re-derives the drawing state and the current path as they were when the event at `index` of
+   * `__getEvents()` was called, from the events before it and the events dropped from the log.
+   */
+  __getStateAt(index) {
+    const end = getEventIndex(this, '__getStateAt', index);
+    const { path, state } = deriveState(this._events.slice(0, end), this._eventsBase);
+    return Object.freeze({
+      path: Object.freeze(path),
+      state: freezeState(state),
+    });
+  }
+
+  /**
+   * Draws the events from `fromIndex` up to, but not including, `toIndex` again on another 2d
+   * context, which can be a mocked context or a real one.
+   */
+  __replay(fromIndex = 0, toIndex = this._events.length, target) {
+    const start = getEventIndex(this, '__replay', fromIndex);
+    const end = getEventIndex(this, '__replay', toIndex);
+    if (start > end) throw new RangeError('Failed to execute \'__replay\' on \'' + this.constructor.name + '\': The start index (' + start + ') is greater than the end index (' + end + ').');
+    if (target === null || typeof target !== 'object') throw new TypeError('Failed to execute \'__replay\' on \'' + this.constructor.name + '\': parameter 3 is not an object.');
+    replayEvents(this._events.slice(start, end), target);
+    return target;
+  }
+
+  /**
+   * When rasterization is enabled, every draw call is also painted into an RGBA backing buffer for
+   * the canvas, which is what `getImageData` returns.
+   */
+  _rasterizer = null;
+  __enableRasterization() {
+    if (!this._rasterizer) this._rasterizer = new Rasterizer(this._canvas);
+  }
+
+  /**
+   * Every clip() call in effect for a drawing state, in order. A new array is stored when a clip
+   * is added, so the array shared with the saved state is never changed.
+   */
+  _clipStack = [[]];
   _directionStack = ['inherit'];
   _fillStyleStack = ['#000'];
   _filterStack = ['none'];
   _fontStack = ['10px sans-serif'];
+  _fontKerningStack = ['auto'];
+  _fontStretchStack = ['normal'];
+  _fontVariantCapsStack = ['normal'];
   _globalAlphaStack = [1.0];
   _globalCompositeOperationStack = ['source-over'];
   _imageSmoothingEnabledStack = [true];
   _imageSmoothingQualityStack = ['low'];
+  _letterSpacingStack = ['0px'];
   _lineCapStack = ['butt'];
   _lineDashOffsetStack = [0];
   _lineDashStack = [[]];
@@ -82,13 +379,35 @@ export default class CanvasRenderingContext2D {
   _strokeStyleStack = ['#000'];
   _textAlignStack = ['start'];
   _textBaselineStack = ['alphabetic'];
+  _textRenderingStack = ['auto'];
   _transformStack = [[1, 0, 0, 1, 0, 0]];
+  _wordSpacingStack = ['0px'];
 
-  constructor(canvas) {
+  /**
+   * A 2d context is never lost by the mock, but tests can set this to true to simulate it.
+   */
+  _contextLost = false;
+
+  /**
+   * The number of `restore()` calls made without a matching `save()`. They do nothing, so they are
+   * not recorded as events, but `toHaveBalancedSaveRestore` reports them.
+   */
+  _unmatchedRestoreCount = 0;
+
+  constructor(canvas, attributes) {
     testFuncs.forEach(key => {
-      this[key] = jest.fn(CanvasRenderingContext2D.prototype[key].bind(this));
+      this[key] = createMockFunction(CanvasRenderingContext2D.prototype[key].bind(this));
     });
     this._canvas = canvas;
+    this._attributes = Object.assign({}, defaultAttributes);
+    if (attributes !== null && typeof attributes === 'object') {
+      Object.keys(defaultAttributes).forEach(key => {
+        if (attributes[key] === void 0) return;
+        this._attributes[key] = key === 'colorSpace' ? String(attributes[key]) : Boolean(attributes[key]);
+      });
+      if (colorSpaces.indexOf(this._attributes.colorSpace) === -1) throw new TypeError('Failed to execute \'getContext\' on \'' + (canvas ? canvas.constructor.name : 'HTMLCanvasElement') + '\': The provided value \'' + this._attributes.colorSpace + '\' is not a valid enum value of type PredefinedColorSpace.');
+    }
+    if (getConfig().rasterize) this.__enableRasterization();
   }
 
   addHitRegion(options = {}) {
@@ -222,7 +541,8 @@ export default class CanvasRenderingContext2D {
     );
 
     this._events.push(event);
-    this._drawCalls.push(event);
+    recordDrawCall(this, event, null, () => getFillPolygons([createCanvasEvent('rect', event.transform, event.props)]));
+    if (this._rasterizer) this._rasterizer.clear([createCanvasEvent('rect', event.transform, event.props)], this._clipStack[this._stackIndex]);
   }
 
   clip(path, fillRule) {
@@ -234,7 +554,7 @@ export default class CanvasRenderingContext2D {
       if (path instanceof Path2D) {
         fillRule = String(fillRule);
         if (fillRule !== 'nonzero' && fillRule !== 'evenodd') throw new TypeError('Failed to execute \'clip\' on \'' + this.constructor.name + '\': The provided value \'' + fillRule + '\' is not a valid enum value of type CanvasFillRule.');
-        path = path._path.slice();
+        path = getPath2DEvents(this, path);
       } else {
         fillRule = String(path);
         if (fillRule !== 'nonzero' && fillRule !== 'evenodd') throw new TypeError('Failed to execute \'clip\' on \'' + this.constructor.name + '\': The provided value \'' + fillRule + '\' is not a valid enum value of type CanvasFillRule.');
@@ -248,6 +568,7 @@ export default class CanvasRenderingContext2D {
       { path, fillRule },
     );
 
+    this._clipStack[this._stackIndex] = this._clipStack[this._stackIndex].concat([event]);
     this._path.push(event);
     this._events.push(event);
   }
@@ -263,6 +584,25 @@ export default class CanvasRenderingContext2D {
     this._path.push(event);
   }
 
+  createConicGradient(startAngle, x, y) {
+    if (arguments.length < 3) throw new TypeError('Failed to execute \'createConicGradient\' on \'' + this.constructor.name + '\': 3 arguments required, but only ' + arguments.length + ' present.');
+    const startAngleResult = Number(startAngle);
+    const xResult = Number(x);
+    const yResult = Number(y);
+
+    if (!Number.isFinite(startAngleResult + xResult + yResult)) throw new TypeError('Failed to execute \'createConicGradient\' on \'' + this.constructor.name + '\': The provided double value is non-finite.');
+
+    const event = createCanvasEvent(
+      'createConicGradient',
+      getTransformSlice(this),
+      { startAngle: startAngleResult, x: xResult, y: yResult },
+    );
+
+    this._events.push(event);
+
+    return new CanvasGradient('conic', event.props);
+  }
+
   createImageData(width, height) {
     if (arguments.length < 1) throw new TypeError('Failed to execute \'createImageData\' on \'' + this.constructor.name + '\': 1 argument required, but only 0 present.');
     else if (arguments.length === 1) {
@@ -308,7 +648,7 @@ export default class CanvasRenderingContext2D {
 
     this._events.push(event);
 
-    return new CanvasGradient();
+    return new CanvasGradient('linear', event.props);
   }
 
   createPattern(image, type) {
@@ -325,19 +665,23 @@ export default class CanvasRenderingContext2D {
       if (image instanceof ImageBitmap) {
         if (image._closed) throw new DOMException('InvalidStateError', 'Failed to execute \'createPattern\' on \'CanvasRenderingContext2D\': The image source is detached.');
         this._events.push(event);
-        return new CanvasPattern();
+        return new CanvasPattern(image, type);
       }
       if (image instanceof HTMLImageElement) {
         this._events.push(event);
-        return new CanvasPattern();
+        return new CanvasPattern(image, type);
       }
       if (image instanceof HTMLVideoElement) {
         this._events.push(event);
-        return new CanvasPattern();
+        return new CanvasPattern(image, type);
       }
       if (image instanceof HTMLCanvasElement) {
         this._events.push(event);
-        return new CanvasPattern();
+        return new CanvasPattern(image, type);
+      }
+      if (image instanceof OffscreenCanvas) {
+        this._events.push(event);
+        return new CanvasPattern(image, type);
       }
     } else {
       throw new TypeError('Failed to execute \'createPattern\' on \'' + this.constructor.name + '\': The provided type (\'' + type + '\') is not one of \'repeat\', \'no-repeat\', \'repeat-x\', or \'repeat-y\'.');
@@ -370,11 +714,11 @@ export default class CanvasRenderingContext2D {
         r1: r1Result, },
     );
     this._events.push(event);
-    return new CanvasGradient();
+    return new CanvasGradient('radial', event.props);
   }
 
   set currentTransform(value) {
-    if (value instanceof DOMMatrix) {
+    if (value instanceof DOMMatrixReadOnly) {
       this._transformStack[this._stackIndex][0] = value.a;
       this._transformStack[this._stackIndex][1] = value.b;
       this._transformStack[this._stackIndex][2] = value.c;
@@ -445,6 +789,7 @@ export default class CanvasRenderingContext2D {
     }
     if (img instanceof HTMLVideoElement) valid = true;
     if (img instanceof HTMLCanvasElement) valid = true;
+    if (img instanceof OffscreenCanvas) valid = true;
     if (!valid) throw new TypeError('Failed to execute \'drawImage\' on \'' + this.constructor.name + '\': The provided value is not of type \'(CSSImageValue or HTMLImageElement or SVGImageElement or HTMLVideoElement or HTMLCanvasElement or ImageBitmap or OffscreenCanvas)\'');
 
     const sxResult = Number(sx);
@@ -502,7 +847,14 @@ export default class CanvasRenderingContext2D {
         dHeight, },
     );
     this._events.push(event);
-    this._drawCalls.push(event);
+    recordDrawCall(this, event, getPaintAlpha(this, null), () => getFillPolygons([
+      createCanvasEvent('rect', event.transform, { x: event.props.dx, y: event.props.dy, width: event.props.dWidth, height: event.props.dHeight }),
+    ]));
+
+    if (this._rasterizer) {
+      const source = Rasterizer.getImageSource(img);
+      if (source) this._rasterizer.drawImage(source, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight, getPaint(this, null));
+    }
   }
 
   ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, anticlockwise = false) {
@@ -546,7 +898,7 @@ export default class CanvasRenderingContext2D {
       if (path instanceof Path2D) {
         fillRule = String(fillRule);
         if (fillRule !== 'nonzero' && fillRule !== 'evenodd') throw new TypeError('Failed to execute \'clip\' on \'' + this.constructor.name + '\': The provided value \'' + fillRule + '\' is not a valid enum value of type CanvasFillRule.');
-        path = path._path.slice();
+        path = getPath2DEvents(this, path);
       } else {
         fillRule = String(path);
         if (fillRule !== 'nonzero' && fillRule !== 'evenodd') throw new TypeError('Failed to execute \'clip\' on \'' + this.constructor.name + '\': The provided value \'' + fillRule + '\' is not a valid enum value of type CanvasFillRule.');
@@ -561,7 +913,8 @@ export default class CanvasRenderingContext2D {
     );
 
     this._events.push(event);
-    this._drawCalls.push(event);
+    recordDrawCall(this, event, getPaintAlpha(this, this._fillStyleStack[this._stackIndex]), () => getFillPolygons(path));
+    if (this._rasterizer) this._rasterizer.fill(path, fillRule, getPaint(this, this._fillStyleStack[this._stackIndex]));
   }
 
   fillRect(x, y, width, height) {
@@ -584,7 +937,11 @@ export default class CanvasRenderingContext2D {
     );
 
     this._events.push(event);
-    this._drawCalls.push(event);
+    recordDrawCall(this, event, getPaintAlpha(this, this._fillStyleStack[this._stackIndex]), () => getFillPolygons([createCanvasEvent('rect', event.transform, event.props)]));
+    if (this._rasterizer) {
+      const path = [createCanvasEvent('rect', event.transform, event.props)];
+      this._rasterizer.fill(path, 'nonzero', getPaint(this, this._fillStyleStack[this._stackIndex]));
+    }
   }
 
   set fillStyle(value) {
@@ -632,7 +989,8 @@ export default class CanvasRenderingContext2D {
         maxWidth: arguments.length === 3 ? null : maxWidthResult, },
     );
     this._events.push(event);
-    this._drawCalls.push(event);
+    const textState = getTextState(this);
+    recordDrawCall(this, event, getPaintAlpha(this, this._fillStyleStack[this._stackIndex]), () => getTextPolygons(event, textState, 0));
   }
 
   set filter(value) {
@@ -669,8 +1027,89 @@ export default class CanvasRenderingContext2D {
     return this._fontStack[this._stackIndex];
   }
 
-  getImageData() {
-    return new ImageData(this._canvas.width, this._canvas.height);
+  set fontKerning(value) {
+    if (fontKernings.indexOf(value) !== -1) {
+      this._fontKerningStack[this._stackIndex] = value;
+      const event = createCanvasEvent(
+        'fontKerning',
+        getTransformSlice(this),
+        { value },
+      );
+      this._events.push(event);
+    }
+  }
+
+  get fontKerning() {
+    return this._fontKerningStack[this._stackIndex];
+  }
+
+  set fontStretch(value) {
+    if (fontStretches.indexOf(value) !== -1) {
+      this._fontStretchStack[this._stackIndex] = value;
+      const event = createCanvasEvent(
+        'fontStretch',
+        getTransformSlice(this),
+        { value },
+      );
+      this._events.push(event);
+    }
+  }
+
+  get fontStretch() {
+    return this._fontStretchStack[this._stackIndex];
+  }
+
+  set fontVariantCaps(value) {
+    if (fontVariantCapsValues.indexOf(value) !== -1) {
+      this._fontVariantCapsStack[this._stackIndex] = value;
+      const event = createCanvasEvent(
+        'fontVariantCaps',
+        getTransformSlice(this),
+        { value },
+      );
+      this._events.push(event);
+    }
+  }
+
+  get fontVariantCaps() {
+    return this._fontVariantCapsStack[this._stackIndex];
+  }
+
+  getContextAttributes() {
+    return Object.assign({}, this._attributes);
+  }
+
+  getImageData(sx, sy, sw, sh) {
+    if (arguments.length === 0) {
+      sx = 0;
+      sy = 0;
+      sw = this._canvas.width;
+      sh = this._canvas.height;
+    } else {
+      if (arguments.length < 4) throw new TypeError('Failed to execute \'getImageData\' on \'' + this.constructor.name + '\': 4 arguments required, but only ' + arguments.length + ' present.');
+      sx = Number(sx);
+      sy = Number(sy);
+      sw = Number(sw);
+      sh = Number(sh);
+      if (!Number.isFinite(sx + sy + sw + sh)) throw new TypeError('Failed to execute \'getImageData\' on \'' + this.constructor.name + '\': The provided double value is non-finite.');
+      if (sw === 0) throw new DOMException('IndexSizeError', 'Failed to execute \'getImageData\' on \'' + this.constructor.name + '\': The source width is 0.');
+      if (sh === 0) throw new DOMException('IndexSizeError', 'Failed to execute \'getImageData\' on \'' + this.constructor.name + '\': The source height is 0.');
+      if (sw < 0) {
+        sx += sw;
+        sw = -sw;
+      }
+      if (sh < 0) {
+        sy += sh;
+        sh = -sh;
+      }
+      sx = Math.floor(sx);
+      sy = Math.floor(sy);
+      sw = Math.ceil(sw);
+      sh = Math.ceil(sh);
+    }
+
+    if (this._rasterizer) return this._rasterizer.getImageData(sx, sy, sw, sh);
+    return new ImageData(sw, sh);
   }
 
   getLineDash() {
@@ -745,6 +1184,10 @@ export default class CanvasRenderingContext2D {
     return this._imageSmoothingQualityStack[this._stackIndex];
   }
 
+  isContextLost() {
+    return this._contextLost;
+  }
+
   isPointInPath(path, x, y, fillRule = 'nonzero') {
     if (arguments.length < 2) throw new TypeError('Failed to execute \'isPointInPath\' on \'' + this.constructor.name + '\': 2 arguments required, but only ' + arguments.length + ' present.');
     if (!(path instanceof Path2D)) {
@@ -762,10 +1205,14 @@ export default class CanvasRenderingContext2D {
       { x: Number(x),
         y: Number(y),
         fillRule,
-        path: path instanceof Path2D ? path._path.slice() : this._path.slice(), },
+        path: path instanceof Path2D ? getPath2DEvents(this, path) : this._path.slice(), },
     );
     this._events.push(event);
-    return false; // return false in a mocking environment, unless I can verify a point is actually within the path
+
+    // the point is in canvas coordinates, which are the same as the device space path points
+    if (!Number.isFinite(event.props.x + event.props.y)) return false;
+    const polygons = flattenPath(event.props.path).map(subpath => subpath.points);
+    return isPointInPolygons(polygons, event.props.x, event.props.y, fillRule);
   }
 
   isPointInStroke(path, x, y) {
@@ -779,10 +1226,31 @@ export default class CanvasRenderingContext2D {
       getTransformSlice(this),
       { x: Number(x),
         y: Number(y),
-        path: path instanceof Path2D ? path._path.slice() : this._path.slice(), },
+        path: path instanceof Path2D ? getPath2DEvents(this, path) : this._path.slice(), },
     );
     this._events.push(event);
-    return false; // return false in a mocking environment, unless I can verify a point is actually within the path
+
+    // the line width is scaled by the current transform, just like when the path is stroked
+    if (!Number.isFinite(event.props.x + event.props.y)) return false;
+    return strokePath(flattenPath(event.props.path), event.transform, getLineStyle(this))
+      .some(polygon => isPointInPolygons([polygon], event.props.x, event.props.y));
+  }
+
+  set letterSpacing(value) {
+    const length = parseLength(value);
+    if (length) {
+      value = this._letterSpacingStack[this._stackIndex] = length.value + length.unit;
+      const event = createCanvasEvent(
+        'letterSpacing',
+        getTransformSlice(this),
+        { value },
+      );
+      this._events.push(event);
+    }
+  }
+
+  get letterSpacing() {
+    return this._letterSpacingStack[this._stackIndex];
   }
 
   set lineCap(value) {
@@ -878,7 +1346,10 @@ export default class CanvasRenderingContext2D {
       { text },
     );
     this._events.push(event);
-    return new TextMetrics(text);
+    const { textMetrics } = getConfig();
+    if (textMetrics === 'length') return new TextMetrics(text);
+    const measure = textMetrics === 'font' ? measureText : textMetrics;
+    return Object.assign(new TextMetrics(text), measure(text, getTextState(this)));
   }
 
   set miterLimit(value) {
@@ -887,7 +1358,7 @@ export default class CanvasRenderingContext2D {
     if (Number.isFinite(result) && result > 0) {
       this._miterLimitStack[this._stackIndex] = result;
       const event = createCanvasEvent(
-        'lineWidth',
+        'miterLimit',
         getTransformSlice(this),
         { value: result, },
       );
@@ -944,6 +1415,11 @@ export default class CanvasRenderingContext2D {
         dirtyHeight: dirtyHeightResult, },
     );
     this._events.push(event);
+
+    if (this._rasterizer) {
+      if (arguments.length === 3) this._rasterizer.putImageData(data, Math.trunc(xResult), Math.trunc(yResult), 0, 0, data.width, data.height);
+      else this._rasterizer.putImageData(data, Math.trunc(xResult), Math.trunc(yResult), Math.trunc(dirtyXResult), Math.trunc(dirtyYResult), Math.trunc(dirtyWidthResult), Math.trunc(dirtyHeightResult));
+    }
   }
 
   quadraticCurveTo(cpx, cpy, x, y) {
@@ -963,6 +1439,7 @@ export default class CanvasRenderingContext2D {
         x: xResult,
         y: yResult, },
     );
+    this._path.push(event);
     this._events.push(event);
   }
 
@@ -998,6 +1475,52 @@ export default class CanvasRenderingContext2D {
     this._events.push(event);
   }
 
+  /**
+   * Restores the default drawing state, clears the state stack, the current path and the pixels of
+   * the canvas, like resizing the canvas does. The events recorded so far are kept.
+   */
+  reset() {
+    this._clipStack = [[]];
+    this._directionStack = ['inherit'];
+    this._fillStyleStack = ['#000'];
+    this._filterStack = ['none'];
+    this._fontStack = ['10px sans-serif'];
+    this._fontKerningStack = ['auto'];
+    this._fontStretchStack = ['normal'];
+    this._fontVariantCapsStack = ['normal'];
+    this._globalAlphaStack = [1.0];
+    this._globalCompositeOperationStack = ['source-over'];
+    this._imageSmoothingEnabledStack = [true];
+    this._imageSmoothingQualityStack = ['low'];
+    this._letterSpacingStack = ['0px'];
+    this._lineCapStack = ['butt'];
+    this._lineDashOffsetStack = [0];
+    this._lineDashStack = [[]];
+    this._lineJoinStack = ['miter'];
+    this._lineWidthStack = [1];
+    this._miterLimitStack = [10];
+    this._shadowBlurStack = [0];
+    this._shadowColorStack = ['rgba(0, 0, 0, 0)'];
+    this._shadowOffsetXStack = [0];
+    this._shadowOffsetYStack = [0];
+    this._stackIndex = 0;
+    this._strokeStyleStack = ['#000'];
+    this._textAlignStack = ['start'];
+    this._textBaselineStack = ['alphabetic'];
+    this._textRenderingStack = ['auto'];
+    this._transformStack = [[1, 0, 0, 1, 0, 0]];
+    this._wordSpacingStack = ['0px'];
+    this._path = [createCanvasEvent('beginPath', [1, 0, 0, 1, 0, 0], {})];
+    if (this._rasterizer) this._rasterizer.data.fill(0);
+
+    const event = createCanvasEvent(
+      'reset',
+      getTransformSlice(this),
+      { },
+    );
+    this._events.push(event);
+  }
+
   resetTransform() {
     this._transformStack[this._stackIndex][0] = 1;
     this._transformStack[this._stackIndex][1] = 0;
@@ -1020,17 +1543,25 @@ export default class CanvasRenderingContext2D {
   }
 
   restore() {
-    if (this._stackIndex <= 0) return;
+    if (this._stackIndex <= 0) {
+      this._unmatchedRestoreCount += 1;
+      return;
+    }
 
     this._transformStack.pop();
+    this._clipStack.pop();
     this._directionStack.pop();
     this._fillStyleStack.pop();
     this._filterStack.pop();
     this._fontStack.pop();
+    this._fontKerningStack.pop();
+    this._fontStretchStack.pop();
+    this._fontVariantCapsStack.pop();
     this._globalAlphaStack.pop();
     this._globalCompositeOperationStack.pop();
     this._imageSmoothingEnabledStack.pop();
     this._imageSmoothingQualityStack.pop();
+    this._letterSpacingStack.pop();
     this._lineCapStack.pop();
     this._lineDashStack.pop();
     this._lineDashOffsetStack.pop();
@@ -1044,6 +1575,8 @@ export default class CanvasRenderingContext2D {
     this._strokeStyleStack.pop();
     this._textAlignStack.pop();
     this._textBaselineStack.pop();
+    this._textRenderingStack.pop();
+    this._wordSpacingStack.pop();
     this._stackIndex -= 1;
 
     const event = createCanvasEvent(
@@ -1077,21 +1610,76 @@ export default class CanvasRenderingContext2D {
     this._events.push(event);
   }
 
+  roundRect(x, y, width, height, radii = 0) {
+    if (arguments.length < 4) throw new TypeError('Failed to execute \'roundRect\' on \'' + this.constructor.name + '\': 4 arguments required, but only ' + arguments.length + ' present.');
+    const xResult = Number(x);
+    const yResult = Number(y);
+    const widthResult = Number(width);
+    const heightResult = Number(height);
+    if (!Number.isFinite(xResult + yResult + widthResult + heightResult)) return;
+
+    // a single radius is the same as a list with one radius
+    const list = radii !== null && typeof radii === 'object' && typeof radii[Symbol.iterator] === 'function'
+      ? Array.from(radii)
+      : [radii];
+    if (list.length < 1 || list.length > 4) throw new RangeError('Failed to execute \'roundRect\' on \'' + this.constructor.name + '\': ' + list.length + ' radii provided. Between one and four radii are necessary.');
+
+    /**
+     * Every radius is either a number, or a DOMPointInit with a horizontal and a vertical radius.
+     * Like in the browser, a non-finite radius makes the call do nothing.
+     */
+    const radiiResult = [];
+    for (let i = 0; i < list.length; i++) {
+      const radius = list[i];
+      if (radius !== null && typeof radius === 'object') {
+        const radiusX = Number(radius.x === void 0 ? 0 : radius.x);
+        const radiusY = Number(radius.y === void 0 ? 0 : radius.y);
+        if (!Number.isFinite(radiusX + radiusY)) return;
+        if (radiusX < 0) throw new RangeError('Failed to execute \'roundRect\' on \'' + this.constructor.name + '\': X-radius value ' + radiusX + ' is negative.');
+        if (radiusY < 0) throw new RangeError('Failed to execute \'roundRect\' on \'' + this.constructor.name + '\': Y-radius value ' + radiusY + ' is negative.');
+        radiiResult.push({ x: radiusX, y: radiusY });
+      } else {
+        const radiusResult = Number(radius);
+        if (!Number.isFinite(radiusResult)) return;
+        if (radiusResult < 0) throw new RangeError('Failed to execute \'roundRect\' on \'' + this.constructor.name + '\': Radius value ' + radiusResult + ' is negative.');
+        radiiResult.push(radiusResult);
+      }
+    }
+
+    const event = createCanvasEvent(
+      'roundRect',
+      getTransformSlice(this),
+      { x: xResult,
+        y: yResult,
+        width: widthResult,
+        height: heightResult,
+        radii: radiiResult, },
+    );
+
+    this._events.push(event);
+    this._path.push(event);
+  }
+
   save() {
-    this._transformStack.push(this._transformStack[this._stackIndex]);
+    this._transformStack.push(this._transformStack[this._stackIndex].slice());
+    this._clipStack.push(this._clipStack[this._stackIndex]);
     this._directionStack.push(this._directionStack[this._stackIndex]);
     this._fillStyleStack.push(this._fillStyleStack[this._stackIndex]);
     this._filterStack.push(this._filterStack[this._stackIndex]);
     this._fontStack.push(this._fontStack[this._stackIndex]);
+    this._fontKerningStack.push(this._fontKerningStack[this._stackIndex]);
+    this._fontStretchStack.push(this._fontStretchStack[this._stackIndex]);
+    this._fontVariantCapsStack.push(this._fontVariantCapsStack[this._stackIndex]);
     this._globalAlphaStack.push(this._globalAlphaStack[this._stackIndex]);
     this._globalCompositeOperationStack.push(this._globalCompositeOperationStack[this._stackIndex]);
     this._imageSmoothingEnabledStack.push(this._imageSmoothingEnabledStack[this._stackIndex]);
     this._imageSmoothingQualityStack.push(this._imageSmoothingQualityStack[this._stackIndex]);
+    this._letterSpacingStack.push(this._letterSpacingStack[this._stackIndex]);
     this._lineCapStack.push(this._lineCapStack[this._stackIndex]);
     this._lineDashStack.push(this._lineDashStack[this._stackIndex]);
     this._lineDashOffsetStack.push(this._lineDashOffsetStack[this._stackIndex]);
     this._lineJoinStack.push(this._lineJoinStack[this._stackIndex]);
-    this._lineWidthStack.push(this._lineWidthStack[this.stackIndex]);
+    this._lineWidthStack.push(this._lineWidthStack[this._stackIndex]);
     this._miterLimitStack.push(this._miterLimitStack[this._stackIndex]);
     this._shadowBlurStack.push(this._shadowBlurStack[this._stackIndex]);
     this._shadowColorStack.push(this._shadowColorStack[this._stackIndex]);
@@ -1100,6 +1688,8 @@ export default class CanvasRenderingContext2D {
     this._strokeStyleStack.push(this._strokeStyleStack[this._stackIndex]);
     this._textAlignStack.push(this._textAlignStack[this._stackIndex]);
     this._textBaselineStack.push(this._textBaselineStack[this._stackIndex]);
+    this._textRenderingStack.push(this._textRenderingStack[this._stackIndex]);
+    this._wordSpacingStack.push(this._wordSpacingStack[this._stackIndex]);
     this._stackIndex += 1;
 
     const event = createCanvasEvent(
@@ -1177,7 +1767,7 @@ export default class CanvasRenderingContext2D {
       e = 0;
       f = 0;
     } else if (arguments.length === 1) {
-      if (a instanceof DOMMatrix) {
+      if (a instanceof DOMMatrixReadOnly) {
         let transform = a;
         a = transform.a;
         b = transform.b;
@@ -1273,7 +1863,7 @@ export default class CanvasRenderingContext2D {
     const result = Number(value);
 
     if (Number.isFinite(result)) {
-      this._shadowOffsetXStack[this._stackIndex] = result;
+      this._shadowOffsetYStack[this._stackIndex] = result;
       const event = createCanvasEvent(
         'shadowOffsetY',
         getTransformSlice(this),
@@ -1284,7 +1874,7 @@ export default class CanvasRenderingContext2D {
   }
 
   get shadowOffsetY() {
-    return this._shadowOffsetXStack[this._stackIndex];
+    return this._shadowOffsetYStack[this._stackIndex];
   }
 
   stroke(path) {
@@ -1292,7 +1882,7 @@ export default class CanvasRenderingContext2D {
       path = this._path.slice();
     } else {
       if (!(path instanceof Path2D)) throw new TypeError('Failed to execute \'stroke\' on \'' + this.constructor.name + '\': parameter 1 is not of type \'Path2D\'.');
-      path = path._path.slice();
+      path = getPath2DEvents(this, path);
     }
 
     const event = createCanvasEvent(
@@ -1301,7 +1891,9 @@ export default class CanvasRenderingContext2D {
       { path },
     );
     this._events.push(event);
-    this._drawCalls.push(event);
+    const lineStyle = getLineStyle(this);
+    recordDrawCall(this, event, getPaintAlpha(this, this._strokeStyleStack[this._stackIndex]), () => strokePath(flattenPath(path), event.transform, lineStyle));
+    if (this._rasterizer) this._rasterizer.stroke(path, getPaint(this, this._strokeStyleStack[this._stackIndex]), getLineStyle(this));
   }
 
   strokeRect(x, y, width, height) {
@@ -1318,7 +1910,16 @@ export default class CanvasRenderingContext2D {
       { x, y, width, height },
     );
     this._events.push(event);
-    this._drawCalls.push(event);
+    const lineStyle = getLineStyle(this);
+    recordDrawCall(this, event, getPaintAlpha(this, this._strokeStyleStack[this._stackIndex]), () => strokePath(
+      flattenPath([createCanvasEvent('rect', event.transform, event.props)]),
+      event.transform,
+      lineStyle,
+    ));
+    if (this._rasterizer) {
+      const path = [createCanvasEvent('rect', event.transform, event.props)];
+      this._rasterizer.stroke(path, getPaint(this, this._strokeStyleStack[this._stackIndex]), getLineStyle(this));
+    }
   }
 
   set strokeStyle(value) {
@@ -1366,7 +1967,9 @@ export default class CanvasRenderingContext2D {
         maxWidth: arguments.length === 3 ? null : maxWidthResult, },
     );
     this._events.push(event);
-    this._drawCalls.push(event);
+    const textState = getTextState(this);
+    const lineWidth = this._lineWidthStack[this._stackIndex];
+    recordDrawCall(this, event, getPaintAlpha(this, this._strokeStyleStack[this._stackIndex]), () => getTextPolygons(event, textState, lineWidth / 2));
   }
 
   set textAlign(value) {
@@ -1401,6 +2004,22 @@ export default class CanvasRenderingContext2D {
     return this._textBaselineStack[this._stackIndex];
   }
 
+  set textRendering(value) {
+    if (textRenderings.indexOf(value) !== -1) {
+      this._textRenderingStack[this._stackIndex] = value;
+      const event = createCanvasEvent(
+        'textRendering',
+        getTransformSlice(this),
+        { value },
+      );
+      this._events.push(event);
+    }
+  }
+
+  get textRendering() {
+    return this._textRenderingStack[this._stackIndex];
+  }
+
   transform(a, b, c, d, e, f) {
     if (arguments.length < 6) throw new TypeError('Failed to execute \'transform\' on \'' + this.constructor.name + '\': 6 arguments required, but only ' + arguments.length + ' present.');
 
@@ -1455,4 +2074,21 @@ export default class CanvasRenderingContext2D {
       this._events.push(event);
     }
   }
+
+  set wordSpacing(value) {
+    const length = parseLength(value);
+    if (length) {
+      value = this._wordSpacingStack[this._stackIndex] = length.value + length.unit;
+      const event = createCanvasEvent(
+        'wordSpacing',
+        getTransformSlice(this),
+        { value },
+      );
+      this._events.push(event);
+    }
+  }
+
+  get wordSpacing() {
+    return this._wordSpacingStack[this._stackIndex];
+  }
 }
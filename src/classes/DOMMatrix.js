@@ -1,138 +1,596 @@
-export default class DOMMatrix {
+import DOMPoint from './DOMPoint';
+
+const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+/**
+ * The sixteen matrix values are stored in column-major order, which is also the order of the
+ * `m11` through `m44` attributes. The six 2d attributes `a` through `f` map onto them.
+ */
+const elementNames = ['m11', 'm12', 'm13', 'm14', 'm21', 'm22', 'm23', 'm24', 'm31', 'm32', 'm33', 'm34', 'm41', 'm42', 'm43', 'm44'];
+const aliases = { a: 0, b: 1, c: 4, d: 5, e: 12, f: 13 };
+
+/**
+ * Setting any of these elements to something other than its identity value makes the matrix 3d.
+ */
+const elements3d = [2, 3, 6, 7, 8, 9, 10, 11, 14, 15];
+
+const lengthUnits = { px: 1, in: 96, cm: 96 / 2.54, mm: 96 / 25.4, pt: 96 / 72, pc: 16 };
+const angleUnits = { deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360 };
+
+function multiply(left, right) {
+  const result = new Array(16);
+  for (let column = 0; column < 4; column++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += left[k * 4 + row] * right[column * 4 + k];
+      result[column * 4 + row] = sum;
+    }
+  }
+  return result;
+}
+
+function invert(m) {
+  const inv = [
+    m[5] * m[10] * m[15] - m[5] * m[11] * m[14] - m[9] * m[6] * m[15] + m[9] * m[7] * m[14] + m[13] * m[6] * m[11] - m[13] * m[7] * m[10],
+    -m[1] * m[10] * m[15] + m[1] * m[11] * m[14] + m[9] * m[2] * m[15] - m[9] * m[3] * m[14] - m[13] * m[2] * m[11] + m[13] * m[3] * m[10],
+    m[1] * m[6] * m[15] - m[1] * m[7] * m[14] - m[5] * m[2] * m[15] + m[5] * m[3] * m[14] + m[13] * m[2] * m[7] - m[13] * m[3] * m[6],
+    -m[1] * m[6] * m[11] + m[1] * m[7] * m[10] + m[5] * m[2] * m[11] - m[5] * m[3] * m[10] - m[9] * m[2] * m[7] + m[9] * m[3] * m[6],
+    -m[4] * m[10] * m[15] + m[4] * m[11] * m[14] + m[8] * m[6] * m[15] - m[8] * m[7] * m[14] - m[12] * m[6] * m[11] + m[12] * m[7] * m[10],
+    m[0] * m[10] * m[15] - m[0] * m[11] * m[14] - m[8] * m[2] * m[15] + m[8] * m[3] * m[14] + m[12] * m[2] * m[11] - m[12] * m[3] * m[10],
+    -m[0] * m[6] * m[15] + m[0] * m[7] * m[14] + m[4] * m[2] * m[15] - m[4] * m[3] * m[14] - m[12] * m[2] * m[7] + m[12] * m[3] * m[6],
+    m[0] * m[6] * m[11] - m[0] * m[7] * m[10] - m[4] * m[2] * m[11] + m[4] * m[3] * m[10] + m[8] * m[2] * m[7] - m[8] * m[3] * m[6],
+    m[4] * m[9] * m[15] - m[4] * m[11] * m[13] - m[8] * m[5] * m[15] + m[8] * m[7] * m[13] + m[12] * m[5] * m[11] - m[12] * m[7] * m[9],
+    -m[0] * m[9] * m[15] + m[0] * m[11] * m[13] + m[8] * m[1] * m[15] - m[8] * m[3] * m[13] - m[12] * m[1] * m[11] + m[12] * m[3] * m[9],
+    m[0] * m[5] * m[15] - m[0] * m[7] * m[13] - m[4] * m[1] * m[15] + m[4] * m[3] * m[13] + m[12] * m[1] * m[7] - m[12] * m[3] * m[5],
+    -m[0] * m[5] * m[11] + m[0] * m[7] * m[9] + m[4] * m[1] * m[11] - m[4] * m[3] * m[9] - m[8] * m[1] * m[7] + m[8] * m[3] * m[5],
+    -m[4] * m[9] * m[14] + m[4] * m[10] * m[13] + m[8] * m[5] * m[14] - m[8] * m[6] * m[13] - m[12] * m[5] * m[10] + m[12] * m[6] * m[9],
+    m[0] * m[9] * m[14] - m[0] * m[10] * m[13] - m[8] * m[1] * m[14] + m[8] * m[2] * m[13] + m[12] * m[1] * m[10] - m[12] * m[2] * m[9],
+    -m[0] * m[5] * m[14] + m[0] * m[6] * m[13] + m[4] * m[1] * m[14] - m[4] * m[2] * m[13] - m[12] * m[1] * m[6] + m[12] * m[2] * m[5],
+    m[0] * m[5] * m[10] - m[0] * m[6] * m[9] - m[4] * m[1] * m[10] + m[4] * m[2] * m[9] + m[8] * m[1] * m[6] - m[8] * m[2] * m[5],
+  ];
+  const det = m[0] * inv[0] + m[1] * inv[4] + m[2] * inv[8] + m[3] * inv[12];
+  if (det === 0 || !Number.isFinite(det)) return null;
+  return inv.map(value => value / det);
+}
+
+function create2d(a, b, c, d, e, f) {
+  return [a, b, 0, 0, c, d, 0, 0, 0, 0, 1, 0, e, f, 0, 1];
+}
+
+function createTranslation(x, y, z) {
+  return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, x, y, z, 1];
+}
+
+function createScale(x, y, z) {
+  return [x, 0, 0, 0, 0, y, 0, 0, 0, 0, z, 0, 0, 0, 0, 1];
+}
+
+/**
+ * Returns the matrix of a rotation around the axis (x, y, z) by the angle in degrees, as defined
+ * by the css `rotate3d()` function.
+ */
+function createRotation(x, y, z, angle) {
+  const length = Math.hypot(x, y, z);
+  if (length === 0) return identity.slice();
+  x /= length;
+  y /= length;
+  z /= length;
+  const radians = angle * Math.PI / 180;
+  const sc = Math.sin(radians / 2) * Math.cos(radians / 2);
+  const sq = Math.sin(radians / 2) * Math.sin(radians / 2);
+  return [
+    1 - 2 * (y * y + z * z) * sq,
+    2 * (x * y * sq + z * sc),
+    2 * (x * z * sq - y * sc),
+    0,
+    2 * (x * y * sq - z * sc),
+    1 - 2 * (x * x + z * z) * sq,
+    2 * (y * z * sq + x * sc),
+    0,
+    2 * (x * z * sq + y * sc),
+    2 * (y * z * sq - x * sc),
+    1 - 2 * (x * x + y * y) * sq,
+    0,
+    0, 0, 0, 1,
+  ];
+}
+
+function createSkew(x, y) {
+  return create2d(1, Math.tan(y * Math.PI / 180), Math.tan(x * Math.PI / 180), 1, 0, 0);
+}
+
+function parseValue(token, units, source) {
+  const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z]*)$/i.exec(token);
+  if (!match) return NaN;
+  const value = Number(match[1]);
+  const unit = match[2].toLowerCase();
+  if (!units) return unit ? NaN : value;
+  if (!unit) return value === 0 ? 0 : NaN;
+  return units.hasOwnProperty(unit) ? value * units[unit] : NaN;
+}
+
+/**
+ * Parses a css transform list like `translate(10px, 20px) rotate(45deg)` and returns the resulting
+ * matrix values, and whether the transform list only contains 2d transform functions. Returns null
+ * if the string is not a valid transform list.
+ */
+function parseTransformList(source) {
+  const trimmed = source.trim();
+  if (trimmed === '' || trimmed === 'none') return { matrix: identity.slice(), is2D: true };
+
+  const pattern = /\s*([a-z0-9]+)\(([^)]*)\)\s*/iy;
+  let matrix = identity.slice();
+  let is2D = true;
+  let index = 0;
+
+  while (index < trimmed.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(trimmed);
+    if (!match) return null;
+    index = pattern.lastIndex;
+
+    const name = match[1].toLowerCase();
+    const args = match[2].split(',').map(arg => arg.trim());
+    const numbers = () => args.map(arg => parseValue(arg, null));
+    const lengths = () => args.map(arg => parseValue(arg, lengthUnits));
+    const angles = () => args.map(arg => parseValue(arg, angleUnits));
+    let values;
+    let next;
+
+    switch (name) {
+      case 'matrix':
+        values = numbers();
+        if (values.length !== 6) return null;
+        next = create2d.apply(null, values);
+        break;
+      case 'matrix3d':
+        values = numbers();
+        if (values.length !== 16) return null;
+        next = values;
+        is2D = false;
+        break;
+      case 'translate':
+        values = lengths();
+        if (values.length > 2) return null;
+        next = createTranslation(values[0], values.length > 1 ? values[1] : 0, 0);
+        break;
+      case 'translatex':
+      case 'translatey':
+      case 'translatez':
+        values = lengths();
+        if (values.length !== 1) return null;
+        next = createTranslation(name === 'translatex' ? values[0] : 0, name === 'translatey' ? values[0] : 0, name === 'translatez' ? values[0] : 0);
+        if (name === 'translatez') is2D = false;
+        break;
+      case 'translate3d':
+        values = lengths();
+        if (values.length !== 3) return null;
+        next = createTranslation(values[0], values[1], values[2]);
+        is2D = false;
+        break;
+      case 'scale':
+        values = numbers();
+        if (values.length > 2) return null;
+        next = createScale(values[0], values.length > 1 ? values[1] : values[0], 1);
+        break;
+      case 'scalex':
+      case 'scaley':
+      case 'scalez':
+        values = numbers();
+        if (values.length !== 1) return null;
+        next = createScale(name === 'scalex' ? values[0] : 1, name === 'scaley' ? values[0] : 1, name === 'scalez' ? values[0] : 1);
+        if (name === 'scalez') is2D = false;
+        break;
+      case 'scale3d':
+        values = numbers();
+        if (values.length !== 3) return null;
+        next = createScale(values[0], values[1], values[2]);
+        is2D = false;
+        break;
+      case 'rotate':
+      case 'rotatez':
+        values = angles();
+        if (values.length !== 1) return null;
+        next = createRotation(0, 0, 1, values[0]);
+        if (name === 'rotatez') is2D = false;
+        break;
+      case 'rotatex':
+      case 'rotatey':
+        values = angles();
+        if (values.length !== 1) return null;
+        next = createRotation(name === 'rotatex' ? 1 : 0, name === 'rotatey' ? 1 : 0, 0, values[0]);
+        is2D = false;
+        break;
+      case 'rotate3d':
+        if (args.length !== 4) return null;
+        values = args.slice(0, 3).map(arg => parseValue(arg, null)).concat(parseValue(args[3], angleUnits));
+        next = createRotation(values[0], values[1], values[2], values[3]);
+        is2D = false;
+        break;
+      case 'skew':
+        values = angles();
+        if (values.length > 2) return null;
+        next = createSkew(values[0], values.length > 1 ? values[1] : 0);
+        break;
+      case 'skewx':
+      case 'skewy':
+        values = angles();
+        if (values.length !== 1) return null;
+        next = createSkew(name === 'skewx' ? values[0] : 0, name === 'skewy' ? values[0] : 0);
+        break;
+      case 'perspective':
+        values = lengths();
+        if (values.length !== 1 || values[0] < 0) return null;
+        next = identity.slice();
+        if (values[0] !== 0) next[11] = -1 / values[0];
+        is2D = false;
+        break;
+      default:
+        return null;
+    }
+
+    if (!values.every(Number.isFinite)) return null;
+    matrix = multiply(matrix, next);
+  }
+
+  return { matrix, is2D };
+}
+
+function toSequence(init) {
+  if (Array.isArray(init) || ArrayBuffer.isView(init)) return Array.prototype.slice.call(init).map(Number);
+  return null;
+}
+
+/**
+ * Validates a `DOMMatrixInit` dictionary and returns the matrix values, following the "validate and
+ * fixup" steps of the geometry specification.
+ */
+function fromDictionary(init, name, method) {
+  init = init || {};
+  Object.keys(aliases).forEach(alias => {
+    const element = elementNames[aliases[alias]];
+    if (init[alias] !== void 0 && init[element] !== void 0 && !Object.is(Number(init[alias]), Number(init[element]))) {
+      throw new TypeError('Failed to execute \'' + method + '\' on \'' + name + '\': The \'' + alias + '\' property should equal the \'' + element + '\' property.');
+    }
+  });
+  const matrix = elementNames.map((element, index) => {
+    if (init[element] !== void 0) return Number(init[element]);
+    const alias = Object.keys(aliases).find(key => aliases[key] === index);
+    if (alias && init[alias] !== void 0) return Number(init[alias]);
+    return identity[index];
+  });
+  const has3dValues = elements3d.some(index => matrix[index] !== identity[index]);
+  if (init.is2D === true && has3dValues) {
+    throw new TypeError('Failed to execute \'' + method + '\' on \'' + name + '\': The is2D member is set to true but the input matrix is a 3d matrix.');
+  }
+  const is2D = init.is2D === void 0 ? !has3dValues : Boolean(init.is2D);
+  return { matrix, is2D };
+}
+
+/**
+ * Validates a `DOMMatrix2DInit` dictionary, like the transform argument of `Path2D#addPath`, and
+ * returns the six `[a, b, c, d, e, f]` values. The 3d members are not part of the dictionary and are
+ * ignored.
+ */
+export function fromDictionary2D(init, name, method) {
+  init = init || {};
+  return Object.keys(aliases).map((alias) => {
+    const index = aliases[alias];
+    const element = elementNames[index];
+    if (init[alias] !== void 0 && init[element] !== void 0 && !Object.is(Number(init[alias]), Number(init[element]))) {
+      throw new TypeError('Failed to execute \'' + method + '\' on \'' + name + '\': The \'' + alias + '\' property should equal the \'' + element + '\' property.');
+    }
+    if (init[element] !== void 0) return Number(init[element]);
+    if (init[alias] !== void 0) return Number(init[alias]);
+    return identity[index];
+  });
+}
+
+export class DOMMatrixReadOnly {
+  _matrix = identity.slice();
   _is2D = true;
-  m11 = 1.0;
-  m12 = 0.0;
-  m13 = 0.0;
-  m14 = 0.0;
-  m21 = 0.0;
-  m22 = 1.0;
-  m23 = 0.0;
-  m24 = 0.0;
-  m31 = 0.0;
-  m32 = 0.0;
-  m33 = 1.0;
-  m34 = 0.0;
-  m41 = 0.0;
-  m42 = 0.0;
-  m43 = 0.0;
-  m44 = 1.0;
-
-  constructor(transform) {
-    if (transform && transform.length === 6) {
-      this.m11 = transform[0];
-      this.m12 = transform[1];
-      this.m21 = transform[2];
-      this.m22 = transform[3];
-      this.m41 = transform[4];
-      this.m42 = transform[5];
-      this._is2D = true;
-      return this;
+
+  static fromMatrix(other) {
+    const { matrix, is2D } = fromDictionary(other, this.name, 'fromMatrix');
+    const result = new this();
+    result._matrix = matrix;
+    result._is2D = is2D;
+    return result;
+  }
+
+  static fromFloat32Array(array) {
+    if (!(array instanceof Float32Array)) throw new TypeError('Failed to execute \'fromFloat32Array\' on \'' + this.name + '\': parameter 1 is not of type \'Float32Array\'.');
+    if (array.length !== 6 && array.length !== 16) throw new TypeError('Failed to execute \'fromFloat32Array\' on \'' + this.name + '\': The sequence must contain 6 elements for a 2D matrix or 16 elements for a 3D matrix.');
+    return new this(array);
+  }
+
+  static fromFloat64Array(array) {
+    if (!(array instanceof Float64Array)) throw new TypeError('Failed to execute \'fromFloat64Array\' on \'' + this.name + '\': parameter 1 is not of type \'Float64Array\'.');
+    if (array.length !== 6 && array.length !== 16) throw new TypeError('Failed to execute \'fromFloat64Array\' on \'' + this.name + '\': The sequence must contain 6 elements for a 2D matrix or 16 elements for a 3D matrix.');
+    return new this(array);
+  }
+
+  constructor(init) {
+    if (init === void 0) return;
+
+    if (init instanceof DOMMatrixReadOnly) {
+      this._matrix = init._matrix.slice();
+      this._is2D = init._is2D;
+      return;
     }
 
-    if (transform && transform.length === 16) {
-      this.m11 = transform[0];
-      this.m12 = transform[1];
-      this.m13 = transform[2];
-      this.m14 = transform[3];
-      this.m21 = transform[4];
-      this.m22 = transform[5];
-      this.m23 = transform[6];
-      this.m24 = transform[7];
-      this.m31 = transform[8];
-      this.m32 = transform[9];
-      this.m33 = transform[10];
-      this.m34 = transform[11];
-      this.m41 = transform[12];
-      this.m42 = transform[13];
-      this.m43 = transform[14];
-      this.m44 = transform[15];
-      this._is2D = false;
-      return this;
+    if (typeof init === 'string') {
+      const result = parseTransformList(init);
+      if (!result) throw new SyntaxError('Failed to construct \'' + this.constructor.name + '\': Failed to parse \'' + init + '\'.');
+      this._matrix = result.matrix;
+      this._is2D = result.is2D;
+      return;
     }
 
-    if (transform) {
-      throw new TypeError('Failed to construct \'DOMMatrix\': The sequence must contain 6 elements for a 2D matrix or 16 elements for a 3D matrix.');
+    const sequence = toSequence(init);
+    if (sequence && sequence.length === 6) {
+      this._matrix = create2d.apply(null, sequence);
+      return;
     }
-    this._is2D = false;
+
+    if (sequence && sequence.length === 16) {
+      this._matrix = sequence;
+      this._is2D = false;
+      return;
+    }
+
+    throw new TypeError('Failed to construct \'' + this.constructor.name + '\': The sequence must contain 6 elements for a 2D matrix or 16 elements for a 3D matrix.');
   }
 
   get isIdentity() {
-    if (this._is2D) {
-      return this.m11 == 1.0
-        && this.m12 == 0.0
-        && this.m21 == 0.0
-        && this.m22 == 1.0
-        && this.m41 == 0.0
-        && this.m42 == 0.0;
-    } else {
-      return this.m11 = 1.0 &&
-        this.m12 === 0.0 &&
-        this.m13 === 0.0 &&
-        this.m14 === 0.0 &&
-        this.m21 === 0.0 &&
-        this.m22 === 1.0 &&
-        this.m23 === 0.0 &&
-        this.m24 === 0.0 &&
-        this.m31 === 0.0 &&
-        this.m32 === 0.0 &&
-        this.m33 === 1.0 &&
-        this.m34 === 0.0 &&
-        this.m41 === 0.0 &&
-        this.m42 === 0.0 &&
-        this.m43 === 0.0 &&
-        this.m44 === 1.0;
-    }
+    return this._matrix.every((value, index) => value === identity[index]);
   }
 
-  get a() {
-    return this.m11;
+  get is2D() {
+    return this._is2D;
   }
 
-  set a(value) {
-    this.m11 = value;
+  flipX() {
+    return new DOMMatrix(this).multiplySelf(new DOMMatrix([-1, 0, 0, 1, 0, 0]));
   }
 
-  get b() {
-    return this.m12;
+  flipY() {
+    return new DOMMatrix(this).multiplySelf(new DOMMatrix([1, 0, 0, -1, 0, 0]));
   }
 
-  set b(value) {
-    this.m12 = value;
+  inverse() {
+    return new DOMMatrix(this).invertSelf();
   }
 
-  get c() {
-    return this.m21;
+  multiply(other) {
+    return new DOMMatrix(this).multiplySelf(other);
   }
 
-  set c(value) {
-    this.m21 = value;
+  rotate(rotX, rotY, rotZ) {
+    return new DOMMatrix(this).rotateSelf(rotX, rotY, rotZ);
   }
 
-  get d() {
-    return this.m22;
+  rotateAxisAngle(x, y, z, angle) {
+    return new DOMMatrix(this).rotateAxisAngleSelf(x, y, z, angle);
   }
 
-  set d(value) {
-    this.m22 = value;
+  rotateFromVector(x, y) {
+    return new DOMMatrix(this).rotateFromVectorSelf(x, y);
   }
 
-  get e() {
-    return this.m41;
+  scale(scaleX, scaleY, scaleZ, originX, originY, originZ) {
+    const result = new DOMMatrix(this);
+    return result.scaleSelf.apply(result, arguments);
   }
 
-  set e(value) {
-    this.m41 = value;
+  scale3d(scale, originX, originY, originZ) {
+    return new DOMMatrix(this).scale3dSelf(scale, originX, originY, originZ);
   }
 
-  get f() {
-    return this.m42;
+  scaleNonUniform(scaleX = 1, scaleY = 1) {
+    return new DOMMatrix(this).scaleSelf(scaleX, scaleY, 1, 0, 0, 0);
   }
 
-  set f(value) {
-    this.m42 = value;
+  skewX(sx) {
+    return new DOMMatrix(this).skewXSelf(sx);
   }
 
-  get is2D() {
-    return this._is2D;
+  skewY(sy) {
+    return new DOMMatrix(this).skewYSelf(sy);
+  }
+
+  toFloat32Array() {
+    return new Float32Array(this._matrix);
+  }
+
+  toFloat64Array() {
+    return new Float64Array(this._matrix);
+  }
+
+  toJSON() {
+    const result = {};
+    Object.keys(aliases).forEach(alias => {
+      result[alias] = this[alias];
+    });
+    elementNames.forEach(element => {
+      result[element] = this[element];
+    });
+    result.is2D = this.is2D;
+    result.isIdentity = this.isIdentity;
+    return result;
+  }
+
+  toString() {
+    if (!this._matrix.every(Number.isFinite)) throw new DOMException('InvalidStateError', 'Failed to execute \'toString\' on \'' + this.constructor.name + '\': Cannot be serialized with NaN or Infinity values.');
+    if (this._is2D) return 'matrix(' + [this.a, this.b, this.c, this.d, this.e, this.f].join(', ') + ')';
+    return 'matrix3d(' + this._matrix.join(', ') + ')';
+  }
+
+  transformPoint(point = {}) {
+    const x = point.x === void 0 ? 0 : Number(point.x);
+    const y = point.y === void 0 ? 0 : Number(point.y);
+    const z = point.z === void 0 ? 0 : Number(point.z);
+    const w = point.w === void 0 ? 1 : Number(point.w);
+    const m = this._matrix;
+    return new DOMPoint(
+      m[0] * x + m[4] * y + m[8] * z + m[12] * w,
+      m[1] * x + m[5] * y + m[9] * z + m[13] * w,
+      m[2] * x + m[6] * y + m[10] * z + m[14] * w,
+      m[3] * x + m[7] * y + m[11] * z + m[15] * w,
+    );
+  }
+
+  translate(tx, ty, tz) {
+    return new DOMMatrix(this).translateSelf(tx, ty, tz);
   }
 }
+
+elementNames.forEach((element, index) => {
+  Object.defineProperty(DOMMatrixReadOnly.prototype, element, {
+    configurable: true,
+    get() {
+      return this._matrix[index];
+    },
+  });
+});
+
+Object.keys(aliases).forEach(alias => {
+  Object.defineProperty(DOMMatrixReadOnly.prototype, alias, {
+    configurable: true,
+    get() {
+      return this._matrix[aliases[alias]];
+    },
+  });
+});
+
+export default class DOMMatrix extends DOMMatrixReadOnly {
+  invertSelf() {
+    const result = invert(this._matrix);
+    if (!result) {
+      this._matrix = this._matrix.map(() => NaN);
+      this._is2D = false;
+      return this;
+    }
+    this._matrix = result;
+    return this;
+  }
+
+  multiplySelf(other) {
+    const { matrix, is2D } = other instanceof DOMMatrixReadOnly
+      ? { matrix: other._matrix, is2D: other._is2D }
+      : fromDictionary(other, this.constructor.name, 'multiplySelf');
+    this._matrix = multiply(this._matrix, matrix);
+    this._is2D = this._is2D && is2D;
+    return this;
+  }
+
+  preMultiplySelf(other) {
+    const { matrix, is2D } = other instanceof DOMMatrixReadOnly
+      ? { matrix: other._matrix, is2D: other._is2D }
+      : fromDictionary(other, this.constructor.name, 'preMultiplySelf');
+    this._matrix = multiply(matrix, this._matrix);
+    this._is2D = this._is2D && is2D;
+    return this;
+  }
+
+  rotateAxisAngleSelf(x = 0, y = 0, z = 0, angle = 0) {
+    x = Number(x);
+    y = Number(y);
+    z = Number(z);
+    this._matrix = multiply(this._matrix, createRotation(x, y, z, Number(angle)));
+    if (x !== 0 || y !== 0) this._is2D = false;
+    return this;
+  }
+
+  rotateFromVectorSelf(x = 0, y = 0) {
+    x = Number(x);
+    y = Number(y);
+    const angle = x === 0 && y === 0 ? 0 : Math.atan2(y, x) * 180 / Math.PI;
+    this._matrix = multiply(this._matrix, createRotation(0, 0, 1, angle));
+    return this;
+  }
+
+  rotateSelf(rotX = 0, rotY, rotZ) {
+    rotX = Number(rotX);
+    if (rotY === void 0 && rotZ === void 0) {
+      rotZ = rotX;
+      rotX = 0;
+      rotY = 0;
+    }
+    rotY = rotY === void 0 ? 0 : Number(rotY);
+    rotZ = rotZ === void 0 ? 0 : Number(rotZ);
+    if (rotX !== 0 || rotY !== 0) this._is2D = false;
+    this._matrix = multiply(this._matrix, createRotation(0, 0, 1, rotZ));
+    this._matrix = multiply(this._matrix, createRotation(0, 1, 0, rotY));
+    this._matrix = multiply(this._matrix, createRotation(1, 0, 0, rotX));
+    return this;
+  }
+
+  scale3dSelf(scale = 1, originX = 0, originY = 0, originZ = 0) {
+    return this.scaleSelf(scale, scale, scale, originX, originY, originZ);
+  }
+
+  scaleSelf(scaleX = 1, scaleY, scaleZ = 1, originX = 0, originY = 0, originZ = 0) {
+    scaleX = Number(scaleX);
+    scaleY = scaleY === void 0 ? scaleX : Number(scaleY);
+    scaleZ = Number(scaleZ);
+    originX = Number(originX);
+    originY = Number(originY);
+    originZ = Number(originZ);
+    this._matrix = multiply(this._matrix, createTranslation(originX, originY, originZ));
+    this._matrix = multiply(this._matrix, createScale(scaleX, scaleY, scaleZ));
+    this._matrix = multiply(this._matrix, createTranslation(-originX, -originY, -originZ));
+    if (scaleZ !== 1 || originZ !== 0) this._is2D = false;
+    return this;
+  }
+
+  setMatrixValue(transformList) {
+    const result = parseTransformList(String(transformList));
+    if (!result) throw new SyntaxError('Failed to execute \'setMatrixValue\' on \'' + this.constructor.name + '\': Failed to parse \'' + transformList + '\'.');
+    this._matrix = result.matrix;
+    this._is2D = result.is2D;
+    return this;
+  }
+
+  skewXSelf(sx = 0) {
+    this._matrix = multiply(this._matrix, createSkew(Number(sx), 0));
+    return this;
+  }
+
+  skewYSelf(sy = 0) {
+    this._matrix = multiply(this._matrix, createSkew(0, Number(sy)));
+    return this;
+  }
+
+  translateSelf(tx = 0, ty = 0, tz = 0) {
+    tz = Number(tz);
+    this._matrix = multiply(this._matrix, createTranslation(Number(tx), Number(ty), tz));
+    if (tz !== 0) this._is2D = false;
+    return this;
+  }
+}
+
+elementNames.forEach((element, index) => {
+  Object.defineProperty(DOMMatrix.prototype, element, {
+    configurable: true,
+    get() {
+      return this._matrix[index];
+    },
+    set(value) {
+      this._matrix[index] = Number(value);
+      if (elements3d.indexOf(index) !== -1 && this._matrix[index] !== identity[index]) this._is2D = false;
+    },
+  });
+});
+
+Object.keys(aliases).forEach(alias => {
+  Object.defineProperty(DOMMatrix.prototype, alias, {
+    configurable: true,
+    get() {
+      return this._matrix[aliases[alias]];
+    },
+    set(value) {
+      this._matrix[aliases[alias]] = Number(value);
+    },
+  });
+});
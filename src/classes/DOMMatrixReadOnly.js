@@ -0,0 +1 @@
+export { DOMMatrixReadOnly as default } from './DOMMatrix';
@@ -0,0 +1,82 @@
+import DOMMatrix from './DOMMatrix';
+
+export class DOMPointReadOnly {
+  _x = 0;
+  _y = 0;
+  _z = 0;
+  _w = 1;
+
+  static fromPoint(other = {}) {
+    return new this(other.x, other.y, other.z, other.w);
+  }
+
+  constructor(x = 0, y = 0, z = 0, w = 1) {
+    this._x = Number(x);
+    this._y = Number(y);
+    this._z = Number(z);
+    this._w = Number(w);
+  }
+
+  get x() {
+    return this._x;
+  }
+
+  get y() {
+    return this._y;
+  }
+
+  get z() {
+    return this._z;
+  }
+
+  get w() {
+    return this._w;
+  }
+
+  matrixTransform(matrix) {
+    return DOMMatrix.fromMatrix(matrix).transformPoint(this);
+  }
+
+  toJSON() {
+    return {
+      x: this._x,
+      y: this._y,
+      z: this._z,
+      w: this._w,
+    };
+  }
+}
+
+export default class DOMPoint extends DOMPointReadOnly {
+  get x() {
+    return this._x;
+  }
+
+  set x(value) {
+    this._x = Number(value);
+  }
+
+  get y() {
+    return this._y;
+  }
+
+  set y(value) {
+    this._y = Number(value);
+  }
+
+  get z() {
+    return this._z;
+  }
+
+  set z(value) {
+    this._z = Number(value);
+  }
+
+  get w() {
+    return this._w;
+  }
+
+  set w(value) {
+    this._w = Number(value);
+  }
+}
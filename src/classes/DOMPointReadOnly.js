@@ -0,0 +1 @@
+export { DOMPointReadOnly as default } from './DOMPoint';
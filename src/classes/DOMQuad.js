@@ -0,0 +1,61 @@
+import DOMPoint from './DOMPoint';
+import DOMRect from './DOMRect';
+
+export default class DOMQuad {
+  static fromRect(other = {}) {
+    const x = other.x === void 0 ? 0 : Number(other.x);
+    const y = other.y === void 0 ? 0 : Number(other.y);
+    const width = other.width === void 0 ? 0 : Number(other.width);
+    const height = other.height === void 0 ? 0 : Number(other.height);
+    return new this(
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + height },
+      { x, y: y + height },
+    );
+  }
+
+  static fromQuad(other = {}) {
+    return new this(other.p1, other.p2, other.p3, other.p4);
+  }
+
+  constructor(p1, p2, p3, p4) {
+    this._p1 = DOMPoint.fromPoint(p1);
+    this._p2 = DOMPoint.fromPoint(p2);
+    this._p3 = DOMPoint.fromPoint(p3);
+    this._p4 = DOMPoint.fromPoint(p4);
+  }
+
+  get p1() {
+    return this._p1;
+  }
+
+  get p2() {
+    return this._p2;
+  }
+
+  get p3() {
+    return this._p3;
+  }
+
+  get p4() {
+    return this._p4;
+  }
+
+  getBounds() {
+    const xs = [this._p1.x, this._p2.x, this._p3.x, this._p4.x];
+    const ys = [this._p1.y, this._p2.y, this._p3.y, this._p4.y];
+    const left = Math.min.apply(Math, xs);
+    const top = Math.min.apply(Math, ys);
+    return new DOMRect(left, top, Math.max.apply(Math, xs) - left, Math.max.apply(Math, ys) - top);
+  }
+
+  toJSON() {
+    return {
+      p1: this._p1,
+      p2: this._p2,
+      p3: this._p3,
+      p4: this._p4,
+    };
+  }
+}
@@ -0,0 +1,96 @@
+export class DOMRectReadOnly {
+  _x = 0;
+  _y = 0;
+  _width = 0;
+  _height = 0;
+
+  static fromRect(other = {}) {
+    return new this(other.x, other.y, other.width, other.height);
+  }
+
+  constructor(x = 0, y = 0, width = 0, height = 0) {
+    this._x = Number(x);
+    this._y = Number(y);
+    this._width = Number(width);
+    this._height = Number(height);
+  }
+
+  get x() {
+    return this._x;
+  }
+
+  get y() {
+    return this._y;
+  }
+
+  get width() {
+    return this._width;
+  }
+
+  get height() {
+    return this._height;
+  }
+
+  get top() {
+    return Math.min(this._y, this._y + this._height);
+  }
+
+  get right() {
+    return Math.max(this._x, this._x + this._width);
+  }
+
+  get bottom() {
+    return Math.max(this._y, this._y + this._height);
+  }
+
+  get left() {
+    return Math.min(this._x, this._x + this._width);
+  }
+
+  toJSON() {
+    return {
+      x: this.x,
+      y: this.y,
+      width: this.width,
+      height: this.height,
+      top: this.top,
+      right: this.right,
+      bottom: this.bottom,
+      left: this.left,
+    };
+  }
+}
+
+export default class DOMRect extends DOMRectReadOnly {
+  get x() {
+    return this._x;
+  }
+
+  set x(value) {
+    this._x = Number(value);
+  }
+
+  get y() {
+    return this._y;
+  }
+
+  set y(value) {
+    this._y = Number(value);
+  }
+
+  get width() {
+    return this._width;
+  }
+
+  set width(value) {
+    this._width = Number(value);
+  }
+
+  get height() {
+    return this._height;
+  }
+
+  set height(value) {
+    this._height = Number(value);
+  }
+}
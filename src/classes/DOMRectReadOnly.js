@@ -0,0 +1 @@
+export { DOMRectReadOnly as default } from './DOMRect';
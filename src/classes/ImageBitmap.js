@@ -1,18 +1,27 @@
+import createMockFunction from '../mock/createMockFunction';
+
 export default class ImageBitmap {
   width = 0;
   height = 0;
 
   _closed = false;
 
+  /**
+   * The pixels of the bitmap, when they are known to the mock because the bitmap was transferred
+   * from a rasterized `OffscreenCanvas`.
+   */
+  _imageData = null;
+
   constructor(width, height) {
     this.width = width;
     this.height = height;
-    this.close = jest.fn(this.close.bind(this));
+    this.close = createMockFunction(this.close.bind(this));
   }
 
   close() {
     this.width = 0;
     this.height = 0;
     this._closed = true;
+    this._imageData = null;
   }
 }
@@ -0,0 +1,99 @@
+import OffscreenCanvasRenderingContext2D from './OffscreenCanvasRenderingContext2D';
+import ImageBitmap from './ImageBitmap';
+import WebGLRenderingContext from './WebGLRenderingContext';
+import WebGL2RenderingContext from './WebGL2RenderingContext';
+import createMockFunction from '../mock/createMockFunction';
+import Rasterizer from '../raster/Rasterizer';
+
+const contextTypes = ['2d', 'webgl', 'webgl2', 'bitmaprenderer', 'webgpu'];
+const contextClasses = {
+  '2d': OffscreenCanvasRenderingContext2D,
+  webgl: WebGLRenderingContext,
+  webgl2: WebGL2RenderingContext,
+};
+
+function toSize(value) {
+  const result = Math.trunc(Number(value));
+  return Number.isFinite(result) && result > 0 ? result : 0;
+}
+
+export default class OffscreenCanvas {
+  _width = 0;
+  _height = 0;
+
+  /**
+   * The type and the context object returned by the first successful `getContext` call. Every
+   * later call with the same type returns the same context, and other types return null.
+   */
+  _contextType = null;
+  _context = null;
+
+  constructor(width, height) {
+    if (arguments.length < 2) throw new TypeError('Failed to construct \'OffscreenCanvas\': 2 arguments required, but only ' + arguments.length + ' present.');
+    this._width = toSize(width);
+    this._height = toSize(height);
+    this.getContext = createMockFunction(this.getContext.bind(this));
+    this.transferToImageBitmap = createMockFunction(this.transferToImageBitmap.bind(this));
+    this.convertToBlob = createMockFunction(this.convertToBlob.bind(this));
+  }
+
+  get width() {
+    return this._width;
+  }
+
+  set width(value) {
+    this._width = toSize(value);
+  }
+
+  get height() {
+    return this._height;
+  }
+
+  set height(value) {
+    this._height = toSize(value);
+  }
+
+  getContext(type, options) {
+    if (arguments.length < 1) throw new TypeError('Failed to execute \'getContext\' on \'OffscreenCanvas\': 1 argument required, but only 0 present.');
+    type = String(type);
+    if (contextTypes.indexOf(type) === -1) throw new TypeError('Failed to execute \'getContext\' on \'OffscreenCanvas\': The provided value \'' + type + '\' is not a valid enum value of type OffscreenRenderingContextType.');
+    if (this._contextType !== null) return this._contextType === type ? this._context : null;
+    const ContextClass = contextClasses[type];
+    if (!ContextClass) return null;
+
+    this._contextType = type;
+    this._context = new ContextClass(this, options);
+    return this._context;
+  }
+
+  transferToImageBitmap() {
+    if (this._contextType === null) throw new DOMException('InvalidStateError', 'Failed to execute \'transferToImageBitmap\' on \'OffscreenCanvas\': Cannot transfer an ImageBitmap from an OffscreenCanvas with no context');
+    const bitmap = new ImageBitmap(this._width, this._height);
+    const rasterizer = this._context._rasterizer;
+    if (rasterizer) {
+      bitmap._imageData = rasterizer.getImageData(0, 0, this._width, this._height);
+      rasterizer.data.fill(0);
+    }
+    return bitmap;
+  }
+
+  /**
+   * Like `HTMLCanvasElement#toBlob`, this creates a png blob of the real image when the context is
+   * rasterized, and otherwise a blob of size width * height * 4 with the validated mime type.
+   */
+  convertToBlob(options = {}) {
+    return new Promise((resolve, reject) => {
+      if (options !== null && typeof options !== 'object') return reject(new TypeError('Failed to execute \'convertToBlob\' on \'OffscreenCanvas\': parameter 1 (\'options\') is not an object.'));
+      if (this._width === 0 || this._height === 0) return reject(new DOMException('IndexSizeError', 'Failed to execute \'convertToBlob\' on \'OffscreenCanvas\': The size of the OffscreenCanvas is zero.'));
+      let type = options && options.type;
+      switch (type) {
+        case 'image/webp': break;
+        case 'image/jpeg': break;
+        default: type = 'image/png';
+      }
+      const png = type === 'image/png' ? Rasterizer.toPNG(this) : null;
+      const data = png || new Uint8Array(this._width * this._height * 4);
+      return resolve(new window.Blob([data], { type }));
+    });
+  }
+}
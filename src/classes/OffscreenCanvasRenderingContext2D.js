@@ -0,0 +1,8 @@
+import CanvasRenderingContext2D from './CanvasRenderingContext2D';
+
+/**
+ * The offscreen context shares all of its validation, event recording and rasterization with
+ * `CanvasRenderingContext2D`. Only the name used in error messages and the `canvas` property, which
+ * points to the `OffscreenCanvas`, are different.
+ */
+export default class OffscreenCanvasRenderingContext2D extends CanvasRenderingContext2D {}
@@ -1,4 +1,9 @@
 import CanvasRenderingContext2D from './CanvasRenderingContext2D';
+import { fromDictionary2D } from './DOMMatrix';
+import createCanvasEvent from '../mock/createCanvasEvent';
+import parsePathData from '../path/parsePathData';
+import createMockFunction from '../mock/createMockFunction';
+import { multiplyTransforms } from '../path/matrix';
 
 // Path2D.prototype
 const Path2DFunc = [
@@ -15,6 +20,7 @@ const borrowedFromCanvas = [
   'arcTo',
   'ellipse',
   'rect',
+  'roundRect',
 ];
 
 export default class Path2D {
@@ -23,18 +29,45 @@ export default class Path2D {
   _stackIndex = 0;
   _transformStack = [[1, 0, 0, 1, 0, 0]];
 
-  constructor() {
+  constructor(path) {
     borrowedFromCanvas.forEach((key) => {
-      this[key] = jest.fn(CanvasRenderingContext2D.prototype[key].bind(this));
+      this[key] = createMockFunction(CanvasRenderingContext2D.prototype[key].bind(this));
     });
     Path2DFunc.forEach((key) => {
-      this[key] = jest.fn(this[key].bind(this));
+      this[key] = createMockFunction(this[key].bind(this));
     });
+
+    if (path instanceof Path2D) {
+      this._path = path._path.slice();
+    } else if (path !== void 0) {
+      /**
+       * SVG path data is replayed through the same methods the borrowed functions use, so the
+       * recorded events are identical to drawing the path by hand. The mock function wrappers are
+       * skipped, because the user did not call these functions.
+       */
+      parsePathData(path).forEach(([key, ...args]) => {
+        CanvasRenderingContext2D.prototype[key].apply(this, args);
+      });
+    }
   }
 
-  addPath(path) {
+  addPath(path, transform) {
     if (arguments.length < 1) throw new TypeError('Failed to execute \'addPath\' on \'Path2D\': 1 argument required, but only 0 present.');
     if (!(path instanceof Path2D)) throw new TypeError('Failed to execute \'addPath\' on \'Path2D\': parameter 1 is not of type \'Path2D\'.');
-    this._path = this._path.concat(path._path);
+    if (transform !== void 0 && transform !== null && typeof transform !== 'object' && typeof transform !== 'function') {
+      throw new TypeError('Failed to execute \'addPath\' on \'Path2D\': parameter 2 (\'transform\') is not an object.');
+    }
+    const matrix = fromDictionary2D(transform, 'Path2D', 'addPath');
+    if (!matrix.every(Number.isFinite)) return;
+
+    /**
+     * Every event stores the transform it was recorded with, so the sub-path is transformed by
+     * multiplying the matrix into the transform of each copied event.
+     */
+    this._path = this._path.concat(path._path.map(event => createCanvasEvent(
+      event.type,
+      multiplyTransforms(matrix, event.transform),
+      event.props,
+    )));
   }
 }
@@ -0,0 +1,901 @@
+import WebGLRenderingContextBase, { webgl1Parameters, getUniformData } from '../webgl/WebGLRenderingContextBase';
+import { webgl1Constants, webgl2Constants } from '../webgl/constants';
+import { webgl2Extensions } from '../webgl/extensions';
+import {
+  WebGLActiveInfo,
+  WebGLQuery,
+  WebGLSampler,
+  WebGLSync,
+  WebGLTransformFeedback,
+  WebGLVertexArrayObject,
+} from '../webgl/objects';
+
+const GL = Object.assign({}, webgl1Constants, webgl2Constants);
+
+/**
+ * The WebGL 2 functions, and the WebGL 1 functions that take more arguments in WebGL 2.
+ */
+const webgl2Parameters = Object.assign({}, webgl1Parameters, {
+  beginQuery: 'target, query',
+  beginTransformFeedback: 'primitiveMode',
+  bindBufferBase: 'target, index, buffer',
+  bindBufferRange: 'target, index, buffer, offset, size',
+  bindSampler: 'unit, sampler',
+  bindTransformFeedback: 'target, tf',
+  bindVertexArray: 'vertexArray',
+  blitFramebuffer: 'srcX0, srcY0, srcX1, srcY1, dstX0, dstY0, dstX1, dstY1, mask, filter',
+  bufferData: 'target, data, usage, srcOffset?, length?',
+  bufferSubData: 'target, offset, data, srcOffset?, length?',
+  clearBufferfi: 'buffer, drawbuffer, depth, stencil',
+  clearBufferfv: 'buffer, drawbuffer, values, srcOffset?',
+  clearBufferiv: 'buffer, drawbuffer, values, srcOffset?',
+  clearBufferuiv: 'buffer, drawbuffer, values, srcOffset?',
+  clientWaitSync: 'sync, flags, timeout',
+  compressedTexImage2D: 'target, level, internalformat, width, height, border, data, srcOffset?, srcLengthOverride?',
+  compressedTexImage3D: 'target, level, internalformat, width, height, depth, border, data, srcOffset?, srcLengthOverride?',
+  compressedTexSubImage2D: 'target, level, xoffset, yoffset, width, height, format, data, srcOffset?, srcLengthOverride?',
+  compressedTexSubImage3D: 'target, level, xoffset, yoffset, zoffset, width, height, depth, format, data, srcOffset?, srcLengthOverride?',
+  copyBufferSubData: 'readTarget, writeTarget, readOffset, writeOffset, size',
+  copyTexSubImage3D: 'target, level, xoffset, yoffset, zoffset, x, y, width, height',
+  createQuery: '',
+  createSampler: '',
+  createTransformFeedback: '',
+  createVertexArray: '',
+  deleteQuery: 'query',
+  deleteSampler: 'sampler',
+  deleteSync: 'sync',
+  deleteTransformFeedback: 'tf',
+  deleteVertexArray: 'vertexArray',
+  drawArraysInstanced: 'mode, first, count, instanceCount',
+  drawBuffers: 'buffers',
+  drawElementsInstanced: 'mode, count, type, offset, instanceCount',
+  drawRangeElements: 'mode, start, end, count, type, offset',
+  endQuery: 'target',
+  endTransformFeedback: '',
+  fenceSync: 'condition, flags',
+  framebufferTextureLayer: 'target, attachment, texture, level, layer',
+  getActiveUniformBlockName: 'program, uniformBlockIndex',
+  getActiveUniformBlockParameter: 'program, uniformBlockIndex, pname',
+  getActiveUniforms: 'program, uniformIndices, pname',
+  getBufferSubData: 'target, srcByteOffset, dstBuffer, dstOffset?, length?',
+  getFragDataLocation: 'program, name',
+  getIndexedParameter: 'target, index',
+  getInternalformatParameter: 'target, internalformat, pname',
+  getQuery: 'target, pname',
+  getQueryParameter: 'query, pname',
+  getSamplerParameter: 'sampler, pname',
+  getSyncParameter: 'sync, pname',
+  getTransformFeedbackVarying: 'program, index',
+  getUniformBlockIndex: 'program, uniformBlockName',
+  getUniformIndices: 'program, uniformNames',
+  invalidateFramebuffer: 'target, attachments',
+  invalidateSubFramebuffer: 'target, attachments, x, y, width, height',
+  isQuery: 'query',
+  isSampler: 'sampler',
+  isSync: 'sync',
+  isTransformFeedback: 'tf',
+  isVertexArray: 'vertexArray',
+  pauseTransformFeedback: '',
+  readBuffer: 'src',
+  readPixels: 'x, y, width, height, format, type, pixels, dstOffset?',
+  renderbufferStorageMultisample: 'target, samples, internalformat, width, height',
+  resumeTransformFeedback: '',
+  samplerParameterf: 'sampler, pname, param',
+  samplerParameteri: 'sampler, pname, param',
+  texImage2D: [
+    'target, level, internalformat, format, type, source',
+    'target, level, internalformat, width, height, border, format, type, pixels, srcOffset?',
+  ],
+  texImage3D: 'target, level, internalformat, width, height, depth, border, format, type, pixels, srcOffset?',
+  texStorage2D: 'target, levels, internalformat, width, height',
+  texStorage3D: 'target, levels, internalformat, width, height, depth',
+  texSubImage2D: [
+    'target, level, xoffset, yoffset, format, type, source',
+    'target, level, xoffset, yoffset, width, height, format, type, pixels, srcOffset?',
+  ],
+  texSubImage3D: 'target, level, xoffset, yoffset, zoffset, width, height, depth, format, type, pixels, srcOffset?',
+  transformFeedbackVaryings: 'program, varyings, bufferMode',
+  uniformBlockBinding: 'program, uniformBlockIndex, uniformBlockBinding',
+  vertexAttribDivisor: 'index, divisor',
+  vertexAttribI4i: 'index, x, y, z, w',
+  vertexAttribI4iv: 'index, values',
+  vertexAttribI4ui: 'index, x, y, z, w',
+  vertexAttribI4uiv: 'index, values',
+  vertexAttribIPointer: 'index, size, type, stride, offset',
+  waitSync: 'sync, flags, timeout',
+});
+
+const uniformComponents = ['x', 'y', 'z', 'w'];
+[1, 2, 3, 4].forEach(count => {
+  webgl2Parameters['uniform' + count + 'fv'] = 'location, data, srcOffset?, srcLength?';
+  webgl2Parameters['uniform' + count + 'iv'] = 'location, data, srcOffset?, srcLength?';
+  webgl2Parameters['uniform' + count + 'ui'] = 'location, ' + uniformComponents.slice(0, count).join(', ');
+  webgl2Parameters['uniform' + count + 'uiv'] = 'location, data, srcOffset?, srcLength?';
+});
+const matrixSizes = ['2', '3', '4', '2x3', '2x4', '3x2', '3x4', '4x2', '4x3'];
+matrixSizes.forEach(size => {
+  webgl2Parameters['uniformMatrix' + size + 'fv'] = 'location, transpose, data, srcOffset?, srcLength?';
+});
+
+const queryTargets = [GL.ANY_SAMPLES_PASSED, GL.ANY_SAMPLES_PASSED_CONSERVATIVE, GL.TRANSFORM_FEEDBACK_PRIMITIVES_WRITTEN];
+const samplerParameters = {
+  [GL.TEXTURE_MAG_FILTER]: GL.LINEAR,
+  [GL.TEXTURE_MIN_FILTER]: GL.NEAREST_MIPMAP_LINEAR,
+  [GL.TEXTURE_WRAP_S]: GL.REPEAT,
+  [GL.TEXTURE_WRAP_T]: GL.REPEAT,
+  [GL.TEXTURE_WRAP_R]: GL.REPEAT,
+  [GL.TEXTURE_MIN_LOD]: -1000,
+  [GL.TEXTURE_MAX_LOD]: 1000,
+  [GL.TEXTURE_COMPARE_MODE]: GL.NONE,
+  [GL.TEXTURE_COMPARE_FUNC]: GL.LEQUAL,
+};
+const floatSamplerParameters = [GL.TEXTURE_MIN_LOD, GL.TEXTURE_MAX_LOD];
+
+/**
+ * The buffer target and the range property read by each `getIndexedParameter` parameter.
+ */
+const indexedParameters = {
+  [GL.TRANSFORM_FEEDBACK_BUFFER_BINDING]: [GL.TRANSFORM_FEEDBACK_BUFFER, 'buffer'],
+  [GL.TRANSFORM_FEEDBACK_BUFFER_START]: [GL.TRANSFORM_FEEDBACK_BUFFER, 'offset'],
+  [GL.TRANSFORM_FEEDBACK_BUFFER_SIZE]: [GL.TRANSFORM_FEEDBACK_BUFFER, 'size'],
+  [GL.UNIFORM_BUFFER_BINDING]: [GL.UNIFORM_BUFFER, 'buffer'],
+  [GL.UNIFORM_BUFFER_START]: [GL.UNIFORM_BUFFER, 'offset'],
+  [GL.UNIFORM_BUFFER_SIZE]: [GL.UNIFORM_BUFFER, 'size'],
+};
+
+/**
+ * The mock returned by `getContext('webgl2')`. It records calls like `WebGLRenderingContext`, and
+ * adds the WebGL 2 objects: queries, samplers, syncs, transform feedbacks and vertex arrays. Like
+ * in the browser, it is not an instance of `WebGLRenderingContext`.
+ */
+export default class WebGL2RenderingContext extends WebGLRenderingContextBase {
+  _parameterNames = webgl2Parameters;
+  _supportedExtensions = webgl2Extensions;
+  _bufferTargets = {
+    [GL.ARRAY_BUFFER]: GL.ARRAY_BUFFER_BINDING,
+    [GL.ELEMENT_ARRAY_BUFFER]: GL.ELEMENT_ARRAY_BUFFER_BINDING,
+    [GL.COPY_READ_BUFFER]: GL.COPY_READ_BUFFER_BINDING,
+    [GL.COPY_WRITE_BUFFER]: GL.COPY_WRITE_BUFFER_BINDING,
+    [GL.PIXEL_PACK_BUFFER]: GL.PIXEL_PACK_BUFFER_BINDING,
+    [GL.PIXEL_UNPACK_BUFFER]: GL.PIXEL_UNPACK_BUFFER_BINDING,
+    [GL.TRANSFORM_FEEDBACK_BUFFER]: GL.TRANSFORM_FEEDBACK_BUFFER_BINDING,
+    [GL.UNIFORM_BUFFER]: GL.UNIFORM_BUFFER_BINDING,
+  };
+  _framebufferTargets = {
+    [GL.FRAMEBUFFER]: [GL.DRAW_FRAMEBUFFER_BINDING, GL.READ_FRAMEBUFFER_BINDING],
+    [GL.DRAW_FRAMEBUFFER]: [GL.DRAW_FRAMEBUFFER_BINDING],
+    [GL.READ_FRAMEBUFFER]: [GL.READ_FRAMEBUFFER_BINDING],
+  };
+  _textureTargets = {
+    [GL.TEXTURE_2D]: GL.TEXTURE_BINDING_2D,
+    [GL.TEXTURE_CUBE_MAP]: GL.TEXTURE_BINDING_CUBE_MAP,
+    [GL.TEXTURE_3D]: GL.TEXTURE_BINDING_3D,
+    [GL.TEXTURE_2D_ARRAY]: GL.TEXTURE_BINDING_2D_ARRAY,
+  };
+  _textureUnitParameters = [
+    GL.TEXTURE_BINDING_2D, GL.TEXTURE_BINDING_CUBE_MAP, GL.TEXTURE_BINDING_3D,
+    GL.TEXTURE_BINDING_2D_ARRAY, GL.SAMPLER_BINDING,
+  ];
+  _capabilities = this._capabilities.concat(GL.RASTERIZER_DISCARD);
+  _blendEquations = this._blendEquations.concat(GL.MIN, GL.MAX);
+  _indexTypes = this._indexTypes.concat(GL.UNSIGNED_INT);
+  _usages = this._usages.concat(GL.STREAM_READ, GL.STREAM_COPY, GL.STATIC_READ, GL.STATIC_COPY, GL.DYNAMIC_READ, GL.DYNAMIC_COPY);
+  _textureParameters = Object.assign({}, samplerParameters, {
+    [GL.TEXTURE_BASE_LEVEL]: 0,
+    [GL.TEXTURE_MAX_LEVEL]: 1000,
+    [GL.TEXTURE_IMMUTABLE_FORMAT]: false,
+    [GL.TEXTURE_IMMUTABLE_LEVELS]: 0,
+  });
+  _pixelStoreParameters = this._pixelStoreParameters.concat(
+    GL.PACK_ROW_LENGTH, GL.PACK_SKIP_PIXELS, GL.PACK_SKIP_ROWS, GL.UNPACK_ROW_LENGTH,
+    GL.UNPACK_IMAGE_HEIGHT, GL.UNPACK_SKIP_PIXELS, GL.UNPACK_SKIP_ROWS, GL.UNPACK_SKIP_IMAGES,
+  );
+  _hintTargets = this._hintTargets.concat(GL.FRAGMENT_SHADER_DERIVATIVE_HINT);
+  _attachmentPoints = this._attachmentPoints.concat([1, 2, 3, 4, 5, 6, 7].map(i => GL.COLOR_ATTACHMENT0 + i));
+
+  /**
+   * The active query of every query target, and the buffer ranges bound to the indexed
+   * `TRANSFORM_FEEDBACK_BUFFER` and `UNIFORM_BUFFER` binding points.
+   */
+  _activeQueries = {};
+  _indexedBuffers = {
+    [GL.TRANSFORM_FEEDBACK_BUFFER]: [],
+    [GL.UNIFORM_BUFFER]: [],
+  };
+
+  /**
+   * The transform feedback object used while no `WebGLTransformFeedback` is bound.
+   */
+  _defaultTransformFeedback = new WebGLTransformFeedback(this);
+
+  constructor(canvas, attributes) {
+    super(canvas, attributes);
+    this._initialize();
+  }
+
+  _getDefaultParameters() {
+    const drawBuffers = {};
+    for (let i = 0; i < 8; i++) drawBuffers[GL.DRAW_BUFFER0 + i] = i === 0 ? GL.BACK : GL.NONE;
+    return Object.assign(super._getDefaultParameters(), drawBuffers, {
+      [GL.COPY_READ_BUFFER_BINDING]: null,
+      [GL.COPY_WRITE_BUFFER_BINDING]: null,
+      [GL.FRAGMENT_SHADER_DERIVATIVE_HINT]: GL.DONT_CARE,
+      [GL.MAX_3D_TEXTURE_SIZE]: 2048,
+      [GL.MAX_ARRAY_TEXTURE_LAYERS]: 2048,
+      [GL.MAX_CLIENT_WAIT_TIMEOUT_WEBGL]: 0,
+      [GL.MAX_COLOR_ATTACHMENTS]: 8,
+      [GL.MAX_COMBINED_FRAGMENT_UNIFORM_COMPONENTS]: 200704,
+      [GL.MAX_COMBINED_UNIFORM_BLOCKS]: 24,
+      [GL.MAX_COMBINED_VERTEX_UNIFORM_COMPONENTS]: 212992,
+      [GL.MAX_DRAW_BUFFERS]: 8,
+      [GL.MAX_ELEMENT_INDEX]: 4294967295,
+      [GL.MAX_ELEMENTS_INDICES]: 2147483647,
+      [GL.MAX_ELEMENTS_VERTICES]: 2147483647,
+      [GL.MAX_FRAGMENT_INPUT_COMPONENTS]: 120,
+      [GL.MAX_FRAGMENT_UNIFORM_BLOCKS]: 12,
+      [GL.MAX_FRAGMENT_UNIFORM_COMPONENTS]: 4096,
+      [GL.MAX_PROGRAM_TEXEL_OFFSET]: 7,
+      [GL.MAX_SAMPLES]: 4,
+      [GL.MAX_SERVER_WAIT_TIMEOUT]: 0,
+      [GL.MAX_TEXTURE_LOD_BIAS]: 2,
+      [GL.MAX_TRANSFORM_FEEDBACK_INTERLEAVED_COMPONENTS]: 64,
+      [GL.MAX_TRANSFORM_FEEDBACK_SEPARATE_ATTRIBS]: 4,
+      [GL.MAX_TRANSFORM_FEEDBACK_SEPARATE_COMPONENTS]: 4,
+      [GL.MAX_UNIFORM_BLOCK_SIZE]: 65536,
+      [GL.MAX_UNIFORM_BUFFER_BINDINGS]: 24,
+      [GL.MAX_VARYING_COMPONENTS]: 120,
+      [GL.MAX_VERTEX_OUTPUT_COMPONENTS]: 120,
+      [GL.MAX_VERTEX_UNIFORM_BLOCKS]: 12,
+      [GL.MAX_VERTEX_UNIFORM_COMPONENTS]: 16384,
+      [GL.MIN_PROGRAM_TEXEL_OFFSET]: -8,
+      [GL.PACK_ROW_LENGTH]: 0,
+      [GL.PACK_SKIP_PIXELS]: 0,
+      [GL.PACK_SKIP_ROWS]: 0,
+      [GL.PIXEL_PACK_BUFFER_BINDING]: null,
+      [GL.PIXEL_UNPACK_BUFFER_BINDING]: null,
+      [GL.RASTERIZER_DISCARD]: false,
+      [GL.READ_BUFFER]: GL.BACK,
+      [GL.READ_FRAMEBUFFER_BINDING]: null,
+      [GL.SHADING_LANGUAGE_VERSION]: 'WebGL GLSL ES 3.00 (OpenGL ES GLSL ES 3.0 Chromium)',
+      [GL.TRANSFORM_FEEDBACK_ACTIVE]: false,
+      [GL.TRANSFORM_FEEDBACK_BINDING]: null,
+      [GL.TRANSFORM_FEEDBACK_BUFFER_BINDING]: null,
+      [GL.TRANSFORM_FEEDBACK_PAUSED]: false,
+      [GL.UNIFORM_BUFFER_BINDING]: null,
+      [GL.UNIFORM_BUFFER_OFFSET_ALIGNMENT]: 256,
+      [GL.UNPACK_IMAGE_HEIGHT]: 0,
+      [GL.UNPACK_ROW_LENGTH]: 0,
+      [GL.UNPACK_SKIP_IMAGES]: 0,
+      [GL.UNPACK_SKIP_PIXELS]: 0,
+      [GL.UNPACK_SKIP_ROWS]: 0,
+      [GL.VERSION]: 'WebGL 2.0 (OpenGL ES 3.0 Chromium)',
+      [GL.VERTEX_ARRAY_BINDING]: null,
+    });
+  }
+
+  _getProgramParameter(program, pname) {
+    switch (pname) {
+      case GL.TRANSFORM_FEEDBACK_BUFFER_MODE: return program._transformFeedbackBufferMode;
+      case GL.TRANSFORM_FEEDBACK_VARYINGS: return program._transformFeedbackVaryings.length;
+      case GL.ACTIVE_UNIFORM_BLOCKS: return 0;
+    }
+    return super._getProgramParameter(program, pname);
+  }
+
+  _getTransformFeedback() {
+    return this._parameters[GL.TRANSFORM_FEEDBACK_BINDING] || this._defaultTransformFeedback;
+  }
+
+  _updateTransformFeedback() {
+    const tf = this._getTransformFeedback();
+    this._parameters[GL.TRANSFORM_FEEDBACK_ACTIVE] = tf._active;
+    this._parameters[GL.TRANSFORM_FEEDBACK_PAUSED] = tf._paused;
+  }
+
+  beginQuery(target, query) {
+    if (!this._call('beginQuery', arguments)) return;
+    if (queryTargets.indexOf(target) === -1) return this._setError(GL.INVALID_ENUM);
+    if (this._activeQueries[target] || query._deleted) return this._setError(GL.INVALID_OPERATION);
+    if (query._target !== null && query._target !== target) return this._setError(GL.INVALID_OPERATION);
+    query._target = target;
+    this._activeQueries[target] = query;
+  }
+
+  beginTransformFeedback(primitiveMode) {
+    if (!this._call('beginTransformFeedback', arguments)) return;
+    if ([GL.POINTS, GL.LINES, GL.TRIANGLES].indexOf(primitiveMode) === -1) return this._setError(GL.INVALID_ENUM);
+    const tf = this._getTransformFeedback();
+    if (tf._active || !this._parameters[GL.CURRENT_PROGRAM]) return this._setError(GL.INVALID_OPERATION);
+    tf._active = true;
+    tf._paused = false;
+    this._updateTransformFeedback();
+  }
+
+  _bindIndexedBuffer(target, index, buffer, offset, size) {
+    const ranges = this._indexedBuffers[target];
+    if (!ranges) return this._setError(GL.INVALID_ENUM);
+    const max = target === GL.UNIFORM_BUFFER
+      ? this._parameters[GL.MAX_UNIFORM_BUFFER_BINDINGS]
+      : this._parameters[GL.MAX_TRANSFORM_FEEDBACK_SEPARATE_ATTRIBS];
+    if (index < 0 || index >= max) return this._setError(GL.INVALID_VALUE);
+    if (buffer && buffer._deleted) return this._setError(GL.INVALID_OPERATION);
+    if (buffer && buffer._target === null) buffer._target = target;
+    ranges[index] = { buffer: buffer || null, offset, size };
+    this._parameters[this._bufferTargets[target]] = buffer || null;
+  }
+
+  bindBufferBase(target, index, buffer) {
+    if (!this._call('bindBufferBase', arguments)) return;
+    this._bindIndexedBuffer(target, index, buffer, 0, 0);
+  }
+
+  bindBufferRange(target, index, buffer, offset, size) {
+    if (!this._call('bindBufferRange', arguments)) return;
+    if (buffer && (offset < 0 || size <= 0)) return this._setError(GL.INVALID_VALUE);
+    this._bindIndexedBuffer(target, index, buffer, offset, size);
+  }
+
+  bindSampler(unit, sampler) {
+    if (!this._call('bindSampler', arguments)) return;
+    if (unit < 0 || unit >= this._textureUnits.length) return this._setError(GL.INVALID_VALUE);
+    if (sampler && sampler._deleted) return this._setError(GL.INVALID_OPERATION);
+    this._textureUnits[unit][GL.SAMPLER_BINDING] = sampler || null;
+  }
+
+  bindTransformFeedback(target, tf) {
+    if (!this._call('bindTransformFeedback', arguments)) return;
+    if (target !== GL.TRANSFORM_FEEDBACK) return this._setError(GL.INVALID_ENUM);
+    const current = this._getTransformFeedback();
+    if ((current._active && !current._paused) || (tf && tf._deleted)) return this._setError(GL.INVALID_OPERATION);
+    if (tf) tf._bound = true;
+    this._parameters[GL.TRANSFORM_FEEDBACK_BINDING] = tf || null;
+    this._updateTransformFeedback();
+  }
+
+  bindVertexArray(vertexArray) {
+    if (!this._call('bindVertexArray', arguments)) return;
+    this._bindVertexArray(vertexArray);
+  }
+
+  blitFramebuffer(srcX0, srcY0, srcX1, srcY1, dstX0, dstY0, dstX1, dstY1, mask, filter) {
+    if (!this._call('blitFramebuffer', arguments)) return;
+    if (mask & ~(GL.COLOR_BUFFER_BIT | GL.DEPTH_BUFFER_BIT | GL.STENCIL_BUFFER_BIT)) return this._setError(GL.INVALID_VALUE);
+    if (filter !== GL.NEAREST && filter !== GL.LINEAR) return this._setError(GL.INVALID_ENUM);
+    this._addDrawCall();
+  }
+
+  _clearBuffer(buffer, drawbuffer, validBuffers) {
+    if (validBuffers.indexOf(buffer) === -1) return this._setError(GL.INVALID_ENUM);
+    if (drawbuffer < 0 || (buffer === GL.COLOR ? drawbuffer >= this._parameters[GL.MAX_DRAW_BUFFERS] : drawbuffer !== 0)) return this._setError(GL.INVALID_VALUE);
+    this._addDrawCall();
+  }
+
+  clearBufferfi(buffer, drawbuffer) {
+    if (!this._call('clearBufferfi', arguments)) return;
+    this._clearBuffer(buffer, drawbuffer, [GL.DEPTH_STENCIL]);
+  }
+
+  clearBufferfv(buffer, drawbuffer) {
+    if (!this._call('clearBufferfv', arguments)) return;
+    this._clearBuffer(buffer, drawbuffer, [GL.COLOR, GL.DEPTH]);
+  }
+
+  clearBufferiv(buffer, drawbuffer) {
+    if (!this._call('clearBufferiv', arguments)) return;
+    this._clearBuffer(buffer, drawbuffer, [GL.COLOR, GL.STENCIL]);
+  }
+
+  clearBufferuiv(buffer, drawbuffer) {
+    if (!this._call('clearBufferuiv', arguments)) return;
+    this._clearBuffer(buffer, drawbuffer, [GL.COLOR]);
+  }
+
+  clientWaitSync(sync) {
+    if (!this._call('clientWaitSync', arguments)) return GL.WAIT_FAILED;
+    return GL.ALREADY_SIGNALED;
+  }
+
+  compressedTexImage3D(target) {
+    if (!this._call('compressedTexImage3D', arguments)) return;
+    this._getBoundTexture(target);
+  }
+
+  compressedTexSubImage3D(target) {
+    if (!this._call('compressedTexSubImage3D', arguments)) return;
+    this._getBoundTexture(target);
+  }
+
+  copyBufferSubData(readTarget, writeTarget, readOffset, writeOffset, size) {
+    if (!this._call('copyBufferSubData', arguments)) return;
+    const source = this._getBoundBuffer(readTarget);
+    if (!source) return;
+    const destination = this._getBoundBuffer(writeTarget);
+    if (!destination) return;
+    if (readOffset < 0 || writeOffset < 0 || size < 0) return this._setError(GL.INVALID_VALUE);
+    if (readOffset + size > source._size || writeOffset + size > destination._size) return this._setError(GL.INVALID_VALUE);
+  }
+
+  copyTexSubImage3D(target) {
+    if (!this._call('copyTexSubImage3D', arguments)) return;
+    this._getBoundTexture(target);
+  }
+
+  createQuery() {
+    if (!this._call('createQuery', arguments)) return null;
+    return new WebGLQuery(this);
+  }
+
+  createSampler() {
+    if (!this._call('createSampler', arguments)) return null;
+    return new WebGLSampler(this);
+  }
+
+  createTransformFeedback() {
+    if (!this._call('createTransformFeedback', arguments)) return null;
+    return new WebGLTransformFeedback(this);
+  }
+
+  createVertexArray() {
+    if (!this._call('createVertexArray', arguments)) return null;
+    return new WebGLVertexArrayObject(this);
+  }
+
+  deleteQuery(query) {
+    if (!this._call('deleteQuery', arguments)) return;
+    if (!query || query._deleted) return;
+    query._deleted = true;
+    Object.keys(this._activeQueries).forEach(target => {
+      if (this._activeQueries[target] === query) delete this._activeQueries[target];
+    });
+  }
+
+  deleteSampler(sampler) {
+    if (!this._call('deleteSampler', arguments)) return;
+    if (!sampler || sampler._deleted) return;
+    sampler._deleted = true;
+    this._textureUnits.forEach(unit => {
+      if (unit[GL.SAMPLER_BINDING] === sampler) unit[GL.SAMPLER_BINDING] = null;
+    });
+  }
+
+  deleteSync(sync) {
+    if (!this._call('deleteSync', arguments)) return;
+    if (sync) sync._deleted = true;
+  }
+
+  deleteTransformFeedback(tf) {
+    if (!this._call('deleteTransformFeedback', arguments)) return;
+    if (tf && tf._active) return this._setError(GL.INVALID_OPERATION);
+    this._deleteObject(tf, [GL.TRANSFORM_FEEDBACK_BINDING]);
+  }
+
+  deleteVertexArray(vertexArray) {
+    if (!this._call('deleteVertexArray', arguments)) return;
+    this._deleteVertexArray(vertexArray);
+  }
+
+  drawArraysInstanced(mode, first, count, instanceCount) {
+    if (!this._call('drawArraysInstanced', arguments)) return;
+    if (first < 0 || instanceCount < 0) return this._setError(GL.INVALID_VALUE);
+    if (!this._checkDraw(mode, count)) return;
+    this._addDrawCall();
+  }
+
+  drawBuffers(buffers) {
+    if (!this._call('drawBuffers', arguments)) return;
+    if (!buffers || buffers.length === void 0) throw new TypeError('Failed to execute \'drawBuffers\' on \'' + this.constructor.name + '\': The provided value cannot be converted to a sequence.');
+    if (buffers.length > this._parameters[GL.MAX_DRAW_BUFFERS]) return this._setError(GL.INVALID_VALUE);
+    for (let i = 0; i < this._parameters[GL.MAX_DRAW_BUFFERS]; i++) {
+      this._parameters[GL.DRAW_BUFFER0 + i] = i < buffers.length ? buffers[i] : GL.NONE;
+    }
+  }
+
+  drawElementsInstanced(mode, count, type, offset, instanceCount) {
+    if (!this._call('drawElementsInstanced', arguments)) return;
+    if (this._indexTypes.indexOf(type) === -1) return this._setError(GL.INVALID_ENUM);
+    if (offset < 0 || instanceCount < 0) return this._setError(GL.INVALID_VALUE);
+    if (!this._checkDraw(mode, count)) return;
+    if (!this._parameters[GL.ELEMENT_ARRAY_BUFFER_BINDING]) return this._setError(GL.INVALID_OPERATION);
+    this._addDrawCall();
+  }
+
+  drawRangeElements(mode, start, end, count, type, offset) {
+    if (!this._call('drawRangeElements', arguments)) return;
+    if (this._indexTypes.indexOf(type) === -1) return this._setError(GL.INVALID_ENUM);
+    if (end < start || offset < 0) return this._setError(GL.INVALID_VALUE);
+    if (!this._checkDraw(mode, count)) return;
+    if (!this._parameters[GL.ELEMENT_ARRAY_BUFFER_BINDING]) return this._setError(GL.INVALID_OPERATION);
+    this._addDrawCall();
+  }
+
+  endQuery(target) {
+    if (!this._call('endQuery', arguments)) return;
+    if (queryTargets.indexOf(target) === -1) return this._setError(GL.INVALID_ENUM);
+    if (!this._activeQueries[target]) return this._setError(GL.INVALID_OPERATION);
+    delete this._activeQueries[target];
+  }
+
+  endTransformFeedback() {
+    if (!this._call('endTransformFeedback', arguments)) return;
+    const tf = this._getTransformFeedback();
+    if (!tf._active) return this._setError(GL.INVALID_OPERATION);
+    tf._active = false;
+    tf._paused = false;
+    this._updateTransformFeedback();
+  }
+
+  fenceSync(condition, flags) {
+    if (!this._call('fenceSync', arguments)) return null;
+    if (condition !== GL.SYNC_GPU_COMMANDS_COMPLETE) {
+      this._setError(GL.INVALID_ENUM);
+      return null;
+    }
+    if (flags !== 0) {
+      this._setError(GL.INVALID_VALUE);
+      return null;
+    }
+    return new WebGLSync(this);
+  }
+
+  framebufferTextureLayer(target, attachment, texture, level, layer) {
+    if (!this._call('framebufferTextureLayer', arguments)) return;
+    const framebuffer = this._getBoundFramebuffer(target);
+    if (!framebuffer) return;
+    if (this._attachmentPoints.indexOf(attachment) === -1) return this._setError(GL.INVALID_ENUM);
+    if (texture) framebuffer._attachments[attachment] = { object: texture, textarget: 0, level, layer };
+    else delete framebuffer._attachments[attachment];
+  }
+
+  getActiveUniformBlockName(program) {
+    if (!this._call('getActiveUniformBlockName', arguments)) return null;
+    this._setError(GL.INVALID_VALUE);
+    return null;
+  }
+
+  getActiveUniformBlockParameter(program) {
+    if (!this._call('getActiveUniformBlockParameter', arguments)) return null;
+    this._setError(GL.INVALID_VALUE);
+    return null;
+  }
+
+  getActiveUniforms(program, uniformIndices, pname) {
+    if (!this._call('getActiveUniforms', arguments)) return null;
+    const uniforms = Array.from(uniformIndices).map(index => program._uniforms[index]);
+    if (uniforms.some(uniform => !uniform)) {
+      this._setError(GL.INVALID_VALUE);
+      return null;
+    }
+    switch (pname) {
+      case GL.UNIFORM_TYPE: return uniforms.map(uniform => uniform.type);
+      case GL.UNIFORM_SIZE: return uniforms.map(uniform => uniform.size);
+      case GL.UNIFORM_BLOCK_INDEX:
+      case GL.UNIFORM_OFFSET:
+      case GL.UNIFORM_ARRAY_STRIDE:
+      case GL.UNIFORM_MATRIX_STRIDE: return uniforms.map(() => -1);
+      case GL.UNIFORM_IS_ROW_MAJOR: return uniforms.map(() => false);
+    }
+    this._setError(GL.INVALID_ENUM);
+    return null;
+  }
+
+  getBufferSubData(target, srcByteOffset, dstBuffer) {
+    if (!this._call('getBufferSubData', arguments)) return;
+    const buffer = this._getBoundBuffer(target);
+    if (!buffer) return;
+    if (!ArrayBuffer.isView(dstBuffer)) throw new TypeError('Failed to execute \'getBufferSubData\' on \'' + this.constructor.name + '\': parameter 3 is not of type \'ArrayBufferView\'.');
+    if (srcByteOffset < 0 || srcByteOffset + dstBuffer.byteLength > buffer._size) return this._setError(GL.INVALID_VALUE);
+  }
+
+  getFragDataLocation(program, name) {
+    if (!this._call('getFragDataLocation', arguments)) return -1;
+    if (!program._linked) {
+      this._setError(GL.INVALID_OPERATION);
+      return -1;
+    }
+    const fragmentShader = program._shaders.find(shader => shader._type === GL.FRAGMENT_SHADER);
+    const pattern = /(?:layout\s*\(\s*location\s*=\s*(\d+)\s*\)\s*)?\bout\s+(?:(?:highp|mediump|lowp)\s+)?\w+\s+(\w+)/g;
+    let match;
+    let index = 0;
+    while ((match = pattern.exec(fragmentShader._source)) !== null) {
+      if (match[2] === name) return match[1] ? Number(match[1]) : index;
+      index++;
+    }
+    return -1;
+  }
+
+  getIndexedParameter(target, index) {
+    if (!this._call('getIndexedParameter', arguments)) return null;
+    const indexedParameter = indexedParameters[target];
+    if (!indexedParameter) {
+      this._setError(GL.INVALID_ENUM);
+      return null;
+    }
+    const range = this._indexedBuffers[indexedParameter[0]][index] || { buffer: null, offset: 0, size: 0 };
+    return range[indexedParameter[1]];
+  }
+
+  getInternalformatParameter(target, internalformat, pname) {
+    if (!this._call('getInternalformatParameter', arguments)) return null;
+    if (target !== GL.RENDERBUFFER || pname !== GL.SAMPLES) {
+      this._setError(GL.INVALID_ENUM);
+      return null;
+    }
+    return new Int32Array([4]);
+  }
+
+  getQuery(target, pname) {
+    if (!this._call('getQuery', arguments)) return null;
+    if (queryTargets.indexOf(target) === -1 || pname !== GL.CURRENT_QUERY) {
+      this._setError(GL.INVALID_ENUM);
+      return null;
+    }
+    return this._activeQueries[target] || null;
+  }
+
+  getQueryParameter(query, pname) {
+    if (!this._call('getQueryParameter', arguments)) return null;
+    if (query._deleted || query._target === null || this._activeQueries[query._target] === query) {
+      this._setError(GL.INVALID_OPERATION);
+      return null;
+    }
+    if (pname === GL.QUERY_RESULT) return query._target === GL.TRANSFORM_FEEDBACK_PRIMITIVES_WRITTEN ? 0 : false;
+    if (pname === GL.QUERY_RESULT_AVAILABLE) return true;
+    this._setError(GL.INVALID_ENUM);
+    return null;
+  }
+
+  getSamplerParameter(sampler, pname) {
+    if (!this._call('getSamplerParameter', arguments)) return null;
+    if (!(pname in samplerParameters)) {
+      this._setError(GL.INVALID_ENUM);
+      return null;
+    }
+    return pname in sampler._parameters ? sampler._parameters[pname] : samplerParameters[pname];
+  }
+
+  getSyncParameter(sync, pname) {
+    if (!this._call('getSyncParameter', arguments)) return null;
+    switch (pname) {
+      case GL.OBJECT_TYPE: return GL.SYNC_FENCE;
+      case GL.SYNC_STATUS: return GL.SIGNALED;
+      case GL.SYNC_CONDITION: return GL.SYNC_GPU_COMMANDS_COMPLETE;
+      case GL.SYNC_FLAGS: return 0;
+    }
+    this._setError(GL.INVALID_ENUM);
+    return null;
+  }
+
+  getTransformFeedbackVarying(program, index) {
+    if (!this._call('getTransformFeedbackVarying', arguments)) return null;
+    const name = program._linked ? program._transformFeedbackVaryings[index] : void 0;
+    if (name === void 0) {
+      this._setError(GL.INVALID_VALUE);
+      return null;
+    }
+    return new WebGLActiveInfo(name, 1, GL.FLOAT_VEC4);
+  }
+
+  getUniformBlockIndex(program) {
+    if (!this._call('getUniformBlockIndex', arguments)) return GL.INVALID_INDEX;
+    return GL.INVALID_INDEX;
+  }
+
+  getUniformIndices(program, uniformNames) {
+    if (!this._call('getUniformIndices', arguments)) return null;
+    return Array.from(uniformNames).map(name => {
+      const index = program._uniforms.findIndex(uniform => uniform.name === name || uniform.name + '[0]' === name);
+      return index === -1 ? GL.INVALID_INDEX : index;
+    });
+  }
+
+  invalidateFramebuffer(target) {
+    if (!this._call('invalidateFramebuffer', arguments)) return;
+    if (this._framebufferTargets[target] === void 0) return this._setError(GL.INVALID_ENUM);
+  }
+
+  invalidateSubFramebuffer(target) {
+    if (!this._call('invalidateSubFramebuffer', arguments)) return;
+    if (this._framebufferTargets[target] === void 0) return this._setError(GL.INVALID_ENUM);
+  }
+
+  isQuery(query) {
+    if (!this._call('isQuery', arguments)) return false;
+    return this._isLive(query) && query._target !== null;
+  }
+
+  isSampler(sampler) {
+    if (!this._call('isSampler', arguments)) return false;
+    return this._isLive(sampler);
+  }
+
+  isSync(sync) {
+    if (!this._call('isSync', arguments)) return false;
+    return this._isLive(sync);
+  }
+
+  isTransformFeedback(tf) {
+    if (!this._call('isTransformFeedback', arguments)) return false;
+    return this._isLive(tf) && Boolean(tf._bound);
+  }
+
+  isVertexArray(vertexArray) {
+    if (!this._call('isVertexArray', arguments)) return false;
+    return this._isVertexArray(vertexArray);
+  }
+
+  pauseTransformFeedback() {
+    if (!this._call('pauseTransformFeedback', arguments)) return;
+    const tf = this._getTransformFeedback();
+    if (!tf._active || tf._paused) return this._setError(GL.INVALID_OPERATION);
+    tf._paused = true;
+    this._updateTransformFeedback();
+  }
+
+  readBuffer(src) {
+    if (!this._call('readBuffer', arguments)) return;
+    const isColorAttachment = src >= GL.COLOR_ATTACHMENT0 && src < GL.COLOR_ATTACHMENT0 + this._parameters[GL.MAX_COLOR_ATTACHMENTS];
+    if (src !== GL.BACK && src !== GL.NONE && !isColorAttachment) return this._setError(GL.INVALID_ENUM);
+    this._parameters[GL.READ_BUFFER] = src;
+  }
+
+  renderbufferStorageMultisample(target, samples, internalformat, width, height) {
+    if (!this._call('renderbufferStorageMultisample', arguments)) return;
+    if (target !== GL.RENDERBUFFER) return this._setError(GL.INVALID_ENUM);
+    const renderbuffer = this._parameters[GL.RENDERBUFFER_BINDING];
+    if (!renderbuffer) return this._setError(GL.INVALID_OPERATION);
+    if (width < 0 || height < 0 || samples < 0 || samples > this._parameters[GL.MAX_SAMPLES]) return this._setError(GL.INVALID_VALUE);
+    renderbuffer._internalFormat = internalformat;
+    renderbuffer._width = width;
+    renderbuffer._height = height;
+    renderbuffer._samples = samples;
+  }
+
+  resumeTransformFeedback() {
+    if (!this._call('resumeTransformFeedback', arguments)) return;
+    const tf = this._getTransformFeedback();
+    if (!tf._active || !tf._paused) return this._setError(GL.INVALID_OPERATION);
+    tf._paused = false;
+    this._updateTransformFeedback();
+  }
+
+  _setSamplerParameter(sampler, pname, param) {
+    if (!(pname in samplerParameters)) return this._setError(GL.INVALID_ENUM);
+    sampler._parameters[pname] = param;
+  }
+
+  samplerParameterf(sampler, pname, param) {
+    if (!this._call('samplerParameterf', arguments)) return;
+    this._setSamplerParameter(sampler, pname, Number(param));
+  }
+
+  samplerParameteri(sampler, pname, param) {
+    if (!this._call('samplerParameteri', arguments)) return;
+    this._setSamplerParameter(sampler, pname, floatSamplerParameters.indexOf(pname) === -1 ? Number(param) | 0 : Number(param));
+  }
+
+  texImage3D(target) {
+    if (!this._call('texImage3D', arguments)) return;
+    this._getBoundTexture(target);
+  }
+
+  _setTextureStorage(target, levels, width, height, depth) {
+    const texture = this._getBoundTexture(target);
+    if (!texture) return;
+    if (levels < 1 || width < 1 || height < 1 || depth < 1) return this._setError(GL.INVALID_VALUE);
+    if (texture._parameters[GL.TEXTURE_IMMUTABLE_FORMAT]) return this._setError(GL.INVALID_OPERATION);
+    texture._parameters[GL.TEXTURE_IMMUTABLE_FORMAT] = true;
+    texture._parameters[GL.TEXTURE_IMMUTABLE_LEVELS] = levels;
+  }
+
+  texStorage2D(target, levels, internalformat, width, height) {
+    if (!this._call('texStorage2D', arguments)) return;
+    this._setTextureStorage(target, levels, width, height, 1);
+  }
+
+  texStorage3D(target, levels, internalformat, width, height, depth) {
+    if (!this._call('texStorage3D', arguments)) return;
+    this._setTextureStorage(target, levels, width, height, depth);
+  }
+
+  texSubImage3D(target) {
+    if (!this._call('texSubImage3D', arguments)) return;
+    this._getBoundTexture(target);
+  }
+
+  transformFeedbackVaryings(program, varyings, bufferMode) {
+    if (!this._call('transformFeedbackVaryings', arguments)) return;
+    if (bufferMode !== GL.INTERLEAVED_ATTRIBS && bufferMode !== GL.SEPARATE_ATTRIBS) return this._setError(GL.INVALID_ENUM);
+    program._transformFeedbackVaryings = Array.from(varyings).map(String);
+    program._transformFeedbackBufferMode = bufferMode;
+  }
+
+  uniformBlockBinding(program) {
+    if (!this._call('uniformBlockBinding', arguments)) return;
+    this._setError(GL.INVALID_VALUE);
+  }
+
+  vertexAttribDivisor(index, divisor) {
+    if (!this._call('vertexAttribDivisor', arguments)) return;
+    this._setVertexAttribDivisor(index, divisor);
+  }
+
+  vertexAttribI4i(index, x, y, z, w) {
+    if (!this._call('vertexAttribI4i', arguments)) return;
+    if (!this._checkAttribIndex(index)) return;
+    this._vertexAttribs[index].current = new Int32Array([x, y, z, w]);
+  }
+
+  vertexAttribI4iv(index, values) {
+    if (!this._call('vertexAttribI4iv', arguments)) return;
+    if (!this._checkAttribIndex(index)) return;
+    if (!values || !(values.length >= 4)) return this._setError(GL.INVALID_VALUE);
+    this._vertexAttribs[index].current = new Int32Array(Array.from(values).slice(0, 4));
+  }
+
+  vertexAttribI4ui(index, x, y, z, w) {
+    if (!this._call('vertexAttribI4ui', arguments)) return;
+    if (!this._checkAttribIndex(index)) return;
+    this._vertexAttribs[index].current = new Uint32Array([x, y, z, w]);
+  }
+
+  vertexAttribI4uiv(index, values) {
+    if (!this._call('vertexAttribI4uiv', arguments)) return;
+    if (!this._checkAttribIndex(index)) return;
+    if (!values || !(values.length >= 4)) return this._setError(GL.INVALID_VALUE);
+    this._vertexAttribs[index].current = new Uint32Array(Array.from(values).slice(0, 4));
+  }
+
+  vertexAttribIPointer(index, size, type, stride, offset) {
+    if (!this._call('vertexAttribIPointer', arguments)) return;
+    if (!this._checkAttribIndex(index)) return;
+    if (size < 1 || size > 4 || stride < 0 || stride > 255 || offset < 0) return this._setError(GL.INVALID_VALUE);
+    const buffer = this._parameters[GL.ARRAY_BUFFER_BINDING];
+    if (!buffer && offset !== 0) return this._setError(GL.INVALID_OPERATION);
+    Object.assign(this._vertexAttribs[index], {
+      size,
+      type,
+      normalized: false,
+      integer: true,
+      stride,
+      offset,
+      buffer,
+    });
+  }
+
+  waitSync(sync) {
+    this._call('waitSync', arguments);
+  }
+}
+
+[1, 2, 3, 4].forEach(count => {
+  const proto = WebGL2RenderingContext.prototype;
+  const getValue = values => count === 1 ? values[0] : new Uint32Array(values);
+
+  proto['uniform' + count + 'ui'] = function uniformui(location, ...values) {
+    if (!this._call('uniform' + count + 'ui', arguments)) return;
+    this._setUniform(location, getValue(values.slice(0, count).map(value => Number(value) >>> 0)));
+  };
+
+  proto['uniform' + count + 'uiv'] = function uniformuiv(location, data, srcOffset, srcLength) {
+    if (!this._call('uniform' + count + 'uiv', arguments)) return;
+    const values = getUniformData(data, srcOffset, srcLength, count);
+    if (!values) return this._setError(GL.INVALID_VALUE);
+    this._setUniform(location, getValue(values));
+  };
+});
+
+['2x3', '2x4', '3x2', '3x4', '4x2', '4x3'].forEach(size => {
+  const name = 'uniformMatrix' + size + 'fv';
+  const components = Number(size[0]) * Number(size[2]);
+  WebGL2RenderingContext.prototype[name] = function uniformMatrixfv(location, transpose, data, srcOffset, srcLength) {
+    if (!this._call(name, arguments)) return;
+    const values = getUniformData(data, srcOffset, srcLength, components);
+    if (!values) return this._setError(GL.INVALID_VALUE);
+    this._setUniform(location, new Float32Array(values));
+  };
+});
+
+Object.keys(GL).forEach(key => {
+  WebGL2RenderingContext[key] = GL[key];
+  WebGL2RenderingContext.prototype[key] = GL[key];
+});
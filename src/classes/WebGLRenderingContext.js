@@ -0,0 +1,18 @@
+import WebGLRenderingContextBase from '../webgl/WebGLRenderingContextBase';
+import { webgl1Constants } from '../webgl/constants';
+
+/**
+ * The mock returned by `getContext('webgl')` and `getContext('experimental-webgl')`. Every call is
+ * recorded in `__getEvents()`, and draw calls and clears are also recorded in `__getDrawCalls()`.
+ */
+export default class WebGLRenderingContext extends WebGLRenderingContextBase {
+  constructor(canvas, attributes) {
+    super(canvas, attributes);
+    this._initialize();
+  }
+}
+
+Object.keys(webgl1Constants).forEach(key => {
+  WebGLRenderingContext[key] = webgl1Constants[key];
+  WebGLRenderingContext.prototype[key] = webgl1Constants[key];
+});
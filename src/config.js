@@ -0,0 +1,83 @@
+/**
+ * The options that control how the mock behaves. They can be changed with `configure()`, or with
+ * the `canvas` key of the jest `testEnvironmentOptions` when the `jest-canvas-mock/lib/environment`
+ * test environment is used.
+ */
+const defaults = {
+  /**
+   * When true, every new 2d context starts with rasterization enabled, as if
+   * `__enableRasterization()` was called.
+   */
+  rasterize: false,
+  /**
+   * How `measureText` computes its result. `'font'` uses the bundled font tables, `'length'` returns
+   * the length of the text as its width like older versions of the mock, and a function is called
+   * with the text and the text state of the context and returns the metrics.
+   */
+  textMetrics: 'font',
+  /**
+   * The browser whose wording is used for the messages of the errors thrown by mocked functions,
+   * either `'chrome'` or `'firefox'`.
+   */
+  errorMessages: 'chrome',
+  /**
+   * The maximum number of entries kept in the event and draw call logs of every context. When the
+   * limit is reached, the oldest entries are dropped.
+   */
+  maxEvents: Infinity,
+  /**
+   * Either true to install every missing global, or an array with the names of the globals to
+   * install, like `['Path2D', 'ImageData']`. The globals are installed when the mock is loaded.
+   */
+  globals: true,
+  /**
+   * The function used to create the mock functions, like `jest.fn` or `vi.fn`. When it is null,
+   * `vi.fn` or `jest.fn` is used when it exists, and a plain recorder otherwise. The functions
+   * created when the mock is installed, like `HTMLCanvasElement#getContext`, use the factory that
+   * was configured at that time.
+   */
+  spyFactory: null,
+};
+
+const validators = {
+  rasterize: value => typeof value === 'boolean',
+  textMetrics: value => value === 'font' || value === 'length' || typeof value === 'function',
+  errorMessages: value => value === 'chrome' || value === 'firefox',
+  maxEvents: value => typeof value === 'number' && value >= 0 && (value === Infinity || Number.isInteger(value)),
+  globals: value => value === true || (Array.isArray(value) && value.every(name => typeof name === 'string')),
+  spyFactory: value => value === null || typeof value === 'function',
+};
+
+let config = Object.assign({}, defaults);
+
+/**
+ * Returns the current options. This is used internally, and the result must not be modified.
+ */
+export function getConfig() {
+  return config;
+}
+
+/**
+ * Changes the given options and returns a copy of the resulting options. Options that are not
+ * provided keep their current value, and `undefined` restores the default value of an option.
+ */
+export function configure(options = {}) {
+  if (options === null || typeof options !== 'object') throw new TypeError('jest-canvas-mock: The options must be an object.');
+  const next = Object.assign({}, config);
+  Object.keys(options).forEach(key => {
+    if (!validators.hasOwnProperty(key)) throw new TypeError('jest-canvas-mock: Unknown option \'' + key + '\'.');
+    const value = options[key] === void 0 ? defaults[key] : options[key];
+    if (!validators[key](value)) throw new TypeError('jest-canvas-mock: The value provided for the \'' + key + '\' option is invalid.');
+    next[key] = value;
+  });
+  config = next;
+  return Object.assign({}, config);
+}
+
+/**
+ * Restores the default value of every option.
+ */
+export function resetConfig() {
+  config = Object.assign({}, defaults);
+  return Object.assign({}, config);
+}
@@ -0,0 +1,15 @@
+import JSDOMEnvironment from 'jest-environment-jsdom';
+
+/**
+ * A jsdom test environment that passes the `canvas` key of the jest `testEnvironmentOptions` to
+ * `configure()` when the mock is installed. Use it with `"testEnvironment":
+ * "jest-canvas-mock/lib/environment"` and keep `jest-canvas-mock` in the `setupFiles` or the
+ * `setupFilesAfterEnv`.
+ */
+export default class CanvasEnvironment extends JSDOMEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    const options = config.testEnvironmentOptions || {};
+    if (options.canvas) this.global.__jestCanvasMockOptions = options.canvas;
+  }
+}
@@ -3,12 +3,14 @@
  * Contract: i@hust.cc
  */
 
-import mockWindow  from './window';
+import install, { uninstall, resetAll } from './install';
+import { configure } from './config';
 
-// mock global window
+// mock global window, with the options from the testEnvironmentOptions that are set by
+// jest-canvas-mock/lib/environment
 // TODO: Force coverage to ignore this branch
-if (typeof window !== 'undefined') {
-  global.window = mockWindow(window);
-}
+install(typeof window !== 'undefined' && window.__jestCanvasMockOptions ? window.__jestCanvasMockOptions : {});
+
+export { configure, install, uninstall, resetAll };
 
 export const ver = '__VERSION__';
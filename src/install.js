@@ -0,0 +1,50 @@
+import mockWindow, { installGlobals, uninstallGlobals } from './window';
+import { restorePrototype } from './mock/prototype';
+import { clearEventLogs } from './mock/createEventLog';
+import { configure } from './config';
+import { registerMatchers } from './matchers';
+
+/**
+ * Installs the mock on the global window and registers the matchers. The options are passed to
+ * `configure()`, except for `expect`, which is the `expect` function the matchers are registered
+ * with when it is not a global, like in Vitest without the `globals` option.
+ *
+ * @example
+ * import { vi, expect } from 'vitest';
+ * import { install } from 'jest-canvas-mock';
+ *
+ * install({ spyFactory: vi.fn, expect });
+ */
+export default function install(options = {}) {
+  const { expect: expectFunction, ...config } = options;
+  configure(config);
+  if (typeof window !== 'undefined') {
+    /**
+     * Outside of jest, like with jsdom-global, the window is not the global object, and the mock
+     * refers to the classes it installs as globals.
+     */
+    if (global !== window) installGlobals(global);
+    global.window = mockWindow(window);
+  }
+  registerMatchers(expectFunction);
+}
+
+/**
+ * Removes the mock: the original `HTMLCanvasElement` methods are restored, and the globals added by
+ * the mock are removed, so that suites using a native canvas implementation can run afterwards.
+ * Contexts created before keep working. Call `install()` to install the mock again.
+ */
+export function uninstall() {
+  if (typeof window === 'undefined') return;
+  restorePrototype();
+  uninstallGlobals(window);
+  if (global !== window) uninstallGlobals(global);
+}
+
+/**
+ * Clears the events and draw calls recorded by every context, like in an `afterEach` hook. The
+ * state of the contexts, like their transform and current path, is kept.
+ */
+export function resetAll() {
+  clearEventLogs();
+}
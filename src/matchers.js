@@ -0,0 +1,410 @@
+import { parseCSSColor } from './classes/CanvasRenderingContext2D';
+import { DOMMatrixReadOnly } from './classes/DOMMatrix';
+import Path2D from './classes/Path2D';
+import ImageData from './classes/ImageData';
+import Rasterizer from './raster/Rasterizer';
+import encodePNG from './raster/encodePNG';
+import decodePNG from './raster/decodePNG';
+import diffImages from './raster/diffImages';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Transforms are compared with this tolerance, so that the rounding errors of `rotate()` do not
+ * make an assertion fail.
+ */
+const TRANSFORM_PRECISION = 1e-10;
+
+const MAX_LISTED_EVENTS = 5;
+
+const IMAGE_SNAPSHOTS_DIRECTORY = '__image_snapshots__';
+const DIFF_OUTPUT_DIRECTORY = '__diff_output__';
+
+/**
+ * The number of image snapshots taken so far by every test, which numbers the snapshot files when
+ * a test takes more than one.
+ */
+const imageSnapshotCounters = new Map();
+
+function getContext(matcherContext, matcherName, received) {
+  if (received && typeof received.__getDrawCalls === 'function' && Array.isArray(received._transformStack)) return received;
+  throw new Error(
+    matcherContext.utils.matcherHint(matcherName, void 0, void 0) + '\n\n'
+    + 'Received value must be a CanvasRenderingContext2D or an OffscreenCanvasRenderingContext2D.\n'
+    + 'Received: ' + matcherContext.utils.printReceived(received),
+  );
+}
+
+/**
+ * Returns the properties of the expected object that are not undefined, so that arguments that are
+ * left out of a matcher match any value.
+ */
+function getDefinedProps(props) {
+  const result = {};
+  Object.keys(props).forEach(key => {
+    if (props[key] !== void 0) result[key] = props[key];
+  });
+  return result;
+}
+
+function matchesProps(matcherContext, props, expected) {
+  return Object.keys(expected).every(key => matcherContext.equals(props[key], expected[key]));
+}
+
+/**
+ * Returns the candidate event that matches the most expected properties, preferring the most recent
+ * one, which is the event that is shown in the diff of a failure message.
+ */
+function getClosestEvent(matcherContext, candidates, expected) {
+  let closest = null;
+  let closestScore = -1;
+  candidates.forEach(candidate => {
+    const score = Object.keys(expected).filter(key => matcherContext.equals(candidate.props[key], expected[key])).length;
+    if (score >= closestScore) {
+      closest = candidate;
+      closestScore = score;
+    }
+  });
+  return closest;
+}
+
+function printEvents(matcherContext, events) {
+  const lines = events.slice(-MAX_LISTED_EVENTS).map(event => '  ' + matcherContext.utils.printReceived(event));
+  if (events.length > MAX_LISTED_EVENTS) lines.unshift('  ... ' + (events.length - MAX_LISTED_EVENTS) + ' more');
+  return lines.join('\n');
+}
+
+/**
+ * Builds the result of a matcher that looks for an event with some expected properties among the
+ * candidate events. The failure message shows a diff between the expected event and the closest
+ * candidate, and the negated failure message shows the event that matched.
+ */
+function matchEvent(matcherContext, { matcherName, expectedArgs, description, type, candidates, expected }) {
+  const match = candidates.find(candidate => matchesProps(matcherContext, candidate.props, expected));
+  const hint = matcherContext.utils.matcherHint(matcherName, 'ctx', expectedArgs, { isNot: matcherContext.isNot });
+  if (match) {
+    return {
+      pass: true,
+      message: () => hint + '\n\n'
+        + 'Expected the context not to have ' + description + ', but it did:\n'
+        + '  ' + matcherContext.utils.printReceived(match),
+    };
+  }
+  return {
+    pass: false,
+    message: () => {
+      if (candidates.length === 0) return hint + '\n\nExpected the context to have ' + description + ', but there were no ' + type + ' calls.';
+      const closest = getClosestEvent(matcherContext, candidates, expected);
+      const expectedEvent = { type: closest.type, props: Object.assign({}, closest.props, expected) };
+      return hint + '\n\n'
+        + 'Expected the context to have ' + description + '.\n\n'
+        + 'Difference from the closest ' + closest.type + ' call:\n'
+        + matcherContext.utils.diff(expectedEvent, { type: closest.type, props: closest.props }) + '\n\n'
+        + 'Received ' + type + ' calls:\n'
+        + printEvents(matcherContext, candidates);
+    },
+  };
+}
+
+/**
+ * Removes the `beginPath` events and the transforms from a path, so paths recorded on a context and
+ * on a `Path2D` can be compared.
+ */
+function normalizePath(path) {
+  return path
+    .filter(event => event.type !== 'beginPath')
+    .map(({ type, props }) => ({ type, props }));
+}
+
+function toTransformArray(value) {
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) return Array.prototype.slice.call(value, 0, 6).map(Number);
+  if (value instanceof DOMMatrixReadOnly) return [value.a, value.b, value.c, value.d, value.e, value.f];
+  if (value && typeof value === 'object') {
+    return ['a', 'b', 'c', 'd', 'e', 'f'].map((key, index) => (value[key] === void 0 ? [1, 0, 0, 1, 0, 0][index] : Number(value[key])));
+  }
+  return null;
+}
+
+/**
+ * Asserts that `fillRect` or `strokeRect` was called, or that a path with a `rect` was filled or
+ * stroked. The arguments that are left out match any value.
+ *
+ * @example
+ * expect(ctx).toHaveDrawnRect(0, 0, 100, 50);
+ */
+export function toHaveDrawnRect(received, x, y, width, height) {
+  const ctx = getContext(this, 'toHaveDrawnRect', received);
+  const candidates = [];
+  ctx.__getDrawCalls().forEach(event => {
+    if (event.type === 'fillRect' || event.type === 'strokeRect') candidates.push(event);
+    if ((event.type === 'fill' || event.type === 'stroke') && event.props.path) {
+      event.props.path
+        .filter(pathEvent => pathEvent.type === 'rect')
+        .forEach(pathEvent => candidates.push({ type: event.type, transform: pathEvent.transform, props: pathEvent.props }));
+    }
+  });
+  return matchEvent(this, {
+    matcherName: 'toHaveDrawnRect',
+    expectedArgs: 'x, y, width, height',
+    description: 'drawn a rect',
+    type: 'fillRect, strokeRect, fill or stroke',
+    candidates,
+    expected: getDefinedProps({ x, y, width, height }),
+  });
+}
+
+/**
+ * Asserts that `fillText` was called with the text, and with the position when it is given.
+ *
+ * @example
+ * expect(ctx).toHaveFilledText('label', 10, 20);
+ */
+export function toHaveFilledText(received, text, x, y) {
+  const ctx = getContext(this, 'toHaveFilledText', received);
+  return matchEvent(this, {
+    matcherName: 'toHaveFilledText',
+    expectedArgs: 'text, x, y',
+    description: 'filled the text ' + this.utils.printExpected(text),
+    type: 'fillText',
+    candidates: ctx.__getDrawCalls().filter(event => event.type === 'fillText'),
+    expected: getDefinedProps({ text, x, y }),
+  });
+}
+
+/**
+ * Asserts that `stroke` was called, with the given path when it is provided. The path can be a
+ * `Path2D`, a string of SVG path data or an array of path events. `beginPath` events and the
+ * transforms of the events are ignored.
+ *
+ * @example
+ * expect(ctx).toHaveStrokedPath('M0 0 L10 10');
+ */
+export function toHaveStrokedPath(received, path) {
+  const ctx = getContext(this, 'toHaveStrokedPath', received);
+  let expected = {};
+  if (path !== void 0) {
+    if (typeof path === 'string') path = new Path2D(path);
+    expected = { path: normalizePath(path instanceof Path2D ? path._path : path) };
+  }
+  return matchEvent(this, {
+    matcherName: 'toHaveStrokedPath',
+    expectedArgs: path === void 0 ? '' : 'path',
+    description: path === void 0 ? 'stroked a path' : 'stroked the path',
+    type: 'stroke',
+    candidates: ctx.__getDrawCalls()
+      .filter(event => event.type === 'stroke')
+      .map(event => ({ type: event.type, transform: event.transform, props: { path: normalizePath(event.props.path) } })),
+    expected,
+  });
+}
+
+/**
+ * Asserts that `fillStyle` was set to the value. Colors are compared after they are serialized like
+ * the context does, so `'red'` matches `'#f00'`.
+ *
+ * @example
+ * expect(ctx).toHaveSetFillStyle('red');
+ */
+export function toHaveSetFillStyle(received, value) {
+  const ctx = getContext(this, 'toHaveSetFillStyle', received);
+  const expected = typeof value === 'string' ? parseCSSColor(value) || value : value;
+  return matchEvent(this, {
+    matcherName: 'toHaveSetFillStyle',
+    expectedArgs: 'value',
+    description: 'set the fillStyle to ' + this.utils.printExpected(value),
+    type: 'fillStyle',
+    candidates: ctx.__getEvents().filter(event => event.type === 'fillStyle'),
+    expected: { value: expected },
+  });
+}
+
+/**
+ * Asserts that the current transform of the context equals the matrix, which can be a
+ * `DOMMatrix`, a `DOMMatrix2DInit` dictionary or an array of the six `[a, b, c, d, e, f]` values.
+ *
+ * @example
+ * expect(ctx).toHaveTransform([1, 0, 0, 1, 10, 20]);
+ */
+export function toHaveTransform(received, matrix) {
+  const ctx = getContext(this, 'toHaveTransform', received);
+  const expected = toTransformArray(matrix);
+  if (!expected || expected.length !== 6) {
+    throw new Error(
+      this.utils.matcherHint('toHaveTransform', 'ctx', 'matrix') + '\n\n'
+      + 'Expected value must be a DOMMatrix, a DOMMatrix2DInit dictionary or an array of six numbers.\n'
+      + 'Expected: ' + this.utils.printExpected(matrix),
+    );
+  }
+  const transform = ctx._transformStack[ctx._stackIndex].slice();
+  const pass = transform.every((value, index) => Math.abs(value - expected[index]) <= TRANSFORM_PRECISION);
+  const hint = this.utils.matcherHint('toHaveTransform', 'ctx', 'matrix', { isNot: this.isNot });
+  return {
+    pass,
+    message: () => (pass
+      ? hint + '\n\nExpected the transform not to be ' + this.utils.printExpected(expected) + '.'
+      : hint + '\n\n' + this.utils.diff(expected, transform)),
+  };
+}
+
+/**
+ * Asserts that every `save()` call on the context was followed by a matching `restore()` call, and
+ * that `restore()` was never called without a matching `save()`.
+ *
+ * @example
+ * expect(ctx).toHaveBalancedSaveRestore();
+ */
+export function toHaveBalancedSaveRestore(received) {
+  const ctx = getContext(this, 'toHaveBalancedSaveRestore', received);
+  const unrestored = ctx._stackIndex;
+  const unmatched = ctx._unmatchedRestoreCount;
+  const pass = unrestored === 0 && unmatched === 0;
+  const hint = this.utils.matcherHint('toHaveBalancedSaveRestore', 'ctx', '', { isNot: this.isNot });
+  const problems = [];
+  if (unrestored > 0) {
+    problems.push(this.utils.printReceived(unrestored) + ' save() call' + (unrestored === 1 ? ' was' : 's were') + ' not restored');
+  }
+  if (unmatched > 0) {
+    problems.push(this.utils.printReceived(unmatched) + ' restore() call' + (unmatched === 1 ? ' had' : 's had') + ' no matching save()');
+  }
+  return {
+    pass,
+    message: () => (pass
+      ? hint + '\n\nExpected a save() call without a matching restore() call, but every save() was restored.'
+      : hint + '\n\nExpected every save() call to have a matching restore() call, but '
+        + problems.join(' and ') + '.'),
+  };
+}
+
+/**
+ * Returns the pixels of a rasterized canvas, offscreen canvas or context, or of an `ImageData`.
+ */
+function getImage(received) {
+  if (received instanceof ImageData) return received;
+  const canvas = received && typeof received.__getDrawCalls === 'function' && received._canvas ? received._canvas : received;
+  return (canvas && Rasterizer.getImageSource(canvas)) || null;
+}
+
+function toIdentifier(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function writeFile(file, bytes) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, Buffer.from(bytes));
+}
+
+function removeFile(file) {
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
+/**
+ * Compares the pixels of a rasterized canvas with a PNG file in the `__image_snapshots__` directory
+ * next to the test file, which is written when it does not exist yet, like `toMatchSnapshot()`
+ * does. The image is encoded like `toDataURL()` encodes a rasterized canvas. When the images differ,
+ * a diff image is written to `__image_snapshots__/__diff_output__`. Running jest with
+ * `--updateSnapshot` replaces the PNG files that do not match, and `--ci` does not write new ones.
+ *
+ * The `threshold` option is how much two pixels may differ, as a number between 0 and 1 relative to
+ * the range of a channel, and the `failureThreshold` option is the ratio of pixels that may differ.
+ * Both default to 0.
+ *
+ * @example
+ * expect(canvas).toMatchImageSnapshot({ failureThreshold: 0.01 });
+ */
+export function toMatchImageSnapshot(received, options = {}) {
+  const { threshold = 0, failureThreshold = 0 } = options;
+  const { snapshotState, testPath, currentTestName } = this;
+  const hint = this.utils.matcherHint('toMatchImageSnapshot', 'canvas', '');
+  if (this.isNot) throw new Error(hint + '\n\n.not cannot be used with toMatchImageSnapshot().');
+  if (!snapshotState || !testPath) throw new Error(hint + '\n\nImage snapshots can only be taken inside of a jest test.');
+  const image = getImage(received);
+  if (!image) {
+    throw new Error(
+      hint + '\n\n'
+      + 'Received value must be a rasterized canvas or context, or an ImageData. Call __enableRasterization() on the context before drawing.\n'
+      + 'Received: ' + this.utils.printReceived(received),
+    );
+  }
+
+  const key = testPath + ' ' + currentTestName;
+  const count = (imageSnapshotCounters.get(key) || 0) + 1;
+  imageSnapshotCounters.set(key, count);
+  const identifier = path.basename(testPath) + '-' + toIdentifier(currentTestName) + '-' + count;
+  const snapshotPath = path.join(path.dirname(testPath), IMAGE_SNAPSHOTS_DIRECTORY, identifier + '.png');
+  const diffPath = path.join(path.dirname(testPath), IMAGE_SNAPSHOTS_DIRECTORY, DIFF_OUTPUT_DIRECTORY, identifier + '-diff.png');
+  const png = encodePNG(image.width, image.height, image.data);
+
+  if (!fs.existsSync(snapshotPath)) {
+    if (snapshotState._updateSnapshot === 'none') {
+      snapshotState.unmatched++;
+      return {
+        pass: false,
+        message: () => hint + '\n\n'
+          + 'New image snapshot was not written. The update flag must be explicitly passed to write a new snapshot.\n\n'
+          + 'This is likely because this test is run in a continuous integration (CI) environment in which snapshots are not written by default.',
+      };
+    }
+    writeFile(snapshotPath, png);
+    snapshotState.added++;
+    return { pass: true, message: () => hint + '\n\nThe image snapshot was written to ' + snapshotPath + '.' };
+  }
+
+  const expected = decodePNG(fs.readFileSync(snapshotPath));
+  const sameSize = expected.width === image.width && expected.height === image.height;
+  const result = sameSize ? diffImages(expected.data, image.data, threshold) : null;
+  if (result && result.count <= failureThreshold * image.width * image.height) {
+    removeFile(diffPath);
+    snapshotState.matched++;
+    return { pass: true, message: () => hint + '\n\nThe image matches the snapshot ' + snapshotPath + '.' };
+  }
+  if (snapshotState._updateSnapshot === 'all') {
+    writeFile(snapshotPath, png);
+    removeFile(diffPath);
+    snapshotState.updated++;
+    return { pass: true, message: () => hint + '\n\nThe image snapshot ' + snapshotPath + ' was updated.' };
+  }
+
+  snapshotState.unmatched++;
+  if (!result) {
+    return {
+      pass: false,
+      message: () => hint + '\n\n'
+        + 'Expected image to have the size of the snapshot ' + this.utils.printExpected(expected.width + 'x' + expected.height)
+        + ', but it was ' + this.utils.printReceived(image.width + 'x' + image.height) + '.\n'
+        + 'Snapshot: ' + snapshotPath,
+    };
+  }
+  writeFile(diffPath, encodePNG(image.width, image.height, result.diff));
+  const ratio = result.count / (image.width * image.height);
+  return {
+    pass: false,
+    message: () => hint + '\n\n'
+      + 'Expected image to match the snapshot, but ' + this.utils.printReceived(result.count) + ' pixel' + (result.count === 1 ? '' : 's')
+      + ' (' + (ratio * 100).toFixed(2) + '%) differ.\n'
+      + 'Snapshot: ' + snapshotPath + '\n'
+      + 'Diff: ' + diffPath,
+  };
+}
+
+const matchers = {
+  toHaveDrawnRect,
+  toHaveFilledText,
+  toHaveStrokedPath,
+  toHaveSetFillStyle,
+  toHaveTransform,
+  toHaveBalancedSaveRestore,
+  toMatchImageSnapshot,
+};
+
+export default matchers;
+
+/**
+ * Registers the matchers with `expect.extend`, using the given `expect` or the global one. Jest
+ * only defines `expect` for the files listed in `setupFilesAfterEnv`, so the matchers are not
+ * registered when the mock is loaded from `setupFiles`. Returns whether they were registered.
+ */
+export function registerMatchers(expectFunction = typeof expect === 'undefined' ? void 0 : expect) {
+  if (!expectFunction || typeof expectFunction.extend !== 'function') return false;
+  expectFunction.extend(matchers);
+  return true;
+}
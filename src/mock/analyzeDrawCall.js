@@ -0,0 +1,58 @@
+import flattenPath from '../path/flattenPath';
+import getBounds, { intersectBounds } from '../path/getBounds';
+import { invertTransform } from '../path/matrix';
+
+/**
+ * Returns the device space bounds of the shadow of a drawing with the given bounds. Shadow offsets
+ * are not transformed, and the blur is a gaussian blur with a standard deviation of half the
+ * `shadowBlur`, which is treated as reaching three standard deviations away from the drawing.
+ */
+function getShadowBounds(bbox, { blur, offsetX, offsetY }) {
+  const extent = blur * 1.5;
+  return {
+    x: bbox.x + offsetX - extent,
+    y: bbox.y + offsetY - extent,
+    width: bbox.width + extent * 2,
+    height: bbox.height + extent * 2,
+  };
+}
+
+/**
+ * Figures out whether a draw call can change any pixel of the canvas. The `polygons` are the
+ * device space outline of what is drawn, `alpha` is the opacity of the paint combined with the
+ * `globalAlpha`, or `null` when the opacity does not matter like for `clearRect`, `shadow` holds
+ * the `blur`, `offsetX` and `offsetY` of a visible shadow or is `null`, and `clip` is the list of
+ * clip events in effect. The result contains the device space bounding box of the drawing, without
+ * its shadow, and the reason why nothing is drawn, which is the first of:
+ *
+ * - `'degenerate-transform'`: the transform cannot be inverted, so everything collapses to a line
+ * - `'transparent'`: the paint or the `globalAlpha` is fully transparent, and so is the shadow,
+ *   because its opacity is multiplied by the opacity of the drawing
+ * - `'empty'`: the drawing has no area, like a rectangle with a width of 0 or an empty text
+ * - `'off-canvas'`: the drawing and its shadow are entirely outside of the canvas
+ * - `'clipped'`: the drawing and its shadow are entirely outside of the bounding boxes of the
+ *   clipping paths, which are compared instead of the clipping region itself
+ */
+export default function analyzeDrawCall({ polygons, transform, alpha, shadow, clip, width, height }) {
+  const bbox = getBounds(polygons);
+  let reason = null;
+  if (!invertTransform(transform)) reason = 'degenerate-transform';
+  else if (alpha !== null && !(alpha > 0)) reason = 'transparent';
+  else if (!bbox || bbox.width === 0 || bbox.height === 0) reason = 'empty';
+  else {
+    const regions = shadow ? [bbox, getShadowBounds(bbox, shadow)] : [bbox];
+    const visible = regions
+      .map(region => intersectBounds(region, { x: 0, y: 0, width, height }))
+      .filter(region => region !== null);
+    if (visible.length === 0) reason = 'off-canvas';
+    else {
+      const clipped = visible.map(region => clip.reduce((result, event) => {
+        if (!result) return null;
+        const bounds = getBounds(flattenPath(event.props.path).map(subpath => subpath.points));
+        return bounds ? intersectBounds(result, bounds) : null;
+      }, region));
+      if (clipped.every(region => region === null)) reason = 'clipped';
+    }
+  }
+  return { bbox, isVisible: reason === null, reason };
+}
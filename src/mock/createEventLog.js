@@ -0,0 +1,63 @@
+import { getConfig } from '../config';
+
+/**
+ * The number of times `clearEventLogs()` was called. Every log remembers the generation it was last
+ * emptied in, and empties itself the next time it is used when the generation changed, so no list
+ * of logs is kept and the logs of contexts that are no longer used can be garbage collected.
+ */
+let generation = 0;
+
+/**
+ * Empties every event and draw call log, the next time each of them is used.
+ */
+export function clearEventLogs() {
+  generation++;
+}
+
+/**
+ * This function returns an array that is used as an event or draw call log. It behaves like a
+ * normal array, except that `push` drops the oldest entries once the log holds more than the
+ * `maxEvents` option allows, so long running tests do not keep every event in memory, and that it
+ * is emptied by `clearEventLogs()`. The entries dropped either way are passed to `onDrop`, in the
+ * order they were pushed.
+ */
+export default function createEventLog(onDrop) {
+  const log = [];
+  let logGeneration = generation;
+  const drop = entries => {
+    if (onDrop && entries.length > 0) onDrop(entries);
+  };
+  const update = () => {
+    if (logGeneration === generation) return;
+    logGeneration = generation;
+    drop(log.splice(0, log.length));
+  };
+  function push(...items) {
+    Array.prototype.push.apply(this, items);
+    const { maxEvents } = getConfig();
+    if (this.length > maxEvents) drop(this.splice(0, this.length - maxEvents));
+    return this.length;
+  }
+  return new Proxy(log, {
+    get(target, key, receiver) {
+      update();
+      return key === 'push' ? push : Reflect.get(target, key, receiver);
+    },
+    set(target, key, value, receiver) {
+      update();
+      return Reflect.set(target, key, value, receiver);
+    },
+    has(target, key) {
+      update();
+      return Reflect.has(target, key);
+    },
+    ownKeys(target) {
+      update();
+      return Reflect.ownKeys(target);
+    },
+    getOwnPropertyDescriptor(target, key) {
+      update();
+      return Reflect.getOwnPropertyDescriptor(target, key);
+    },
+  });
+}
@@ -1,6 +1,10 @@
 import ImageBitmap from '../classes/ImageBitmap';
 
-export default jest.fn(function createImageBitmap(img, sx, sy, sWidth, sHeight, options) {
+/**
+ * The implementation of the `createImageBitmap` global, which `installGlobals()` wraps in a mock
+ * function.
+ */
+export default function createImageBitmap(img, sx, sy, sWidth, sHeight, options) {
   var length = arguments.length;
   return new Promise((resolve, reject) => {
     if (length === 0) return reject(new TypeError('Failed to execute \'createImageBitmap\' on \'Window\': 1 argument required, but only 0 present.'));
@@ -9,6 +13,7 @@ export default jest.fn(function createImageBitmap(img, sx, sy, sWidth, sHeight,
     if (img instanceof HTMLImageElement) validImage = true;
     if (img instanceof HTMLVideoElement) validImage = true;
     if (img instanceof HTMLCanvasElement) validImage = true;
+    if (img instanceof OffscreenCanvas) validImage = true;
     // checking constructor name is the only reliable way to verify the object's constructing class is "blob-like"
     if (img instanceof Blob || (img && img.constructor && img.constructor.name === "Blob")) validImage = true;
     if (img instanceof ImageBitmap) validImage = true;
@@ -39,4 +44,4 @@ export default jest.fn(function createImageBitmap(img, sx, sy, sWidth, sHeight,
     }
     return resolve(new ImageBitmap(sWidth, sHeight));
   });
-});
+}
@@ -0,0 +1,79 @@
+import { getConfig } from '../config';
+import translateErrors from './translateErrors';
+
+/**
+ * A minimal mock function for test runners without one, like uvu or mocha. It records its calls
+ * and results like `jest.fn` and supports the common `mock*` functions, so the assertions of
+ * `expect` work with it.
+ */
+export function createRecorder(implementation) {
+  let defaultImplementation = implementation;
+  let onceImplementations = [];
+
+  function recorder(...args) {
+    recorder.mock.calls.push(args);
+    recorder.mock.instances.push(this);
+    const current = onceImplementations.length > 0 ? onceImplementations.shift() : defaultImplementation;
+    try {
+      const value = current ? current.apply(this, args) : void 0;
+      recorder.mock.results.push({ type: 'return', value });
+      return value;
+    } catch (error) {
+      recorder.mock.results.push({ type: 'throw', value: error });
+      throw error;
+    }
+  }
+
+  recorder._isMockFunction = true;
+  recorder.mock = { calls: [], instances: [], results: [] };
+  recorder.getMockName = () => 'recorder';
+  recorder.getMockImplementation = () => defaultImplementation;
+  recorder.mockClear = () => {
+    recorder.mock = { calls: [], instances: [], results: [] };
+    return recorder;
+  };
+  recorder.mockReset = () => {
+    defaultImplementation = void 0;
+    onceImplementations = [];
+    return recorder.mockClear();
+  };
+  recorder.mockImplementation = (fn) => {
+    defaultImplementation = fn;
+    return recorder;
+  };
+  recorder.mockImplementationOnce = (fn) => {
+    onceImplementations.push(fn);
+    return recorder;
+  };
+  recorder.mockReturnValue = value => recorder.mockImplementation(() => value);
+  recorder.mockReturnValueOnce = value => recorder.mockImplementationOnce(() => value);
+  return recorder;
+}
+
+/**
+ * Returns the `spyFactory` option, or else the mock function factory of the test runner, which is
+ * `vi.fn` in Vitest and `jest.fn` in jest. Other runners get the plain recorder.
+ */
+export function getSpyFactory() {
+  const { spyFactory } = getConfig();
+  if (spyFactory) return spyFactory;
+  if (typeof vi !== 'undefined' && vi && typeof vi.fn === 'function') return vi.fn;
+  if (typeof jest !== 'undefined' && jest && typeof jest.fn === 'function') return jest.fn;
+  return createRecorder;
+}
+
+/**
+ * Returns true for mock functions made by any of the supported factories.
+ */
+export function isMockFunction(value) {
+  return typeof value === 'function'
+    && (value._isMockFunction === true || (Boolean(value.mock) && typeof value.mockImplementation === 'function'));
+}
+
+/**
+ * Every function of the mock is wrapped with this function, which makes a mock function that calls
+ * the implementation and translates its error messages.
+ */
+export default function createMockFunction(implementation) {
+  return getSpyFactory()(translateErrors(implementation));
+}
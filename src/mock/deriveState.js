@@ -0,0 +1,79 @@
+import createCanvasEvent from './createCanvasEvent';
+import { properties } from './replayEvents';
+
+const identity = [1, 0, 0, 1, 0, 0];
+
+function getDefaultState() {
+  return {
+    clip: [],
+    direction: 'inherit',
+    fillStyle: '#000',
+    filter: 'none',
+    font: '10px sans-serif',
+    fontKerning: 'auto',
+    fontStretch: 'normal',
+    fontVariantCaps: 'normal',
+    globalAlpha: 1.0,
+    globalCompositeOperation: 'source-over',
+    imageSmoothingEnabled: true,
+    imageSmoothingQuality: 'low',
+    letterSpacing: '0px',
+    lineCap: 'butt',
+    lineDash: [],
+    lineDashOffset: 0,
+    lineJoin: 'miter',
+    lineWidth: 1,
+    miterLimit: 10,
+    shadowBlur: 0,
+    shadowColor: 'rgba(0, 0, 0, 0)',
+    shadowOffsetX: 0,
+    shadowOffsetY: 0,
+    strokeStyle: '#000',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    textRendering: 'auto',
+    transform: identity.slice(),
+    wordSpacing: '0px',
+  };
+}
+
+/**
+ * The events that add themselves to the current path.
+ */
+const pathEvents = ['arc', 'arcTo', 'bezierCurveTo', 'clip', 'closePath', 'ellipse', 'lineTo', 'moveTo', 'quadraticCurveTo', 'rect', 'roundRect'];
+
+/**
+ * Derives the drawing state and the current path of a 2d context from the events it recorded,
+ * without calling any method of a context. Events only store values the context accepted, and
+ * every event stores the transform that is current after it, so the events are enough to rebuild
+ * the state stack. When the events do not start with the context, `base` is the result of deriving
+ * the events before them, which is left unchanged.
+ */
+export default function deriveState(events, base = null) {
+  const stack = base
+    ? base.stack.map(state => Object.assign({}, state))
+    : [getDefaultState()];
+  let path = base ? base.path.slice() : [createCanvasEvent('beginPath', identity.slice(), {})];
+
+  events.forEach(event => {
+    const { type, props } = event;
+    let state = stack[stack.length - 1];
+
+    if (type === 'save') stack.push(Object.assign({}, state));
+    else if (type === 'restore' && stack.length > 1) stack.pop();
+    else if (type === 'reset') {
+      stack.splice(0, stack.length, getDefaultState());
+      path = [createCanvasEvent('beginPath', identity.slice(), {})];
+    } else if (type === 'beginPath') path = [event];
+    else if (type === 'setLineDash') state.lineDash = props.value.slice();
+    else if (properties.indexOf(type) !== -1) state[type] = props.value;
+
+    if (type === 'clip') state.clip = state.clip.concat([event]);
+    if (pathEvents.indexOf(type) !== -1) path.push(event);
+
+    state = stack[stack.length - 1];
+    state.transform = event.transform.slice();
+  });
+
+  return { path, stack, state: stack[stack.length - 1] };
+}
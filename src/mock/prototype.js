@@ -1,23 +1,84 @@
+import createMockFunction, { isMockFunction } from './createMockFunction';
+import Rasterizer from '../raster/Rasterizer';
+
+/**
+ * The `HTMLCanvasElement` methods that are replaced by the mock.
+ */
+const overriddenMethods = ['getContext', 'toBlob', 'toDataURL', 'transferControlToOffscreen'];
+
+function toBase64(bytes) {
+  let binary = '';
+  // String.fromCharCode is called in chunks, because it takes every byte as an argument
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return window.btoa(binary);
+}
+
+/**
+ * Replaces a method of `HTMLCanvasElement.prototype` with a mock function. The original method is
+ * stored on the mock function as the `internal` property, and it is carried over when the mock is
+ * installed more than once, so that it can be restored by `restorePrototype()`.
+ */
+function override(name, mockFunction) {
+  const current = HTMLCanvasElement.prototype[name];
+  mockFunction.internal = isMockFunction(current) ? current.internal : current;
+  HTMLCanvasElement.prototype[name] = mockFunction;
+}
+
+/**
+ * Puts back the original `HTMLCanvasElement` methods. Methods that did not exist before the mock
+ * was installed are removed.
+ */
+export function restorePrototype() {
+  overriddenMethods.forEach(name => {
+    const current = HTMLCanvasElement.prototype[name];
+    if (!isMockFunction(current)) return;
+    if (current.internal) HTMLCanvasElement.prototype[name] = current.internal;
+    else delete HTMLCanvasElement.prototype[name];
+  });
+}
+
 export default function mockPrototype() {
   /**
    * This weakmap is designed to contain all of the generated canvas contexts. It's keys are the
-   * jsdom canvases obtained by using the `this` keyword inside the `#getContext('2d')` function
-   * call. It's values are the generated `CanvasRenderingContext2D` objects.
+   * jsdom canvases obtained by using the `this` keyword inside the `#getContext()` function call.
+   * It's values are the generated `CanvasRenderingContext2D`, `WebGLRenderingContext` and
+   * `WebGL2RenderingContext` objects.
    */
   const generatedContexts = new WeakMap();
+  /**
+   * This weakmap contains every canvas that has transferred its control to an `OffscreenCanvas`.
+   * It's values are the `OffscreenCanvas` objects returned by `transferControlToOffscreen()`.
+   */
+  const transferredCanvases = new WeakMap();
+  /**
+   * The context classes created by `getContext()` for each supported context type. Other types
+   * are passed to the original getContext function when the "canvas" package is installed.
+   */
+  const contextClasses = {
+    '2d': CanvasRenderingContext2D,
+    webgl: WebGLRenderingContext,
+    'experimental-webgl': WebGLRenderingContext,
+    webgl2: WebGL2RenderingContext,
+  };
   /**
    * Overrides getContext. Every test run will create a new function that overrides the current
    * value of getContext. It attempts to preserve the original getContext function by storing it on
    * the callback as a property.
    */
-  const getContext2D = jest.fn(function getContext2d(type) {
-    if (type === '2d') {
+  const getContext2D = createMockFunction(function getContext2d(type, attributes) {
+    if (transferredCanvases.has(this)) throw new DOMException('InvalidStateError', 'Failed to execute \'getContext\' on \'HTMLCanvasElement\': Cannot get context from a canvas that has transferred its control to offscreen.');
+    const ContextClass = contextClasses[type];
+    if (ContextClass) {
       /**
        * Contexts must be indempotent. Once they are generated, they should be returned when
-       * getContext() is called on the same canvas object multiple times.
+       * getContext() is called on the same canvas object multiple times. A canvas can only have
+       * one kind of context, so asking for another kind returns null.
        */
-      if (generatedContexts.has(this)) return generatedContexts.get(this);
-      const ctx = new CanvasRenderingContext2D(this);
+      if (generatedContexts.has(this)) {
+        const ctx = generatedContexts.get(this);
+        return ctx instanceof ContextClass ? ctx : null;
+      }
+      const ctx = new ContextClass(this, attributes);
       generatedContexts.set(this, ctx);
       return ctx;
     }
@@ -29,18 +90,13 @@ export default function mockPrototype() {
     return getContext2D.internal.call(this, type);
   });
 
-  if (!jest.isMockFunction(HTMLCanvasElement.prototype.getContext)) {
-    getContext2D.internal = HTMLCanvasElement.prototype.getContext;
-  } else {
-    getContext2D.internal = HTMLCanvasElement.prototype.getContext.internal;
-  }
-  HTMLCanvasElement.prototype.getContext = getContext2D;
+  override('getContext', getContext2D);
 
   /**
    * This function technically throws SecurityError at runtime, but it cannot be mocked, because
    * we don't know if the canvas is tainted. These kinds of errors will be silent.
    */
-  const toBlobOverride = jest.fn(function toBlobOverride(callback, mimetype) {
+  const toBlobOverride = createMockFunction(function toBlobOverride(callback, mimetype) {
     if (arguments.length < 1) throw new TypeError('Failed to execute \'toBlob\' on \'HTMLCanvasElement\': 1 argument required, but only 0 present.');
     if (typeof callback !== 'function') throw new TypeError('Failed to execute \'toBlob\' on \'HTMLCanvasElement\': The callback provided as parameter 1 is not a function.');
 
@@ -55,43 +111,53 @@ export default function mockPrototype() {
     }
 
     /**
-     * This section creates a blob of size width * height * 4. This is not actually valid, because
-     * jpeg size is variable, and so is png. TODO: Is there a better way to do this?
+     * When the canvas, or the offscreen canvas it transferred its control to, is rasterized, a png
+     * blob contains the real image. Otherwise, this section creates a blob of size
+     * width * height * 4. This is not actually valid, because jpeg size is variable, and so is png.
      */
-    const length = this.width * this.height * 4;
-    const data = new Uint8Array(length);
+    const png = mimetype === 'image/png' ? Rasterizer.toPNG(transferredCanvases.get(this) || this) : null;
+    const data = png || new Uint8Array(this.width * this.height * 4);
     const blob = new window.Blob([data], { type: mimetype });
     setTimeout(() => callback(blob), 0);
   });
 
-  if (!jest.isMockFunction(HTMLCanvasElement.prototype.toBlob)) {
-    toBlobOverride.internal = HTMLCanvasElement.prototype.toBlob;
-  } else {
-    toBlobOverride.internal = HTMLCanvasElement.prototype.toBlob.internal;
-  }
-  HTMLCanvasElement.prototype.toBlob = toBlobOverride;
+  override('toBlob', toBlobOverride);
 
   /**
-   * This section creates a dataurl with a validated mime type. This is not actually valid, because
-   * jpeg size is variable, and so is png. TODO: Is there a better way to do this?
+   * This section creates a dataurl with a validated mime type. When the canvas, or the offscreen
+   * canvas it transferred its control to, is rasterized, a png dataurl contains the real image.
+   * Otherwise the dataurl is not actually valid, because the pixels are not known to the mock.
    */
-  const toDataURLOverride = jest.fn(function toDataURLOverride(type, encoderOptions) {
+  const toDataURLOverride = createMockFunction(function toDataURLOverride(type, encoderOptions) {
     switch(type) {
       case 'image/jpeg': break;
       case 'image/webp': break;
       default: type = 'image/png';
     }
 
+    const png = type === 'image/png' ? Rasterizer.toPNG(transferredCanvases.get(this) || this) : null;
+    if (png) return 'data:image/png;base64,' + toBase64(png);
+
     /**
      * This is the smallest valid data url I could generate.
      */
     return 'data:' + type + ';base64,00';
   });
 
-  if (!jest.isMockFunction(HTMLCanvasElement.prototype.toDataURL)) {
-    toDataURLOverride.internal = HTMLCanvasElement.prototype.toDataURL;
-  } else {
-    toDataURLOverride.internal = HTMLCanvasElement.prototype.toBlob.internal;
-  }
-  HTMLCanvasElement.prototype.toDataURL = toDataURLOverride;
+  override('toDataURL', toDataURLOverride);
+
+  /**
+   * The returned `OffscreenCanvas` is linked to this canvas, which can no longer create a context
+   * of its own. Whatever is drawn with the offscreen context is recorded by that context, and
+   * `toDataURL` and `toBlob` encode its pixels when it is rasterized.
+   */
+  const transferControlToOffscreenOverride = createMockFunction(function transferControlToOffscreenOverride() {
+    if (transferredCanvases.has(this)) throw new DOMException('InvalidStateError', 'Failed to execute \'transferControlToOffscreen\' on \'HTMLCanvasElement\': Cannot transfer control from a canvas for more than one time.');
+    if (generatedContexts.has(this)) throw new DOMException('InvalidStateError', 'Failed to execute \'transferControlToOffscreen\' on \'HTMLCanvasElement\': Cannot transfer control from a canvas that has a rendering context.');
+    const offscreen = new OffscreenCanvas(this.width, this.height);
+    transferredCanvases.set(this, offscreen);
+    return offscreen;
+  });
+
+  override('transferControlToOffscreen', transferControlToOffscreenOverride);
 }
@@ -0,0 +1,120 @@
+import { invertTransform, multiplyTransforms } from '../path/matrix';
+
+/**
+ * The props of the events that are replayed by calling the method with the same name, in the order
+ * of the arguments of the method.
+ */
+const methodArguments = {
+  arc: ['x', 'y', 'radius', 'startAngle', 'endAngle', 'anticlockwise'],
+  arcTo: ['cpx1', 'cpy1', 'cpx2', 'cpy2', 'radius'],
+  beginPath: [],
+  bezierCurveTo: ['cpx1', 'cpy1', 'cpx2', 'cpy2', 'x', 'y'],
+  clearRect: ['x', 'y', 'width', 'height'],
+  closePath: [],
+  drawImage: ['img', 'sx', 'sy', 'sWidth', 'sHeight', 'dx', 'dy', 'dWidth', 'dHeight'],
+  ellipse: ['x', 'y', 'radiusX', 'radiusY', 'rotation', 'startAngle', 'endAngle', 'anticlockwise'],
+  fillRect: ['x', 'y', 'width', 'height'],
+  lineTo: ['x', 'y'],
+  moveTo: ['x', 'y'],
+  quadraticCurveTo: ['cpx', 'cpy', 'x', 'y'],
+  rect: ['x', 'y', 'width', 'height'],
+  reset: [],
+  resetTransform: [],
+  restore: [],
+  rotate: ['angle'],
+  roundRect: ['x', 'y', 'width', 'height', 'radii'],
+  save: [],
+  scale: ['x', 'y'],
+  setTransform: ['a', 'b', 'c', 'd', 'e', 'f'],
+  strokeRect: ['x', 'y', 'width', 'height'],
+  transform: ['a', 'b', 'c', 'd', 'e', 'f'],
+  translate: ['x', 'y'],
+};
+
+/**
+ * The events that are replayed by setting the property with the same name to the `value` prop.
+ */
+export const properties = ['direction', 'fillStyle', 'filter', 'font', 'fontKerning', 'fontStretch', 'fontVariantCaps', 'globalAlpha', 'globalCompositeOperation', 'imageSmoothingEnabled', 'imageSmoothingQuality', 'letterSpacing', 'lineCap', 'lineDashOffset', 'lineJoin', 'lineWidth', 'miterLimit', 'shadowBlur', 'shadowColor', 'shadowOffsetX', 'shadowOffsetY', 'strokeStyle', 'textAlign', 'textBaseline', 'textRendering', 'wordSpacing'];
+
+function getArguments(event) {
+  return methodArguments[event.type].map(name => event.props[name]);
+}
+
+const identity = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Compares two transforms, ignoring the rounding errors of dividing out the draw call transform.
+ */
+function isSameTransform(left, right) {
+  return left.every((value, index) => Math.abs(value - right[index]) < 1e-9);
+}
+
+/**
+ * The path of a `fill`, `stroke` or `clip` event is either the current path, which always starts
+ * with a `beginPath` event and was already replayed, or the events of a `Path2D`, which is rebuilt
+ * from them. The events of a `Path2D` store the transform of the draw call multiplied by the
+ * matrix of the `addPath` call that added them. The transform of the draw call is replayed on its
+ * own, so it is divided out, and every run of events with the same matrix is added with `addPath`
+ * again.
+ */
+function getPathArguments(path, drawTransform) {
+  if (path.length > 0 && path[0].type === 'beginPath') return [];
+  const inverse = invertTransform(drawTransform);
+  const transforms = path.map(event => (inverse ? multiplyTransforms(inverse, event.transform) : event.transform));
+  const result = new Path2D();
+  let start = 0;
+  while (start < path.length) {
+    const transform = transforms[start];
+    let end = start + 1;
+    while (end < path.length && isSameTransform(transforms[end], transform)) end++;
+    const target = isSameTransform(transform, identity) ? result : new Path2D();
+    path.slice(start, end).forEach(event => {
+      if (typeof target[event.type] === 'function') target[event.type](...getArguments(event));
+    });
+    if (target !== result) {
+      const [a, b, c, d, e, f] = transform;
+      result.addPath(target, { a, b, c, d, e, f });
+    }
+    start = end;
+  }
+  return [result];
+}
+
+/**
+ * Calls the methods and sets the properties of `target` that produced the given events, so that a
+ * recorded sequence can be drawn again on a mocked or a real 2d context. Events that cannot change
+ * the drawing state or the pixels, like `measureText` or `isPointInPath`, are skipped, and so is
+ * `putImageData`, because its event does not keep the image data.
+ */
+export default function replayEvents(events, target) {
+  events.forEach(event => {
+    const { type, props } = event;
+    if (properties.indexOf(type) !== -1) {
+      target[type] = props.value;
+      return;
+    }
+
+    switch (type) {
+      case 'clip':
+      case 'fill':
+        target[type](...getPathArguments(props.path, event.transform), props.fillRule);
+        break;
+      case 'currentTransform':
+        target.setTransform(props.a, props.b, props.c, props.d, props.e, props.f);
+        break;
+      case 'fillText':
+      case 'strokeText':
+        if (props.maxWidth === null) target[type](props.text, props.x, props.y);
+        else target[type](props.text, props.x, props.y, props.maxWidth);
+        break;
+      case 'setLineDash':
+        target.setLineDash(props.value.slice());
+        break;
+      case 'stroke':
+        target.stroke(...getPathArguments(props.path, event.transform));
+        break;
+      default:
+        if (methodArguments[type]) target[type](...getArguments(event));
+    }
+  });
+}
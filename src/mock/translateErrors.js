@@ -0,0 +1,56 @@
+import { getConfig } from '../config';
+
+/**
+ * The error messages are written like the messages of Chrome. These rules rewrite the part after
+ * the "Failed to execute 'x' on 'Y': " prefix into the wording Firefox uses.
+ */
+const firefoxRules = [
+  [/^(\d+) arguments? required, but only (\d+) present\.$/, (match, required, present) => 'At least ' + required + ' argument' + (required === '1' ? '' : 's') + ' required, but only ' + present + ' passed'],
+  [/^parameter (\d+) is not of type '(\w+)'\.$/, (match, index, type) => 'Argument ' + index + ' does not implement interface ' + type + '.'],
+  [/^parameter (\d+) \('\w+'\) is not an object\.$/, (match, index) => 'Argument ' + index + ' can\'t be converted to a dictionary.'],
+  [/^The provided value '(.*)' is not a valid enum value of type (\w+)\.$/, (match, value, type) => '\'' + value + '\' is not a valid value for enumeration ' + type + '.'],
+  [/^Valid arities are: \[.*\], but (\d+) arguments provided\.$/, (match, count) => count + ' is not a valid argument count for any overload.'],
+  [/^The provided (?:double|float) value is non-finite\.$/, () => 'Argument is not a finite floating-point value.'],
+];
+
+const firefoxPrefixes = [
+  [/^Failed to execute '(\w+)' on '(\w+)': /, (match, name, type) => type + '.' + name + ': '],
+  [/^Failed to set the '(\w+)' property on '(\w+)': /, (match, name, type) => type + '.' + name + ' setter: '],
+  [/^Failed to construct '(\w+)': /, (match, type) => type + ' constructor: '],
+];
+
+/**
+ * Rewrites an error message written in the wording of Chrome into the wording of Firefox. Messages
+ * that are not recognized are returned unchanged.
+ */
+export function toFirefoxMessage(message) {
+  const prefix = firefoxPrefixes.find(([pattern]) => pattern.test(message));
+  if (!prefix) return message;
+  const [head] = message.match(prefix[0]);
+  const rest = message.slice(head.length);
+  const rule = firefoxRules.find(([pattern]) => pattern.test(rest));
+  return head.replace(prefix[0], prefix[1]) + (rule ? rest.replace(rule[0], rule[1]) : rest);
+}
+
+function translate(error) {
+  if (getConfig().errorMessages === 'firefox' && error instanceof TypeError) error.message = toFirefoxMessage(error.message);
+  return error;
+}
+
+/**
+ * Wraps a mocked function so the messages of the TypeErrors it throws, or rejects the promise it
+ * returns with, follow the `errorMessages` option. The messages of DOMExceptions, and of the errors
+ * thrown by constructors, which are not mocked functions, are left alone.
+ */
+export default function translateErrors(fn) {
+  return function translated(...args) {
+    let result;
+    try {
+      result = fn.apply(this, args);
+    } catch (error) {
+      throw translate(error);
+    }
+    if (result instanceof Promise) return result.catch(error => Promise.reject(translate(error)));
+    return result;
+  };
+}
@@ -0,0 +1,262 @@
+import { applyTransform, invertTransform, getTransformScale } from './matrix';
+
+/**
+ * The maximum distance in device pixels a flattened curve is allowed to deviate from the real one.
+ */
+const TOLERANCE = 0.1;
+const MAX_SEGMENTS = 1000;
+const TAU = Math.PI * 2;
+
+function getArcSegments(sweep, radius) {
+  if (radius <= TOLERANCE) return Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+  const step = 2 * Math.acos(1 - TOLERANCE / radius);
+  return Math.min(MAX_SEGMENTS, Math.max(1, Math.ceil(Math.abs(sweep) / step)));
+}
+
+/**
+ * Returns the signed angle swept by an arc from startAngle to endAngle, following the rules in the
+ * canvas specification for arcs that wrap around more than once.
+ */
+export function getArcSweep(startAngle, endAngle, anticlockwise) {
+  if (!anticlockwise && endAngle - startAngle >= TAU) return TAU;
+  if (anticlockwise && startAngle - endAngle >= TAU) return -TAU;
+  if (!anticlockwise) {
+    const sweep = (endAngle - startAngle) % TAU;
+    return sweep < 0 ? sweep + TAU : sweep;
+  }
+  const sweep = (startAngle - endAngle) % TAU;
+  return -(sweep < 0 ? sweep + TAU : sweep);
+}
+
+/**
+ * Returns the `{ x, y }` radii of the upper left, upper right, lower right and lower left corners of
+ * a `roundRect()` call, after the corners are swapped for a negative width or height and the radii
+ * are scaled down to fit the rectangle, as described in the canvas specification.
+ */
+export function getRoundRectCorners(width, height, radii) {
+  const points = radii.map(radius => (typeof radius === 'number' ? { x: radius, y: radius } : radius));
+  let corners;
+  switch (points.length) {
+    case 1: corners = [points[0], points[0], points[0], points[0]]; break;
+    case 2: corners = [points[0], points[1], points[0], points[1]]; break;
+    case 3: corners = [points[0], points[1], points[2], points[1]]; break;
+    default: corners = points.slice(0, 4);
+  }
+  if (width < 0) corners = [corners[1], corners[0], corners[3], corners[2]];
+  if (height < 0) corners = [corners[3], corners[2], corners[1], corners[0]];
+
+  const [upperLeft, upperRight, lowerRight, lowerLeft] = corners;
+  const sides = [
+    [Math.abs(width), upperLeft.x + upperRight.x],
+    [Math.abs(height), upperRight.y + lowerRight.y],
+    [Math.abs(width), lowerRight.x + lowerLeft.x],
+    [Math.abs(height), upperLeft.y + lowerLeft.y],
+  ];
+  const scale = sides.reduce((result, [length, radii]) => (radii > length ? Math.min(result, length / radii) : result), 1);
+  return corners.map(corner => ({ x: corner.x * scale, y: corner.y * scale }));
+}
+
+/**
+ * This function converts an array of path events (as returned by `__getPath()` or stored on a
+ * `Path2D` object) into a list of subpaths made of straight line segments. Every point is already
+ * multiplied by the transform that was active when the path event was recorded, so the resulting
+ * points are in device space.
+ *
+ * @example
+ * interface Subpath {
+ *   points: [number, number][];
+ *   closed: boolean;
+ * }
+ */
+export default function flattenPath(events) {
+  const subpaths = [];
+  let current = null;
+
+  function moveTo(point) {
+    current = { points: [point], closed: false };
+    subpaths.push(current);
+  }
+
+  function lineTo(point) {
+    if (!current) moveTo(point);
+    else current.points.push(point);
+  }
+
+  function getCurrentPoint() {
+    return current ? current.points[current.points.length - 1] : null;
+  }
+
+  function ellipse(transform, x, y, radiusX, radiusY, rotation, startAngle, endAngle, anticlockwise) {
+    const sweep = getArcSweep(startAngle, endAngle, anticlockwise);
+    const radius = Math.max(radiusX, radiusY) * getTransformScale(transform);
+    const segments = getArcSegments(sweep, radius);
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+
+    for (let i = 0; i <= segments; i++) {
+      const angle = startAngle + sweep * i / segments;
+      const px = radiusX * Math.cos(angle);
+      const py = radiusY * Math.sin(angle);
+      lineTo(applyTransform(transform, x + px * cos - py * sin, y + px * sin + py * cos));
+    }
+  }
+
+  /**
+   * The corners are quarter ellipses, mirrored when the width or height is negative so that the
+   * rectangle is drawn in the same direction as `rect()` would draw it.
+   */
+  function roundRect(transform, x, y, width, height, radii) {
+    const [upperLeft, upperRight, lowerRight, lowerLeft] = getRoundRectCorners(width, height, radii);
+    const signX = width < 0 ? -1 : 1;
+    const signY = height < 0 ? -1 : 1;
+
+    function corner(cornerX, cornerY, radius, startAngle) {
+      const centerX = cornerX - signX * radius.x * Math.sign(Math.cos(startAngle + Math.PI / 4));
+      const centerY = cornerY - signY * radius.y * Math.sign(Math.sin(startAngle + Math.PI / 4));
+      const segments = getArcSegments(Math.PI / 2, Math.max(radius.x, radius.y) * getTransformScale(transform));
+      for (let i = 0; i <= segments; i++) {
+        const angle = startAngle + Math.PI / 2 * i / segments;
+        lineTo(applyTransform(transform, centerX + signX * radius.x * Math.cos(angle), centerY + signY * radius.y * Math.sin(angle)));
+      }
+    }
+
+    moveTo(applyTransform(transform, x + signX * upperLeft.x, y));
+    corner(x + width, y, upperRight, -Math.PI / 2);
+    corner(x + width, y + height, lowerRight, 0);
+    corner(x, y + height, lowerLeft, Math.PI / 2);
+    corner(x, y, upperLeft, Math.PI);
+    current.closed = true;
+    moveTo(applyTransform(transform, x, y));
+  }
+
+  function arcTo(transform, x1, y1, x2, y2, radius) {
+    const p1 = applyTransform(transform, x1, y1);
+    const last = getCurrentPoint();
+    if (!last) return moveTo(p1);
+
+    const inverse = invertTransform(transform);
+    if (!inverse) return;
+    const [x0, y0] = applyTransform(inverse, last[0], last[1]);
+
+    const dx0 = x0 - x1;
+    const dy0 = y0 - y1;
+    const dx2 = x2 - x1;
+    const dy2 = y2 - y1;
+    const cross = dx0 * dy2 - dy0 * dx2;
+    if ((x0 === x1 && y0 === y1) || (x1 === x2 && y1 === y2) || radius === 0 || cross === 0) return lineTo(p1);
+
+    const length0 = Math.hypot(dx0, dy0);
+    const length2 = Math.hypot(dx2, dy2);
+    const angle = Math.acos(Math.max(-1, Math.min(1, (dx0 * dx2 + dy0 * dy2) / (length0 * length2))));
+    const tangentLength = radius / Math.tan(angle / 2);
+    const t0x = x1 + dx0 / length0 * tangentLength;
+    const t0y = y1 + dy0 / length0 * tangentLength;
+    const t2x = x1 + dx2 / length2 * tangentLength;
+    const t2y = y1 + dy2 / length2 * tangentLength;
+
+    // the center lies on the normal of the first tangent, on the same side as the second line
+    const direction = cross > 0 ? 1 : -1;
+    const cx = t0x - dy0 / length0 * radius * direction;
+    const cy = t0y + dx0 / length0 * radius * direction;
+    const startAngle = Math.atan2(t0y - cy, t0x - cx);
+    const endAngle = Math.atan2(t2y - cy, t2x - cx);
+
+    lineTo(applyTransform(transform, t0x, t0y));
+    ellipse(transform, cx, cy, radius, radius, 0, startAngle, endAngle, cross > 0);
+  }
+
+  function curveTo(points) {
+    if (!current) moveTo(points[0]);
+    const start = getCurrentPoint();
+    const controls = [start].concat(points);
+    const cubic = controls.length === 4;
+    let deviation = 0;
+
+    for (let i = 0; i + 2 < controls.length; i++) {
+      deviation = Math.max(deviation, Math.hypot(
+        controls[i][0] - 2 * controls[i + 1][0] + controls[i + 2][0],
+        controls[i][1] - 2 * controls[i + 1][1] + controls[i + 2][1],
+      ));
+    }
+
+    const segments = Math.min(MAX_SEGMENTS, Math.max(1, Math.ceil(Math.sqrt((cubic ? 0.75 : 0.25) * deviation / TOLERANCE))));
+    for (let i = 1; i <= segments; i++) {
+      const t = i / segments;
+      const mt = 1 - t;
+      if (cubic) {
+        lineTo([
+          mt * mt * mt * controls[0][0] + 3 * mt * mt * t * controls[1][0] + 3 * mt * t * t * controls[2][0] + t * t * t * controls[3][0],
+          mt * mt * mt * controls[0][1] + 3 * mt * mt * t * controls[1][1] + 3 * mt * t * t * controls[2][1] + t * t * t * controls[3][1],
+        ]);
+      } else {
+        lineTo([
+          mt * mt * controls[0][0] + 2 * mt * t * controls[1][0] + t * t * controls[2][0],
+          mt * mt * controls[0][1] + 2 * mt * t * controls[1][1] + t * t * controls[2][1],
+        ]);
+      }
+    }
+  }
+
+  for (let i = 0; i < events.length; i++) {
+    const { type, transform, props } = events[i];
+
+    switch (type) {
+      case 'beginPath':
+        subpaths.length = 0;
+        current = null;
+        break;
+      case 'moveTo':
+        moveTo(applyTransform(transform, Number(props.x), Number(props.y)));
+        break;
+      case 'lineTo':
+        lineTo(applyTransform(transform, Number(props.x), Number(props.y)));
+        break;
+      case 'closePath':
+        if (current) {
+          current.closed = true;
+          moveTo(current.points[0]);
+        }
+        break;
+      case 'rect': {
+        const x = Number(props.x);
+        const y = Number(props.y);
+        const width = Number(props.width);
+        const height = Number(props.height);
+        moveTo(applyTransform(transform, x, y));
+        lineTo(applyTransform(transform, x + width, y));
+        lineTo(applyTransform(transform, x + width, y + height));
+        lineTo(applyTransform(transform, x, y + height));
+        current.closed = true;
+        moveTo(applyTransform(transform, x, y));
+        break;
+      }
+      case 'roundRect':
+        roundRect(transform, Number(props.x), Number(props.y), Number(props.width), Number(props.height), props.radii);
+        break;
+      case 'arc':
+        ellipse(transform, props.x, props.y, props.radius, props.radius, 0, props.startAngle, props.endAngle, props.anticlockwise);
+        break;
+      case 'ellipse':
+        ellipse(transform, props.x, props.y, props.radiusX, props.radiusY, props.rotation, props.startAngle, props.endAngle, props.anticlockwise);
+        break;
+      case 'arcTo':
+        arcTo(transform, props.cpx1, props.cpy1, props.cpx2, props.cpy2, props.radius);
+        break;
+      case 'quadraticCurveTo':
+        curveTo([
+          applyTransform(transform, Number(props.cpx), Number(props.cpy)),
+          applyTransform(transform, Number(props.x), Number(props.y)),
+        ]);
+        break;
+      case 'bezierCurveTo':
+        curveTo([
+          applyTransform(transform, Number(props.cpx1), Number(props.cpy1)),
+          applyTransform(transform, Number(props.cpx2), Number(props.cpy2)),
+          applyTransform(transform, Number(props.x), Number(props.y)),
+        ]);
+        break;
+    }
+  }
+
+  return subpaths;
+}
@@ -0,0 +1,33 @@
+/**
+ * Returns the smallest `{ x, y, width, height }` rectangle that contains every point of the device
+ * space polygons, or `null` when there are no points.
+ */
+export default function getBounds(polygons) {
+  let left = Infinity;
+  let top = Infinity;
+  let right = -Infinity;
+  let bottom = -Infinity;
+  polygons.forEach(points => {
+    points.forEach(([x, y]) => {
+      left = Math.min(left, x);
+      top = Math.min(top, y);
+      right = Math.max(right, x);
+      bottom = Math.max(bottom, y);
+    });
+  });
+  if (left > right || top > bottom) return null;
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Returns the overlap of two rectangles, or `null` when their insides do not overlap. Rectangles
+ * that only touch at an edge do not overlap.
+ */
+export function intersectBounds(a, b) {
+  const left = Math.max(a.x, b.x);
+  const top = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y + a.height, b.y + b.height);
+  if (left >= right || top >= bottom) return null;
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
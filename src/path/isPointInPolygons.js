@@ -0,0 +1,34 @@
+function isPointOnSegment(x, y, from, to) {
+  const cross = (to[0] - from[0]) * (y - from[1]) - (to[1] - from[1]) * (x - from[0]);
+  if (Math.abs(cross) > 1e-9 * Math.max(1, Math.hypot(to[0] - from[0], to[1] - from[1]))) return false;
+  return x >= Math.min(from[0], to[0]) && x <= Math.max(from[0], to[0])
+    && y >= Math.min(from[1], to[1]) && y <= Math.max(from[1], to[1]);
+}
+
+/**
+ * Returns true if the point is inside the given device space polygons according to `fillRule`.
+ * Points that lie exactly on an edge are considered to be inside, as the canvas specification
+ * requires for `isPointInPath`.
+ */
+export default function isPointInPolygons(polygons, x, y, fillRule = 'nonzero') {
+  let winding = 0;
+  let crossings = 0;
+
+  for (let p = 0; p < polygons.length; p++) {
+    const points = polygons[p];
+    for (let i = 0; i < points.length; i++) {
+      const from = points[i];
+      const to = points[(i + 1) % points.length];
+      if (isPointOnSegment(x, y, from, to)) return true;
+      if ((from[1] <= y && y < to[1]) || (to[1] <= y && y < from[1])) {
+        const crossX = from[0] + (y - from[1]) * (to[0] - from[0]) / (to[1] - from[1]);
+        if (crossX > x) {
+          crossings += 1;
+          winding += to[1] > from[1] ? 1 : -1;
+        }
+      }
+    }
+  }
+
+  return fillRule === 'evenodd' ? crossings % 2 === 1 : winding !== 0;
+}
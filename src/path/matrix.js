@@ -0,0 +1,40 @@
+/**
+ * Small helpers for the six element `[a, b, c, d, e, f]` transform arrays that are stored in
+ * `_transformStack` and in the `transform` property of every canvas event.
+ */
+
+export function applyTransform(t, x, y) {
+  return [t[0] * x + t[2] * y + t[4], t[1] * x + t[3] * y + t[5]];
+}
+
+export function invertTransform(t) {
+  const det = t[0] * t[3] - t[1] * t[2];
+  if (det === 0 || !Number.isFinite(det)) return null;
+  return [
+    t[3] / det,
+    -t[1] / det,
+    -t[2] / det,
+    t[0] / det,
+    (t[2] * t[5] - t[3] * t[4]) / det,
+    (t[1] * t[4] - t[0] * t[5]) / det,
+  ];
+}
+
+export function multiplyTransforms(left, right) {
+  return [
+    left[0] * right[0] + left[2] * right[1],
+    left[1] * right[0] + left[3] * right[1],
+    left[0] * right[2] + left[2] * right[3],
+    left[1] * right[2] + left[3] * right[3],
+    left[0] * right[4] + left[2] * right[5] + left[4],
+    left[1] * right[4] + left[3] * right[5] + left[5],
+  ];
+}
+
+/**
+ * Returns the largest factor by which the transform can stretch a length. It is used to decide how
+ * finely curves need to be flattened so they stay accurate in device space.
+ */
+export function getTransformScale(t) {
+  return Math.max(Math.hypot(t[0], t[1]), Math.hypot(t[2], t[3]));
+}
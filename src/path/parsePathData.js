@@ -0,0 +1,176 @@
+/**
+ * The number of arguments taken by each SVG path command. Arc commands take seven arguments, two
+ * of which are single character flags.
+ */
+const argumentCounts = {
+  m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0,
+};
+
+const numberPattern = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+const separatorPattern = /^[\s,]*/;
+
+/**
+ * Converts an SVG elliptical arc from the endpoint parameterization used by path data into the
+ * center parameterization used by `ellipse()`, as described in the SVG implementation notes.
+ * Returns the arguments of `ellipse()`, or null when the arc must be drawn as a straight line.
+ */
+function toEllipse(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0) return null;
+
+  const rotation = angle * Math.PI / 180;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = factor * rx * y1p / ry;
+  const cyp = -factor * ry * x1p / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const startAngle = Math.atan2((y1p - cyp) / ry, (x1p - cxp) / rx);
+  let sweepAngle = Math.atan2((-y1p - cyp) / ry, (-x1p - cxp) / rx) - startAngle;
+  if (sweep && sweepAngle < 0) sweepAngle += Math.PI * 2;
+  if (!sweep && sweepAngle > 0) sweepAngle -= Math.PI * 2;
+
+  return [cx, cy, rx, ry, rotation, startAngle, startAngle + sweepAngle, !sweep];
+}
+
+/**
+ * This function parses an SVG path data string, like the `d` attribute of a `<path>` element, into
+ * a list of canvas path method calls. Every item looks like `['lineTo', x, y]`, and relative,
+ * horizontal, vertical and smooth commands are resolved to absolute `moveTo`, `lineTo`,
+ * `bezierCurveTo`, `quadraticCurveTo`, `ellipse` and `closePath` calls. Like in the browser, when
+ * the data contains an error, the commands before the error are kept and the rest is ignored.
+ */
+export default function parsePathData(data) {
+  const calls = [];
+  let source = String(data).replace(separatorPattern, '');
+  let command = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let controlX = 0;
+  let controlY = 0;
+  let previous = null;
+
+  function readNumber() {
+    const match = numberPattern.exec(source);
+    if (!match) return null;
+    source = source.slice(match[0].length).replace(separatorPattern, '');
+    return Number(match[0]);
+  }
+
+  function readFlag() {
+    if (source[0] !== '0' && source[0] !== '1') return null;
+    const flag = source[0] === '1';
+    source = source.slice(1).replace(separatorPattern, '');
+    return flag;
+  }
+
+  while (source.length > 0) {
+    if (/^[a-zA-Z]/.test(source)) {
+      command = source[0];
+      source = source.slice(1).replace(separatorPattern, '');
+      if (!(command.toLowerCase() in argumentCounts)) break;
+      // The first command must be a moveto.
+      if (previous === null && command.toLowerCase() !== 'm') break;
+    } else if (command === null || command.toLowerCase() === 'z') {
+      break;
+    }
+
+    const lower = command.toLowerCase();
+    const relative = command !== command.toUpperCase();
+    const args = [];
+    for (let i = 0; i < argumentCounts[lower]; i++) {
+      const value = lower === 'a' && (i === 3 || i === 4) ? readFlag() : readNumber();
+      if (value === null) break;
+      args.push(value);
+    }
+    if (args.length < argumentCounts[lower]) break;
+
+    const offsetX = relative ? x : 0;
+    const offsetY = relative ? y : 0;
+    // Smooth curves reflect the last control point of the previous curve of the same kind.
+    const smooth = (lower === 's' && (previous === 's' || previous === 'c')) || (lower === 't' && (previous === 't' || previous === 'q'));
+    const reflectedX = smooth ? 2 * x - controlX : x;
+    const reflectedY = smooth ? 2 * y - controlY : y;
+
+    switch (lower) {
+      case 'm':
+        x = args[0] + offsetX;
+        y = args[1] + offsetY;
+        startX = x;
+        startY = y;
+        calls.push(['moveTo', x, y]);
+        // Coordinate pairs after the first one are implicit lineto commands.
+        command = relative ? 'l' : 'L';
+        break;
+      case 'l':
+        x = args[0] + offsetX;
+        y = args[1] + offsetY;
+        calls.push(['lineTo', x, y]);
+        break;
+      case 'h':
+        x = args[0] + offsetX;
+        calls.push(['lineTo', x, y]);
+        break;
+      case 'v':
+        y = args[0] + offsetY;
+        calls.push(['lineTo', x, y]);
+        break;
+      case 'c':
+        controlX = args[2] + offsetX;
+        controlY = args[3] + offsetY;
+        calls.push(['bezierCurveTo', args[0] + offsetX, args[1] + offsetY, controlX, controlY, x = args[4] + offsetX, y = args[5] + offsetY]);
+        break;
+      case 's':
+        controlX = args[0] + offsetX;
+        controlY = args[1] + offsetY;
+        calls.push(['bezierCurveTo', reflectedX, reflectedY, controlX, controlY, x = args[2] + offsetX, y = args[3] + offsetY]);
+        break;
+      case 'q':
+        controlX = args[0] + offsetX;
+        controlY = args[1] + offsetY;
+        calls.push(['quadraticCurveTo', controlX, controlY, x = args[2] + offsetX, y = args[3] + offsetY]);
+        break;
+      case 't':
+        controlX = reflectedX;
+        controlY = reflectedY;
+        calls.push(['quadraticCurveTo', controlX, controlY, x = args[0] + offsetX, y = args[1] + offsetY]);
+        break;
+      case 'a': {
+        const endX = args[5] + offsetX;
+        const endY = args[6] + offsetY;
+        if (endX !== x || endY !== y) {
+          const ellipse = toEllipse(x, y, args[0], args[1], args[2], args[3], args[4], endX, endY);
+          calls.push(ellipse ? ['ellipse'].concat(ellipse) : ['lineTo', endX, endY]);
+        }
+        x = endX;
+        y = endY;
+        break;
+      }
+      default:
+        x = startX;
+        y = startY;
+        calls.push(['closePath']);
+    }
+    previous = lower;
+  }
+
+  return calls;
+}
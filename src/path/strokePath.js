@@ -0,0 +1,141 @@
+import { applyTransform, invertTransform, getTransformScale } from './matrix';
+
+const TOLERANCE = 0.1;
+
+function createCircle(x, y, radius, scale) {
+  const deviceRadius = radius * scale;
+  const step = deviceRadius > TOLERANCE ? 2 * Math.acos(1 - TOLERANCE / deviceRadius) : Math.PI / 2;
+  const segments = Math.min(1000, Math.max(8, Math.ceil(Math.PI * 2 / step)));
+  const points = [];
+  for (let i = 0; i < segments; i++) {
+    const angle = Math.PI * 2 * i / segments;
+    points.push([x + Math.cos(angle) * radius, y + Math.sin(angle) * radius]);
+  }
+  return points;
+}
+
+function getDirection(from, to) {
+  const length = Math.hypot(to[0] - from[0], to[1] - from[1]);
+  return [(to[0] - from[0]) / length, (to[1] - from[1]) / length];
+}
+
+function removeDuplicatePoints(points) {
+  const result = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const last = result[result.length - 1];
+    if (points[i][0] !== last[0] || points[i][1] !== last[1]) result.push(points[i]);
+  }
+  return result;
+}
+
+function createCap(point, direction, halfWidth, lineCap, scale) {
+  if (lineCap === 'round') return createCircle(point[0], point[1], halfWidth, scale);
+  if (lineCap !== 'square') return null;
+  const nx = -direction[1] * halfWidth;
+  const ny = direction[0] * halfWidth;
+  const dx = direction[0] * halfWidth;
+  const dy = direction[1] * halfWidth;
+  return [
+    [point[0] + nx, point[1] + ny],
+    [point[0] + nx + dx, point[1] + ny + dy],
+    [point[0] - nx + dx, point[1] - ny + dy],
+    [point[0] - nx, point[1] - ny],
+  ];
+}
+
+function createJoin(point, inDirection, outDirection, halfWidth, lineJoin, miterLimit, scale) {
+  const cross = inDirection[0] * outDirection[1] - inDirection[1] * outDirection[0];
+  const dot = inDirection[0] * outDirection[0] + inDirection[1] * outDirection[1];
+
+  if (lineJoin === 'round') return dot < 1 ? createCircle(point[0], point[1], halfWidth, scale) : null;
+  if (cross === 0) return null;
+
+  // the outer side of the corner is opposite to the direction the path is turning
+  const side = cross > 0 ? -1 : 1;
+  const outer1 = [-inDirection[1] * side, inDirection[0] * side];
+  const outer2 = [-outDirection[1] * side, outDirection[0] * side];
+  const corner1 = [point[0] + outer1[0] * halfWidth, point[1] + outer1[1] * halfWidth];
+  const corner2 = [point[0] + outer2[0] * halfWidth, point[1] + outer2[1] * halfWidth];
+
+  if (lineJoin === 'miter') {
+    const cosHalfTurn = Math.sqrt((1 + dot) / 2);
+    if (cosHalfTurn > 0 && 1 / cosHalfTurn <= miterLimit) {
+      const bisector = getDirection([0, 0], [outer1[0] + outer2[0], outer1[1] + outer2[1]]);
+      const length = halfWidth / cosHalfTurn;
+      return [point, corner1, [point[0] + bisector[0] * length, point[1] + bisector[1] * length], corner2];
+    }
+  }
+
+  return [point, corner1, corner2];
+}
+
+/**
+ * This function turns flattened subpaths (see `flattenPath`) into the list of polygons that make up
+ * their stroke outline. Each segment, join and cap is returned as its own polygon, and the stroke
+ * covers the union of all of them. The `lineWidth` is interpreted in the coordinate space of
+ * `transform`, which should be the transform active when the path is stroked. The returned
+ * polygons are in device space.
+ */
+export default function strokePath(subpaths, transform, { lineWidth, lineCap, lineJoin, miterLimit }) {
+  const inverse = invertTransform(transform);
+  if (!inverse) return [];
+
+  const scale = getTransformScale(transform);
+  const halfWidth = lineWidth / 2;
+  const polygons = [];
+
+  subpaths.forEach(subpath => {
+    // a subpath made by a single moveTo call is never stroked
+    if (subpath.points.length < 2) return;
+    const points = removeDuplicatePoints(subpath.points.map(point => applyTransform(inverse, point[0], point[1])));
+    if (subpath.closed && points.length > 2) {
+      const first = points[0];
+      const last = points[points.length - 1];
+      if (first[0] === last[0] && first[1] === last[1]) points.pop();
+    }
+
+    if (points.length === 1) {
+      // zero length subpaths are only visible through their caps
+      const [x, y] = points[0];
+      if (subpath.closed || lineCap === 'butt') return;
+      if (lineCap === 'round') polygons.push(createCircle(x, y, halfWidth, scale));
+      else polygons.push([[x - halfWidth, y - halfWidth], [x + halfWidth, y - halfWidth], [x + halfWidth, y + halfWidth], [x - halfWidth, y + halfWidth]]);
+      return;
+    }
+
+    const segmentCount = subpath.closed ? points.length : points.length - 1;
+    const directions = [];
+    for (let i = 0; i < segmentCount; i++) {
+      const from = points[i];
+      const to = points[(i + 1) % points.length];
+      const direction = getDirection(from, to);
+      const nx = -direction[1] * halfWidth;
+      const ny = direction[0] * halfWidth;
+      directions.push(direction);
+      polygons.push([
+        [from[0] + nx, from[1] + ny],
+        [to[0] + nx, to[1] + ny],
+        [to[0] - nx, to[1] - ny],
+        [from[0] - nx, from[1] - ny],
+      ]);
+    }
+
+    for (let i = 1; i < segmentCount; i++) {
+      const join = createJoin(points[i], directions[i - 1], directions[i], halfWidth, lineJoin, miterLimit, scale);
+      if (join) polygons.push(join);
+    }
+
+    if (subpath.closed) {
+      const join = createJoin(points[0], directions[segmentCount - 1], directions[0], halfWidth, lineJoin, miterLimit, scale);
+      if (join) polygons.push(join);
+    } else {
+      const last = directions[segmentCount - 1];
+      const start = createCap(points[0], [-directions[0][0], -directions[0][1]], halfWidth, lineCap, scale);
+      const end = createCap(points[points.length - 1], last, halfWidth, lineCap, scale);
+      if (start) polygons.push(start);
+      if (end) polygons.push(end);
+    }
+  });
+
+  return polygons.map(polygon => polygon.map(point => applyTransform(transform, point[0], point[1])));
+}
@@ -0,0 +1,261 @@
+import ImageData from '../classes/ImageData';
+import ImageBitmap from '../classes/ImageBitmap';
+import CanvasGradient from '../classes/CanvasGradient';
+import CanvasPattern from '../classes/CanvasPattern';
+import flattenPath from '../path/flattenPath';
+import strokePath from '../path/strokePath';
+import { applyTransform, invertTransform } from '../path/matrix';
+import fillMask from './fillMask';
+import toRGBA from './toRGBA';
+import createGradientShader from './createGradientShader';
+import createPatternShader from './createPatternShader';
+import encodePNG from './encodePNG';
+import composite, { unboundedOperations } from './composite';
+
+/**
+ * Every rasterizer is stored here by canvas, so that `drawImage` can read the pixels of another
+ * rasterized canvas.
+ */
+const rasterizers = new WeakMap();
+
+function normalizeRect(x, y, width, height) {
+  if (width < 0) {
+    x += width;
+    width = -width;
+  }
+  if (height < 0) {
+    y += height;
+    height = -height;
+  }
+  return [x, y, width, height];
+}
+
+/**
+ * The Rasterizer owns the RGBA backing buffer of a single canvas and paints draw calls into it. It
+ * is only created when rasterization is enabled on a `CanvasRenderingContext2D`, and reads the
+ * canvas size lazily, so resizing the canvas clears the buffer exactly like it does in a browser.
+ */
+export default class Rasterizer {
+  /**
+   * Returns an `ImageData` containing the pixels of an image source used with `drawImage`, or
+   * `null` if the pixels of the source are not known to the mock.
+   */
+  static getImageSource(img) {
+    if (img instanceof ImageData) return img;
+    if (img instanceof ImageBitmap) return img._imageData;
+    if (!rasterizers.has(img) || img.width === 0 || img.height === 0) return null;
+    return rasterizers.get(img).getImageData(0, 0, img.width, img.height);
+  }
+
+  /**
+   * Returns the pixels of a rasterized canvas encoded as a PNG file, or `null` if the canvas is not
+   * rasterized or has no pixels.
+   */
+  static toPNG(canvas) {
+    const imageData = rasterizers.has(canvas) ? Rasterizer.getImageSource(canvas) : null;
+    return imageData ? encodePNG(imageData.width, imageData.height, imageData.data) : null;
+  }
+
+  _data = null;
+  _width = 0;
+  _height = 0;
+
+  constructor(canvas) {
+    this._canvas = canvas;
+    rasterizers.set(canvas, this);
+  }
+
+  get data() {
+    const width = this._canvas.width;
+    const height = this._canvas.height;
+    if (!this._data || width !== this._width || height !== this._height) {
+      this._width = width;
+      this._height = height;
+      this._data = new Uint8ClampedArray(width * height * 4);
+    }
+    return this._data;
+  }
+
+  _createMask() {
+    const data = this.data;
+    return new Uint8Array(data.length / 4);
+  }
+
+  /**
+   * The masks of the clipping regions painted so far. A drawing state stores a new array of clip
+   * events whenever `clip()` is called, so the array identifies the region until the canvas is
+   * resized.
+   */
+  _clipMasks = new WeakMap();
+
+  /**
+   * Returns the mask of the clipping region, or `null` when nothing is clipped. The region is the
+   * intersection of the paths of every clip event, each filled with its own fill rule.
+   */
+  _getClipMask(clip) {
+    if (!clip || clip.length === 0) return null;
+    let cached = this._clipMasks.get(clip);
+    if (!cached || cached.width !== this._width || cached.height !== this._height) {
+      const clipMask = this._createMask().fill(1);
+      clip.forEach(event => {
+        const region = this._createMask();
+        const polygons = flattenPath(event.props.path).map(subpath => subpath.points);
+        fillMask(region, this._width, this._height, polygons, event.props.fillRule);
+        for (let i = 0; i < clipMask.length; i++) clipMask[i] &= region[i];
+      });
+      cached = { width: this._width, height: this._height, mask: clipMask };
+      this._clipMasks.set(clip, cached);
+    }
+    return cached.mask;
+  }
+
+  /**
+   * Removes the pixels outside of the clipping region from the mask.
+   */
+  _applyClip(mask, clip) {
+    const clipMask = this._getClipMask(clip);
+    if (!clipMask) return;
+    for (let i = 0; i < mask.length; i++) mask[i] &= clipMask[i];
+  }
+
+  /**
+   * Composites the color that `getColor` returns for every pixel of the mask onto the canvas, using
+   * the `globalAlpha` and the `globalCompositeOperation` of the paint. `getColor` may return `null`
+   * for a transparent pixel. Operations that also change the canvas where nothing is drawn, like
+   * `copy` or `destination-in`, are applied to the whole clipping region with a transparent source
+   * outside of the mask.
+   */
+  _composite(mask, paint, getColor) {
+    const data = this.data;
+    const operation = paint.globalCompositeOperation;
+    const unbounded = unboundedOperations.indexOf(operation) !== -1;
+    const clipMask = this._getClipMask(paint.clip);
+    for (let i = 0; i < mask.length; i++) {
+      if (clipMask && !clipMask[i]) continue;
+      const color = mask[i] ? getColor(i) : null;
+      const alpha = color ? color[3] * paint.globalAlpha : 0;
+      if (alpha > 0) composite(data, i * 4, color[0], color[1], color[2], alpha, operation);
+      else if (unbounded) composite(data, i * 4, 0, 0, 0, 0, operation);
+    }
+  }
+
+  _paint(mask, paint) {
+    if (typeof paint.style === 'string') {
+      const color = toRGBA(paint.style);
+      this._composite(mask, paint, () => color);
+      return;
+    }
+
+    const shader = this._createShader(paint);
+    if (!shader) return;
+    this._composite(mask, paint, i => shader(i % this._width + 0.5, Math.floor(i / this._width) + 0.5));
+  }
+
+  /**
+   * Gradients and patterns are painted with a shader, which returns the color of each pixel.
+   */
+  _createShader(paint) {
+    if (paint.style instanceof CanvasGradient) {
+      return createGradientShader(paint.style.__getDefinition(), paint.transform);
+    }
+    if (paint.style instanceof CanvasPattern) {
+      const definition = paint.style.__getDefinition();
+      return createPatternShader(definition, Rasterizer.getImageSource(definition.image), paint.transform);
+    }
+    return null;
+  }
+
+  fill(path, fillRule, paint) {
+    const mask = this._createMask();
+    const polygons = flattenPath(path).map(subpath => subpath.points);
+    fillMask(mask, this._width, this._height, polygons, fillRule);
+    this._paint(mask, paint);
+  }
+
+  stroke(path, paint, lineStyle) {
+    const mask = this._createMask();
+    strokePath(flattenPath(path), paint.transform, lineStyle).forEach(polygon => {
+      fillMask(mask, this._width, this._height, [polygon], 'nonzero');
+    });
+    this._paint(mask, paint);
+  }
+
+  clear(path, clip) {
+    const data = this.data;
+    const mask = this._createMask();
+    const polygons = flattenPath(path).map(subpath => subpath.points);
+    fillMask(mask, this._width, this._height, polygons, 'nonzero');
+    this._applyClip(mask, clip);
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i]) data.fill(0, i * 4, i * 4 + 4);
+    }
+  }
+
+  drawImage(source, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight, paint) {
+    const inverse = invertTransform(paint.transform);
+    if (!inverse) return;
+
+    [sx, sy, sWidth, sHeight] = normalizeRect(sx, sy, sWidth, sHeight);
+    [dx, dy, dWidth, dHeight] = normalizeRect(dx, dy, dWidth, dHeight);
+    if (sWidth === 0 || sHeight === 0 || dWidth === 0 || dHeight === 0) return;
+
+    const mask = this._createMask();
+    const corners = [
+      applyTransform(paint.transform, dx, dy),
+      applyTransform(paint.transform, dx + dWidth, dy),
+      applyTransform(paint.transform, dx + dWidth, dy + dHeight),
+      applyTransform(paint.transform, dx, dy + dHeight),
+    ];
+    fillMask(mask, this._width, this._height, [corners], 'nonzero');
+
+    this._composite(mask, paint, i => {
+      const [u, v] = applyTransform(inverse, i % this._width + 0.5, Math.floor(i / this._width) + 0.5);
+      const sourceX = Math.floor(sx + (u - dx) * sWidth / dWidth);
+      const sourceY = Math.floor(sy + (v - dy) * sHeight / dHeight);
+      if (sourceX < 0 || sourceY < 0 || sourceX >= source.width || sourceY >= source.height) return null;
+      const index = (sourceY * source.width + sourceX) * 4;
+      return [source.data[index], source.data[index + 1], source.data[index + 2], source.data[index + 3] / 255];
+    });
+  }
+
+  putImageData(imageData, dx, dy, dirtyX, dirtyY, dirtyWidth, dirtyHeight) {
+    const data = this.data;
+    [dirtyX, dirtyY, dirtyWidth, dirtyHeight] = normalizeRect(dirtyX, dirtyY, dirtyWidth, dirtyHeight);
+
+    const left = Math.max(0, dirtyX);
+    const top = Math.max(0, dirtyY);
+    const right = Math.min(imageData.width, dirtyX + dirtyWidth);
+    const bottom = Math.min(imageData.height, dirtyY + dirtyHeight);
+
+    for (let y = top; y < bottom; y++) {
+      const targetY = y + dy;
+      if (targetY < 0 || targetY >= this._height) continue;
+      for (let x = left; x < right; x++) {
+        const targetX = x + dx;
+        if (targetX < 0 || targetX >= this._width) continue;
+        const sourceIndex = (y * imageData.width + x) * 4;
+        const targetIndex = (targetY * this._width + targetX) * 4;
+        data[targetIndex] = imageData.data[sourceIndex];
+        data[targetIndex + 1] = imageData.data[sourceIndex + 1];
+        data[targetIndex + 2] = imageData.data[sourceIndex + 2];
+        data[targetIndex + 3] = imageData.data[sourceIndex + 3];
+      }
+    }
+  }
+
+  getImageData(sx, sy, sWidth, sHeight) {
+    const data = this.data;
+    const result = new ImageData(sWidth, sHeight);
+    for (let y = 0; y < sHeight; y++) {
+      const sourceY = sy + y;
+      if (sourceY < 0 || sourceY >= this._height) continue;
+      for (let x = 0; x < sWidth; x++) {
+        const sourceX = sx + x;
+        if (sourceX < 0 || sourceX >= this._width) continue;
+        const sourceIndex = (sourceY * this._width + sourceX) * 4;
+        result.data.set(data.subarray(sourceIndex, sourceIndex + 4), (y * sWidth + x) * 4);
+      }
+    }
+    return result;
+  }
+}
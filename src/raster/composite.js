@@ -0,0 +1,144 @@
+/**
+ * The operations that change the canvas even where the source is fully transparent, so they are
+ * applied to every pixel of the clipping region instead of only the pixels that are drawn.
+ */
+export const unboundedOperations = ['copy', 'source-in', 'source-out', 'destination-in', 'destination-atop'];
+
+/**
+ * The Porter-Duff operators, as the functions of the source and destination alpha that the source
+ * and the destination are multiplied by.
+ */
+const porterDuff = {
+  'source-over': (sa, da) => [1, 1 - sa],
+  'source-in': (sa, da) => [da, 0],
+  'source-out': (sa, da) => [1 - da, 0],
+  'source-atop': (sa, da) => [da, 1 - sa],
+  'destination-over': (sa, da) => [1 - da, 1],
+  'destination-in': (sa, da) => [0, sa],
+  'destination-out': (sa, da) => [0, 1 - sa],
+  'destination-atop': (sa, da) => [1 - da, sa],
+  copy: () => [1, 0],
+  xor: (sa, da) => [1 - da, 1 - sa],
+};
+
+function hardLight(s, d) {
+  return s <= 0.5 ? d * 2 * s : d + (2 * s - 1) - d * (2 * s - 1);
+}
+
+/**
+ * The separable blend modes of the Compositing and Blending specification, which blend each
+ * channel on its own. The channels are numbers between 0 and 1.
+ */
+const separableModes = {
+  multiply: (s, d) => s * d,
+  screen: (s, d) => s + d - s * d,
+  overlay: (s, d) => hardLight(d, s),
+  darken: (s, d) => Math.min(s, d),
+  lighten: (s, d) => Math.max(s, d),
+  'color-dodge': (s, d) => {
+    if (d === 0) return 0;
+    if (s === 1) return 1;
+    return Math.min(1, d / (1 - s));
+  },
+  'color-burn': (s, d) => {
+    if (d === 1) return 1;
+    if (s === 0) return 0;
+    return 1 - Math.min(1, (1 - d) / s);
+  },
+  'hard-light': hardLight,
+  'soft-light': (s, d) => {
+    if (s <= 0.5) return d - (1 - 2 * s) * d * (1 - d);
+    const factor = d <= 0.25 ? ((16 * d - 12) * d + 4) * d : Math.sqrt(d);
+    return d + (2 * s - 1) * (factor - d);
+  },
+  difference: (s, d) => Math.abs(s - d),
+  exclusion: (s, d) => s + d - 2 * s * d,
+};
+
+function getLuminosity([r, g, b]) {
+  return 0.3 * r + 0.59 * g + 0.11 * b;
+}
+
+function clipColor(color) {
+  const luminosity = getLuminosity(color);
+  const min = Math.min(...color);
+  const max = Math.max(...color);
+  return color.map(value => {
+    if (min < 0) value = luminosity + (value - luminosity) * luminosity / (luminosity - min);
+    if (max > 1) value = luminosity + (value - luminosity) * (1 - luminosity) / (max - luminosity);
+    return value;
+  });
+}
+
+function setLuminosity(color, luminosity) {
+  const difference = luminosity - getLuminosity(color);
+  return clipColor(color.map(value => value + difference));
+}
+
+function getSaturation(color) {
+  return Math.max(...color) - Math.min(...color);
+}
+
+function setSaturation(color, saturation) {
+  const order = [0, 1, 2].sort((a, b) => color[a] - color[b]);
+  const [min, mid, max] = order;
+  const result = [0, 0, 0];
+  if (color[max] > color[min]) {
+    result[mid] = (color[mid] - color[min]) * saturation / (color[max] - color[min]);
+    result[max] = saturation;
+  }
+  return result;
+}
+
+/**
+ * The non-separable blend modes, which blend the hue, saturation and luminosity of whole colors.
+ */
+const nonSeparableModes = {
+  hue: (s, d) => setLuminosity(setSaturation(s, getSaturation(d)), getLuminosity(d)),
+  saturation: (s, d) => setLuminosity(setSaturation(d, getSaturation(s)), getLuminosity(d)),
+  color: (s, d) => setLuminosity(s, getLuminosity(d)),
+  luminosity: (s, d) => setLuminosity(d, getLuminosity(s)),
+};
+
+function blend(operation, source, destination) {
+  if (separableModes[operation]) return source.map((value, channel) => separableModes[operation](value, destination[channel]));
+  return nonSeparableModes[operation](source, destination);
+}
+
+/**
+ * Composites a non-premultiplied source color onto the pixel at `index` with one of the values of
+ * `globalCompositeOperation`. The color channels are numbers between 0 and 255 and the alpha is a
+ * number between 0 and 1, like the result of `toRGBA`. Blend modes mix the colors where both the
+ * source and the destination are opaque, and are otherwise composited like `source-over`.
+ */
+export default function composite(data, index, r, g, b, a, operation) {
+  const source = [r, g, b];
+  const destination = [data[index], data[index + 1], data[index + 2]];
+  const destinationAlpha = data[index + 3] / 255;
+  let alpha;
+  let color;
+
+  if (porterDuff[operation]) {
+    const [sourceFactor, destinationFactor] = porterDuff[operation](a, destinationAlpha);
+    alpha = a * sourceFactor + destinationAlpha * destinationFactor;
+    color = source.map((value, channel) => value * a * sourceFactor + destination[channel] * destinationAlpha * destinationFactor);
+  } else if (operation === 'lighter') {
+    alpha = Math.min(1, a + destinationAlpha);
+    color = source.map((value, channel) => Math.min(255, value * a + destination[channel] * destinationAlpha));
+  } else {
+    const blended = blend(operation, source.map(value => value / 255), destination.map(value => value / 255));
+    alpha = a + destinationAlpha * (1 - a);
+    color = source.map((value, channel) => value * a * (1 - destinationAlpha)
+      + destination[channel] * destinationAlpha * (1 - a)
+      + blended[channel] * 255 * a * destinationAlpha);
+  }
+
+  if (alpha <= 0) {
+    data.fill(0, index, index + 4);
+    return;
+  }
+  data[index] = Math.round(color[0] / alpha);
+  data[index + 1] = Math.round(color[1] / alpha);
+  data[index + 2] = Math.round(color[2] / alpha);
+  data[index + 3] = Math.round(alpha * 255);
+}
@@ -0,0 +1,114 @@
+import { applyTransform, invertTransform } from '../path/matrix';
+import toRGBA from './toRGBA';
+
+/**
+ * Returns a function that maps a position along the gradient to a non-premultiplied `[r, g, b, a]`
+ * color. The colors of the stops are interpolated premultiplied by their alpha, so a stop fading to
+ * transparent does not darken the colors in between, and positions before the first stop or after
+ * the last stop use the color of that stop.
+ */
+function createColorLookup(colorStops) {
+  const stops = colorStops.map(stop => {
+    const [r, g, b, a] = toRGBA(stop.color);
+    return { offset: stop.offset, color: [r * a, g * a, b * a, a] };
+  });
+
+  return position => {
+    // the last stop at or before the position, so the later one of two stops at the same offset wins
+    let index = -1;
+    while (index + 1 < stops.length && stops[index + 1].offset <= position) index++;
+    let premultiplied;
+    if (index === -1) premultiplied = stops[0].color;
+    else if (index === stops.length - 1) premultiplied = stops[index].color;
+    else {
+      const start = stops[index];
+      const end = stops[index + 1];
+      const ratio = (position - start.offset) / (end.offset - start.offset);
+      premultiplied = start.color.map((value, channel) => value + (end.color[channel] - value) * ratio);
+    }
+    const alpha = premultiplied[3];
+    if (alpha <= 0) return [0, 0, 0, 0];
+    return [premultiplied[0] / alpha, premultiplied[1] / alpha, premultiplied[2] / alpha, alpha];
+  };
+}
+
+/**
+ * Returns the position along a linear gradient for a point, or `null` when the start and end
+ * points are the same, which paints nothing.
+ */
+function createLinearPosition({ x0, y0, x1, y1 }) {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const lengthSquared = dx * dx + dy * dy;
+  if (lengthSquared === 0) return null;
+  return (x, y) => ((x - x0) * dx + (y - y0) * dy) / lengthSquared;
+}
+
+/**
+ * Radial gradients are cones between two circles. The position of a point is the largest ω for
+ * which the point lies on the circle interpolated between the start and end circles, with a
+ * radius that is not negative. Points that are on no such circle are not painted.
+ */
+function createRadialPosition({ x0, y0, r0, x1, y1, r1 }) {
+  if (x0 === x1 && y0 === y1 && r0 === r1) return null;
+  const cdx = x1 - x0;
+  const cdy = y1 - y0;
+  const dr = r1 - r0;
+  const a = cdx * cdx + cdy * cdy - dr * dr;
+  return (x, y) => {
+    const pdx = x - x0;
+    const pdy = y - y0;
+    // |p - c(ω)|² = r(ω)², written as a·ω² - 2·b·ω + c = 0
+    const b = pdx * cdx + pdy * cdy + r0 * dr;
+    const c = pdx * pdx + pdy * pdy - r0 * r0;
+    let candidates;
+    if (a === 0) {
+      if (b === 0) return null;
+      candidates = [c / (2 * b)];
+    } else {
+      const discriminant = b * b - a * c;
+      if (discriminant < 0) return null;
+      const root = Math.sqrt(discriminant);
+      candidates = [(b + root) / a, (b - root) / a];
+    }
+    const valid = candidates.filter(omega => r0 + omega * dr >= 0);
+    return valid.length > 0 ? Math.max(...valid) : null;
+  };
+}
+
+/**
+ * Conic gradients go clockwise around their center, starting at `startAngle` from the positive x
+ * axis.
+ */
+function createConicPosition({ startAngle, x, y }) {
+  const fullTurn = Math.PI * 2;
+  return (px, py) => {
+    const turns = (Math.atan2(py - y, px - x) - startAngle) / fullTurn;
+    return turns - Math.floor(turns);
+  };
+}
+
+const positions = {
+  linear: createLinearPosition,
+  radial: createRadialPosition,
+  conic: createConicPosition,
+};
+
+/**
+ * Creates a function that returns the non-premultiplied `[r, g, b, a]` color of a gradient at the
+ * center of a device pixel, or `null` when the pixel is not painted. The coordinates of the
+ * gradient are in the user space of `transform`, which is the transform of the draw call. Returns
+ * `null` when the gradient paints nothing at all.
+ */
+export default function createGradientShader(definition, transform) {
+  const inverse = invertTransform(transform);
+  if (!inverse || definition.colorStops.length === 0) return null;
+  const getPosition = positions[definition.type](definition);
+  if (!getPosition) return null;
+  const getColor = createColorLookup(definition.colorStops);
+  return (x, y) => {
+    const [u, v] = applyTransform(inverse, x, y);
+    const position = getPosition(u, v);
+    return position === null ? null : getColor(position);
+  };
+}
@@ -0,0 +1,31 @@
+import { applyTransform, invertTransform, multiplyTransforms } from '../path/matrix';
+
+function wrap(value, size) {
+  return value - Math.floor(value / size) * size;
+}
+
+/**
+ * Creates a function that returns the non-premultiplied `[r, g, b, a]` color of a pattern at the
+ * center of a device pixel, or `null` when the pixel is outside of a pattern that does not repeat
+ * in that direction. The pattern is placed in the user space of `transform`, which is the
+ * transform of the draw call, after the matrix set with `CanvasPattern#setTransform`. The
+ * `source` is the `ImageData` of the image of the pattern, and the image is sampled with the
+ * nearest pixel. Returns `null` when the pattern paints nothing at all.
+ */
+export default function createPatternShader(definition, source, transform) {
+  if (!source || source.width === 0 || source.height === 0) return null;
+  const inverse = invertTransform(multiplyTransforms(transform, definition.transform));
+  if (!inverse) return null;
+  const repeatX = definition.repetition === 'repeat' || definition.repetition === 'repeat-x';
+  const repeatY = definition.repetition === 'repeat' || definition.repetition === 'repeat-y';
+  return (x, y) => {
+    let [u, v] = applyTransform(inverse, x, y);
+    if (repeatX) u = wrap(u, source.width);
+    else if (u < 0 || u >= source.width) return null;
+    if (repeatY) v = wrap(v, source.height);
+    else if (v < 0 || v >= source.height) return null;
+    // wrapping a tiny negative number can round up to the size of the image
+    const index = (Math.min(Math.floor(v), source.height - 1) * source.width + Math.min(Math.floor(u), source.width - 1)) * 4;
+    return [source.data[index], source.data[index + 1], source.data[index + 2], source.data[index + 3] / 255];
+  };
+}
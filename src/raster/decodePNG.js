@@ -0,0 +1,96 @@
+import { inflateSync } from 'zlib';
+
+/**
+ * The number of channels of every supported color type: grayscale, RGB, grayscale with alpha and
+ * RGBA.
+ */
+const channelCounts = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const distanceLeft = Math.abs(estimate - left);
+  const distanceUp = Math.abs(estimate - up);
+  const distanceUpLeft = Math.abs(estimate - upLeft);
+  if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+  return distanceUp <= distanceUpLeft ? up : upLeft;
+}
+
+/**
+ * Reverses the filter of every scanline in place, and returns the unfiltered pixels.
+ */
+function unfilter(scanlines, height, rowLength, bytesPerPixel) {
+  const pixels = new Uint8Array(rowLength * height);
+  for (let y = 0; y < height; y++) {
+    const filter = scanlines[y * (rowLength + 1)];
+    const source = y * (rowLength + 1) + 1;
+    const row = y * rowLength;
+    for (let x = 0; x < rowLength; x++) {
+      const left = x >= bytesPerPixel ? pixels[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[row - rowLength + x] : 0;
+      const upLeft = x >= bytesPerPixel && y > 0 ? pixels[row - rowLength + x - bytesPerPixel] : 0;
+      let predictor;
+      switch (filter) {
+        case 0: predictor = 0; break;
+        case 1: predictor = left; break;
+        case 2: predictor = up; break;
+        case 3: predictor = (left + up) >> 1; break;
+        case 4: predictor = paeth(left, up, upLeft); break;
+        default: throw new Error('jest-canvas-mock: The PNG file contains an invalid filter type.');
+      }
+      pixels[row + x] = (scanlines[source + x] + predictor) & 0xff;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Decodes the bytes of a PNG file into an object with its `width`, `height` and non-premultiplied
+ * RGBA `data`, like an `ImageData`. Only non-interlaced images with 8 bits per channel are
+ * supported, which includes every file written by `encodePNG`.
+ */
+export default function decodePNG(bytes) {
+  const buffer = Buffer.from(bytes);
+  if (buffer.length < 8 || buffer.readUInt32BE(0) !== 0x89504e47 || buffer.readUInt32BE(4) !== 0x0d0a1a0a) {
+    throw new Error('jest-canvas-mock: The file is not a PNG file.');
+  }
+
+  let header = null;
+  const data = [];
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') header = chunk;
+    else if (type === 'IDAT') data.push(chunk);
+    else if (type === 'IEND') break;
+    offset += length + 12;
+  }
+  if (!header) throw new Error('jest-canvas-mock: The PNG file has no header.');
+
+  const width = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+  const bitDepth = header[8];
+  const colorType = header[9];
+  const interlace = header[12];
+  const channels = channelCounts[colorType];
+  if (bitDepth !== 8 || !channels || interlace !== 0) {
+    throw new Error('jest-canvas-mock: Only non-interlaced PNG files with 8 bits per channel and no palette are supported.');
+  }
+
+  const pixels = unfilter(inflateSync(Buffer.concat(data)), height, width * channels, channels);
+  const result = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const source = i * channels;
+    const target = i * 4;
+    if (channels < 3) {
+      result[target] = result[target + 1] = result[target + 2] = pixels[source];
+    } else {
+      result[target] = pixels[source];
+      result[target + 1] = pixels[source + 1];
+      result[target + 2] = pixels[source + 2];
+    }
+    result[target + 3] = channels === 2 || channels === 4 ? pixels[source + channels - 1] : 255;
+  }
+  return { width, height, data: result };
+}
@@ -0,0 +1,152 @@
+/**
+ * The base values and extra bits of the deflate length codes 257 to 285, and of the distance codes
+ * 0 to 29, from RFC 1951.
+ */
+const lengthBases = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const lengthExtraBits = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const distanceBases = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const distanceExtraBits = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const HASH_SIZE = 65536;
+/**
+ * The number of previous positions with the same hash that are compared when looking for a match.
+ * Higher values compress better and run slower.
+ */
+const MAX_CHAIN = 64;
+
+/**
+ * Writes values to a byte array starting from the least significant bit, like deflate expects.
+ */
+class BitWriter {
+  bytes = [];
+  _buffer = 0;
+  _count = 0;
+
+  write(value, bitCount) {
+    this._buffer |= value << this._count;
+    this._count += bitCount;
+    while (this._count >= 8) {
+      this.bytes.push(this._buffer & 0xff);
+      this._buffer >>>= 8;
+      this._count -= 8;
+    }
+  }
+
+  /**
+   * Huffman codes are stored starting from their most significant bit.
+   */
+  writeCode(code, bitCount) {
+    let reversed = 0;
+    for (let i = 0; i < bitCount; i++) reversed |= ((code >> i) & 1) << (bitCount - 1 - i);
+    this.write(reversed, bitCount);
+  }
+
+  flush() {
+    if (this._count > 0) this.bytes.push(this._buffer & 0xff);
+    this._buffer = 0;
+    this._count = 0;
+  }
+}
+
+/**
+ * Writes a literal byte or a length symbol with the fixed Huffman code of RFC 1951.
+ */
+function writeSymbol(writer, symbol) {
+  if (symbol < 144) writer.writeCode(0x30 + symbol, 8);
+  else if (symbol < 256) writer.writeCode(0x190 + symbol - 144, 9);
+  else if (symbol < 280) writer.writeCode(symbol - 256, 7);
+  else writer.writeCode(0xc0 + symbol - 280, 8);
+}
+
+function findCode(bases, value) {
+  let code = bases.length - 1;
+  while (bases[code] > value) code--;
+  return code;
+}
+
+function writeMatch(writer, length, distance) {
+  const lengthCode = findCode(lengthBases, length);
+  writeSymbol(writer, 257 + lengthCode);
+  writer.write(length - lengthBases[lengthCode], lengthExtraBits[lengthCode]);
+  const distanceCode = findCode(distanceBases, distance);
+  writer.writeCode(distanceCode, 5);
+  writer.write(distance - distanceBases[distanceCode], distanceExtraBits[distanceCode]);
+}
+
+function adler32(data) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < data.length; i++) {
+    a = (a + data[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Compresses the bytes into a zlib stream, which is what the `IDAT` chunks of a PNG file contain.
+ * The data is written as a single deflate block with the fixed Huffman codes, and repeated
+ * sequences are found with a hash chain over the last 32KB, which is enough for the flat colors
+ * usually drawn in tests.
+ */
+export default function deflate(data) {
+  const writer = new BitWriter();
+  // CMF and FLG: deflate with a 32KB window, no preset dictionary, default compression level
+  writer.bytes.push(0x78, 0x9c);
+  // BFINAL = 1, BTYPE = 01 (fixed Huffman codes)
+  writer.write(1, 1);
+  writer.write(1, 2);
+
+  const head = new Int32Array(HASH_SIZE).fill(-1);
+  const previous = new Int32Array(WINDOW_SIZE);
+  const hash = index => ((data[index] << 8) ^ (data[index + 1] << 4) ^ data[index + 2]) & (HASH_SIZE - 1);
+  const insert = index => {
+    if (index + MIN_MATCH > data.length) return;
+    const key = hash(index);
+    previous[index % WINDOW_SIZE] = head[key];
+    head[key] = index;
+  };
+
+  let index = 0;
+  while (index < data.length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+    if (index + MIN_MATCH <= data.length) {
+      const maxLength = Math.min(MAX_MATCH, data.length - index);
+      let candidate = head[hash(index)];
+      for (let chain = 0; candidate >= 0 && index - candidate <= WINDOW_SIZE && chain < MAX_CHAIN; chain++) {
+        let length = 0;
+        while (length < maxLength && data[candidate + length] === data[index + length]) length++;
+        if (length > bestLength) {
+          bestLength = length;
+          bestDistance = index - candidate;
+          if (length === maxLength) break;
+        }
+        const next = previous[candidate % WINDOW_SIZE];
+        // the slot was reused by a newer position, so the chain ends here
+        if (next >= candidate) break;
+        candidate = next;
+      }
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      writeMatch(writer, bestLength, bestDistance);
+      for (let i = 0; i < bestLength; i++) insert(index + i);
+      index += bestLength;
+    } else {
+      writeSymbol(writer, data[index]);
+      insert(index);
+      index++;
+    }
+  }
+
+  // end of block
+  writeSymbol(writer, 256);
+  writer.flush();
+  const checksum = adler32(data);
+  writer.bytes.push(checksum >>> 24, (checksum >>> 16) & 0xff, (checksum >>> 8) & 0xff, checksum & 0xff);
+  return Uint8Array.from(writer.bytes);
+}
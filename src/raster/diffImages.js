@@ -0,0 +1,35 @@
+/**
+ * The opacity of the expected image in the unchanged areas of a diff image, so that the changed
+ * pixels stand out.
+ */
+const BACKGROUND_OPACITY = 0.1;
+
+/**
+ * Compares two images of the same size pixel by pixel. Two pixels are different when one of their
+ * channels differs by more than `threshold`, which is a number between 0 and 1 relative to the
+ * range of a channel. Returns the number of different pixels, and the RGBA data of a diff image
+ * where the different pixels are red and the other pixels are a faded grayscale copy of the
+ * expected image.
+ */
+export default function diffImages(expected, received, threshold = 0) {
+  const diff = new Uint8ClampedArray(expected.length);
+  const tolerance = threshold * 255;
+  let count = 0;
+  for (let index = 0; index < expected.length; index += 4) {
+    let difference = 0;
+    for (let channel = 0; channel < 4; channel++) {
+      difference = Math.max(difference, Math.abs(expected[index + channel] - received[index + channel]));
+    }
+    if (difference > tolerance) {
+      count++;
+      diff.set([255, 0, 0, 255], index);
+    } else {
+      const alpha = expected[index + 3] / 255;
+      const gray = 0.299 * expected[index] + 0.587 * expected[index + 1] + 0.114 * expected[index + 2];
+      // the gray value is blended with white, using the alpha of the pixel and the background opacity
+      const value = 255 - (255 - gray) * alpha * BACKGROUND_OPACITY;
+      diff.set([value, value, value, 255], index);
+    }
+  }
+  return { count, diff };
+}
@@ -0,0 +1,71 @@
+import deflate from './deflate';
+
+const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function writeUint32(target, offset, value) {
+  target[offset] = value >>> 24;
+  target[offset + 1] = (value >>> 16) & 0xff;
+  target[offset + 2] = (value >>> 8) & 0xff;
+  target[offset + 3] = value & 0xff;
+}
+
+/**
+ * Creates a chunk with its length, type, data and the CRC of the type and data.
+ */
+function createChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  writeUint32(chunk, 0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  writeUint32(chunk, data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+}
+
+/**
+ * Encodes non-premultiplied RGBA pixels, like the data of an `ImageData`, into the bytes of a PNG
+ * file with 8 bits per channel. Every scanline is stored without a filter.
+ */
+export default function encodePNG(width, height, data) {
+  const header = new Uint8Array(13);
+  writeUint32(header, 0, width);
+  writeUint32(header, 4, height);
+  // bit depth 8, color type 6 (RGBA), deflate compression, adaptive filtering, no interlace
+  header.set([8, 6, 0, 0, 0], 8);
+
+  const rowLength = width * 4;
+  const scanlines = new Uint8Array((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // filter type 0 (None)
+    scanlines[y * (rowLength + 1)] = 0;
+    scanlines.set(data.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+  }
+
+  const chunks = [
+    Uint8Array.from(signature),
+    createChunk('IHDR', header),
+    createChunk('IDAT', deflate(scanlines)),
+    createChunk('IEND', new Uint8Array(0)),
+  ];
+  const result = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  chunks.reduce((offset, chunk) => {
+    result.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  return result;
+}
@@ -0,0 +1,65 @@
+/**
+ * This function marks every pixel of `mask` (a `width * height` sized `Uint8Array`) whose center
+ * lies inside the given device space polygons according to `fillRule`. Pixels are sampled at their
+ * centers without anti-aliasing so rendered output stays deterministic and easy to assert on.
+ * Pixels that are already set in the mask are left untouched, so calling this function several
+ * times builds the union of the shapes.
+ */
+export default function fillMask(mask, width, height, polygons, fillRule = 'nonzero') {
+  const edges = [];
+  let top = Infinity;
+  let bottom = -Infinity;
+
+  polygons.forEach(points => {
+    for (let i = 0; i < points.length; i++) {
+      const from = points[i];
+      const to = points[(i + 1) % points.length];
+      if (from[1] === to[1]) continue;
+      edges.push({
+        x0: from[0],
+        y0: from[1],
+        x1: to[0],
+        y1: to[1],
+        winding: to[1] > from[1] ? 1 : -1,
+      });
+      top = Math.min(top, from[1], to[1]);
+      bottom = Math.max(bottom, from[1], to[1]);
+    }
+  });
+
+  if (edges.length === 0) return mask;
+
+  const firstRow = Math.max(0, Math.floor(top));
+  const lastRow = Math.min(height - 1, Math.ceil(bottom));
+  const crossings = [];
+
+  for (let row = firstRow; row <= lastRow; row++) {
+    const y = row + 0.5;
+    crossings.length = 0;
+
+    for (let i = 0; i < edges.length; i++) {
+      const edge = edges[i];
+      if ((edge.y0 <= y && y < edge.y1) || (edge.y1 <= y && y < edge.y0)) {
+        crossings.push({
+          x: edge.x0 + (y - edge.y0) * (edge.x1 - edge.x0) / (edge.y1 - edge.y0),
+          winding: edge.winding,
+        });
+      }
+    }
+
+    crossings.sort((left, right) => left.x - right.x);
+
+    let winding = 0;
+    for (let i = 0; i < crossings.length - 1; i++) {
+      winding += fillRule === 'evenodd' ? 1 : crossings[i].winding;
+      const inside = fillRule === 'evenodd' ? winding % 2 === 1 : winding !== 0;
+      if (!inside) continue;
+
+      const start = Math.max(0, Math.ceil(crossings[i].x - 0.5));
+      const end = Math.min(width, Math.ceil(crossings[i + 1].x - 0.5));
+      for (let column = start; column < end; column++) mask[row * width + column] = 1;
+    }
+  }
+
+  return mask;
+}
@@ -0,0 +1,12 @@
+import parseColor from 'parse-color';
+
+/**
+ * Converts a css color string into an `[r, g, b, a]` array, where the channels are numbers between
+ * 0 and 255 and the alpha is a number between 0 and 1. Colors that cannot be parsed, and the
+ * `transparent` keyword, return transparent black.
+ */
+export default function toRGBA(value) {
+  const result = parseColor(String(value));
+  if (!result.rgba) return [0, 0, 0, 0];
+  return result.rgba.slice();
+}
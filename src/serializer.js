@@ -0,0 +1,122 @@
+/**
+ * A jest snapshot serializer that prints canvas events as a compact drawing script, with one event
+ * per line, like `fillRect 0 0 10 10 @ [1,0,0,1,0,0]`. Add it to the jest configuration with
+ * `"snapshotSerializers": ["jest-canvas-mock/lib/serializer"]`.
+ */
+
+/**
+ * Numbers are rounded to this many decimal places, so that floating point noise does not change
+ * the snapshots.
+ */
+const PRECISION = 4;
+
+const MAX_SOURCE_LENGTH = 40;
+
+const identity = [1, 0, 0, 1, 0, 0];
+
+function isTransform(value) {
+  return Array.isArray(value) && value.length === 6 && value.every(item => typeof item === 'number');
+}
+
+function isCanvasEvent(value) {
+  return Boolean(value)
+    && typeof value === 'object'
+    && typeof value.type === 'string'
+    && isTransform(value.transform)
+    && Boolean(value.props)
+    && typeof value.props === 'object';
+}
+
+function isCanvasEventArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isCanvasEvent);
+}
+
+function formatNumber(value) {
+  const factor = Math.pow(10, PRECISION);
+  const rounded = Math.round(value * factor) / factor;
+  // adding 0 turns -0 into 0
+  return Number.isFinite(rounded) ? String(rounded + 0) : String(value);
+}
+
+function formatTransform(transform) {
+  return '[' + transform.map(formatNumber).join(',') + ']';
+}
+
+function formatSource(src) {
+  return JSON.stringify(src.length > MAX_SOURCE_LENGTH ? src.slice(0, MAX_SOURCE_LENGTH) + '…' : src);
+}
+
+function getConstructorName(value) {
+  return value.constructor && value.constructor.name ? value.constructor.name : 'Object';
+}
+
+/**
+ * Images, canvases, gradients and patterns are summarized by their descriptive properties instead
+ * of printing every property of the object.
+ */
+function formatObject(value, parentTransform) {
+  const name = getConstructorName(value);
+  if (typeof HTMLImageElement !== 'undefined' && value instanceof HTMLImageElement) {
+    return name + '(' + (value.src ? formatSource(value.src) + ', ' : '') + value.width + 'x' + value.height + ')';
+  }
+  if (typeof HTMLVideoElement !== 'undefined' && value instanceof HTMLVideoElement) {
+    return name + '(' + (value.src ? formatSource(value.src) + ', ' : '') + value.videoWidth + 'x' + value.videoHeight + ')';
+  }
+  if (
+    (typeof HTMLCanvasElement !== 'undefined' && value instanceof HTMLCanvasElement)
+    || (typeof OffscreenCanvas !== 'undefined' && value instanceof OffscreenCanvas)
+    || (typeof ImageBitmap !== 'undefined' && value instanceof ImageBitmap)
+    || (typeof ImageData !== 'undefined' && value instanceof ImageData)
+  ) {
+    return name + '(' + value.width + 'x' + value.height + ')';
+  }
+  if (
+    (typeof CanvasGradient !== 'undefined' && value instanceof CanvasGradient)
+    || (typeof CanvasPattern !== 'undefined' && value instanceof CanvasPattern)
+  ) {
+    return name + ' ' + formatObject(value.__getDefinition(), parentTransform);
+  }
+  if (typeof Path2D !== 'undefined' && value instanceof Path2D) return formatPath(value._path, identity);
+  if (isCanvasEventArray(value)) return formatPath(value, parentTransform);
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    return '[' + Array.prototype.map.call(value, item => formatValue(item, parentTransform)).join(',') + ']';
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== void 0);
+  return (name === 'Object' ? '' : name + ' ') + '{' + keys.map(key => key + ': ' + formatValue(value[key], parentTransform)).join(', ') + '}';
+}
+
+function formatValue(value, parentTransform) {
+  if (typeof value === 'number') return formatNumber(value);
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'function') return '[Function]';
+  if (value === null || typeof value !== 'object') return String(value);
+  return formatObject(value, parentTransform);
+}
+
+/**
+ * Formats an event as the name of the event followed by the values of its properties. The
+ * transform is only printed when it differs from the transform of the parent event, which is
+ * always the case for top level events because their parent transform is null.
+ */
+function formatEvent(event, parentTransform) {
+  const values = Object.keys(event.props).map(key => event.props[key]);
+  // trailing optional arguments that were not provided are left out
+  while (values.length > 0 && (values[values.length - 1] === void 0 || values[values.length - 1] === null)) values.pop();
+  const parts = [event.type].concat(values.map(value => formatValue(value, event.transform)));
+  const transformChanged = !parentTransform || event.transform.some((value, index) => value !== parentTransform[index]);
+  if (transformChanged) parts.push('@', formatTransform(event.transform));
+  return parts.join(' ');
+}
+
+function formatPath(path, parentTransform) {
+  return '(' + path.map(event => formatEvent(event, parentTransform)).join('; ') + ')';
+}
+
+export function test(value) {
+  return isCanvasEvent(value) || isCanvasEventArray(value);
+}
+
+export function print(value, serialize, indent) {
+  if (!Array.isArray(value)) return formatEvent(value, null);
+  return 'CanvasEvents [\n' + value.map(event => indent(formatEvent(event, null))).join('\n') + '\n]';
+}
@@ -0,0 +1,53 @@
+/**
+ * Glyph advance widths for the printable ASCII characters (from U+0020 to U+007E), in units of
+ * 1/1000 em. The widths are taken from the metrics of the standard PDF fonts Helvetica and
+ * Times-Roman, which are metric compatible with Arial and Times New Roman. Every monospace glyph
+ * is 600 units wide, like Courier.
+ *
+ * The vertical metrics are expressed in em units and are measured from the alphabetic baseline.
+ */
+const fontMetrics = {
+  'sans-serif': {
+    widths: [
+      278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+      1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+      333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+      556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+    ],
+    defaultWidth: 556,
+    ascent: 0.905,
+    descent: 0.212,
+    capHeight: 0.716,
+    xHeight: 0.519,
+    descender: 0.21,
+  },
+  serif: {
+    widths: [
+      250, 333, 408, 500, 500, 833, 778, 180, 333, 333, 500, 564, 250, 333, 250, 278,
+      500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444,
+      921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+      556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500,
+      333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+      500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541,
+    ],
+    defaultWidth: 500,
+    ascent: 0.891,
+    descent: 0.216,
+    capHeight: 0.662,
+    xHeight: 0.448,
+    descender: 0.217,
+  },
+  monospace: {
+    widths: null,
+    defaultWidth: 600,
+    ascent: 0.833,
+    descent: 0.3,
+    capHeight: 0.571,
+    xHeight: 0.423,
+    descender: 0.157,
+  },
+};
+
+export default fontMetrics;
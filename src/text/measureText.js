@@ -0,0 +1,257 @@
+import cssfontparser from 'cssfontparser';
+import fontMetrics from './fontMetrics';
+
+/**
+ * Font families that are known to be metric compatible with one of the bundled generic families.
+ */
+const familyAliases = {
+  'sans-serif': 'sans-serif',
+  'system-ui': 'sans-serif',
+  arial: 'sans-serif',
+  helvetica: 'sans-serif',
+  'helvetica neue': 'sans-serif',
+  'liberation sans': 'sans-serif',
+  'segoe ui': 'sans-serif',
+  roboto: 'sans-serif',
+  verdana: 'sans-serif',
+  serif: 'serif',
+  times: 'serif',
+  'times new roman': 'serif',
+  'liberation serif': 'serif',
+  georgia: 'serif',
+  monospace: 'monospace',
+  courier: 'monospace',
+  'courier new': 'monospace',
+  'liberation mono': 'monospace',
+  consolas: 'monospace',
+  menlo: 'monospace',
+  monaco: 'monospace',
+};
+
+/**
+ * The number of pixels in one unit of the css lengths accepted by `letterSpacing` and
+ * `wordSpacing`. Font relative units are converted with the size of the current font, and `rem` with
+ * the default font size of the document.
+ */
+const lengthUnits = {
+  px: 1,
+  pt: 96 / 72,
+  pc: 16,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6,
+  rem: 16,
+};
+const lengthPattern = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z]*)$/i;
+
+/**
+ * The width of the glyphs of every `fontStretch` value, relative to the normal width, from the
+ * percentages of the css `font-stretch` keywords. The bundled fonts have no condensed or expanded
+ * faces, so the normal glyphs are scaled instead.
+ */
+const stretchFactors = {
+  'ultra-condensed': 0.5,
+  'extra-condensed': 0.625,
+  condensed: 0.75,
+  'semi-condensed': 0.875,
+  normal: 1,
+  'semi-expanded': 1.125,
+  expanded: 1.25,
+  'extra-expanded': 1.5,
+  'ultra-expanded': 2,
+};
+
+/**
+ * Small capitals are drawn as capitals scaled down to this ratio of the font size.
+ */
+const SMALL_CAPS_SCALE = 0.7;
+
+const DESCENDERS = 'gjpqyQ,;_()[]{}|@$';
+const X_HEIGHT = 'acegmnopqrsuvwxyz.,:;-+=<>~_';
+
+function isWhitespace(char) {
+  return char === ' ' || char === '\t' || char === '\n' || char === '\r' || char === '\f';
+}
+
+/**
+ * Wide characters like the CJK ideographs take up a full em in every font.
+ */
+function isWideCharacter(code) {
+  return (code >= 0x1100 && code <= 0x115f)
+    || (code >= 0x2e80 && code <= 0xa4cf)
+    || (code >= 0xac00 && code <= 0xd7a3)
+    || (code >= 0xf900 && code <= 0xfaff)
+    || (code >= 0xfe30 && code <= 0xfe4f)
+    || (code >= 0xff00 && code <= 0xff60)
+    || (code >= 0xffe0 && code <= 0xffe6)
+    || code >= 0x20000;
+}
+
+/**
+ * Parses a css length like `'2px'` or `'0.5em'`, and returns its number and lower case unit, or
+ * null if it is not a length. Like in css, zero does not need a unit.
+ */
+export function parseLength(value) {
+  const match = lengthPattern.exec(String(value).trim());
+  if (!match) return null;
+  const number = Number(match[1]);
+  const unit = match[2].toLowerCase();
+  if (unit === '' && number === 0) return { value: 0, unit: 'px' };
+  if (unit !== 'em' && !lengthUnits.hasOwnProperty(unit)) return null;
+  return { value: number, unit };
+}
+
+function toPixels(value, size) {
+  const length = parseLength(value);
+  if (!length) return 0;
+  return length.value * (length.unit === 'em' ? size : lengthUnits[length.unit]);
+}
+
+/**
+ * Returns whether the character is drawn as a small capital with the given `fontVariantCaps`.
+ */
+function isSmallCapital(char, fontVariantCaps) {
+  const lower = char !== char.toUpperCase();
+  const upper = char !== char.toLowerCase();
+  switch (fontVariantCaps) {
+    case 'small-caps':
+    case 'petite-caps':
+      return lower;
+    case 'all-small-caps':
+    case 'all-petite-caps':
+      return lower || upper;
+    case 'unicase':
+      return upper;
+    default:
+      return false;
+  }
+}
+
+function getAdvance(code, metrics) {
+  if (isWideCharacter(code)) return 1000;
+  if (metrics.widths && code >= 32 && code <= 126) return metrics.widths[code - 32];
+  return metrics.defaultWidth;
+}
+
+/**
+ * Parses a css font string and returns the size in pixels and the bundled metrics of the first
+ * family that is known to the mock. Unknown families fall back to the sans-serif metrics.
+ */
+export function parseFont(font) {
+  const result = cssfontparser(font) || {};
+  const size = Number.isFinite(result.size) ? result.size : 10;
+  const families = result.family || [];
+  let family = 'sans-serif';
+
+  for (let i = 0; i < families.length; i++) {
+    const name = families[i].replace(/^['"]|['"]$/g, '').toLowerCase();
+    if (familyAliases[name]) {
+      family = familyAliases[name];
+      break;
+    }
+  }
+
+  return {
+    size,
+    family,
+    style: result.style || 'normal',
+    variant: result.variant || 'normal',
+    weight: result.weight || 'normal',
+    metrics: fontMetrics[family],
+  };
+}
+
+/**
+ * Returns the distance from the alphabetic baseline to the line selected by `textBaseline`, in
+ * pixels, with positive numbers going up.
+ */
+function getBaselineOffset(textBaseline, baselines) {
+  switch (textBaseline) {
+    case 'top': return baselines.emAscent;
+    case 'hanging': return baselines.hanging;
+    case 'middle': return (baselines.emAscent - baselines.emDescent) / 2;
+    case 'ideographic': return baselines.ideographic;
+    case 'bottom': return -baselines.emDescent;
+    default: return 0;
+  }
+}
+
+/**
+ * Returns the distance from the alignment point to the left edge of the text, in pixels, with
+ * positive numbers going left.
+ */
+function getAlignOffset(textAlign, direction, width) {
+  const rtl = direction === 'rtl';
+  if (textAlign === 'center') return width / 2;
+  if (textAlign === 'right') return width;
+  if (textAlign === 'start' && rtl) return width;
+  if (textAlign === 'end' && !rtl) return width;
+  return 0;
+}
+
+/**
+ * This function computes every `TextMetrics` property for the given text. The glyph advances come
+ * from bundled tables for the generic font families, so the results are deterministic and scale
+ * with the font size. All of the vertical values are relative to the line selected by
+ * `textBaseline`, and the horizontal values are relative to the alignment point selected by
+ * `textAlign`, just like in the browser. `letterSpacing` is added after every character and
+ * `wordSpacing` after every space, `fontStretch` scales the glyph widths, and `fontVariantCaps`
+ * draws small capitals. The bundled fonts have no kerning, so `fontKerning` and `textRendering` do
+ * not change the result.
+ */
+export default function measureText(text, {
+  font,
+  textAlign,
+  textBaseline,
+  direction,
+  letterSpacing = '0px',
+  wordSpacing = '0px',
+  fontStretch = 'normal',
+  fontVariantCaps = 'normal',
+}) {
+  const { size, metrics } = parseFont(font);
+  const letterSpacingResult = toPixels(letterSpacing, size);
+  const wordSpacingResult = toPixels(wordSpacing, size);
+  const stretch = stretchFactors[fontStretch] || 1;
+  let width = 0;
+  let top = 0;
+  let bottom = 0;
+
+  for (const char of text) {
+    const smallCapital = isSmallCapital(char, fontVariantCaps);
+    // capitals that are longer than one character, like the one of 'ß', keep the original glyph
+    const glyph = smallCapital && char.toUpperCase().length === char.length ? char.toUpperCase() : char;
+    const scale = smallCapital ? SMALL_CAPS_SCALE : 1;
+    width += getAdvance(glyph.codePointAt(0), metrics) / 1000 * size * stretch * scale + letterSpacingResult;
+    if (char === ' ') width += wordSpacingResult;
+
+    if (isWhitespace(char)) continue;
+    top = Math.max(top, (X_HEIGHT.indexOf(glyph) === -1 ? metrics.capHeight : metrics.xHeight) * scale);
+    if (DESCENDERS.indexOf(glyph) !== -1) bottom = Math.max(bottom, metrics.descender * scale);
+  }
+
+  const ascent = metrics.ascent * size;
+  const descent = metrics.descent * size;
+  const emAscent = size * metrics.ascent / (metrics.ascent + metrics.descent);
+  const emDescent = size - emAscent;
+  const hanging = ascent * 0.8;
+  const ideographic = -descent;
+  const offset = getBaselineOffset(textBaseline, { emAscent, emDescent, hanging, ideographic });
+  const left = getAlignOffset(textAlign, direction, width);
+
+  return {
+    width,
+    actualBoundingBoxLeft: left,
+    actualBoundingBoxRight: width - left,
+    fontBoundingBoxAscent: ascent - offset,
+    fontBoundingBoxDescent: descent + offset,
+    actualBoundingBoxAscent: top * size - offset,
+    actualBoundingBoxDescent: bottom * size + offset,
+    emHeightAscent: emAscent - offset,
+    emHeightDescent: emDescent + offset,
+    hangingBaseline: hanging - offset,
+    alphabeticBaseline: 0 - offset,
+    ideographicBaseline: ideographic - offset,
+  };
+}
@@ -0,0 +1,1599 @@
+import { webgl1Constants as GL } from './constants';
+import parseShader from './parseShader';
+import createEventLog from '../mock/createEventLog';
+import createMockFunction from '../mock/createMockFunction';
+import createExtension, { webgl1Extensions, extensionParameters } from './extensions';
+import {
+  WebGLBuffer,
+  WebGLFramebuffer,
+  WebGLProgram,
+  WebGLRenderbuffer,
+  WebGLShader,
+  WebGLTexture,
+  WebGLUniformLocation,
+  WebGLActiveInfo,
+  WebGLShaderPrecisionFormat,
+  WebGLQuery,
+  WebGLSampler,
+  WebGLSync,
+  WebGLTransformFeedback,
+  WebGLVertexArrayObject,
+} from './objects';
+
+/**
+ * The parameter names of every WebGL 1 function, used to validate the argument count and to name
+ * the props of the recorded events. Optional parameters end with a question mark. Overloaded
+ * functions list every overload, and the longest one that fits the arguments is used.
+ */
+export const webgl1Parameters = {
+  activeTexture: 'texture',
+  attachShader: 'program, shader',
+  bindAttribLocation: 'program, index, name',
+  bindBuffer: 'target, buffer',
+  bindFramebuffer: 'target, framebuffer',
+  bindRenderbuffer: 'target, renderbuffer',
+  bindTexture: 'target, texture',
+  blendColor: 'red, green, blue, alpha',
+  blendEquation: 'mode',
+  blendEquationSeparate: 'modeRGB, modeAlpha',
+  blendFunc: 'sfactor, dfactor',
+  blendFuncSeparate: 'srcRGB, dstRGB, srcAlpha, dstAlpha',
+  bufferData: 'target, data, usage',
+  bufferSubData: 'target, offset, data',
+  checkFramebufferStatus: 'target',
+  clear: 'mask',
+  clearColor: 'red, green, blue, alpha',
+  clearDepth: 'depth',
+  clearStencil: 's',
+  colorMask: 'red, green, blue, alpha',
+  compileShader: 'shader',
+  compressedTexImage2D: 'target, level, internalformat, width, height, border, data',
+  compressedTexSubImage2D: 'target, level, xoffset, yoffset, width, height, format, data',
+  copyTexImage2D: 'target, level, internalformat, x, y, width, height, border',
+  copyTexSubImage2D: 'target, level, xoffset, yoffset, x, y, width, height',
+  createBuffer: '',
+  createFramebuffer: '',
+  createProgram: '',
+  createRenderbuffer: '',
+  createShader: 'type',
+  createTexture: '',
+  cullFace: 'mode',
+  deleteBuffer: 'buffer',
+  deleteFramebuffer: 'framebuffer',
+  deleteProgram: 'program',
+  deleteRenderbuffer: 'renderbuffer',
+  deleteShader: 'shader',
+  deleteTexture: 'texture',
+  depthFunc: 'func',
+  depthMask: 'flag',
+  depthRange: 'zNear, zFar',
+  detachShader: 'program, shader',
+  disable: 'cap',
+  disableVertexAttribArray: 'index',
+  drawArrays: 'mode, first, count',
+  drawElements: 'mode, count, type, offset',
+  enable: 'cap',
+  enableVertexAttribArray: 'index',
+  finish: '',
+  flush: '',
+  framebufferRenderbuffer: 'target, attachment, renderbuffertarget, renderbuffer',
+  framebufferTexture2D: 'target, attachment, textarget, texture, level',
+  frontFace: 'mode',
+  generateMipmap: 'target',
+  getActiveAttrib: 'program, index',
+  getActiveUniform: 'program, index',
+  getAttachedShaders: 'program',
+  getAttribLocation: 'program, name',
+  getBufferParameter: 'target, pname',
+  getContextAttributes: '',
+  getError: '',
+  getExtension: 'name',
+  getFramebufferAttachmentParameter: 'target, attachment, pname',
+  getParameter: 'pname',
+  getProgramInfoLog: 'program',
+  getProgramParameter: 'program, pname',
+  getRenderbufferParameter: 'target, pname',
+  getShaderInfoLog: 'shader',
+  getShaderParameter: 'shader, pname',
+  getShaderPrecisionFormat: 'shadertype, precisiontype',
+  getShaderSource: 'shader',
+  getSupportedExtensions: '',
+  getTexParameter: 'target, pname',
+  getUniform: 'program, location',
+  getUniformLocation: 'program, name',
+  getVertexAttrib: 'index, pname',
+  getVertexAttribOffset: 'index, pname',
+  hint: 'target, mode',
+  isBuffer: 'buffer',
+  isContextLost: '',
+  isEnabled: 'cap',
+  isFramebuffer: 'framebuffer',
+  isProgram: 'program',
+  isRenderbuffer: 'renderbuffer',
+  isShader: 'shader',
+  isTexture: 'texture',
+  lineWidth: 'width',
+  linkProgram: 'program',
+  pixelStorei: 'pname, param',
+  polygonOffset: 'factor, units',
+  readPixels: 'x, y, width, height, format, type, pixels',
+  renderbufferStorage: 'target, internalformat, width, height',
+  sampleCoverage: 'value, invert',
+  scissor: 'x, y, width, height',
+  shaderSource: 'shader, source',
+  stencilFunc: 'func, ref, mask',
+  stencilFuncSeparate: 'face, func, ref, mask',
+  stencilMask: 'mask',
+  stencilMaskSeparate: 'face, mask',
+  stencilOp: 'fail, zfail, zpass',
+  stencilOpSeparate: 'face, fail, zfail, zpass',
+  texImage2D: [
+    'target, level, internalformat, format, type, source',
+    'target, level, internalformat, width, height, border, format, type, pixels',
+  ],
+  texParameterf: 'target, pname, param',
+  texParameteri: 'target, pname, param',
+  texSubImage2D: [
+    'target, level, xoffset, yoffset, format, type, source',
+    'target, level, xoffset, yoffset, width, height, format, type, pixels',
+  ],
+  useProgram: 'program',
+  validateProgram: 'program',
+  vertexAttribPointer: 'index, size, type, normalized, stride, offset',
+  viewport: 'x, y, width, height',
+};
+
+const uniformComponents = ['x', 'y', 'z', 'w'];
+[1, 2, 3, 4].forEach(count => {
+  const components = uniformComponents.slice(0, count).join(', ');
+  webgl1Parameters['uniform' + count + 'f'] = 'location, ' + components;
+  webgl1Parameters['uniform' + count + 'i'] = 'location, ' + components;
+  webgl1Parameters['uniform' + count + 'fv'] = 'location, data';
+  webgl1Parameters['uniform' + count + 'iv'] = 'location, data';
+  webgl1Parameters['vertexAttrib' + count + 'f'] = 'index, ' + components;
+  webgl1Parameters['vertexAttrib' + count + 'fv'] = 'index, values';
+});
+[2, 3, 4].forEach(size => {
+  webgl1Parameters['uniformMatrix' + size + 'fv'] = 'location, transpose, data';
+});
+
+/**
+ * Parameters with these names must be WebGL objects of the matching class. They may be null,
+ * unless the name is listed in `requiredObjects` and the function does not delete, test or unbind
+ * the object.
+ */
+const objectTypes = {
+  buffer: WebGLBuffer,
+  framebuffer: WebGLFramebuffer,
+  renderbuffer: WebGLRenderbuffer,
+  texture: WebGLTexture,
+  program: WebGLProgram,
+  shader: WebGLShader,
+  location: WebGLUniformLocation,
+  query: WebGLQuery,
+  sampler: WebGLSampler,
+  sync: WebGLSync,
+  tf: WebGLTransformFeedback,
+  vertexArray: WebGLVertexArrayObject,
+};
+const requiredObjects = ['program', 'shader', 'query', 'sampler', 'sync'];
+const nullableFunctions = /^(delete|is|useProgram$|bind)/;
+
+/**
+ * The `texture` parameter of `activeTexture` and the `buffer` parameter of the `clearBuffer*`
+ * functions are enums, not objects.
+ */
+const enumFunctions = /^(activeTexture|clearBuffer)/;
+
+const defaultAttributes = {
+  alpha: true,
+  antialias: true,
+  depth: true,
+  desynchronized: false,
+  failIfMajorPerformanceCaveat: false,
+  powerPreference: 'default',
+  premultipliedAlpha: true,
+  preserveDrawingBuffer: false,
+  stencil: false,
+  xrCompatible: false,
+};
+
+const blendFactors = [
+  GL.ZERO, GL.ONE, GL.SRC_COLOR, GL.ONE_MINUS_SRC_COLOR, GL.DST_COLOR, GL.ONE_MINUS_DST_COLOR,
+  GL.SRC_ALPHA, GL.ONE_MINUS_SRC_ALPHA, GL.DST_ALPHA, GL.ONE_MINUS_DST_ALPHA, GL.CONSTANT_COLOR,
+  GL.ONE_MINUS_CONSTANT_COLOR, GL.CONSTANT_ALPHA, GL.ONE_MINUS_CONSTANT_ALPHA, GL.SRC_ALPHA_SATURATE,
+];
+const compareFunctions = [GL.NEVER, GL.LESS, GL.EQUAL, GL.LEQUAL, GL.GREATER, GL.NOTEQUAL, GL.GEQUAL, GL.ALWAYS];
+const stencilOperations = [GL.KEEP, GL.ZERO, GL.REPLACE, GL.INCR, GL.INCR_WRAP, GL.DECR, GL.DECR_WRAP, GL.INVERT];
+const drawModes = [GL.POINTS, GL.LINES, GL.LINE_LOOP, GL.LINE_STRIP, GL.TRIANGLES, GL.TRIANGLE_STRIP, GL.TRIANGLE_FAN];
+const cubeMapFaces = [
+  GL.TEXTURE_CUBE_MAP_POSITIVE_X, GL.TEXTURE_CUBE_MAP_NEGATIVE_X, GL.TEXTURE_CUBE_MAP_POSITIVE_Y,
+  GL.TEXTURE_CUBE_MAP_NEGATIVE_Y, GL.TEXTURE_CUBE_MAP_POSITIVE_Z, GL.TEXTURE_CUBE_MAP_NEGATIVE_Z,
+];
+
+function parseParameterNames(names) {
+  return names === '' ? [] : names.split(', ');
+}
+
+function isRequired(name) {
+  return name[name.length - 1] !== '?';
+}
+
+function toFloat32Array(values) {
+  return new Float32Array(values);
+}
+
+/**
+ * Returns the values passed to a vector uniform setter, or null if they are not a whole number of
+ * vectors. `srcOffset` and `srcLength` are the WebGL 2 arguments selecting a part of the data.
+ */
+export function getUniformData(data, srcOffset = 0, srcLength = 0, components) {
+  if (!data || data.length === void 0) return null;
+  const values = Array.from(data).slice(srcOffset, srcLength ? srcOffset + srcLength : void 0);
+  if (values.length === 0 || values.length % components !== 0) return null;
+  return values;
+}
+
+/**
+ * Returns the value `getUniform` reports for a uniform that was never set.
+ */
+function getDefaultUniformValue(type) {
+  switch (type) {
+    case GL.FLOAT_VEC2: return new Float32Array(2);
+    case GL.FLOAT_VEC3: return new Float32Array(3);
+    case GL.FLOAT_VEC4:
+    case GL.FLOAT_MAT2: return new Float32Array(4);
+    case GL.FLOAT_MAT3: return new Float32Array(9);
+    case GL.FLOAT_MAT4: return new Float32Array(16);
+    case GL.INT_VEC2: return new Int32Array(2);
+    case GL.INT_VEC3: return new Int32Array(3);
+    case GL.INT_VEC4: return new Int32Array(4);
+    case GL.BOOL: return false;
+    case GL.BOOL_VEC2: return [false, false];
+    case GL.BOOL_VEC3: return [false, false, false];
+    case GL.BOOL_VEC4: return [false, false, false, false];
+    default: return 0;
+  }
+}
+
+/**
+ * This is the shared implementation of `WebGLRenderingContext` and `WebGL2RenderingContext`, like
+ * the `WebGLRenderingContextBase` mixin of the specification. Every function call is validated,
+ * recorded as an event, and updates enough state for `getParameter`, the object queries and
+ * `getError` to return what a browser would. Nothing is rendered.
+ */
+export default class WebGLRenderingContextBase {
+  /**
+   * Every function call is added to this array as an event, with the arguments named like the
+   * parameters of the function.
+   */
+  _events = createEventLog();
+  __getEvents() {
+    return this._events.slice();
+  }
+
+  /**
+   * Every successful draw call and clear is added to this array.
+   */
+  _drawCalls = createEventLog();
+  __getDrawCalls() {
+    return this._drawCalls.slice();
+  }
+
+  /**
+   * The event of the last call, which becomes a draw call when the call succeeds. It is kept apart
+   * from `_events`, because `maxEvents` or `resetAll()` can drop it from the log.
+   */
+  _lastEvent = null;
+
+  _parameterNames = webgl1Parameters;
+  _supportedExtensions = webgl1Extensions;
+  _bufferTargets = {
+    [GL.ARRAY_BUFFER]: GL.ARRAY_BUFFER_BINDING,
+    [GL.ELEMENT_ARRAY_BUFFER]: GL.ELEMENT_ARRAY_BUFFER_BINDING,
+  };
+  _framebufferTargets = {
+    [GL.FRAMEBUFFER]: [GL.FRAMEBUFFER_BINDING],
+  };
+  _textureTargets = {
+    [GL.TEXTURE_2D]: GL.TEXTURE_BINDING_2D,
+    [GL.TEXTURE_CUBE_MAP]: GL.TEXTURE_BINDING_CUBE_MAP,
+  };
+  _textureUnitParameters = [GL.TEXTURE_BINDING_2D, GL.TEXTURE_BINDING_CUBE_MAP];
+  _capabilities = [
+    GL.BLEND, GL.CULL_FACE, GL.DEPTH_TEST, GL.DITHER, GL.POLYGON_OFFSET_FILL,
+    GL.SAMPLE_ALPHA_TO_COVERAGE, GL.SAMPLE_COVERAGE, GL.SCISSOR_TEST, GL.STENCIL_TEST,
+  ];
+  _blendEquations = [GL.FUNC_ADD, GL.FUNC_SUBTRACT, GL.FUNC_REVERSE_SUBTRACT];
+  _indexTypes = [GL.UNSIGNED_BYTE, GL.UNSIGNED_SHORT];
+  _usages = [GL.STREAM_DRAW, GL.STATIC_DRAW, GL.DYNAMIC_DRAW];
+  _textureParameters = {
+    [GL.TEXTURE_MAG_FILTER]: GL.LINEAR,
+    [GL.TEXTURE_MIN_FILTER]: GL.NEAREST_MIPMAP_LINEAR,
+    [GL.TEXTURE_WRAP_S]: GL.REPEAT,
+    [GL.TEXTURE_WRAP_T]: GL.REPEAT,
+  };
+  _pixelStoreParameters = [
+    GL.PACK_ALIGNMENT, GL.UNPACK_ALIGNMENT, GL.UNPACK_FLIP_Y_WEBGL,
+    GL.UNPACK_PREMULTIPLY_ALPHA_WEBGL, GL.UNPACK_COLORSPACE_CONVERSION_WEBGL,
+  ];
+  _hintTargets = [GL.GENERATE_MIPMAP_HINT];
+  _attachmentPoints = [GL.COLOR_ATTACHMENT0, GL.DEPTH_ATTACHMENT, GL.STENCIL_ATTACHMENT, GL.DEPTH_STENCIL_ATTACHMENT];
+
+  _error = GL.NO_ERROR;
+  _contextLost = false;
+  _extensions = {};
+
+  constructor(canvas, attributes) {
+    this._canvas = canvas;
+    this._attributes = Object.assign({}, defaultAttributes);
+    if (attributes !== null && typeof attributes === 'object') {
+      Object.keys(defaultAttributes).forEach(key => {
+        if (attributes[key] === void 0) return;
+        this._attributes[key] = key === 'powerPreference' ? String(attributes[key]) : Boolean(attributes[key]);
+      });
+    }
+  }
+
+  /**
+   * Sets up the state and wraps every function with a mock function. Subclasses call this at the
+   * end of their constructor, after their own class fields are initialized.
+   */
+  _initialize() {
+    this._parameters = this._getDefaultParameters();
+    this._textureUnits = [];
+    for (let i = 0; i < this._parameters[GL.MAX_COMBINED_TEXTURE_IMAGE_UNITS]; i++) this._textureUnits.push({});
+    this._vertexAttribs = [];
+    for (let i = 0; i < this._parameters[GL.MAX_VERTEX_ATTRIBS]; i++) {
+      this._vertexAttribs.push({
+        enabled: false,
+        size: 4,
+        type: GL.FLOAT,
+        normalized: false,
+        integer: false,
+        stride: 0,
+        offset: 0,
+        divisor: 0,
+        buffer: null,
+        current: new Float32Array([0, 0, 0, 1]),
+      });
+    }
+    Object.keys(this._parameterNames).forEach(key => {
+      this[key] = createMockFunction(this[key].bind(this));
+    });
+  }
+
+  _getDefaultParameters() {
+    const width = this.drawingBufferWidth;
+    const height = this.drawingBufferHeight;
+    return {
+      [GL.ACTIVE_TEXTURE]: GL.TEXTURE0,
+      [GL.ALIASED_LINE_WIDTH_RANGE]: new Float32Array([1, 1]),
+      [GL.ALIASED_POINT_SIZE_RANGE]: new Float32Array([1, 1024]),
+      [GL.ALPHA_BITS]: this._attributes.alpha ? 8 : 0,
+      [GL.ARRAY_BUFFER_BINDING]: null,
+      [GL.BLEND]: false,
+      [GL.BLEND_COLOR]: new Float32Array([0, 0, 0, 0]),
+      [GL.BLEND_DST_ALPHA]: GL.ZERO,
+      [GL.BLEND_DST_RGB]: GL.ZERO,
+      [GL.BLEND_EQUATION_ALPHA]: GL.FUNC_ADD,
+      [GL.BLEND_EQUATION_RGB]: GL.FUNC_ADD,
+      [GL.BLEND_SRC_ALPHA]: GL.ONE,
+      [GL.BLEND_SRC_RGB]: GL.ONE,
+      [GL.BLUE_BITS]: 8,
+      [GL.COLOR_CLEAR_VALUE]: new Float32Array([0, 0, 0, 0]),
+      [GL.COLOR_WRITEMASK]: [true, true, true, true],
+      [GL.COMPRESSED_TEXTURE_FORMATS]: new Uint32Array(0),
+      [GL.CULL_FACE]: false,
+      [GL.CULL_FACE_MODE]: GL.BACK,
+      [GL.CURRENT_PROGRAM]: null,
+      [GL.DEPTH_BITS]: this._attributes.depth ? 24 : 0,
+      [GL.DEPTH_CLEAR_VALUE]: 1,
+      [GL.DEPTH_FUNC]: GL.LESS,
+      [GL.DEPTH_RANGE]: new Float32Array([0, 1]),
+      [GL.DEPTH_TEST]: false,
+      [GL.DEPTH_WRITEMASK]: true,
+      [GL.DITHER]: true,
+      [GL.ELEMENT_ARRAY_BUFFER_BINDING]: null,
+      [GL.FRAMEBUFFER_BINDING]: null,
+      [GL.FRONT_FACE]: GL.CCW,
+      [GL.GENERATE_MIPMAP_HINT]: GL.DONT_CARE,
+      [GL.GREEN_BITS]: 8,
+      [GL.IMPLEMENTATION_COLOR_READ_FORMAT]: GL.RGBA,
+      [GL.IMPLEMENTATION_COLOR_READ_TYPE]: GL.UNSIGNED_BYTE,
+      [GL.LINE_WIDTH]: 1,
+      [GL.MAX_COMBINED_TEXTURE_IMAGE_UNITS]: 32,
+      [GL.MAX_CUBE_MAP_TEXTURE_SIZE]: 16384,
+      [GL.MAX_FRAGMENT_UNIFORM_VECTORS]: 1024,
+      [GL.MAX_RENDERBUFFER_SIZE]: 16384,
+      [GL.MAX_TEXTURE_IMAGE_UNITS]: 16,
+      [GL.MAX_TEXTURE_SIZE]: 16384,
+      [GL.MAX_VARYING_VECTORS]: 30,
+      [GL.MAX_VERTEX_ATTRIBS]: 16,
+      [GL.MAX_VERTEX_TEXTURE_IMAGE_UNITS]: 16,
+      [GL.MAX_VERTEX_UNIFORM_VECTORS]: 4096,
+      [GL.MAX_VIEWPORT_DIMS]: new Int32Array([32767, 32767]),
+      [GL.PACK_ALIGNMENT]: 4,
+      [GL.POLYGON_OFFSET_FACTOR]: 0,
+      [GL.POLYGON_OFFSET_FILL]: false,
+      [GL.POLYGON_OFFSET_UNITS]: 0,
+      [GL.RED_BITS]: 8,
+      [GL.RENDERBUFFER_BINDING]: null,
+      [GL.RENDERER]: 'WebKit WebGL',
+      [GL.SAMPLE_ALPHA_TO_COVERAGE]: false,
+      [GL.SAMPLE_BUFFERS]: this._attributes.antialias ? 1 : 0,
+      [GL.SAMPLE_COVERAGE]: false,
+      [GL.SAMPLE_COVERAGE_INVERT]: false,
+      [GL.SAMPLE_COVERAGE_VALUE]: 1,
+      [GL.SAMPLES]: this._attributes.antialias ? 4 : 0,
+      [GL.SCISSOR_BOX]: new Int32Array([0, 0, width, height]),
+      [GL.SCISSOR_TEST]: false,
+      [GL.SHADING_LANGUAGE_VERSION]: 'WebGL GLSL ES 1.0 (OpenGL ES GLSL ES 1.0 Chromium)',
+      [GL.STENCIL_BACK_FAIL]: GL.KEEP,
+      [GL.STENCIL_BACK_FUNC]: GL.ALWAYS,
+      [GL.STENCIL_BACK_PASS_DEPTH_FAIL]: GL.KEEP,
+      [GL.STENCIL_BACK_PASS_DEPTH_PASS]: GL.KEEP,
+      [GL.STENCIL_BACK_REF]: 0,
+      [GL.STENCIL_BACK_VALUE_MASK]: 0x7FFFFFFF,
+      [GL.STENCIL_BACK_WRITEMASK]: 0x7FFFFFFF,
+      [GL.STENCIL_BITS]: this._attributes.stencil ? 8 : 0,
+      [GL.STENCIL_CLEAR_VALUE]: 0,
+      [GL.STENCIL_FAIL]: GL.KEEP,
+      [GL.STENCIL_FUNC]: GL.ALWAYS,
+      [GL.STENCIL_PASS_DEPTH_FAIL]: GL.KEEP,
+      [GL.STENCIL_PASS_DEPTH_PASS]: GL.KEEP,
+      [GL.STENCIL_REF]: 0,
+      [GL.STENCIL_TEST]: false,
+      [GL.STENCIL_VALUE_MASK]: 0x7FFFFFFF,
+      [GL.STENCIL_WRITEMASK]: 0x7FFFFFFF,
+      [GL.SUBPIXEL_BITS]: 4,
+      [GL.UNPACK_ALIGNMENT]: 4,
+      [GL.UNPACK_COLORSPACE_CONVERSION_WEBGL]: GL.BROWSER_DEFAULT_WEBGL,
+      [GL.UNPACK_FLIP_Y_WEBGL]: false,
+      [GL.UNPACK_PREMULTIPLY_ALPHA_WEBGL]: false,
+      [GL.VENDOR]: 'WebKit',
+      [GL.VERSION]: 'WebGL 1.0 (OpenGL ES 2.0 Chromium)',
+      [GL.VIEWPORT]: new Int32Array([0, 0, width, height]),
+    };
+  }
+
+  get canvas() {
+    return this._canvas;
+  }
+
+  get drawingBufferWidth() {
+    return this._canvas.width;
+  }
+
+  get drawingBufferHeight() {
+    return this._canvas.height;
+  }
+
+  /**
+   * Validates the argument count and the types of the object parameters, then records the call.
+   * Returns false if the call must not have any effect, because the context is lost or because
+   * a WebGL error was generated.
+   */
+  _call(name, args) {
+    const overloads = [].concat(this._parameterNames[name]).map(parseParameterNames);
+    const required = Math.min.apply(Math, overloads.map(names => names.filter(isRequired).length));
+    if (args.length < required) {
+      throw new TypeError('Failed to execute \'' + name + '\' on \'' + this.constructor.name + '\': ' + required + ' argument' + (required === 1 ? '' : 's') + ' required, but only ' + args.length + ' present.');
+    }
+    const names = overloads.find(candidate => candidate.length >= args.length) || overloads[overloads.length - 1];
+
+    const props = {};
+    let valid = true;
+    names.forEach((parameter, index) => {
+      const key = isRequired(parameter) ? parameter : parameter.slice(0, -1);
+      const value = args[index];
+      if (index < args.length) props[key] = value;
+      const type = objectTypes[key];
+      if (!type || index >= args.length || enumFunctions.test(name)) return;
+      if (value === null || value === void 0) {
+        if (requiredObjects.indexOf(key) !== -1 && !nullableFunctions.test(name)) {
+          throw new TypeError('Failed to execute \'' + name + '\' on \'' + this.constructor.name + '\': parameter ' + (index + 1) + ' is not of type \'' + type.name + '\'.');
+        }
+        return;
+      }
+      if (!(value instanceof type)) {
+        throw new TypeError('Failed to execute \'' + name + '\' on \'' + this.constructor.name + '\': parameter ' + (index + 1) + ' is not of type \'' + type.name + '\'.');
+      }
+      const owner = value instanceof WebGLUniformLocation ? value._program._context : value._context;
+      if (owner !== this) valid = false;
+    });
+
+    this._lastEvent = { type: name, props };
+    this._events.push(this._lastEvent);
+    if (this._contextLost) return false;
+    if (!valid) return this._setError(GL.INVALID_OPERATION);
+    return true;
+  }
+
+  /**
+   * Records a WebGL error. Like in the browser, only the first error is kept until `getError` is
+   * called. Always returns false, so validation code can `return this._setError(...)`.
+   */
+  _setError(error) {
+    if (this._error === GL.NO_ERROR) this._error = error;
+    return false;
+  }
+
+  _addDrawCall() {
+    this._drawCalls.push(this._lastEvent);
+  }
+
+  _createExtensionFunction(name, parameters, isDrawCall, implementation) {
+    return createMockFunction((...args) => {
+      if (args.length < parameters.length) {
+        throw new TypeError('Failed to execute \'' + name + '\': ' + parameters.length + ' argument' + (parameters.length === 1 ? '' : 's') + ' required, but only ' + args.length + ' present.');
+      }
+      const props = {};
+      parameters.forEach((parameter, index) => {
+        props[parameter] = args[index];
+      });
+      this._lastEvent = { type: name, props };
+      this._events.push(this._lastEvent);
+      if (this._contextLost && name !== 'restoreContext') return implementation ? null : void 0;
+      if (isDrawCall) this._addDrawCall();
+      return implementation ? implementation.apply(null, args) : void 0;
+    });
+  }
+
+  _loseContext() {
+    if (this._contextLost) return this._setError(GL.INVALID_OPERATION);
+    this._contextLost = true;
+    this._error = GL.CONTEXT_LOST_WEBGL;
+    if (typeof this._canvas.dispatchEvent === 'function') this._canvas.dispatchEvent(new window.Event('webglcontextlost'));
+  }
+
+  _restoreContext() {
+    if (!this._contextLost) return this._setError(GL.INVALID_OPERATION);
+    this._contextLost = false;
+    this._error = GL.NO_ERROR;
+    if (typeof this._canvas.dispatchEvent === 'function') this._canvas.dispatchEvent(new window.Event('webglcontextrestored'));
+  }
+
+  _isLive(object) {
+    return Boolean(object) && object._context === this && !object._deleted;
+  }
+
+  _getBoundBuffer(target) {
+    const binding = this._bufferTargets[target];
+    if (binding === void 0) return this._setError(GL.INVALID_ENUM);
+    const buffer = this._parameters[binding];
+    if (!buffer) return this._setError(GL.INVALID_OPERATION);
+    return buffer;
+  }
+
+  _getBoundFramebuffer(target) {
+    const bindings = this._framebufferTargets[target];
+    if (bindings === void 0) return this._setError(GL.INVALID_ENUM);
+    const framebuffer = this._parameters[target === 0x8CA8 ? bindings[bindings.length - 1] : bindings[0]];
+    if (!framebuffer) return this._setError(GL.INVALID_OPERATION);
+    return framebuffer;
+  }
+
+  _getBoundTexture(target) {
+    if (cubeMapFaces.indexOf(target) !== -1) target = GL.TEXTURE_CUBE_MAP;
+    const binding = this._textureTargets[target];
+    if (binding === void 0) return this._setError(GL.INVALID_ENUM);
+    const texture = this._textureUnits[this._parameters[GL.ACTIVE_TEXTURE] - GL.TEXTURE0][binding];
+    if (!texture) return this._setError(GL.INVALID_OPERATION);
+    return texture;
+  }
+
+  _checkAttribIndex(index) {
+    if (index < 0 || index >= this._vertexAttribs.length) return this._setError(GL.INVALID_VALUE);
+    return true;
+  }
+
+  _checkDraw(mode, count) {
+    if (drawModes.indexOf(mode) === -1) return this._setError(GL.INVALID_ENUM);
+    if (count < 0) return this._setError(GL.INVALID_VALUE);
+    if (!this._parameters[GL.CURRENT_PROGRAM]) return this._setError(GL.INVALID_OPERATION);
+    return true;
+  }
+
+  _setUniform(location, value) {
+    if (location === null || location === void 0) return;
+    if (location._program !== this._parameters[GL.CURRENT_PROGRAM]) return this._setError(GL.INVALID_OPERATION);
+    location._program._uniformValues[location._name] = value;
+  }
+
+  _deleteObject(object, bindings) {
+    if (!object || object._deleted) return false;
+    object._deleted = true;
+    bindings.forEach(binding => {
+      if (this._parameters[binding] === object) this._parameters[binding] = null;
+    });
+    return true;
+  }
+
+  _deleteVertexArray(array) {
+    this._deleteObject(array, [0x85B5]);
+  }
+
+  _isVertexArray(array) {
+    return this._isLive(array) && array._bound;
+  }
+
+  _bindVertexArray(array) {
+    if (array && array._deleted) return this._setError(GL.INVALID_OPERATION);
+    if (array) array._bound = true;
+    this._parameters[0x85B5] = array || null;
+  }
+
+  _setVertexAttribDivisor(index, divisor) {
+    if (!this._checkAttribIndex(index)) return;
+    this._vertexAttribs[index].divisor = divisor;
+  }
+
+  activeTexture(texture) {
+    if (!this._call('activeTexture', arguments)) return;
+    const index = texture - GL.TEXTURE0;
+    if (index < 0 || index >= this._textureUnits.length) return this._setError(GL.INVALID_ENUM);
+    this._parameters[GL.ACTIVE_TEXTURE] = texture;
+  }
+
+  attachShader(program, shader) {
+    if (!this._call('attachShader', arguments)) return;
+    if (program._shaders.some(attached => attached === shader || attached._type === shader._type)) return this._setError(GL.INVALID_OPERATION);
+    program._shaders.push(shader);
+  }
+
+  bindAttribLocation(program, index, name) {
+    if (!this._call('bindAttribLocation', arguments)) return;
+    if (!this._checkAttribIndex(index)) return;
+    if (String(name).indexOf('gl_') === 0) return this._setError(GL.INVALID_OPERATION);
+    program._attribBindings[name] = index;
+  }
+
+  bindBuffer(target, buffer) {
+    if (!this._call('bindBuffer', arguments)) return;
+    const binding = this._bufferTargets[target];
+    if (binding === void 0) return this._setError(GL.INVALID_ENUM);
+    if (buffer) {
+      if (buffer._deleted) return this._setError(GL.INVALID_OPERATION);
+      if (buffer._target !== null && (buffer._target === GL.ELEMENT_ARRAY_BUFFER) !== (target === GL.ELEMENT_ARRAY_BUFFER)) return this._setError(GL.INVALID_OPERATION);
+      if (buffer._target === null) buffer._target = target;
+    }
+    this._parameters[binding] = buffer || null;
+  }
+
+  bindFramebuffer(target, framebuffer) {
+    if (!this._call('bindFramebuffer', arguments)) return;
+    const bindings = this._framebufferTargets[target];
+    if (bindings === void 0) return this._setError(GL.INVALID_ENUM);
+    if (framebuffer) {
+      if (framebuffer._deleted) return this._setError(GL.INVALID_OPERATION);
+      framebuffer._target = target;
+    }
+    bindings.forEach(binding => {
+      this._parameters[binding] = framebuffer || null;
+    });
+  }
+
+  bindRenderbuffer(target, renderbuffer) {
+    if (!this._call('bindRenderbuffer', arguments)) return;
+    if (target !== GL.RENDERBUFFER) return this._setError(GL.INVALID_ENUM);
+    if (renderbuffer) {
+      if (renderbuffer._deleted) return this._setError(GL.INVALID_OPERATION);
+      renderbuffer._target = target;
+    }
+    this._parameters[GL.RENDERBUFFER_BINDING] = renderbuffer || null;
+  }
+
+  bindTexture(target, texture) {
+    if (!this._call('bindTexture', arguments)) return;
+    const binding = this._textureTargets[target];
+    if (binding === void 0) return this._setError(GL.INVALID_ENUM);
+    if (texture) {
+      if (texture._deleted) return this._setError(GL.INVALID_OPERATION);
+      if (texture._target !== null && texture._target !== target) return this._setError(GL.INVALID_OPERATION);
+      texture._target = target;
+    }
+    this._textureUnits[this._parameters[GL.ACTIVE_TEXTURE] - GL.TEXTURE0][binding] = texture || null;
+  }
+
+  blendColor(red, green, blue, alpha) {
+    if (!this._call('blendColor', arguments)) return;
+    this._parameters[GL.BLEND_COLOR] = toFloat32Array([red, green, blue, alpha]);
+  }
+
+  blendEquation(mode) {
+    if (!this._call('blendEquation', arguments)) return;
+    if (this._blendEquations.indexOf(mode) === -1) return this._setError(GL.INVALID_ENUM);
+    this._parameters[GL.BLEND_EQUATION_RGB] = mode;
+    this._parameters[GL.BLEND_EQUATION_ALPHA] = mode;
+  }
+
+  blendEquationSeparate(modeRGB, modeAlpha) {
+    if (!this._call('blendEquationSeparate', arguments)) return;
+    if (this._blendEquations.indexOf(modeRGB) === -1 || this._blendEquations.indexOf(modeAlpha) === -1) return this._setError(GL.INVALID_ENUM);
+    this._parameters[GL.BLEND_EQUATION_RGB] = modeRGB;
+    this._parameters[GL.BLEND_EQUATION_ALPHA] = modeAlpha;
+  }
+
+  blendFunc(sfactor, dfactor) {
+    if (!this._call('blendFunc', arguments)) return;
+    if (blendFactors.indexOf(sfactor) === -1 || blendFactors.indexOf(dfactor) === -1) return this._setError(GL.INVALID_ENUM);
+    this._parameters[GL.BLEND_SRC_RGB] = sfactor;
+    this._parameters[GL.BLEND_SRC_ALPHA] = sfactor;
+    this._parameters[GL.BLEND_DST_RGB] = dfactor;
+    this._parameters[GL.BLEND_DST_ALPHA] = dfactor;
+  }
+
+  blendFuncSeparate(srcRGB, dstRGB, srcAlpha, dstAlpha) {
+    if (!this._call('blendFuncSeparate', arguments)) return;
+    if ([srcRGB, dstRGB, srcAlpha, dstAlpha].some(factor => blendFactors.indexOf(factor) === -1)) return this._setError(GL.INVALID_ENUM);
+    this._parameters[GL.BLEND_SRC_RGB] = srcRGB;
+    this._parameters[GL.BLEND_DST_RGB] = dstRGB;
+    this._parameters[GL.BLEND_SRC_ALPHA] = srcAlpha;
+    this._parameters[GL.BLEND_DST_ALPHA] = dstAlpha;
+  }
+
+  bufferData(target, data, usage) {
+    if (!this._call('bufferData', arguments)) return;
+    const buffer = this._getBoundBuffer(target);
+    if (!buffer) return;
+    if (this._usages.indexOf(usage) === -1) return this._setError(GL.INVALID_ENUM);
+    let size;
+    if (typeof data === 'number') size = data;
+    else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) size = data.byteLength;
+    else return this._setError(GL.INVALID_VALUE);
+    if (size < 0) return this._setError(GL.INVALID_VALUE);
+    buffer._size = size;
+    buffer._usage = usage;
+  }
+
+  bufferSubData(target, offset, data) {
+    if (!this._call('bufferSubData', arguments)) return;
+    const buffer = this._getBoundBuffer(target);
+    if (!buffer) return;
+    if (!(data instanceof ArrayBuffer || ArrayBuffer.isView(data))) return this._setError(GL.INVALID_VALUE);
+    if (offset < 0 || offset + data.byteLength > buffer._size) return this._setError(GL.INVALID_VALUE);
+  }
+
+  checkFramebufferStatus(target) {
+    if (!this._call('checkFramebufferStatus', arguments)) return 0;
+    const bindings = this._framebufferTargets[target];
+    if (bindings === void 0) {
+      this._setError(GL.INVALID_ENUM);
+      return 0;
+    }
+    const framebuffer = this._parameters[target === 0x8CA8 ? bindings[bindings.length - 1] : bindings[0]];
+    if (!framebuffer) return GL.FRAMEBUFFER_COMPLETE;
+    if (Object.keys(framebuffer._attachments).length === 0) return GL.FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT;
+    return GL.FRAMEBUFFER_COMPLETE;
+  }
+
+  clear(mask) {
+    if (!this._call('clear', arguments)) return;
+    if (mask & ~(GL.COLOR_BUFFER_BIT | GL.DEPTH_BUFFER_BIT | GL.STENCIL_BUFFER_BIT)) return this._setError(GL.INVALID_VALUE);
+    this._addDrawCall();
+  }
+
+  clearColor(red, green, blue, alpha) {
+    if (!this._call('clearColor', arguments)) return;
+    this._parameters[GL.COLOR_CLEAR_VALUE] = toFloat32Array([red, green, blue, alpha]);
+  }
+
+  clearDepth(depth) {
+    if (!this._call('clearDepth', arguments)) return;
+    this._parameters[GL.DEPTH_CLEAR_VALUE] = Math.min(1, Math.max(0, Number(depth)));
+  }
+
+  clearStencil(s) {
+    if (!this._call('clearStencil', arguments)) return;
+    this._parameters[GL.STENCIL_CLEAR_VALUE] = Number(s) | 0;
+  }
+
+  colorMask(red, green, blue, alpha) {
+    if (!this._call('colorMask', arguments)) return;
+    this._parameters[GL.COLOR_WRITEMASK] = [red, green, blue, alpha].map(Boolean);
+  }
+
+  compileShader(shader) {
+    if (!this._call('compileShader', arguments)) return;
+    shader._compiled = true;
+  }
+
+  compressedTexImage2D(target) {
+    if (!this._call('compressedTexImage2D', arguments)) return;
+    this._getBoundTexture(target);
+  }
+
+  compressedTexSubImage2D(target) {
+    if (!this._call('compressedTexSubImage2D', arguments)) return;
+    this._getBoundTexture(target);
+  }
+
+  copyTexImage2D(target) {
+    if (!this._call('copyTexImage2D', arguments)) return;
+    this._getBoundTexture(target);
+  }
+
+  copyTexSubImage2D(target) {
+    if (!this._call('copyTexSubImage2D', arguments)) return;
+    this._getBoundTexture(target);
+  }
+
+  createBuffer() {
+    if (!this._call('createBuffer', arguments)) return null;
+    return new WebGLBuffer(this);
+  }
+
+  createFramebuffer() {
+    if (!this._call('createFramebuffer', arguments)) return null;
+    return new WebGLFramebuffer(this);
+  }
+
+  createProgram() {
+    if (!this._call('createProgram', arguments)) return null;
+    return new WebGLProgram(this);
+  }
+
+  createRenderbuffer() {
+    if (!this._call('createRenderbuffer', arguments)) return null;
+    return new WebGLRenderbuffer(this);
+  }
+
+  createShader(type) {
+    if (!this._call('createShader', arguments)) return null;
+    if (type !== GL.VERTEX_SHADER && type !== GL.FRAGMENT_SHADER) {
+      this._setError(GL.INVALID_ENUM);
+      return null;
+    }
+    return new WebGLShader(this, type);
+  }
+
+  createTexture() {
+    if (!this._call('createTexture', arguments)) return null;
+    return new WebGLTexture(this);
+  }
+
+  cullFace(mode) {
+    if (!this._call('cullFace', arguments)) return;
+    if (mode !== GL.FRONT && mode !== GL.BACK && mode !== GL.FRONT_AND_BACK) return this._setError(GL.INVALID_ENUM);
+    this._parameters[GL.CULL_FACE_MODE] = mode;
+  }
+
+  deleteBuffer(buffer) {
+    if (!this._call('deleteBuffer', arguments)) return;
+    this._deleteObject(buffer, Object.keys(this._bufferTargets).map(target => this._bufferTargets[target]));
+  }
+
+  deleteFramebuffer(framebuffer) {
+    if (!this._call('deleteFramebuffer', arguments)) return;
+    const bindings = [];
+    Object.keys(this._framebufferTargets).forEach(target => bindings.push.apply(bindings, this._framebufferTargets[target]));
+    this._deleteObject(framebuffer, bindings);
+  }
+
+  deleteProgram(program) {
+    if (!this._call('deleteProgram', arguments)) return;
+    if (program) program._deleted = true;
+  }
+
+  deleteRenderbuffer(renderbuffer) {
+    if (!this._call('deleteRenderbuffer', arguments)) return;
+    this._deleteObject(renderbuffer, [GL.RENDERBUFFER_BINDING]);
+  }
+
+  deleteShader(shader) {
+    if (!this._call('deleteShader', arguments)) return;
+    if (shader) shader._deleted = true;
+  }
+
+  deleteTexture(texture) {
+    if (!this._call('deleteTexture', arguments)) return;
+    if (!this._deleteObject(texture, [])) return;
+    this._textureUnits.forEach(unit => {
+      Object.keys(unit).forEach(binding => {
+        if (unit[binding] === texture) unit[binding] = null;
+      });
+    });
+  }
+
+  depthFunc(func) {
+    if (!this._call('depthFunc', arguments)) return;
+    if (compareFunctions.indexOf(func) === -1) return this._setError(GL.INVALID_ENUM);
+    this._parameters[GL.DEPTH_FUNC] = func;
+  }
+
+  depthMask(flag) {
+    if (!this._call('depthMask', arguments)) return;
+    this._parameters[GL.DEPTH_WRITEMASK] = Boolean(flag);
+  }
+
+  depthRange(zNear, zFar) {
+    if (!this._call('depthRange', arguments)) return;
+    if (zNear > zFar) return this._setError(GL.INVALID_OPERATION);
+    this._parameters[GL.DEPTH_RANGE] = toFloat32Array([zNear, zFar].map(value => Math.min(1, Math.max(0, value))));
+  }
+
+  detachShader(program, shader) {
+    if (!this._call('detachShader', arguments)) return;
+    const index = program._shaders.indexOf(shader);
+    if (index === -1) return this._setError(GL.INVALID_OPERATION);
+    program._shaders.splice(index, 1);
+  }
+
+  disable(cap) {
+    if (!this._call('disable', arguments)) return;
+    if (this._capabilities.indexOf(cap) === -1) return this._setError(GL.INVALID_ENUM);
+    this._parameters[cap] = false;
+  }
+
+  disableVertexAttribArray(index) {
+    if (!this._call('disableVertexAttribArray', arguments)) return;
+    if (!this._checkAttribIndex(index)) return;
+    this._vertexAttribs[index].enabled = false;
+  }
+
+  drawArrays(mode, first, count) {
+    if (!this._call('drawArrays', arguments)) return;
+    if (first < 0) return this._setError(GL.INVALID_VALUE);
+    if (!this._checkDraw(mode, count)) return;
+    this._addDrawCall();
+  }
+
+  drawElements(mode, count, type, offset) {
+    if (!this._call('drawElements', arguments)) return;
+    if (this._indexTypes.indexOf(type) === -1) return this._setError(GL.INVALID_ENUM);
+    if (offset < 0) return this._setError(GL.INVALID_VALUE);
+    if (!this._checkDraw(mode, count)) return;
+    if (!this._parameters[GL.ELEMENT_ARRAY_BUFFER_BINDING]) return this._setError(GL.INVALID_OPERATION);
+    this._addDrawCall();
+  }
+
+  enable(cap) {
+    if (!this._call('enable', arguments)) return;
+    if (this._capabilities.indexOf(cap) === -1) return this._setError(GL.INVALID_ENUM);
+    this._parameters[cap] = true;
+  }
+
+  enableVertexAttribArray(index) {
+    if (!this._call('enableVertexAttribArray', arguments)) return;
+    if (!this._checkAttribIndex(index)) return;
+    this._vertexAttribs[index].enabled = true;
+  }
+
+  finish() {
+    this._call('finish', arguments);
+  }
+
+  flush() {
+    this._call('flush', arguments);
+  }
+
+  framebufferRenderbuffer(target, attachment, renderbuffertarget, renderbuffer) {
+    if (!this._call('framebufferRenderbuffer', arguments)) return;
+    const framebuffer = this._getBoundFramebuffer(target);
+    if (!framebuffer) return;
+    if (this._attachmentPoints.indexOf(attachment) === -1 || renderbuffertarget !== GL.RENDERBUFFER) return this._setError(GL.INVALID_ENUM);
+    if (renderbuffer) framebuffer._attachments[attachment] = { object: renderbuffer, textarget: 0, level: 0, layer: 0 };
+    else delete framebuffer._attachments[attachment];
+  }
+
+  framebufferTexture2D(target, attachment, textarget, texture, level) {
+    if (!this._call('framebufferTexture2D', arguments)) return;
+    const framebuffer = this._getBoundFramebuffer(target);
+    if (!framebuffer) return;
+    if (this._attachmentPoints.indexOf(attachment) === -1) return this._setError(GL.INVALID_ENUM);
+    if (textarget !== GL.TEXTURE_2D && cubeMapFaces.indexOf(textarget) === -1) return this._setError(GL.INVALID_ENUM);
+    if (texture) framebuffer._attachments[attachment] = { object: texture, textarget, level, layer: 0 };
+    else delete framebuffer._attachments[attachment];
+  }
+
+  frontFace(mode) {
+    if (!this._call('frontFace', arguments)) return;
+    if (mode !== GL.CW && mode !== GL.CCW) return this._setError(GL.INVALID_ENUM);
+    this._parameters[GL.FRONT_FACE] = mode;
+  }
+
+  generateMipmap(target) {
+    if (!this._call('generateMipmap', arguments)) return;
+    this._getBoundTexture(target);
+  }
+
+  getActiveAttrib(program, index) {
+    if (!this._call('getActiveAttrib', arguments)) return null;
+    const attribute = program._attributes[index];
+    if (!attribute) {
+      this._setError(GL.INVALID_VALUE);
+      return null;
+    }
+    return new WebGLActiveInfo(attribute.name, attribute.size, attribute.type);
+  }
+
+  getActiveUniform(program, index) {
+    if (!this._call('getActiveUniform', arguments)) return null;
+    const uniform = program._uniforms[index];
+    if (!uniform) {
+      this._setError(GL.INVALID_VALUE);
+      return null;
+    }
+    return new WebGLActiveInfo(uniform.size > 1 ? uniform.name + '[0]' : uniform.name, uniform.size, uniform.type);
+  }
+
+  getAttachedShaders(program) {
+    if (!this._call('getAttachedShaders', arguments)) return null;
+    return program._shaders.slice();
+  }
+
+  getAttribLocation(program, name) {
+    if (!this._call('getAttribLocation', arguments)) return -1;
+    if (!program._linked) {
+      this._setError(GL.INVALID_OPERATION);
+      return -1;
+    }
+    const attribute = program._attributes.find(candidate => candidate.name === name);
+    return attribute ? attribute.location : -1;
+  }
+
+  getBufferParameter(target, pname) {
+    if (!this._call('getBufferParameter', arguments)) return null;
+    const buffer = this._getBoundBuffer(target);
+    if (!buffer) return null;
+    if (pname === GL.BUFFER_SIZE) return buffer._size;
+    if (pname === GL.BUFFER_USAGE) return buffer._usage;
+    this._setError(GL.INVALID_ENUM);
+    return null;
+  }
+
+  getContextAttributes() {
+    if (!this._call('getContextAttributes', arguments)) return null;
+    return Object.assign({}, this._attributes);
+  }
+
+  getError() {
+    this._events.push({ type: 'getError', props: {} });
+    const error = this._error;
+    this._error = GL.NO_ERROR;
+    return error;
+  }
+
+  getExtension(name) {
+    if (!this._call('getExtension', arguments)) return null;
+    const supported = this._supportedExtensions.find(extension => extension.toLowerCase() === String(name).toLowerCase());
+    if (!supported) return null;
+    if (!this._extensions[supported]) {
+      this._extensions[supported] = createExtension(supported, this);
+      const parameters = extensionParameters[supported] || {};
+      Object.keys(parameters).forEach(pname => {
+        if (!(pname in this._parameters)) this._parameters[pname] = parameters[pname];
+      });
+      if (supported === 'OES_element_index_uint') this._indexTypes = this._indexTypes.concat(GL.UNSIGNED_INT);
+      if (supported === 'EXT_blend_minmax') this._blendEquations = this._blendEquations.concat(0x8007, 0x8008);
+      if (supported === 'EXT_texture_filter_anisotropic') this._textureParameters = Object.assign({ [0x84FE]: 1 }, this._textureParameters);
+      if (supported === 'OES_standard_derivatives') this._hintTargets = this._hintTargets.concat(0x8B8B);
+    }
+    return this._extensions[supported];
+  }
+
+  getFramebufferAttachmentParameter(target, attachment, pname) {
+    if (!this._call('getFramebufferAttachmentParameter', arguments)) return null;
+    const framebuffer = this._getBoundFramebuffer(target);
+    if (!framebuffer) return null;
+    const attached = framebuffer._attachments[attachment];
+    if (pname === GL.FRAMEBUFFER_ATTACHMENT_OBJECT_TYPE) {
+      if (!attached) return GL.NONE;
+      return attached.object instanceof WebGLTexture ? GL.TEXTURE : GL.RENDERBUFFER;
+    }
+    if (!attached) {
+      this._setError(GL.INVALID_ENUM);
+      return null;
+    }
+    switch (pname) {
+      case GL.FRAMEBUFFER_ATTACHMENT_OBJECT_NAME: return attached.object;
+      case GL.FRAMEBUFFER_ATTACHMENT_TEXTURE_LEVEL: return attached.level;
+      case GL.FRAMEBUFFER_ATTACHMENT_TEXTURE_CUBE_MAP_FACE: return cubeMapFaces.indexOf(attached.textarget) === -1 ? 0 : attached.textarget;
+      case 0x8CD4: return attached.layer;
+    }
+    this._setError(GL.INVALID_ENUM);
+    return null;
+  }
+
+  getParameter(pname) {
+    if (!this._call('getParameter', arguments)) return null;
+    if (this._textureUnitParameters.indexOf(pname) !== -1) {
+      return this._textureUnits[this._parameters[GL.ACTIVE_TEXTURE] - GL.TEXTURE0][pname] || null;
+    }
+    if (!(pname in this._parameters)) {
+      this._setError(GL.INVALID_ENUM);
+      return null;
+    }
+    const value = this._parameters[pname];
+    if (ArrayBuffer.isView(value)) return value.slice();
+    if (Array.isArray(value)) return value.slice();
+    return value;
+  }
+
+  getProgramInfoLog(program) {
+    if (!this._call('getProgramInfoLog', arguments)) return null;
+    return program._infoLog;
+  }
+
+  getProgramParameter(program, pname) {
+    if (!this._call('getProgramParameter', arguments)) return null;
+    switch (pname) {
+      case GL.DELETE_STATUS: return program._deleted;
+      case GL.LINK_STATUS: return program._linkStatus;
+      case GL.VALIDATE_STATUS: return program._validateStatus;
+      case GL.ATTACHED_SHADERS: return program._shaders.length;
+      case GL.ACTIVE_ATTRIBUTES: return program._attributes.length;
+      case GL.ACTIVE_UNIFORMS: return program._uniforms.length;
+    }
+    return this._getProgramParameter(program, pname);
+  }
+
+  _getProgramParameter() {
+    this._setError(GL.INVALID_ENUM);
+    return null;
+  }
+
+  getRenderbufferParameter(target, pname) {
+    if (!this._call('getRenderbufferParameter', arguments)) return null;
+    if (target !== GL.RENDERBUFFER) {
+      this._setError(GL.INVALID_ENUM);
+      return null;
+    }
+    const renderbuffer = this._parameters[GL.RENDERBUFFER_BINDING];
+    if (!renderbuffer) {
+      this._setError(GL.INVALID_OPERATION);
+      return null;
+    }
+    switch (pname) {
+      case GL.RENDERBUFFER_WIDTH: return renderbuffer._width;
+      case GL.RENDERBUFFER_HEIGHT: return renderbuffer._height;
+      case GL.RENDERBUFFER_INTERNAL_FORMAT: return renderbuffer._internalFormat;
+      case GL.RENDERBUFFER_RED_SIZE:
+      case GL.RENDERBUFFER_GREEN_SIZE:
+      case GL.RENDERBUFFER_BLUE_SIZE:
+      case GL.RENDERBUFFER_ALPHA_SIZE:
+      case GL.RENDERBUFFER_DEPTH_SIZE:
+      case GL.RENDERBUFFER_STENCIL_SIZE: return 0;
+      case 0x8CAB: if (this._parameterNames.renderbufferStorageMultisample) return renderbuffer._samples;
+    }
+    this._setError(GL.INVALID_ENUM);
+    return null;
+  }
+
+  getShaderInfoLog(shader) {
+    if (!this._call('getShaderInfoLog', arguments)) return null;
+    return '';
+  }
+
+  getShaderParameter(shader, pname) {
+    if (!this._call('getShaderParameter', arguments)) return null;
+    switch (pname) {
+      case GL.SHADER_TYPE: return shader._type;
+      case GL.DELETE_STATUS: return shader._deleted;
+      case GL.COMPILE_STATUS: return shader._compiled;
+    }
+    this._setError(GL.INVALID_ENUM);
+    return null;
+  }
+
+  getShaderPrecisionFormat(shadertype, precisiontype) {
+    if (!this._call('getShaderPrecisionFormat', arguments)) return null;
+    if (shadertype !== GL.VERTEX_SHADER && shadertype !== GL.FRAGMENT_SHADER) {
+      this._setError(GL.INVALID_ENUM);
+      return null;
+    }
+    switch (precisiontype) {
+      case GL.LOW_FLOAT:
+      case GL.MEDIUM_FLOAT:
+      case GL.HIGH_FLOAT: return new WebGLShaderPrecisionFormat(127, 127, 23);
+      case GL.LOW_INT:
+      case GL.MEDIUM_INT:
+      case GL.HIGH_INT: return new WebGLShaderPrecisionFormat(31, 30, 0);
+    }
+    this._setError(GL.INVALID_ENUM);
+    return null;
+  }
+
+  getShaderSource(shader) {
+    if (!this._call('getShaderSource', arguments)) return null;
+    return shader._source;
+  }
+
+  getSupportedExtensions() {
+    if (!this._call('getSupportedExtensions', arguments)) return null;
+    return this._supportedExtensions.slice();
+  }
+
+  getTexParameter(target, pname) {
+    if (!this._call('getTexParameter', arguments)) return null;
+    const texture = this._getBoundTexture(target);
+    if (!texture) return null;
+    if (!(pname in this._textureParameters)) {
+      this._setError(GL.INVALID_ENUM);
+      return null;
+    }
+    return pname in texture._parameters ? texture._parameters[pname] : this._textureParameters[pname];
+  }
+
+  getUniform(program, location) {
+    if (!this._call('getUniform', arguments)) return null;
+    if (!program._linked || location._program !== program) {
+      this._setError(GL.INVALID_OPERATION);
+      return null;
+    }
+    const value = program._uniformValues[location._name];
+    if (value === void 0) return getDefaultUniformValue(location._type);
+    return ArrayBuffer.isView(value) || Array.isArray(value) ? value.slice() : value;
+  }
+
+  getUniformLocation(program, name) {
+    if (!this._call('getUniformLocation', arguments)) return null;
+    if (!program._linked) {
+      this._setError(GL.INVALID_OPERATION);
+      return null;
+    }
+    const match = /^(\w+)(?:\[(\d+)\])?$/.exec(name);
+    if (!match) return null;
+    const uniform = program._uniforms.find(candidate => candidate.name === match[1]);
+    const index = match[2] ? Number(match[2]) : 0;
+    if (!uniform || index >= uniform.size || (match[2] && uniform.size === 1 && index !== 0)) return null;
+    const location = new WebGLUniformLocation(program, index === 0 ? match[1] : match[1] + '[' + index + ']', index);
+    location._type = uniform.type;
+    return location;
+  }
+
+  getVertexAttrib(index, pname) {
+    if (!this._call('getVertexAttrib', arguments)) return null;
+    if (!this._checkAttribIndex(index)) return null;
+    const attrib = this._vertexAttribs[index];
+    switch (pname) {
+      case GL.VERTEX_ATTRIB_ARRAY_BUFFER_BINDING: return attrib.buffer;
+      case GL.VERTEX_ATTRIB_ARRAY_ENABLED: return attrib.enabled;
+      case GL.VERTEX_ATTRIB_ARRAY_SIZE: return attrib.size;
+      case GL.VERTEX_ATTRIB_ARRAY_STRIDE: return attrib.stride;
+      case GL.VERTEX_ATTRIB_ARRAY_TYPE: return attrib.type;
+      case GL.VERTEX_ATTRIB_ARRAY_NORMALIZED: return attrib.normalized;
+      case GL.CURRENT_VERTEX_ATTRIB: return attrib.current.slice();
+      case 0x88FE: if (this._extensions.ANGLE_instanced_arrays || this._parameterNames.vertexAttribDivisor) return attrib.divisor;
+        break;
+      case 0x88FD: if (this._parameterNames.vertexAttribIPointer) return attrib.integer;
+        break;
+    }
+    this._setError(GL.INVALID_ENUM);
+    return null;
+  }
+
+  getVertexAttribOffset(index, pname) {
+    if (!this._call('getVertexAttribOffset', arguments)) return 0;
+    if (!this._checkAttribIndex(index)) return 0;
+    if (pname !== GL.VERTEX_ATTRIB_ARRAY_POINTER) {
+      this._setError(GL.INVALID_ENUM);
+      return 0;
+    }
+    return this._vertexAttribs[index].offset;
+  }
+
+  hint(target, mode) {
+    if (!this._call('hint', arguments)) return;
+    if (this._hintTargets.indexOf(target) === -1) return this._setError(GL.INVALID_ENUM);
+    if (mode !== GL.DONT_CARE && mode !== GL.FASTEST && mode !== GL.NICEST) return this._setError(GL.INVALID_ENUM);
+    this._parameters[target] = mode;
+  }
+
+  isBuffer(buffer) {
+    if (!this._call('isBuffer', arguments)) return false;
+    return this._isLive(buffer) && buffer._target !== null;
+  }
+
+  isContextLost() {
+    this._events.push({ type: 'isContextLost', props: {} });
+    return this._contextLost;
+  }
+
+  isEnabled(cap) {
+    if (!this._call('isEnabled', arguments)) return false;
+    if (this._capabilities.indexOf(cap) === -1) return this._setError(GL.INVALID_ENUM);
+    return this._parameters[cap];
+  }
+
+  isFramebuffer(framebuffer) {
+    if (!this._call('isFramebuffer', arguments)) return false;
+    return this._isLive(framebuffer) && framebuffer._target !== null;
+  }
+
+  isProgram(program) {
+    if (!this._call('isProgram', arguments)) return false;
+    return this._isLive(program);
+  }
+
+  isRenderbuffer(renderbuffer) {
+    if (!this._call('isRenderbuffer', arguments)) return false;
+    return this._isLive(renderbuffer) && renderbuffer._target !== null;
+  }
+
+  isShader(shader) {
+    if (!this._call('isShader', arguments)) return false;
+    return this._isLive(shader);
+  }
+
+  isTexture(texture) {
+    if (!this._call('isTexture', arguments)) return false;
+    return this._isLive(texture) && texture._target !== null;
+  }
+
+  lineWidth(width) {
+    if (!this._call('lineWidth', arguments)) return;
+    if (!(width > 0)) return this._setError(GL.INVALID_VALUE);
+    this._parameters[GL.LINE_WIDTH] = Number(width);
+  }
+
+  linkProgram(program) {
+    if (!this._call('linkProgram', arguments)) return;
+    const vertexShader = program._shaders.find(shader => shader._type === GL.VERTEX_SHADER);
+    const fragmentShader = program._shaders.find(shader => shader._type === GL.FRAGMENT_SHADER);
+    program._uniformValues = {};
+
+    if (!vertexShader || !fragmentShader || !vertexShader._compiled || !fragmentShader._compiled) {
+      program._linkStatus = false;
+      program._linked = false;
+      program._attributes = [];
+      program._uniforms = [];
+      program._infoLog = !vertexShader || !fragmentShader
+        ? 'Missing vertex or fragment shader.'
+        : 'One or more attached shaders are not compiled.';
+      return;
+    }
+
+    const vertex = parseShader(vertexShader._source, GL.VERTEX_SHADER);
+    const fragment = parseShader(fragmentShader._source, GL.FRAGMENT_SHADER);
+    const used = Object.keys(program._attribBindings).map(name => program._attribBindings[name]);
+    let next = 0;
+    program._attributes = vertex.attributes.map(attribute => {
+      let location = program._attribBindings[attribute.name];
+      if (location === void 0) {
+        while (used.indexOf(next) !== -1) next++;
+        location = next++;
+      }
+      return Object.assign({ location }, attribute);
+    });
+    program._uniforms = vertex.uniforms.concat(fragment.uniforms.filter(uniform => {
+      return !vertex.uniforms.some(candidate => candidate.name === uniform.name);
+    }));
+    program._linkStatus = true;
+    program._linked = true;
+    program._infoLog = '';
+  }
+
+  pixelStorei(pname, param) {
+    if (!this._call('pixelStorei', arguments)) return;
+    if (this._pixelStoreParameters.indexOf(pname) === -1) return this._setError(GL.INVALID_ENUM);
+    if ((pname === GL.PACK_ALIGNMENT || pname === GL.UNPACK_ALIGNMENT) && [1, 2, 4, 8].indexOf(param) === -1) return this._setError(GL.INVALID_VALUE);
+    this._parameters[pname] = pname === GL.UNPACK_FLIP_Y_WEBGL || pname === GL.UNPACK_PREMULTIPLY_ALPHA_WEBGL ? Boolean(param) : param;
+  }
+
+  polygonOffset(factor, units) {
+    if (!this._call('polygonOffset', arguments)) return;
+    this._parameters[GL.POLYGON_OFFSET_FACTOR] = Number(factor);
+    this._parameters[GL.POLYGON_OFFSET_UNITS] = Number(units);
+  }
+
+  readPixels(x, y, width, height, format, type, pixels) {
+    if (!this._call('readPixels', arguments)) return;
+    if (width < 0 || height < 0) return this._setError(GL.INVALID_VALUE);
+    if (pixels === null || pixels === void 0) return this._setError(GL.INVALID_VALUE);
+  }
+
+  renderbufferStorage(target, internalformat, width, height) {
+    if (!this._call('renderbufferStorage', arguments)) return;
+    if (target !== GL.RENDERBUFFER) return this._setError(GL.INVALID_ENUM);
+    const renderbuffer = this._parameters[GL.RENDERBUFFER_BINDING];
+    if (!renderbuffer) return this._setError(GL.INVALID_OPERATION);
+    if (width < 0 || height < 0) return this._setError(GL.INVALID_VALUE);
+    renderbuffer._internalFormat = internalformat;
+    renderbuffer._width = width;
+    renderbuffer._height = height;
+  }
+
+  sampleCoverage(value, invert) {
+    if (!this._call('sampleCoverage', arguments)) return;
+    this._parameters[GL.SAMPLE_COVERAGE_VALUE] = Math.min(1, Math.max(0, Number(value)));
+    this._parameters[GL.SAMPLE_COVERAGE_INVERT] = Boolean(invert);
+  }
+
+  scissor(x, y, width, height) {
+    if (!this._call('scissor', arguments)) return;
+    if (width < 0 || height < 0) return this._setError(GL.INVALID_VALUE);
+    this._parameters[GL.SCISSOR_BOX] = new Int32Array([x, y, width, height]);
+  }
+
+  shaderSource(shader, source) {
+    if (!this._call('shaderSource', arguments)) return;
+    shader._source = String(source);
+  }
+
+  _setStencilFunc(face, func, ref, mask) {
+    if (compareFunctions.indexOf(func) === -1) return this._setError(GL.INVALID_ENUM);
+    if (face !== GL.BACK) {
+      this._parameters[GL.STENCIL_FUNC] = func;
+      this._parameters[GL.STENCIL_REF] = ref;
+      this._parameters[GL.STENCIL_VALUE_MASK] = mask;
+    }
+    if (face !== GL.FRONT) {
+      this._parameters[GL.STENCIL_BACK_FUNC] = func;
+      this._parameters[GL.STENCIL_BACK_REF] = ref;
+      this._parameters[GL.STENCIL_BACK_VALUE_MASK] = mask;
+    }
+  }
+
+  _setStencilOp(face, fail, zfail, zpass) {
+    if ([fail, zfail, zpass].some(operation => stencilOperations.indexOf(operation) === -1)) return this._setError(GL.INVALID_ENUM);
+    if (face !== GL.BACK) {
+      this._parameters[GL.STENCIL_FAIL] = fail;
+      this._parameters[GL.STENCIL_PASS_DEPTH_FAIL] = zfail;
+      this._parameters[GL.STENCIL_PASS_DEPTH_PASS] = zpass;
+    }
+    if (face !== GL.FRONT) {
+      this._parameters[GL.STENCIL_BACK_FAIL] = fail;
+      this._parameters[GL.STENCIL_BACK_PASS_DEPTH_FAIL] = zfail;
+      this._parameters[GL.STENCIL_BACK_PASS_DEPTH_PASS] = zpass;
+    }
+  }
+
+  _checkFace(face) {
+    if (face !== GL.FRONT && face !== GL.BACK && face !== GL.FRONT_AND_BACK) return this._setError(GL.INVALID_ENUM);
+    return true;
+  }
+
+  stencilFunc(func, ref, mask) {
+    if (!this._call('stencilFunc', arguments)) return;
+    this._setStencilFunc(GL.FRONT_AND_BACK, func, ref, mask);
+  }
+
+  stencilFuncSeparate(face, func, ref, mask) {
+    if (!this._call('stencilFuncSeparate', arguments)) return;
+    if (!this._checkFace(face)) return;
+    this._setStencilFunc(face, func, ref, mask);
+  }
+
+  stencilMask(mask) {
+    if (!this._call('stencilMask', arguments)) return;
+    this._parameters[GL.STENCIL_WRITEMASK] = mask;
+    this._parameters[GL.STENCIL_BACK_WRITEMASK] = mask;
+  }
+
+  stencilMaskSeparate(face, mask) {
+    if (!this._call('stencilMaskSeparate', arguments)) return;
+    if (!this._checkFace(face)) return;
+    if (face !== GL.BACK) this._parameters[GL.STENCIL_WRITEMASK] = mask;
+    if (face !== GL.FRONT) this._parameters[GL.STENCIL_BACK_WRITEMASK] = mask;
+  }
+
+  stencilOp(fail, zfail, zpass) {
+    if (!this._call('stencilOp', arguments)) return;
+    this._setStencilOp(GL.FRONT_AND_BACK, fail, zfail, zpass);
+  }
+
+  stencilOpSeparate(face, fail, zfail, zpass) {
+    if (!this._call('stencilOpSeparate', arguments)) return;
+    if (!this._checkFace(face)) return;
+    this._setStencilOp(face, fail, zfail, zpass);
+  }
+
+  texImage2D(target) {
+    if (!this._call('texImage2D', arguments)) return;
+    this._getBoundTexture(target);
+  }
+
+  _setTexParameter(target, pname, param) {
+    const texture = this._getBoundTexture(target);
+    if (!texture) return;
+    if (!(pname in this._textureParameters)) return this._setError(GL.INVALID_ENUM);
+    texture._parameters[pname] = param;
+  }
+
+  texParameterf(target, pname, param) {
+    if (!this._call('texParameterf', arguments)) return;
+    this._setTexParameter(target, pname, Number(param));
+  }
+
+  texParameteri(target, pname, param) {
+    if (!this._call('texParameteri', arguments)) return;
+    this._setTexParameter(target, pname, Number(param) | 0);
+  }
+
+  texSubImage2D(target) {
+    if (!this._call('texSubImage2D', arguments)) return;
+    this._getBoundTexture(target);
+  }
+
+  useProgram(program) {
+    if (!this._call('useProgram', arguments)) return;
+    if (program && (program._deleted || !program._linked)) return this._setError(GL.INVALID_OPERATION);
+    this._parameters[GL.CURRENT_PROGRAM] = program || null;
+  }
+
+  validateProgram(program) {
+    if (!this._call('validateProgram', arguments)) return;
+    program._validateStatus = program._linkStatus;
+  }
+
+  vertexAttribPointer(index, size, type, normalized, stride, offset) {
+    if (!this._call('vertexAttribPointer', arguments)) return;
+    if (!this._checkAttribIndex(index)) return;
+    if (size < 1 || size > 4 || stride < 0 || stride > 255 || offset < 0) return this._setError(GL.INVALID_VALUE);
+    const buffer = this._parameters[GL.ARRAY_BUFFER_BINDING];
+    if (!buffer && offset !== 0) return this._setError(GL.INVALID_OPERATION);
+    Object.assign(this._vertexAttribs[index], {
+      size,
+      type,
+      normalized: Boolean(normalized),
+      integer: false,
+      stride,
+      offset,
+      buffer,
+    });
+  }
+
+  viewport(x, y, width, height) {
+    if (!this._call('viewport', arguments)) return;
+    if (width < 0 || height < 0) return this._setError(GL.INVALID_VALUE);
+    this._parameters[GL.VIEWPORT] = new Int32Array([x, y, width, height]);
+  }
+}
+
+/**
+ * The uniform and vertex attribute setters only differ in the number and type of their values, so
+ * they are generated here.
+ */
+[1, 2, 3, 4].forEach(count => {
+  const proto = WebGLRenderingContextBase.prototype;
+  const getValue = (values, ArrayType) => count === 1 ? values[0] : new ArrayType(values);
+
+  proto['uniform' + count + 'f'] = function uniformf(location, ...values) {
+    if (!this._call('uniform' + count + 'f', arguments)) return;
+    this._setUniform(location, getValue(values.slice(0, count).map(Number), Float32Array));
+  };
+
+  proto['uniform' + count + 'i'] = function uniformi(location, ...values) {
+    if (!this._call('uniform' + count + 'i', arguments)) return;
+    this._setUniform(location, getValue(values.slice(0, count).map(value => Number(value) | 0), Int32Array));
+  };
+
+  proto['uniform' + count + 'fv'] = function uniformfv(location, data, srcOffset, srcLength) {
+    if (!this._call('uniform' + count + 'fv', arguments)) return;
+    const values = getUniformData(data, srcOffset, srcLength, count);
+    if (!values) return this._setError(GL.INVALID_VALUE);
+    this._setUniform(location, getValue(values, Float32Array));
+  };
+
+  proto['uniform' + count + 'iv'] = function uniformiv(location, data, srcOffset, srcLength) {
+    if (!this._call('uniform' + count + 'iv', arguments)) return;
+    const values = getUniformData(data, srcOffset, srcLength, count);
+    if (!values) return this._setError(GL.INVALID_VALUE);
+    this._setUniform(location, getValue(values, Int32Array));
+  };
+
+  proto['vertexAttrib' + count + 'f'] = function vertexAttribf(index, ...values) {
+    if (!this._call('vertexAttrib' + count + 'f', arguments)) return;
+    if (!this._checkAttribIndex(index)) return;
+    this._vertexAttribs[index].current = new Float32Array(values.slice(0, count).concat([0, 0, 0, 1].slice(count)));
+  };
+
+  proto['vertexAttrib' + count + 'fv'] = function vertexAttribfv(index, values) {
+    if (!this._call('vertexAttrib' + count + 'fv', arguments)) return;
+    if (!this._checkAttribIndex(index)) return;
+    if (!values || values.length === void 0 || values.length < count) return this._setError(GL.INVALID_VALUE);
+    this._vertexAttribs[index].current = new Float32Array(Array.from(values).slice(0, count).concat([0, 0, 0, 1].slice(count)));
+  };
+});
+
+[2, 3, 4].forEach(size => {
+  const name = 'uniformMatrix' + size + 'fv';
+  WebGLRenderingContextBase.prototype[name] = function uniformMatrixfv(location, transpose, data, srcOffset, srcLength) {
+    if (!this._call(name, arguments)) return;
+    const values = getUniformData(data, srcOffset, srcLength, size * size);
+    if (!values) return this._setError(GL.INVALID_VALUE);
+    this._setUniform(location, new Float32Array(values));
+  };
+});
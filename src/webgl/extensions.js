@@ -0,0 +1,164 @@
+import { WebGLVertexArrayObject } from './objects';
+
+function range(prefix, start, count) {
+  const result = {};
+  for (let i = 0; i < count; i++) result[prefix + i + '_WEBGL'] = start + i;
+  return result;
+}
+
+/**
+ * The extensions supported by the mock. Each factory returns the extension object for a context,
+ * with the constants and functions the extension defines. Extension functions are recorded in the
+ * event log of the context under their own names.
+ */
+const extensions = {
+  ANGLE_instanced_arrays: gl => ({
+    VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE: 0x88FE,
+    drawArraysInstancedANGLE: gl._createExtensionFunction('drawArraysInstancedANGLE', ['mode', 'first', 'count', 'primcount'], true),
+    drawElementsInstancedANGLE: gl._createExtensionFunction('drawElementsInstancedANGLE', ['mode', 'count', 'type', 'offset', 'primcount'], true),
+    vertexAttribDivisorANGLE: gl._createExtensionFunction('vertexAttribDivisorANGLE', ['index', 'divisor'], false, (index, divisor) => gl._setVertexAttribDivisor(index, divisor)),
+  }),
+  EXT_blend_minmax: () => ({
+    MIN_EXT: 0x8007,
+    MAX_EXT: 0x8008,
+  }),
+  EXT_color_buffer_float: () => ({}),
+  EXT_color_buffer_half_float: () => ({
+    RGBA16F_EXT: 0x881A,
+    RGB16F_EXT: 0x881B,
+    FRAMEBUFFER_ATTACHMENT_COMPONENT_TYPE_EXT: 0x8211,
+    UNSIGNED_NORMALIZED_EXT: 0x8C17,
+  }),
+  EXT_float_blend: () => ({}),
+  EXT_frag_depth: () => ({}),
+  EXT_shader_texture_lod: () => ({}),
+  EXT_sRGB: () => ({
+    SRGB_EXT: 0x8C40,
+    SRGB_ALPHA_EXT: 0x8C42,
+    SRGB8_ALPHA8_EXT: 0x8C43,
+    FRAMEBUFFER_ATTACHMENT_COLOR_ENCODING_EXT: 0x8210,
+  }),
+  EXT_texture_filter_anisotropic: () => ({
+    TEXTURE_MAX_ANISOTROPY_EXT: 0x84FE,
+    MAX_TEXTURE_MAX_ANISOTROPY_EXT: 0x84FF,
+  }),
+  KHR_parallel_shader_compile: () => ({
+    COMPLETION_STATUS_KHR: 0x91B1,
+  }),
+  OES_element_index_uint: () => ({}),
+  OES_standard_derivatives: () => ({
+    FRAGMENT_SHADER_DERIVATIVE_HINT_OES: 0x8B8B,
+  }),
+  OES_texture_float: () => ({}),
+  OES_texture_float_linear: () => ({}),
+  OES_texture_half_float: () => ({
+    HALF_FLOAT_OES: 0x8D61,
+  }),
+  OES_texture_half_float_linear: () => ({}),
+  OES_vertex_array_object: gl => ({
+    VERTEX_ARRAY_BINDING_OES: 0x85B5,
+    createVertexArrayOES: gl._createExtensionFunction('createVertexArrayOES', [], false, () => new WebGLVertexArrayObject(gl)),
+    deleteVertexArrayOES: gl._createExtensionFunction('deleteVertexArrayOES', ['arrayObject'], false, array => gl._deleteVertexArray(array)),
+    isVertexArrayOES: gl._createExtensionFunction('isVertexArrayOES', ['arrayObject'], false, array => gl._isVertexArray(array)),
+    bindVertexArrayOES: gl._createExtensionFunction('bindVertexArrayOES', ['arrayObject'], false, array => gl._bindVertexArray(array)),
+  }),
+  WEBGL_color_buffer_float: () => ({
+    RGBA32F_EXT: 0x8814,
+    FRAMEBUFFER_ATTACHMENT_COMPONENT_TYPE_EXT: 0x8211,
+    UNSIGNED_NORMALIZED_EXT: 0x8C17,
+  }),
+  WEBGL_compressed_texture_s3tc: () => ({
+    COMPRESSED_RGB_S3TC_DXT1_EXT: 0x83F0,
+    COMPRESSED_RGBA_S3TC_DXT1_EXT: 0x83F1,
+    COMPRESSED_RGBA_S3TC_DXT3_EXT: 0x83F2,
+    COMPRESSED_RGBA_S3TC_DXT5_EXT: 0x83F3,
+  }),
+  WEBGL_debug_renderer_info: () => ({
+    UNMASKED_VENDOR_WEBGL: 0x9245,
+    UNMASKED_RENDERER_WEBGL: 0x9246,
+  }),
+  WEBGL_debug_shaders: gl => ({
+    getTranslatedShaderSource: gl._createExtensionFunction('getTranslatedShaderSource', ['shader'], false, shader => shader._source),
+  }),
+  WEBGL_depth_texture: () => ({
+    UNSIGNED_INT_24_8_WEBGL: 0x84FA,
+  }),
+  WEBGL_draw_buffers: gl => Object.assign(
+    range('COLOR_ATTACHMENT', 0x8CE0, 16),
+    range('DRAW_BUFFER', 0x8825, 16),
+    {
+      MAX_COLOR_ATTACHMENTS_WEBGL: 0x8CDF,
+      MAX_DRAW_BUFFERS_WEBGL: 0x8824,
+      drawBuffersWEBGL: gl._createExtensionFunction('drawBuffersWEBGL', ['buffers']),
+    },
+  ),
+  WEBGL_lose_context: gl => ({
+    loseContext: gl._createExtensionFunction('loseContext', [], false, () => gl._loseContext()),
+    restoreContext: gl._createExtensionFunction('restoreContext', [], false, () => gl._restoreContext()),
+  }),
+};
+
+export const webgl1Extensions = [
+  'ANGLE_instanced_arrays',
+  'EXT_blend_minmax',
+  'EXT_color_buffer_half_float',
+  'EXT_float_blend',
+  'EXT_frag_depth',
+  'EXT_shader_texture_lod',
+  'EXT_sRGB',
+  'EXT_texture_filter_anisotropic',
+  'KHR_parallel_shader_compile',
+  'OES_element_index_uint',
+  'OES_standard_derivatives',
+  'OES_texture_float',
+  'OES_texture_float_linear',
+  'OES_texture_half_float',
+  'OES_texture_half_float_linear',
+  'OES_vertex_array_object',
+  'WEBGL_color_buffer_float',
+  'WEBGL_compressed_texture_s3tc',
+  'WEBGL_debug_renderer_info',
+  'WEBGL_debug_shaders',
+  'WEBGL_depth_texture',
+  'WEBGL_draw_buffers',
+  'WEBGL_lose_context',
+];
+
+export const webgl2Extensions = [
+  'EXT_color_buffer_float',
+  'EXT_float_blend',
+  'EXT_texture_filter_anisotropic',
+  'KHR_parallel_shader_compile',
+  'OES_texture_float_linear',
+  'WEBGL_compressed_texture_s3tc',
+  'WEBGL_debug_renderer_info',
+  'WEBGL_debug_shaders',
+  'WEBGL_lose_context',
+];
+
+/**
+ * The `getParameter` values that only become valid once the extension is enabled.
+ */
+export const extensionParameters = {
+  EXT_texture_filter_anisotropic: {
+    [0x84FF]: 16,
+  },
+  OES_standard_derivatives: {
+    [0x8B8B]: 0x1100,
+  },
+  OES_vertex_array_object: {
+    [0x85B5]: null,
+  },
+  WEBGL_debug_renderer_info: {
+    [0x9245]: 'Google Inc.',
+    [0x9246]: 'ANGLE (Google, Vulkan 1.3.0 (SwiftShader Device (Subzero)), SwiftShader driver)',
+  },
+  WEBGL_draw_buffers: {
+    [0x8CDF]: 8,
+    [0x8824]: 8,
+  },
+};
+
+export default function createExtension(name, gl) {
+  return extensions[name](gl);
+}
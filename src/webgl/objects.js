@@ -0,0 +1,131 @@
+/**
+ * Every WebGL object remembers the context that created it, because objects can't be shared
+ * between contexts, and whether it was deleted.
+ */
+class WebGLObject {
+  _deleted = false;
+
+  constructor(context) {
+    this._context = context;
+  }
+}
+
+export class WebGLBuffer extends WebGLObject {
+  _target = null;
+  _size = 0;
+  _usage = 0x88E4;
+}
+
+export class WebGLFramebuffer extends WebGLObject {
+  _target = null;
+
+  /**
+   * The attached objects by attachment point. The values look like
+   * `{ object, textarget, level, layer }`.
+   */
+  _attachments = {};
+}
+
+export class WebGLProgram extends WebGLObject {
+  _shaders = [];
+  _linked = false;
+  _linkStatus = false;
+  _validateStatus = false;
+  _infoLog = '';
+  _attributes = [];
+  _uniforms = [];
+  _attribBindings = {};
+  _uniformValues = {};
+  _transformFeedbackVaryings = [];
+  _transformFeedbackBufferMode = 0x8C8C;
+}
+
+export class WebGLRenderbuffer extends WebGLObject {
+  _target = null;
+  _width = 0;
+  _height = 0;
+  _internalFormat = 0x8056;
+  _samples = 0;
+}
+
+export class WebGLShader extends WebGLObject {
+  _source = '';
+  _compiled = false;
+
+  constructor(context, type) {
+    super(context);
+    this._type = type;
+  }
+}
+
+export class WebGLTexture extends WebGLObject {
+  _target = null;
+  _parameters = {};
+}
+
+export class WebGLUniformLocation {
+  constructor(program, name, index) {
+    this._program = program;
+    this._name = name;
+    this._index = index;
+  }
+}
+
+export class WebGLActiveInfo {
+  constructor(name, size, type) {
+    this._name = name;
+    this._size = size;
+    this._type = type;
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  get size() {
+    return this._size;
+  }
+
+  get type() {
+    return this._type;
+  }
+}
+
+export class WebGLShaderPrecisionFormat {
+  constructor(rangeMin, rangeMax, precision) {
+    this._rangeMin = rangeMin;
+    this._rangeMax = rangeMax;
+    this._precision = precision;
+  }
+
+  get rangeMin() {
+    return this._rangeMin;
+  }
+
+  get rangeMax() {
+    return this._rangeMax;
+  }
+
+  get precision() {
+    return this._precision;
+  }
+}
+
+export class WebGLQuery extends WebGLObject {
+  _target = null;
+}
+
+export class WebGLSampler extends WebGLObject {
+  _parameters = {};
+}
+
+export class WebGLSync extends WebGLObject {}
+
+export class WebGLTransformFeedback extends WebGLObject {
+  _active = false;
+  _paused = false;
+}
+
+export class WebGLVertexArrayObject extends WebGLObject {
+  _bound = false;
+}
@@ -0,0 +1,90 @@
+import { webgl1Constants as gl, webgl2Constants as gl2 } from './constants';
+
+/**
+ * The GLSL types that can be used by attributes and uniforms, and the matching WebGL type enums.
+ */
+export const glslTypes = {
+  float: gl.FLOAT,
+  vec2: gl.FLOAT_VEC2,
+  vec3: gl.FLOAT_VEC3,
+  vec4: gl.FLOAT_VEC4,
+  int: gl.INT,
+  ivec2: gl.INT_VEC2,
+  ivec3: gl.INT_VEC3,
+  ivec4: gl.INT_VEC4,
+  uint: gl.UNSIGNED_INT,
+  uvec2: gl2.UNSIGNED_INT_VEC2,
+  uvec3: gl2.UNSIGNED_INT_VEC3,
+  uvec4: gl2.UNSIGNED_INT_VEC4,
+  bool: gl.BOOL,
+  bvec2: gl.BOOL_VEC2,
+  bvec3: gl.BOOL_VEC3,
+  bvec4: gl.BOOL_VEC4,
+  mat2: gl.FLOAT_MAT2,
+  mat3: gl.FLOAT_MAT3,
+  mat4: gl.FLOAT_MAT4,
+  mat2x2: gl.FLOAT_MAT2,
+  mat3x3: gl.FLOAT_MAT3,
+  mat4x4: gl.FLOAT_MAT4,
+  mat2x3: gl2.FLOAT_MAT2x3,
+  mat2x4: gl2.FLOAT_MAT2x4,
+  mat3x2: gl2.FLOAT_MAT3x2,
+  mat3x4: gl2.FLOAT_MAT3x4,
+  mat4x2: gl2.FLOAT_MAT4x2,
+  mat4x3: gl2.FLOAT_MAT4x3,
+  sampler2D: gl.SAMPLER_2D,
+  samplerCube: gl.SAMPLER_CUBE,
+  sampler3D: gl2.SAMPLER_3D,
+  sampler2DShadow: gl2.SAMPLER_2D_SHADOW,
+  sampler2DArray: gl2.SAMPLER_2D_ARRAY,
+  sampler2DArrayShadow: gl2.SAMPLER_2D_ARRAY_SHADOW,
+  samplerCubeShadow: gl2.SAMPLER_CUBE_SHADOW,
+  isampler2D: gl2.INT_SAMPLER_2D,
+  isampler3D: gl2.INT_SAMPLER_3D,
+  isamplerCube: gl2.INT_SAMPLER_CUBE,
+  isampler2DArray: gl2.INT_SAMPLER_2D_ARRAY,
+  usampler2D: gl2.UNSIGNED_INT_SAMPLER_2D,
+  usampler3D: gl2.UNSIGNED_INT_SAMPLER_3D,
+  usamplerCube: gl2.UNSIGNED_INT_SAMPLER_CUBE,
+  usampler2DArray: gl2.UNSIGNED_INT_SAMPLER_2D_ARRAY,
+};
+
+const precision = '(?:(?:highp|mediump|lowp)\\s+)?';
+const uniformPattern = new RegExp('\\buniform\\s+' + precision + '(\\w+)\\s+([^;{]+);', 'g');
+const attributePattern = new RegExp('(?:^|[;}])\\s*(?:layout\\s*\\([^)]*\\)\\s*)?(attribute|in)\\s+' + precision + '(\\w+)\\s+([^;]+);', 'gm');
+const declaratorPattern = /^(\w+)\s*(?:\[\s*(\d+)\s*\])?$/;
+
+function stripComments(source) {
+  return source.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/[^\n]*/g, ' ');
+}
+
+function parseDeclarations(pattern, source, typeIndex, keywordFilter) {
+  const result = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    if (keywordFilter && !keywordFilter(match[1])) continue;
+    const type = glslTypes[match[typeIndex]];
+    if (type === void 0) continue;
+    match[typeIndex + 1].split(',').forEach(declarator => {
+      const parts = declaratorPattern.exec(declarator.trim());
+      if (parts) result.push({ name: parts[1], type, size: parts[2] ? Number(parts[2]) : 1 });
+    });
+  }
+  return result;
+}
+
+/**
+ * Finds the attributes and uniforms declared by a shader with a few regular expressions. This is
+ * not a GLSL compiler: uniforms of struct types and uniform blocks are ignored, and every declared
+ * variable is treated as active, even if the shader never uses it.
+ */
+export default function parseShader(source, type) {
+  const code = stripComments(source);
+  const isVersion300 = /^\s*#version\s+300\s+es/m.test(code);
+  const uniforms = parseDeclarations(uniformPattern, code, 1);
+  const attributes = type === gl.VERTEX_SHADER
+    ? parseDeclarations(attributePattern, code, 2, keyword => keyword === (isVersion300 ? 'in' : 'attribute'))
+    : [];
+  return { attributes, uniforms };
+}
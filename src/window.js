@@ -8,11 +8,121 @@ import CanvasGradient from './classes/CanvasGradient';
 import CanvasPattern from './classes/CanvasPattern';
 import CanvasRenderingContext2D from './classes/CanvasRenderingContext2D';
 import DOMMatrix from './classes/DOMMatrix';
+import DOMMatrixReadOnly from './classes/DOMMatrixReadOnly';
+import DOMPoint from './classes/DOMPoint';
+import DOMPointReadOnly from './classes/DOMPointReadOnly';
+import DOMRect from './classes/DOMRect';
+import DOMRectReadOnly from './classes/DOMRectReadOnly';
+import DOMQuad from './classes/DOMQuad';
 import ImageData from './classes/ImageData';
+import OffscreenCanvas from './classes/OffscreenCanvas';
+import OffscreenCanvasRenderingContext2D from './classes/OffscreenCanvasRenderingContext2D';
 import TextMetrics from './classes/TextMetrics';
+import WebGLRenderingContext from './classes/WebGLRenderingContext';
+import WebGL2RenderingContext from './classes/WebGL2RenderingContext';
+import {
+  WebGLActiveInfo,
+  WebGLBuffer,
+  WebGLFramebuffer,
+  WebGLProgram,
+  WebGLQuery,
+  WebGLRenderbuffer,
+  WebGLSampler,
+  WebGLShader,
+  WebGLShaderPrecisionFormat,
+  WebGLSync,
+  WebGLTexture,
+  WebGLTransformFeedback,
+  WebGLUniformLocation,
+  WebGLVertexArrayObject,
+} from './webgl/objects';
 import ImageBitmap from './classes/ImageBitmap';
 import mockPrototype from './mock/prototype';
 import createImageBitmap from './mock/createImageBitmap';
+import createMockFunction from './mock/createMockFunction';
+import { getConfig } from './config';
+
+/**
+ * The globals installed on the window when they do not exist. The `globals` option selects which of
+ * them are installed.
+ */
+const mockedGlobals = {
+  Path2D,
+  CanvasGradient,
+  CanvasPattern,
+  CanvasRenderingContext2D,
+  DOMMatrix,
+  DOMMatrixReadOnly,
+  DOMPoint,
+  DOMPointReadOnly,
+  DOMRect,
+  DOMRectReadOnly,
+  DOMQuad,
+  ImageData,
+  OffscreenCanvas,
+  OffscreenCanvasRenderingContext2D,
+  TextMetrics,
+  WebGLRenderingContext,
+  WebGL2RenderingContext,
+  WebGLActiveInfo,
+  WebGLBuffer,
+  WebGLFramebuffer,
+  WebGLProgram,
+  WebGLQuery,
+  WebGLRenderbuffer,
+  WebGLSampler,
+  WebGLShader,
+  WebGLShaderPrecisionFormat,
+  WebGLSync,
+  WebGLTexture,
+  WebGLTransformFeedback,
+  WebGLUniformLocation,
+  WebGLVertexArrayObject,
+  ImageBitmap,
+};
+
+/**
+ * The globals that are mock functions. Like the methods of `HTMLCanvasElement`, they are made again
+ * every time the mock is installed, so they come from the `spyFactory` configured at that time.
+ */
+const mockedFunctions = {
+  createImageBitmap,
+};
+
+/**
+ * The globals installed on each target by name, so that `uninstallGlobals()` only removes the
+ * globals that did not exist before.
+ */
+const installedGlobals = new Map();
+
+/**
+ * Installs the mocked globals that are missing on the target, limited to the ones selected with
+ * the `globals` option. The mock functions installed before are replaced.
+ */
+export function installGlobals(target) {
+  const { globals } = getConfig();
+  const names = globals === true ? Object.keys(mockedGlobals).concat(Object.keys(mockedFunctions)) : globals;
+  const installed = installedGlobals.get(target) || {};
+  names.forEach(name => {
+    const isFunction = mockedFunctions.hasOwnProperty(name);
+    if (!isFunction && !mockedGlobals.hasOwnProperty(name)) throw new TypeError('jest-canvas-mock: Unknown global \'' + name + '\'.');
+    if (target[name] && !(isFunction && target[name] === installed[name])) return;
+    target[name] = isFunction ? createMockFunction(mockedFunctions[name]) : mockedGlobals[name];
+    installed[name] = target[name];
+  });
+  installedGlobals.set(target, installed);
+}
+
+/**
+ * Removes the globals that were installed on the target by `installGlobals()`.
+ */
+export function uninstallGlobals(target) {
+  const installed = installedGlobals.get(target) || {};
+  Object.keys(installed).forEach(name => {
+    if (target[name] === installed[name]) delete target[name];
+  });
+  installedGlobals.delete(target);
+}
 
 export default win => {
   const d = win.document;
@@ -44,15 +154,7 @@ export default win => {
     : f.call(d, param);
   */
   // if not exist, then mock it.
-  if (!win.Path2D) win.Path2D = Path2D;
-  if (!win.CanvasGradient) win.CanvasGradient = CanvasGradient;
-  if (!win.CanvasPattern) win.CanvasPattern = CanvasPattern;
-  if (!win.CanvasRenderingContext2D) win.CanvasRenderingContext2D = CanvasRenderingContext2D;
-  if (!win.DOMMatrix) win.DOMMatrix = DOMMatrix;
-  if (!win.ImageData) win.ImageData = ImageData;
-  if (!win.TextMetrics) win.TextMetrics = TextMetrics;
-  if (!win.ImageBitmap) win.ImageBitmap = ImageBitmap;
-  if (!win.createImageBitmap) win.createImageBitmap = createImageBitmap;
+  installGlobals(win);
 
   mockPrototype();
 
@@ -16,7 +16,328 @@ export interface CanvasRenderingContext2DEvent {
   };
 }
 
+/**
+ * A frozen snapshot of the drawing state of a CanvasRenderingContext2D, which is every property
+ * that `save()` and `restore()` keep track of.
+ */
+export interface CanvasRenderingContext2DState {
+  /**
+   * The `clip` events in effect for this state, in the order they were called.
+   */
+  readonly clip: ReadonlyArray<CanvasRenderingContext2DEvent>;
+  readonly direction: CanvasDirection;
+  readonly fillStyle: string | CanvasGradient | CanvasPattern;
+  readonly filter: string;
+  readonly font: string;
+  readonly fontKerning: CanvasFontKerning;
+  readonly fontStretch: CanvasFontStretch;
+  readonly fontVariantCaps: CanvasFontVariantCaps;
+  readonly globalAlpha: number;
+  readonly globalCompositeOperation: string;
+  readonly imageSmoothingEnabled: boolean;
+  readonly imageSmoothingQuality: ImageSmoothingQuality;
+  readonly letterSpacing: string;
+  readonly lineCap: CanvasLineCap;
+  readonly lineDash: ReadonlyArray<number>;
+  readonly lineDashOffset: number;
+  readonly lineJoin: CanvasLineJoin;
+  readonly lineWidth: number;
+  readonly miterLimit: number;
+  readonly shadowBlur: number;
+  readonly shadowColor: string;
+  readonly shadowOffsetX: number;
+  readonly shadowOffsetY: number;
+  readonly strokeStyle: string | CanvasGradient | CanvasPattern;
+  readonly textAlign: CanvasTextAlign;
+  readonly textBaseline: CanvasTextBaseline;
+  readonly textRendering: CanvasTextRendering;
+  /**
+   * This is a six element array that contains the `currentTransform` of this state.
+   */
+  readonly transform: readonly [number, number, number, number, number, number];
+  readonly wordSpacing: string;
+}
+
+/**
+ * The drawing state and the current path of a CanvasRenderingContext2D at an index of its event
+ * log, as returned by `__getStateAt`.
+ */
+export interface CanvasRenderingContext2DStateAt {
+  readonly path: ReadonlyArray<CanvasRenderingContext2DEvent>;
+  readonly state: CanvasRenderingContext2DState;
+}
+
+export interface CanvasGradientColorStop {
+  readonly offset: number;
+  /**
+   * The color of the stop, serialized like the `fillStyle` property does, e.g. `'#f00'`.
+   */
+  readonly color: string;
+}
+
+/**
+ * The description of a CanvasGradient, with the arguments of the function that created it.
+ */
+export type CanvasGradientDefinition = {
+  readonly colorStops: ReadonlyArray<CanvasGradientColorStop>;
+} & (
+  | { readonly type: 'linear'; readonly x0: number; readonly y0: number; readonly x1: number; readonly y1: number }
+  | { readonly type: 'radial'; readonly x0: number; readonly y0: number; readonly r0: number; readonly x1: number; readonly y1: number; readonly r1: number }
+  | { readonly type: 'conic'; readonly startAngle: number; readonly x: number; readonly y: number }
+);
+
+export interface CanvasPatternDefinition {
+  readonly image: CanvasImageSource;
+  readonly repetition: 'repeat' | 'repeat-x' | 'repeat-y' | 'no-repeat';
+  /**
+   * This is a six element array that contains the matrix set with `setTransform`.
+   */
+  readonly transform: readonly [number, number, number, number, number, number];
+}
+
+/**
+ * A draw call recorded by a CanvasRenderingContext2D. The analysis properties are not enumerable,
+ * so they do not show up in snapshots.
+ */
+export interface CanvasRenderingContext2DDrawCall extends CanvasRenderingContext2DEvent {
+  /**
+   * The bounding box of the drawing in canvas pixels, without its shadow, or `null` when nothing
+   * would be drawn.
+   */
+  readonly bbox: { x: number; y: number; width: number; height: number } | null;
+  /**
+   * Whether the draw call can change any pixel of the canvas.
+   */
+  readonly isVisible: boolean;
+  /**
+   * Why the draw call cannot change any pixel, or `null` when it can.
+   */
+  readonly reason: 'degenerate-transform' | 'transparent' | 'empty' | 'off-canvas' | 'clipped' | null;
+}
+
+export interface WebGLRenderingContextEvent {
+  /**
+   * This is the name of the WebGL function that was called.
+   */
+  type: string;
+  /**
+   * These are the arguments of the call, named like the parameters of the function.
+   */
+  props: {
+    [key: string]: any;
+  };
+}
+
+export interface CanvasMockOptions {
+  /**
+   * Start every new 2d context with rasterization enabled, as if `__enableRasterization()` was
+   * called. Defaults to `false`.
+   */
+  rasterize?: boolean;
+  /**
+   * How `measureText` computes its result. `'font'` uses the bundled font tables, `'length'`
+   * returns the length of the text as its width, and a function returns the metrics for the text
+   * and the text state of the context. Defaults to `'font'`.
+   */
+  textMetrics?: 'font' | 'length' | ((text: string, state: {
+    font: string;
+    textAlign: CanvasTextAlign;
+    textBaseline: CanvasTextBaseline;
+    direction: CanvasDirection;
+    letterSpacing: string;
+    wordSpacing: string;
+    fontKerning: CanvasFontKerning;
+    fontStretch: CanvasFontStretch;
+    fontVariantCaps: CanvasFontVariantCaps;
+    textRendering: CanvasTextRendering;
+  }) => Partial<TextMetrics>);
+  /**
+   * The browser whose wording is used for the messages of thrown TypeErrors. Defaults to
+   * `'chrome'`.
+   */
+  errorMessages?: 'chrome' | 'firefox';
+  /**
+   * The maximum number of entries kept in the event and draw call logs of every context. Defaults
+   * to `Infinity`.
+   */
+  maxEvents?: number;
+  /**
+   * `true` to install every missing global, or the names of the globals to install. This option
+   * is read when the mock is installed. Defaults to `true`.
+   */
+  globals?: true | string[];
+  /**
+   * The function used to create the mock functions, like `jest.fn` or `vi.fn`. Defaults to `null`,
+   * which uses `vi.fn` or `jest.fn` when it exists and a plain recorder otherwise.
+   */
+  spyFactory?: ((implementation?: (...args: any[]) => any) => any) | null;
+}
+
+/**
+ * Change the options of the mock and return the resulting options. Options that are not provided
+ * keep their value, and `undefined` restores the default value of an option.
+ *
+ * @example
+ * import { configure } from 'jest-canvas-mock';
+ *
+ * configure({ rasterize: true, errorMessages: 'firefox' });
+ */
+export function configure(options?: CanvasMockOptions): Required<CanvasMockOptions>;
+
+/**
+ * Install the mock on the global window and register the matchers. Only needed when the options or
+ * the `expect` function must be given before the mock is installed.
+ *
+ * @example
+ * import { vi, expect } from 'vitest';
+ * import { install } from 'jest-canvas-mock';
+ *
+ * install({ spyFactory: vi.fn, expect });
+ */
+export function install(options?: CanvasMockOptions & { expect?: { extend(matchers: object): void } }): void;
+
+/**
+ * Restores the original `HTMLCanvasElement` methods and removes the globals added by the mock.
+ */
+export function uninstall(): void;
+
+/**
+ * Clears the events and draw calls recorded by every context.
+ */
+export function resetAll(): void;
+
+interface WebGLRenderingContextMock {
+  /**
+   * Get all the function calls made on this WebGL context, including the calls that generated a
+   * WebGL error.
+   *
+   * This method cannot be used in a production environment, only with `jest` using
+   * `jest-canvas-mock` and should only be used for testing.
+   *
+   * @example
+   * expect(gl.__getEvents()).toMatchSnapshot();
+   */
+  __getEvents(): WebGLRenderingContextEvent[];
+
+  /**
+   * Get all the successful draw calls and clears made on this WebGL context.
+   *
+   * This method cannot be used in a production environment, only with `jest` using
+   * `jest-canvas-mock` and should only be used for testing.
+   *
+   * @example
+   * expect(gl.__getDrawCalls()).toMatchSnapshot();
+   */
+  __getDrawCalls(): WebGLRenderingContextEvent[];
+}
+
 declare global {
+  namespace jest {
+    interface Matchers<R> {
+      /**
+       * Assert that `fillRect` or `strokeRect` was called, or that a path with a `rect` was filled
+       * or stroked. The arguments that are left out match any value.
+       *
+       * @example
+       * expect(ctx).toHaveDrawnRect(0, 0, 100, 50);
+       */
+      toHaveDrawnRect(x?: any, y?: any, width?: any, height?: any): R;
+      /**
+       * Assert that `fillText` was called with the text, and with the position when it is given.
+       *
+       * @example
+       * expect(ctx).toHaveFilledText('label', 10, 20);
+       */
+      toHaveFilledText(text: any, x?: any, y?: any): R;
+      /**
+       * Assert that `stroke` was called, with the given path when it is provided. `beginPath`
+       * events and the transforms of the path events are ignored.
+       *
+       * @example
+       * expect(ctx).toHaveStrokedPath('M0 0 L10 10');
+       */
+      toHaveStrokedPath(path?: Path2D | string | Array<Pick<CanvasRenderingContext2DEvent, 'type' | 'props'>>): R;
+      /**
+       * Assert that `fillStyle` was set to the value. Colors are compared after they are
+       * serialized like the context does, so `'red'` matches `'#f00'`.
+       *
+       * @example
+       * expect(ctx).toHaveSetFillStyle('red');
+       */
+      toHaveSetFillStyle(value: string | CanvasGradient | CanvasPattern): R;
+      /**
+       * Assert that the current transform of the context equals the matrix.
+       *
+       * @example
+       * expect(ctx).toHaveTransform([1, 0, 0, 1, 10, 20]);
+       */
+      toHaveTransform(matrix: DOMMatrixReadOnly | DOMMatrix2DInit | ArrayLike<number>): R;
+      /**
+       * Assert that every `save()` call on the context was followed by a matching `restore()` call,
+       * and that `restore()` was never called without a matching `save()`.
+       *
+       * @example
+       * expect(ctx).toHaveBalancedSaveRestore();
+       */
+      toHaveBalancedSaveRestore(): R;
+      /**
+       * Assert that the pixels of a rasterized canvas, context or `ImageData` match a PNG file in
+       * the `__image_snapshots__` directory next to the test file, which is written on the first
+       * run and replaced with `--updateSnapshot`. A diff image is written when they do not match.
+       *
+       * @example
+       * expect(canvas).toMatchImageSnapshot({ failureThreshold: 0.01 });
+       */
+      toMatchImageSnapshot(options?: {
+        /** How much two pixels may differ, between 0 and 1 relative to the range of a channel. */
+        threshold?: number;
+        /** The ratio of pixels that may differ, between 0 and 1. */
+        failureThreshold?: number;
+      }): R;
+    }
+  }
+
+  interface WebGLRenderingContext extends WebGLRenderingContextMock {}
+
+  interface CanvasGradient {
+    /**
+     * Get the color stops of this gradient, sorted by offset.
+     *
+     * This method cannot be used in a production environment, only with `jest` using
+     * `jest-canvas-mock` and should only be used for testing.
+     *
+     * @example
+     * expect(gradient.__getColorStops()).toEqual([{ offset: 0, color: '#00f' }, { offset: 1, color: '#f00' }]);
+     */
+    __getColorStops(): ReadonlyArray<CanvasGradientColorStop>;
+
+    /**
+     * Get the kind, the coordinates and the color stops of this gradient.
+     *
+     * This method cannot be used in a production environment, only with `jest` using
+     * `jest-canvas-mock` and should only be used for testing.
+     *
+     * @example
+     * expect(gradient.__getDefinition()).toMatchObject({ type: 'linear', x0: 0, y0: 0 });
+     */
+    __getDefinition(): CanvasGradientDefinition;
+  }
+
+  interface CanvasPattern {
+    /**
+     * Get the source image, the repetition and the transform of this pattern.
+     *
+     * This method cannot be used in a production environment, only with `jest` using
+     * `jest-canvas-mock` and should only be used for testing.
+     *
+     * @example
+     * expect(pattern.__getDefinition().repetition).toBe('no-repeat');
+     */
+    __getDefinition(): CanvasPatternDefinition;
+  }
+
+  interface WebGL2RenderingContext extends WebGLRenderingContextMock {}
+
   interface CanvasRenderingContext2D {
     /**
      * Get all the events associated with this CanvasRenderingContext2D object.
@@ -38,7 +359,19 @@ declare global {
      * @example
      * expect(ctx.__getDrawCalls()).toMatchSnapshot();
      */
-    __getDrawCalls(): CanvasRenderingContext2DEvent[];
+    __getDrawCalls(): CanvasRenderingContext2DDrawCall[];
+
+    /**
+     * Get the draw calls that cannot change any pixel, because they are transparent, empty,
+     * outside of the canvas or the clipping region, or use a transform that cannot be inverted.
+     *
+     * This method cannot be used in a production environment, only with `jest` using
+     * `jest-canvas-mock` and should only be used for testing.
+     *
+     * @example
+     * expect(ctx.__getNoOpDrawCalls()).toEqual([]);
+     */
+    __getNoOpDrawCalls(): CanvasRenderingContext2DDrawCall[];
 
     /**
      * Get the current path associated with this CanvasRenderingContext2D object.
@@ -50,5 +383,79 @@ declare global {
      * expect(ctx.__getPath()).toMatchSnapshot();
      */
     __getPath(): CanvasRenderingContext2DEvent[];
+
+    /**
+     * Get the `clip` events that make up the current clipping region, which is the intersection of
+     * their paths. The array is empty when nothing is clipped.
+     *
+     * This method cannot be used in a production environment, only with `jest` using
+     * `jest-canvas-mock` and should only be used for testing.
+     *
+     * @example
+     * expect(ctx.__getClipPath()).toHaveLength(0);
+     */
+    __getClipPath(): CanvasRenderingContext2DEvent[];
+
+    /**
+     * Get a frozen snapshot of the current drawing state of this CanvasRenderingContext2D object.
+     *
+     * This method cannot be used in a production environment, only with `jest` using
+     * `jest-canvas-mock` and should only be used for testing.
+     *
+     * @example
+     * expect(ctx.__getState().fillStyle).toBe('#f00');
+     */
+    __getState(): CanvasRenderingContext2DState;
+
+    /**
+     * Get the snapshots of every drawing state saved with `save()`, from the bottom of the stack to
+     * the current state.
+     *
+     * This method cannot be used in a production environment, only with `jest` using
+     * `jest-canvas-mock` and should only be used for testing.
+     *
+     * @example
+     * expect(ctx.__getStateStack()).toHaveLength(2);
+     */
+    __getStateStack(): ReadonlyArray<CanvasRenderingContext2DState>;
+
+    /**
+     * Get the drawing state and the current path as they were when the event at `index` of
+     * `__getEvents()` was called, derived from every event before it, including the events that
+     * `maxEvents` or `resetAll()` dropped from the log.
+     *
+     * This method cannot be used in a production environment, only with `jest` using
+     * `jest-canvas-mock` and should only be used for testing.
+     *
+     * @example
+     * expect(ctx.__getStateAt(12).state.fillStyle).toBe('#f00');
+     */
+    __getStateAt(index: number): CanvasRenderingContext2DStateAt;
+
+    /**
+     * Draw the events from `fromIndex` up to, but not including, `toIndex` again on another mocked
+     * or real 2d context, and return that context.
+     *
+     * This method cannot be used in a production environment, only with `jest` using
+     * `jest-canvas-mock` and should only be used for testing.
+     *
+     * @example
+     * ctx.__replay(0, ctx.__getEvents().length, otherCtx);
+     */
+    __replay<T>(fromIndex: number | undefined, toIndex: number | undefined, target: T): T;
+
+    /**
+     * Paint every following draw call into an RGBA backing buffer, so that `getImageData` returns
+     * the rendered pixels.
+     *
+     * This method cannot be used in a production environment, only with `jest` using
+     * `jest-canvas-mock` and should only be used for testing.
+     *
+     * @example
+     * ctx.__enableRasterization();
+     * ctx.fillRect(0, 0, 10, 10);
+     * expect(ctx.getImageData(0, 0, 1, 1).data[3]).toBe(255);
+     */
+    __enableRasterization(): void;
   }
 }